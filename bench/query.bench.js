@@ -0,0 +1,89 @@
+import { Query } from "../mgq.js";
+
+// Compares the time the interpreted and compiled query engines take
+// to filter the same documents, run with `npm run bench`
+
+const docCount = 100_000;
+const levels = ["debug", "info", "warn", "error"];
+
+const docs = Array.from({ length: docCount }, (_, i) => ({
+	id: i,
+	level: levels[i % levels.length],
+	message: `request ${i} took ${i % 997}ms`,
+	user: {
+		name: `user${i % 100}`,
+		age: 18 + (i % 60),
+		tags: ["a", "b", `t${i % 10}`],
+	},
+	items: [
+		{ sku: `sku${i % 50}`, qty: i % 7 },
+		{ sku: `sku${(i + 1) % 50}`, qty: (i + 3) % 7 },
+	],
+	flags: i % 256,
+}));
+
+const benchmarks = [
+	{ name: "equality", query: { level: "error" } },
+	{ name: "nested path", query: { "user.name": "user42" } },
+	{ name: "range", query: { "user.age": { $gte: 30, $lt: 40 } } },
+	{ name: "$in", query: { "user.tags": { $in: ["t1", "t2", "t3"] } } },
+	{ name: "array of documents", query: { "items.qty": { $gt: 5 } } },
+	{ name: "$regex", query: { message: { $regex: "took 9\\d\\dms$" } } },
+	{
+		name: "$elemMatch",
+		query: { items: { $elemMatch: { sku: "sku7", qty: { $gte: 3 } } } },
+	},
+	{
+		name: "$exists and $type",
+		query: { flags: { $exists: true, $type: "number" } },
+	},
+	{ name: "$bitsAllSet", query: { flags: { $bitsAllSet: [1, 3] } } },
+	{
+		name: "$or of $and",
+		query: {
+			$or: [
+				{ $and: [{ level: "warn" }, { "user.age": { $lt: 25 } }] },
+				{ level: "error", "items.sku": "sku1" },
+			],
+		},
+	},
+	{ name: "$not", query: { level: { $not: { $in: ["debug", "info"] } } } },
+];
+
+/**
+ * Gets the average time to filter the documents with a query
+ * @param {Record<string, any>} query - The query
+ * @param {boolean} compile - Whether to compile the query
+ * @returns {{ ms: number, count: number }}
+ */
+function measure(query, compile) {
+	const q = Query(query, { compile });
+	let count = docs.filter(q.test).length;
+
+	const runs = 5;
+	const start = performance.now();
+	for (let i = 0; i < runs; i++) {
+		count = docs.filter(q.test).length;
+	}
+	return { ms: (performance.now() - start) / runs, count };
+}
+
+const results = benchmarks.map(({ name, query }) => {
+	const interpreted = measure(query, false);
+	const compiled = measure(query, true);
+	if (interpreted.count !== compiled.count) {
+		throw new Error(
+			`${name}: interpreted and compiled engines match ${interpreted.count} and ${compiled.count} documents`,
+		);
+	}
+	return {
+		name,
+		matches: compiled.count,
+		"interpreted (ms)": Number(interpreted.ms.toFixed(2)),
+		"compiled (ms)": Number(compiled.ms.toFixed(2)),
+		speedup: `${(interpreted.ms / compiled.ms).toFixed(1)}x`,
+	};
+});
+
+console.log(`Filtering ${docCount} documents`);
+console.table(results);
@@ -46,23 +46,649 @@ const condOps = new Set([
 	"$all",
 	"$elemMatch",
 	"$size",
+	"$exists",
+	"$type",
+	"$bitsAllSet",
+	"$bitsAnySet",
+	"$bitsAllClear",
+	"$bitsAnyClear",
+	"$geoWithin",
+	"$geoIntersects",
+	"$near",
+	"$nearSphere",
+	"$maxDistance",
+	"$minDistance",
+]);
+
+// Map of bitwise query operators to their tests of the bit positions of a value
+/** @type {Map<string, (field: bigint | Uint8Array, positions: number[]) => boolean>} */
+const bitsTests = new Map([
+	[
+		"$bitsAllSet",
+		(field, positions) => positions.every((p) => isBitSet(field, p)),
+	],
+	[
+		"$bitsAnySet",
+		(field, positions) => positions.some((p) => isBitSet(field, p)),
+	],
+	[
+		"$bitsAllClear",
+		(field, positions) => positions.every((p) => !isBitSet(field, p)),
+	],
+	[
+		"$bitsAnyClear",
+		(field, positions) => positions.some((p) => !isBitSet(field, p)),
+	],
 ]);
 
 // Set of query operators
-const queryOps = new Set(["$and", "$or", "$nor", "$where"]);
+const queryOps = new Set([
+	"$and",
+	"$or",
+	"$nor",
+	"$where",
+	"$expr",
+	"$jsonSchema",
+	"$text",
+]);
+
+// Keywords of the MongoDB $jsonSchema dialect, title and description are ignored
+const jsonSchemaKeywords = new Set([
+	"bsonType",
+	"type",
+	"required",
+	"properties",
+	"patternProperties",
+	"additionalProperties",
+	"minProperties",
+	"maxProperties",
+	"dependencies",
+	"items",
+	"additionalItems",
+	"minItems",
+	"maxItems",
+	"uniqueItems",
+	"enum",
+	"minimum",
+	"maximum",
+	"exclusiveMinimum",
+	"exclusiveMaximum",
+	"minLength",
+	"maxLength",
+	"pattern",
+	"allOf",
+	"anyOf",
+	"oneOf",
+	"not",
+	"title",
+	"description",
+]);
+
+// Map of BSON type aliases to their numeric codes
+const bsonTypes = new Map([
+	["double", 1],
+	["string", 2],
+	["object", 3],
+	["array", 4],
+	["binData", 5],
+	["undefined", 6],
+	["objectId", 7],
+	["bool", 8],
+	["date", 9],
+	["null", 10],
+	["regex", 11],
+	["dbPointer", 12],
+	["javascript", 13],
+	["symbol", 14],
+	["javascriptWithScope", 15],
+	["int", 16],
+	["timestamp", 17],
+	["long", 18],
+	["decimal", 19],
+	["minKey", -1],
+	["maxKey", 127],
+]);
+
+// BSON type aliases matched by the "number" alias
+const numberTypes = ["double", "int", "long", "decimal"];
+
+// Map of $jsonSchema type keyword values to the BSON type aliases they match
+const jsonSchemaTypes = new Map([
+	["object", ["object"]],
+	["array", ["array"]],
+	["number", numberTypes],
+	["boolean", ["bool"]],
+	["string", ["string"]],
+	["null", ["null"]],
+]);
+
+// BSON type aliases of the value classes of the bson package, by their _bsontype
+// (UUID is a Binary), MinKey and MaxKey are also exported by mgq
+const bsonClassTypes = new Map([
+	["ObjectId", "objectId"],
+	["Decimal128", "decimal"],
+	["Long", "long"],
+	["Int32", "int"],
+	["Double", "double"],
+	["Binary", "binData"],
+	["Timestamp", "timestamp"],
+	["MinKey", "minKey"],
+	["MaxKey", "maxKey"],
+]);
+
+// Order of BSON types when comparing values of different types,
+// types sharing the same order are compared by value
+const bsonTypeOrder = new Map([
+	["minKey", 0],
+	["undefined", 1],
+	["null", 2],
+	["double", 3],
+	["int", 3],
+	["long", 3],
+	["decimal", 3],
+	["symbol", 4],
+	["string", 4],
+	["object", 5],
+	["array", 6],
+	["binData", 7],
+	["objectId", 8],
+	["bool", 9],
+	["date", 10],
+	["timestamp", 11],
+	["regex", 12],
+	["dbPointer", 13],
+	["javascript", 14],
+	["javascriptWithScope", 15],
+	["maxKey", 16],
+]);
+
+// Map of aggregation expression operators (usable in $expr) to their evaluators
+/** @type {Map<string, (args: any, vars: Record<string, any>) => any>} */
+const exprOps = new Map([
+	["$literal", exprLiteral],
+	["$eq", exprEq],
+	["$ne", exprNe],
+	["$gt", exprGt],
+	["$gte", exprGte],
+	["$lt", exprLt],
+	["$lte", exprLte],
+	["$cmp", exprCmp],
+	["$add", exprAdd],
+	["$subtract", exprSubtract],
+	["$multiply", exprMultiply],
+	["$divide", exprDivide],
+	["$mod", exprMod],
+	["$abs", exprAbs],
+	["$ceil", exprCeil],
+	["$floor", exprFloor],
+	["$round", exprRound],
+	["$trunc", exprTrunc],
+	["$pow", exprPow],
+	["$sqrt", exprSqrt],
+	["$exp", exprExp],
+	["$ln", exprLn],
+	["$log", exprLog],
+	["$log10", exprLog10],
+	["$toLower", exprToLower],
+	["$toUpper", exprToUpper],
+	["$concat", exprConcat],
+	["$substrCP", exprSubstrCP],
+	["$substrBytes", exprSubstrBytes],
+	["$strLenCP", exprStrLenCP],
+	["$strLenBytes", exprStrLenBytes],
+	["$indexOfCP", exprIndexOfCP],
+	["$split", exprSplit],
+	["$trim", exprTrim],
+	["$ltrim", exprLtrim],
+	["$rtrim", exprRtrim],
+	["$strcasecmp", exprStrcasecmp],
+	["$regexMatch", exprRegexMatch],
+	["$regexFind", exprRegexFind],
+	["$regexFindAll", exprRegexFindAll],
+	["$replaceOne", exprReplaceOne],
+	["$replaceAll", exprReplaceAll],
+	["$year", exprYear],
+	["$month", exprMonth],
+	["$dayOfMonth", exprDayOfMonth],
+	["$dayOfWeek", exprDayOfWeek],
+	["$dayOfYear", exprDayOfYear],
+	["$hour", exprHour],
+	["$minute", exprMinute],
+	["$second", exprSecond],
+	["$millisecond", exprMillisecond],
+	["$week", exprWeek],
+	["$isoWeek", exprIsoWeek],
+	["$isoWeekYear", exprIsoWeekYear],
+	["$isoDayOfWeek", exprIsoDayOfWeek],
+	["$dateToString", exprDateToString],
+	["$dateFromString", exprDateFromString],
+	["$dateToParts", exprDateToParts],
+	["$dateFromParts", exprDateFromParts],
+	["$dateAdd", exprDateAdd],
+	["$dateSubtract", exprDateSubtract],
+	["$dateDiff", exprDateDiff],
+	["$dateTrunc", exprDateTrunc],
+	["$filter", exprFilter],
+	["$map", exprMap],
+	["$reduce", exprReduce],
+	["$size", exprSize],
+	["$arrayElemAt", exprArrayElemAt],
+	["$first", exprFirst],
+	["$last", exprLast],
+	["$slice", exprSlice],
+	["$concatArrays", exprConcatArrays],
+	["$in", exprIn],
+	["$indexOfArray", exprIndexOfArray],
+	["$isArray", exprIsArray],
+	["$range", exprRange],
+	["$reverseArray", exprReverseArray],
+	["$zip", exprZip],
+	["$sortArray", exprSortArray],
+	["$arrayToObject", exprArrayToObject],
+	["$objectToArray", exprObjectToArray],
+	["$minN", exprMinN],
+	["$maxN", exprMaxN],
+	["$firstN", exprFirstN],
+	["$lastN", exprLastN],
+	["$cond", exprCond],
+	["$switch", exprSwitch],
+	["$ifNull", exprIfNull],
+	["$let", exprLet],
+	["$and", exprAnd],
+	["$or", exprOr],
+	["$not", exprNot],
+	["$convert", exprConvert],
+	["$toBool", exprToBool],
+	["$toInt", exprToInt],
+	["$toLong", exprToLong],
+	["$toDouble", exprToDouble],
+	["$toDecimal", exprToDecimal],
+	["$toString", exprToString],
+	["$toDate", exprToDate],
+	["$toObjectId", exprToObjectId],
+	["$type", exprType],
+	["$isNumber", exprIsNumber],
+	["$setEquals", exprSetEquals],
+	["$setIntersection", exprSetIntersection],
+	["$setUnion", exprSetUnion],
+	["$setDifference", exprSetDifference],
+	["$setIsSubset", exprSetIsSubset],
+	["$anyElementTrue", exprAnyElementTrue],
+	["$allElementTrue", exprAllElementTrue],
+]);
+
+// Characters removed by $trim, $ltrim and $rtrim when no chars are given
+const whitespaceChars = [
+	"\0",
+	" ",
+	"\t",
+	"\n",
+	"\v",
+	"\f",
+	"\r",
+	"\u00a0",
+	"\u1680",
+	"\u2000",
+	"\u2001",
+	"\u2002",
+	"\u2003",
+	"\u2004",
+	"\u2005",
+	"\u2006",
+	"\u2007",
+	"\u2008",
+	"\u2009",
+	"\u200a",
+];
+
+const utf8Encoder = new TextEncoder();
+
+const monthNames = [
+	"January",
+	"February",
+	"March",
+	"April",
+	"May",
+	"June",
+	"July",
+	"August",
+	"September",
+	"October",
+	"November",
+	"December",
+];
+
+const dayNames = [
+	"sunday",
+	"monday",
+	"tuesday",
+	"wednesday",
+	"thursday",
+	"friday",
+	"saturday",
+];
+
+// Length in milliseconds of the date units that have a fixed length
+const fixedDateUnits = new Map([
+	["millisecond", 1],
+	["second", 1000],
+	["minute", 60 * 1000],
+	["hour", 60 * 60 * 1000],
+	["day", 24 * 60 * 60 * 1000],
+	["week", 7 * 24 * 60 * 60 * 1000],
+]);
+
+// Date fields parsed by $dateFromString format specifiers, with their maximum
+// number of digits
+/** @type {Map<string, [string, number]>} */
+const dateFormatFields = new Map([
+	["Y", ["year", 4]],
+	["m", ["month", 2]],
+	["d", ["day", 2]],
+	["H", ["hour", 2]],
+	["M", ["minute", 2]],
+	["S", ["second", 2]],
+	["L", ["millisecond", 3]],
+	["j", ["dayOfYear", 3]],
+	["G", ["isoWeekYear", 4]],
+	["V", ["isoWeek", 2]],
+	["u", ["isoDayOfWeek", 1]],
+]);
+
+// Number of months in the date units that are counted in months
+const monthDateUnits = new Map([
+	["month", 1],
+	["quarter", 3],
+	["year", 12],
+]);
+
+// Timezone offset functions by timezone name, see getTimezone
+/** @type {Map<string, (ms: number) => number>} */
+const timezones = new Map();
+
+// Strings that convert to non-finite doubles, compared case-insensitively
+const specialDoubleStrings = new Map([
+	["infinity", Number.POSITIVE_INFINITY],
+	["-infinity", Number.NEGATIVE_INFINITY],
+	["nan", Number.NaN],
+]);
+
+// English stop words, ignored by $text searches
+const englishStopWords = new Set([
+	"a",
+	"about",
+	"above",
+	"after",
+	"again",
+	"against",
+	"all",
+	"am",
+	"an",
+	"and",
+	"any",
+	"are",
+	"as",
+	"at",
+	"be",
+	"because",
+	"been",
+	"before",
+	"being",
+	"below",
+	"between",
+	"both",
+	"but",
+	"by",
+	"can",
+	"cannot",
+	"could",
+	"did",
+	"do",
+	"does",
+	"doing",
+	"down",
+	"during",
+	"each",
+	"few",
+	"for",
+	"from",
+	"further",
+	"had",
+	"has",
+	"have",
+	"having",
+	"he",
+	"her",
+	"here",
+	"hers",
+	"herself",
+	"him",
+	"himself",
+	"his",
+	"how",
+	"i",
+	"if",
+	"in",
+	"into",
+	"is",
+	"it",
+	"its",
+	"itself",
+	"me",
+	"more",
+	"most",
+	"my",
+	"myself",
+	"no",
+	"nor",
+	"not",
+	"of",
+	"off",
+	"on",
+	"once",
+	"only",
+	"or",
+	"other",
+	"ought",
+	"our",
+	"ours",
+	"ourselves",
+	"out",
+	"over",
+	"own",
+	"same",
+	"she",
+	"should",
+	"so",
+	"some",
+	"such",
+	"than",
+	"that",
+	"the",
+	"their",
+	"theirs",
+	"them",
+	"themselves",
+	"then",
+	"there",
+	"these",
+	"they",
+	"this",
+	"those",
+	"through",
+	"to",
+	"too",
+	"under",
+	"until",
+	"up",
+	"very",
+	"was",
+	"we",
+	"were",
+	"what",
+	"when",
+	"where",
+	"which",
+	"while",
+	"who",
+	"whom",
+	"why",
+	"with",
+	"would",
+	"you",
+	"your",
+	"yours",
+	"yourself",
+	"yourselves",
+]);
+
+// $text $language values and whether they stem and remove English stop words
+const textLanguages = new Map([
+	["english", true],
+	["en", true],
+	["none", false],
+]);
+
+// Distance in radians under which points of the unit sphere are considered
+// to touch, about the size of the smallest cells MongoDB indexes points with
+const geoTolerance = 1e-9;
+
+// Radius of the Earth in meters, used by MongoDB to convert between
+// the meters of GeoJSON $near distances and radians
+const earthRadiusMeters = 6378100;
+
+// Map of GeoJSON coordinate reference system names to whether they require
+// the strict counterclockwise winding of "big" polygons
+const geoCrsNames = new Map([
+	["EPSG:4326", false],
+	["urn:ogc:def:crs:OGC:1.3:CRS84", false],
+	["urn:x-mongodb:crs:strictwinding:EPSG:4326", true],
+]);
+
+// Map of the character sets of PCRE escapes and POSIX classes to their code point
+// ranges, as pairs of first and last code points. Like MongoDB, they only match
+// ASCII characters as the u option does not enable Unicode properties
+/** @type {Map<string, number[]>} */
+const pcreSets = new Map([
+	["digit", [0x30, 0x39]],
+	["word", [0x30, 0x39, 0x41, 0x5a, 0x5f, 0x5f, 0x61, 0x7a]],
+	["space", [0x09, 0x0d, 0x20, 0x20]],
+	[
+		"horizontal",
+		[
+			0x09, 0x09, 0x20, 0x20, 0xa0, 0xa0, 0x1680, 0x1680, 0x180e, 0x180e,
+			0x2000, 0x200a, 0x202f, 0x202f, 0x205f, 0x205f, 0x3000, 0x3000,
+		],
+	],
+	["vertical", [0x0a, 0x0d, 0x85, 0x85, 0x2028, 0x2029]],
+	["alpha", [0x41, 0x5a, 0x61, 0x7a]],
+	["alnum", [0x30, 0x39, 0x41, 0x5a, 0x61, 0x7a]],
+	["upper", [0x41, 0x5a]],
+	["lower", [0x61, 0x7a]],
+	["blank", [0x09, 0x09, 0x20, 0x20]],
+	["punct", [0x21, 0x2f, 0x3a, 0x40, 0x5b, 0x60, 0x7b, 0x7e]],
+	["xdigit", [0x30, 0x39, 0x41, 0x46, 0x61, 0x66]],
+	["cntrl", [0x00, 0x1f, 0x7f, 0x7f]],
+	["print", [0x20, 0x7e]],
+	["graph", [0x21, 0x7e]],
+	["ascii", [0x00, 0x7f]],
+]);
+
+// POSIX class names, e.g. [[:alpha:]]
+const posixClasses = new Set([
+	"alpha",
+	"digit",
+	"alnum",
+	"upper",
+	"lower",
+	"space",
+	"blank",
+	"punct",
+	"xdigit",
+	"word",
+	"cntrl",
+	"print",
+	"graph",
+	"ascii",
+]);
+
+// Regular expressions compiled from the $regex conditions and regex values
+// of queries and the arguments of $expr regex operators, keyed by those so
+// that each is compiled once for all documents,
+// along with the pattern and options it was compiled from in case they change
+/** @type {WeakMap<object, { pattern: any, options: any, regex: RegExp }>} */
+const compiledRegexes = new WeakMap();
+
+// Regular expressions of the pattern and patternProperties keywords of $jsonSchema
+// schemas, keyed by the schema and then by the pattern, so that each is compiled
+// once for all documents
+/** @type {WeakMap<object, Map<string, RegExp>>} */
+const compiledSchemaRegexes = new WeakMap();
+
+// Parsed $text searches, keyed by their $text operand so that each is parsed
+// once for all documents, along with the operand fields it was parsed from
+/** @type {WeakMap<object, { source: any[], search: TextSearch }>} */
+const parsedTextSearches = new WeakMap();
+
+// Map of regular expressions translated from PCRE to the JS group numbers
+// of their PCRE capture groups, see translatePcre
+/** @type {WeakMap<RegExp, number[]>} */
+const pcreCaptureGroups = new WeakMap();
+
+/**
+ * @typedef {object} QueryOptions
+ * @property {string[] | Record<string, number>} [textFields] - Fields searched by $text,
+ *   either a list of paths or an object of paths to their score weights,
+ *   all string fields of the document are searched if not given
+ * @property {boolean} [compile] - Whether to compile the query once into matcher
+ *   functions, true by default, false interprets the query for each document
+ */
+
+/**
+ * The MinKey BSON value, which compares below all other values, for use in
+ * queries like the MinKey of the bson package, e.g. `{ $gt: MinKey }`
+ */
+export const MinKey = Object.freeze({ _bsontype: "MinKey" });
+
+/**
+ * The MaxKey BSON value, which compares above all other values, for use in
+ * queries like the MaxKey of the bson package, e.g. `{ $lt: MaxKey }`
+ */
+export const MaxKey = Object.freeze({ _bsontype: "MaxKey" });
 
 /**
  * Creates a new Query object
  * @param {Record<string,any>} query - The query to match against
+ * @param {QueryOptions} [options] - Query options
  */
-export function Query(query) {
+export function Query(query, options = {}) {
+	const match =
+		options.compile === false
+			? (/** @type {any} */ doc) => matchCond(query, doc, options)
+			: compileCond(query, options);
+
 	const queryInstance = {
 		/**
 		 * Matches the given document against the query
 		 * @param {Record<string,any>} doc - The document to match against
 		 * @returns {boolean}
 		 */
-		test: (doc) => matchCond(query, doc),
+		test: (doc) => match(doc),
+
+		/**
+		 * Gets the $text relevance score of the given document,
+		 * like { $meta: "textScore" }
+		 * @param {Record<string,any>} doc - The document to score
+		 * @returns {number} the score, 0 if the document does not match the $text search
+		 * @throws {TypeError} if the query has no $text operator
+		 */
+		textScore: (doc) => {
+			const search = findTextSearch(query);
+			if (search === undefined) {
+				throw new TypeError("textScore requires a query with a $text operator");
+			}
+			return scoreText(doc, getTextSearch(search), options) ?? 0;
+		},
 
 		/**
 		 * Validates the query
@@ -77,29 +703,80 @@ export function Query(query) {
 	return queryInstance;
 }
 
+/**
+ * Query options, and the field of the returned documents to set to their
+ * distance, documents being returned as is if not given
+ * @typedef {QueryOptions & { distanceField?: string }} GeoNearOptions
+ */
+
+/**
+ * Filters the documents matching a query and sorts them nearest first,
+ * like MongoDB returns the results of a $near or $nearSphere query
+ * @param {Record<string,any>} query - The query, with a $near or $nearSphere condition
+ *   at its top level or inside its top level $and
+ * @param {Record<string,any>[]} docs - The documents to filter
+ * @param {GeoNearOptions} [options] - Query options and the distance field
+ * @returns {Record<string,any>[]} the matching documents, copied if annotated with their distance
+ * @throws {TypeError} if the query has no valid $near or $nearSphere condition
+ */
+export function geoNear(query, docs, options = {}) {
+	const found = isPlainObject(query) ? findNearCond(query) : undefined;
+	if (found === undefined) {
+		throw new TypeError(
+			"geoNear requires a query with a $near or $nearSphere condition",
+		);
+	}
+
+	const { distanceField, ...queryOptions } = options;
+	const { path, near } = found;
+	const q = Query(query, queryOptions);
+	return docs
+		.filter(q.test)
+		.map((doc) => ({
+			doc,
+			distance: /** @type {number} */ (
+				getNearDistance(doc, path, near.distance)
+			),
+		}))
+		.sort((a, b) => a.distance - b.distance)
+		.map(({ doc, distance }) =>
+			distanceField === undefined ? doc : { ...doc, [distanceField]: distance },
+		);
+}
+
 /**
  * Matches the given query against the given document
  * @param {Record<string,any>} query - The query to match against
  * @param {Record<string,any>} doc - The document to match against
+ * @param {QueryOptions} [options] - Query options
  * @returns {boolean}
  */
-function matchCond(query, doc) {
+function matchCond(query, doc, options = {}) {
 	const results = [];
 
 	for (const path in query) {
 		if (queryOps.has(path)) {
 			if (path === "$and") {
-				results.push(matchAnd(doc, path, query.$and));
+				results.push(matchAnd(doc, path, query.$and, options));
 			}
 			if (path === "$or") {
-				results.push(matchOr(doc, path, query.$or));
+				results.push(matchOr(doc, path, query.$or, options));
 			}
 			if (path === "$nor") {
-				results.push(matchNor(doc, path, query.$nor));
+				results.push(matchNor(doc, path, query.$nor, options));
 			}
 			if (path === "$where") {
 				results.push(matchWhere(doc, path, query.$where));
 			}
+			if (path === "$expr") {
+				results.push(matchExpr(doc, path, query.$expr));
+			}
+			if (path === "$jsonSchema") {
+				results.push(matchJsonSchema(doc, path, query.$jsonSchema));
+			}
+			if (path === "$text") {
+				results.push(matchText(doc, path, query.$text, options));
+			}
 		} else {
 			const expOrOv = query[path];
 			const isAllExp = checkAllExp(expOrOv);
@@ -135,11 +812,7 @@ function matchCond(query, doc) {
 					results.push(matchNot(doc, path, exp.$not));
 				}
 				if ("$regex" in exp) {
-					const ov = {
-						$regex: exp.$regex,
-						$options: exp.$options || "",
-					};
-					results.push(matchRegex(doc, pathParts, ov));
+					results.push(matchRegex(doc, pathParts, exp));
 				}
 				if ("$mod" in exp) {
 					results.push(matchMod(doc, pathParts, exp.$mod));
@@ -153,6 +826,33 @@ function matchCond(query, doc) {
 				if ("$size" in exp) {
 					results.push(matchSize(doc, pathParts, exp.$size));
 				}
+				if ("$exists" in exp) {
+					results.push(matchExists(doc, pathParts, exp.$exists));
+				}
+				if ("$type" in exp) {
+					results.push(matchType(doc, pathParts, exp.$type));
+				}
+				if ("$bitsAllSet" in exp) {
+					results.push(matchBitsAllSet(doc, pathParts, exp.$bitsAllSet));
+				}
+				if ("$bitsAnySet" in exp) {
+					results.push(matchBitsAnySet(doc, pathParts, exp.$bitsAnySet));
+				}
+				if ("$bitsAllClear" in exp) {
+					results.push(matchBitsAllClear(doc, pathParts, exp.$bitsAllClear));
+				}
+				if ("$bitsAnyClear" in exp) {
+					results.push(matchBitsAnyClear(doc, pathParts, exp.$bitsAnyClear));
+				}
+				if ("$geoWithin" in exp) {
+					results.push(matchGeoWithin(doc, pathParts, exp.$geoWithin));
+				}
+				if ("$geoIntersects" in exp) {
+					results.push(matchGeoIntersects(doc, pathParts, exp.$geoIntersects));
+				}
+				if ("$near" in exp || "$nearSphere" in exp) {
+					results.push(matchNear(doc, pathParts, exp));
+				}
 			} else {
 				const ov = expOrOv;
 				results.push(matchEq(doc, pathParts, ov));
@@ -163,961 +863,9546 @@ function matchCond(query, doc) {
 	return results.every(Boolean);
 }
 
-function validate(query) {
-	if (!(query instanceof Object) || Array.isArray(query)) {
-		throw new TypeError("query must be an object");
-	}
+/**
+ * A compiled query or condition, see compileCond
+ * @typedef {(doc: any) => boolean} Matcher
+ */
+
+/**
+ * Compiles a query into a matcher with the same results as matchCond, doing
+ * the work that does not depend on the document once: operators are looked up,
+ * paths are split and operator values are checked and parsed
+ * @param {Record<string,any>} query - The query to compile
+ * @param {QueryOptions} [options] - Query options
+ * @returns {Matcher}
+ */
+function compileCond(query, options = {}) {
+	/** @type {Matcher[]} */
+	const matchers = [];
 
 	for (const path in query) {
 		if (queryOps.has(path)) {
-			if (path === "$and") {
-				if (!validateQueryOps(query.$and)) {
-					throw new TypeError("$and operator value must be an array");
+			const ov = query[path];
+			if (path === "$and" || path === "$or" || path === "$nor") {
+				if (!validateQueryOps(ov)) {
+					matchers.push(() => false);
+					continue;
 				}
-			}
-			if (path === "$or") {
-				if (!validateQueryOps(query.$or)) {
-					throw new TypeError("$or operator value must be an array");
+				/** @type {Matcher[]} */
+				const conds = ov.map((/** @type {any} */ cond) =>
+					compileCond(cond, options),
+				);
+				if (path === "$and") {
+					matchers.push((doc) => conds.every((m) => m(doc)));
+				} else if (path === "$or") {
+					matchers.push((doc) => conds.some((m) => m(doc)));
+				} else {
+					matchers.push((doc) => !conds.some((m) => m(doc)));
 				}
 			}
-			if (path === "$nor") {
-				if (!validateQueryOps(query.$nor)) {
-					throw new TypeError("$nor operator value must be an array");
-				}
+			if (path === "$where") {
+				matchers.push(compileWhere(ov));
 			}
-			if (path === "$where" && !validateWhere(query.$where)) {
-				throw new TypeError(
-					"$where operator value must be a function or a string",
+			if (path === "$expr") {
+				prepareExpr(ov);
+				matchers.push((doc) => matchExpr(doc, path, ov));
+			}
+			if (path === "$jsonSchema") {
+				matchers.push(
+					isValidJsonSchema(ov) ? (doc) => matchSchema(doc, ov) : () => false,
 				);
 			}
-			if (Array.isArray(query[path])) {
-				for (const cond of query[path]) {
-					validate(cond);
+			if (path === "$text") {
+				if (validateText(ov)) {
+					const search = getTextSearch(ov);
+					matchers.push((doc) => findTextMatch(doc, search, options) !== null);
+				} else {
+					matchers.push(() => false);
 				}
 			}
 		} else {
 			const expOrOv = query[path];
-			const isAllExp = checkAllExp(expOrOv);
-			if (isAllExp) {
-				const exp = expOrOv;
-				if ("$in" in exp && !validateInNin(exp.$in)) {
-					throw new TypeError("$in operator value must be an array");
-				}
-				if ("$nin" in exp && !validateInNin(exp.$nin)) {
-					throw new TypeError("$nin operator value must be an array");
-				}
-				if ("$all" in exp && !validateAll(exp.$all)) {
-					throw new TypeError("$all operator value must be an array");
-				}
-				if ("$mod" in exp && !validateMod(exp.$mod)) {
-					throw new TypeError(
-						"$mod operator value must be an array of 2 numbers",
-					);
-				}
-				if ("$size" in exp && !validateSize(exp.$size)) {
-					throw new TypeError("$size operator value must be a number");
-				}
+			const pathParts = path.split(".");
+			if (checkAllExp(expOrOv)) {
+				matchers.push(...compileExp(path, pathParts, expOrOv));
+			} else {
+				matchers.push(compileEq(pathParts, expOrOv));
 			}
 		}
 	}
 
-	return true;
-}
-
-function checkAllExp(expOrOv) {
-	return (
-		expOrOv &&
-		isPlainObject(expOrOv) &&
-		!deepEqual(expOrOv, {}) &&
-		Object.keys(expOrOv).every((key) => condOps.has(key))
-	);
+	if (matchers.length === 1) {
+		return matchers[0];
+	}
+	return (doc) => matchers.every((m) => m(doc));
 }
 
 /**
- * Validates query operators like $and, $or, $nor
- * @param {any} query - The query to validate
- * @returns {boolean}
+ * Compiles a $where condition, see matchWhere, building the function of a
+ * string once, when it is first run
+ * @param {any} ov - The $where value
+ * @returns {Matcher}
  */
-function validateQueryOps(query) {
-	return Array.isArray(query);
-}
+function compileWhere(ov) {
+	if (!validateWhere(ov)) {
+		return () => false;
+	}
+	if (typeof ov === "function") {
+		return (doc) => ov.call(doc);
+	}
 
-/**
- * Validates $in $nin operators
- * @param {any} value - The value to validate
- * @returns {boolean}
- */
-function validateInNin(value) {
-	return Array.isArray(value);
+	/** @type {Function | undefined} */
+	let fn;
+	return (doc) => {
+		fn ??= new Function(ov);
+		return fn.call(doc);
+	};
 }
 
 /**
- * Validates $all operator
- * @param {any} value - The value to validate
- * @returns {boolean}
+ * Compiles the regexes of an aggregation expression that do not depend on the
+ * document, e.g. { $regexMatch: { input: "$foo", regex: "^bar" } }, so that
+ * evaluating it does not compile them for each document
+ * Invalid regexes are left to throw when the expression is evaluated
+ * @param {any} expr - The expression
  */
-function validateAll(value) {
-	const isArray = Array.isArray(value);
-
-	if (isArray) {
-		if (value.length === 0) {
-			return true;
+function prepareExpr(expr) {
+	if (Array.isArray(expr)) {
+		for (const e of expr) {
+			prepareExpr(e);
 		}
+		return;
+	}
+	if (!isPlainObject(expr) || expr instanceof Uint8Array) {
+		return;
+	}
 
+	for (const [key, value] of Object.entries(expr)) {
+		if (key === "$literal") {
+			continue;
+		}
+		const isConstant = (/** @type {any} */ v) =>
+			v instanceof RegExp || (typeof v === "string" && !v.startsWith("$"));
 		if (
-			value.every(
-				(v) =>
-					isPlainObject(v) && Object.keys(v).some((k) => k.startsWith("$")),
-			)
+			(key === "$regexMatch" ||
+				key === "$regexFind" ||
+				key === "$regexFindAll") &&
+			isPlainObject(value) &&
+			isConstant(value.regex) &&
+			(value.options === undefined || isConstant(value.options))
 		) {
-			return validateAllElemMatch(value);
+			try {
+				getExprRegExp(key, value, value.regex, value.options);
+			} catch {
+				// Thrown again when the expression is evaluated
+			}
 		}
+		prepareExpr(value);
 	}
-
-	return isArray;
 }
 
 /**
- * Validates $all operator with $elemMatch
- * @param {any[]} ov - The value to validate
- * @returns {boolean}
+ * Compiles the operators of a field expression, see compileCond
+ * @param {string} path - The path of the field
+ * @param {string[]} pathParts - The split path of the field
+ * @param {Record<string, any>} exp - The expression
+ * @returns {Matcher[]}
  */
-function validateAllElemMatch(ov) {
-	return ov.every(
-		(o) => typeof o === "object" && o !== null && "$elemMatch" in o,
-	);
+function compileExp(path, pathParts, exp) {
+	/** @type {Matcher[]} */
+	const matchers = [];
+	const never = () => false;
+
+	if ("$eq" in exp) {
+		matchers.push(compileEq(pathParts, exp.$eq));
+	}
+	if ("$ne" in exp) {
+		const eq = compileEq(pathParts, exp.$ne);
+		matchers.push((doc) => !eq(doc));
+	}
+	// Range operators only look up keys in plain objects,
+	// missing values compare as null
+	/** @type {[string, (v: any, ov: any) => boolean][]} */
+	const ranges = [
+		["$gt", matchGtValue],
+		["$gte", matchGteValue],
+		["$lt", matchLtValue],
+		["$lte", matchLteValue],
+	];
+	for (const [op, matchValue] of ranges) {
+		if (op in exp) {
+			const ov = exp[op];
+			matchers.push(
+				compilePath(
+					pathParts,
+					(v) => matchValue(v, ov),
+					matchValue(null, ov),
+					isPlainObject,
+				),
+			);
+		}
+	}
+	for (const op of ["$in", "$nin"]) {
+		if (!(op in exp)) {
+			continue;
+		}
+		const ov = exp[op];
+		if (!validateInNin(ov)) {
+			matchers.push(never);
+			continue;
+		}
+		const matchIn = compilePath(
+			pathParts,
+			compileInValue(ov),
+			ov.includes(null) || ov.includes(undefined),
+		);
+		matchers.push(op === "$in" ? matchIn : (doc) => !matchIn(doc));
+	}
+	if ("$not" in exp) {
+		const cond = compileCond({ [path]: exp.$not });
+		matchers.push((doc) => !cond(doc));
+	}
+	if ("$regex" in exp) {
+		matchers.push(compilePath(pathParts, (v) => matchRegexValue(v, exp)));
+	}
+	if ("$mod" in exp) {
+		const ov = exp.$mod;
+		matchers.push(
+			validateMod(ov)
+				? compilePath(pathParts, (v) => matchModValue(v, ov))
+				: never,
+		);
+	}
+	if ("$all" in exp) {
+		matchers.push(compileAll(path, pathParts, exp.$all));
+	}
+	if ("$elemMatch" in exp) {
+		matchers.push(compileElemMatch(pathParts, exp.$elemMatch));
+	}
+	if ("$size" in exp) {
+		const ov = exp.$size;
+		matchers.push(
+			validateSize(ov)
+				? compilePath(pathParts, (v) => matchSizeValue(v, ov))
+				: never,
+		);
+	}
+	if ("$exists" in exp) {
+		const ov = exp.$exists;
+		const exists = compilePath(pathParts, () => true);
+		matchers.push(
+			ov === false || ov === 0 || isNil(ov) ? (doc) => !exists(doc) : exists,
+		);
+	}
+	if ("$type" in exp) {
+		const aliases = toTypeAliases(exp.$type);
+		matchers.push(
+			aliases === null
+				? never
+				: compilePath(pathParts, (v) => matchTypeValue(v, aliases)),
+		);
+	}
+	for (const [op, testBits] of bitsTests) {
+		if (op in exp) {
+			const positions = toBitPositions(exp[op]);
+			matchers.push(
+				positions === null
+					? never
+					: compilePath(pathParts, (v) =>
+							matchBitsValue(v, positions, testBits),
+						),
+			);
+		}
+	}
+	for (const [op, parse] of [
+		["$geoWithin", parseGeoWithin],
+		["$geoIntersects", parseGeoIntersects],
+	]) {
+		if (op in exp) {
+			const testGeo = parse(exp[op]);
+			matchers.push(
+				testGeo === null
+					? never
+					: compilePath(pathParts, (v) => matchGeoValue(v, testGeo)),
+			);
+		}
+	}
+	if ("$near" in exp || "$nearSphere" in exp) {
+		const near = parseNear(exp);
+		matchers.push(
+			near === null
+				? never
+				: (doc) => {
+						const distance = getNearDistance(doc, pathParts, near.distance);
+						return (
+							distance !== null && distance >= near.min && distance <= near.max
+						);
+					},
+		);
+	}
+
+	return matchers;
 }
 
 /**
- * Validates $mod operator
- * @param {any} value - The value to validate
- * @returns {boolean}
+ * Compiles an equality condition, see matchEq
+ * @param {string[]} pathParts - The split path of the field
+ * @param {any} ov - The value to match against
+ * @returns {Matcher}
  */
-function validateMod(value) {
-	return (
-		Array.isArray(value) &&
-		value.length === 2 &&
-		typeof value[0] === "number" &&
-		typeof value[1] === "number"
-	);
+function compileEq(pathParts, ov) {
+	return compilePath(pathParts, compileInValue([ov]), isNil(ov));
 }
 
 /**
- * Validates $size operator
- * @param {any} value - The value to validate
- * @returns {boolean}
+ * Compiles the match of a value against queried values, see matchInValue,
+ * looking up values in a set if none of the queried values is an object or a bigint
+ * @param {any[]} ov - The queried values
+ * @returns {Matcher}
  */
-function validateSize(value) {
-	return typeof value === "number";
+function compileInValue(ov) {
+	if (
+		ov.some(
+			(o) => (typeof o === "object" && o !== null) || typeof o === "bigint",
+		)
+	) {
+		return (v) => matchInValue(v, ov);
+	}
+
+	// Primitives other than bigints are only equal to themselves, and NaN to NaN
+	// like in sets; bigints and bson values may equal numbers of another type
+	const values = new Set(ov);
+	/** @type {Matcher} */
+	const matchValue = (v) => {
+		if (Array.isArray(v)) {
+			return v.some((d) => matchValue(d));
+		}
+		return (
+			values.has(v) ||
+			((typeof v === "bigint" || isBsonValue(v)) && matchInValue(v, ov))
+		);
+	};
+	return matchValue;
 }
 
 /**
- * Validates $where operator
- * @param {any} value - The value to validate
- * @returns {boolean}
+ * Compiles an $all condition, see matchAll
+ * @param {string} path - The path of the field
+ * @param {string[]} pathParts - The split path of the field
+ * @param {any} ov - The queried values
+ * @returns {Matcher}
  */
-function validateWhere(value) {
-	return typeof value === "function" || typeof value === "string";
+function compileAll(path, pathParts, ov) {
+	if (!validateAll(ov) || ov.length === 0) {
+		return () => false;
+	}
+
+	if (validateAllElemMatch(ov)) {
+		return compileCond({ $and: ov.map((o) => ({ [path]: o })) });
+	}
+
+	return compilePath(pathParts, (v) => matchAllValue(v, ov));
 }
 
 /**
- * Checks if the given value is a plain object
- * (not null, not an array, not a regex, not a date)
- * @param {any} v - The value to check
- * @returns {v is Record<any, any>}
+ * Compiles an $elemMatch condition, see matchElemMatch
+ * @param {string[]} pathParts - The split path of the field
+ * @param {any} ov - The $elemMatch value
+ * @returns {Matcher}
  */
-function isPlainObject(v) {
-	return (
-		typeof v === "object" &&
-		v !== null &&
-		!Array.isArray(v) &&
-		!(v instanceof RegExp) &&
-		!(v instanceof Date)
-	);
+function compileElemMatch(pathParts, ov) {
+	if (!validateElemMatch(ov)) {
+		return () => false;
+	}
+
+	if (isElemMatchValue(ov)) {
+		const matchItem = compileElemMatchValue(ov);
+		return compilePath(pathParts, (v) => Array.isArray(v) && v.some(matchItem));
+	}
+
+	const cond = compileCond(ov);
+	return compilePath(pathParts, (v) => Array.isArray(v) && v.some(cond));
 }
 
 /**
- * Checks if the given value is null or undefined
- * @param {any} v - The value to check
+ * Compiles the query operators of an $elemMatch into a matcher of a single
+ * array item, used by both engines: like MongoDB, the item is matched as one
+ * value, and is not traversed if it is an array itself
+ * @param {Record<string, any>} exp - The $elemMatch value, see isElemMatchValue
+ * @returns {Matcher}
+ */
+function compileElemMatchValue(exp) {
+	/** @type {Matcher[]} */
+	const matchers = [];
+	const never = () => false;
+
+	for (const [op, ov] of Object.entries(exp)) {
+		switch (op) {
+			case "$eq":
+				matchers.push((v) => isElemMatchEqual(v, ov));
+				break;
+			case "$ne":
+				matchers.push((v) => !isElemMatchEqual(v, ov));
+				break;
+			case "$gt":
+				matchers.push((v) => compareRange(v, ov) > 0);
+				break;
+			case "$gte":
+				matchers.push((v) => compareRange(v, ov) >= 0);
+				break;
+			case "$lt":
+				matchers.push((v) => compareRange(v, ov) < 0);
+				break;
+			case "$lte":
+				matchers.push((v) => compareRange(v, ov) <= 0);
+				break;
+			case "$in":
+			case "$nin": {
+				if (!validateInNin(ov)) {
+					matchers.push(never);
+					break;
+				}
+				/** @type {Matcher} */
+				const matchIn = (v) => ov.some((o) => isElemMatchEqual(v, o));
+				matchers.push(op === "$in" ? matchIn : (v) => !matchIn(v));
+				break;
+			}
+			case "$not": {
+				if (isPlainObject(ov)) {
+					const not = compileElemMatchValue(ov);
+					matchers.push((v) => !not(v));
+				} else {
+					matchers.push(
+						ov instanceof RegExp ? (v) => !isElemMatchEqual(v, ov) : never,
+					);
+				}
+				break;
+			}
+			case "$regex":
+				matchers.push((v) => typeof v === "string" && matchRegexValue(v, exp));
+				break;
+			case "$mod":
+				matchers.push(
+					validateMod(ov)
+						? (v) => !Array.isArray(v) && matchModValue(v, ov)
+						: never,
+				);
+				break;
+			case "$all":
+				matchers.push(
+					validateAll(ov) && ov.length > 0
+						? (v) =>
+								ov.every((/** @type {any} */ o) =>
+									isPlainObject(o) && "$elemMatch" in o
+										? matchElemMatch(v, [], o.$elemMatch)
+										: isElemMatchEqual(v, o),
+								)
+						: never,
+				);
+				break;
+			case "$elemMatch":
+				matchers.push((v) => matchElemMatch(v, [], ov));
+				break;
+			case "$size":
+				matchers.push(validateSize(ov) ? (v) => matchSizeValue(v, ov) : never);
+				break;
+			case "$exists":
+				matchers.push(
+					ov === false || ov === 0 || isNil(ov) ? never : () => true,
+				);
+				break;
+			case "$type": {
+				const aliases = toTypeAliases(ov);
+				matchers.push(
+					aliases === null ? never : (v) => aliases.has(getBsonType(v) ?? ""),
+				);
+				break;
+			}
+			case "$bitsAllSet":
+			case "$bitsAnySet":
+			case "$bitsAllClear":
+			case "$bitsAnyClear": {
+				const positions = toBitPositions(ov);
+				const testBits = getBitsTest(op);
+				matchers.push(
+					positions === null
+						? never
+						: (v) =>
+								!Array.isArray(v) && matchBitsValue(v, positions, testBits),
+				);
+				break;
+			}
+			case "$geoWithin":
+			case "$geoIntersects": {
+				const testGeo =
+					op === "$geoWithin" ? parseGeoWithin(ov) : parseGeoIntersects(ov);
+				matchers.push(testGeo ?? never);
+				break;
+			}
+			case "$near":
+			case "$nearSphere":
+				matchers.push(never);
+				break;
+		}
+	}
+
+	return (v) => matchers.every((match) => match(v));
+}
+
+/**
+ * Checks if an $elemMatch array item equals a queried value, a regex matches
+ * string items; unlike matchEqValue, array items are compared as a whole
+ * @param {any} v - The array item
+ * @param {any} ov - The queried value
+ * @returns {boolean}
+ */
+function isElemMatchEqual(v, ov) {
+	if (ov instanceof RegExp && typeof v === "string") {
+		return getQueryRegExp(ov, ov).test(v);
+	}
+
+	return isBsonEqual(v, ov);
+}
+
+/**
+ * Compiles the traversal of a path to the values it matches, like the match
+ * functions do: a key is looked up in objects, indexes arrays if it is numeric
+ * and otherwise is looked up in each of their elements
+ * @param {string[]} pathParts - The split path
+ * @param {Matcher} matchValue - Matches a value at the end of the path
+ * @param {boolean} [matchMissing] - Whether a missing value matches
+ * @param {(v: any) => boolean} [isContainer] - Whether a key is looked up in a value
+ * @returns {Matcher}
+ */
+function compilePath(
+	pathParts,
+	matchValue,
+	matchMissing = false,
+	isContainer = isTraversable,
+) {
+	let match = matchValue;
+	for (let i = pathParts.length - 1; i >= 0; i--) {
+		const key = pathParts[i];
+		const idx = /^\d+$/.test(key) ? Number.parseInt(key) : -1;
+		const matchRest = match;
+		/** @type {Matcher} */
+		const matchKey = (doc) => {
+			if (isContainer(doc) && key in doc) {
+				return matchRest(doc[key]);
+			}
+			if (Array.isArray(doc)) {
+				if (idx !== -1 && idx < doc.length) {
+					return matchRest(doc[idx]);
+				}
+				return doc.some((d) => matchKey(d));
+			}
+			return matchMissing;
+		};
+		match = matchKey;
+	}
+	return match;
+}
+
+function validate(query) {
+	if (!(query instanceof Object) || Array.isArray(query)) {
+		throw new TypeError("query must be an object");
+	}
+
+	for (const path in query) {
+		if (queryOps.has(path)) {
+			if (path === "$and") {
+				if (!validateQueryOps(query.$and)) {
+					throw new TypeError("$and operator value must be an array");
+				}
+			}
+			if (path === "$or") {
+				if (!validateQueryOps(query.$or)) {
+					throw new TypeError("$or operator value must be an array");
+				}
+			}
+			if (path === "$nor") {
+				if (!validateQueryOps(query.$nor)) {
+					throw new TypeError("$nor operator value must be an array");
+				}
+			}
+			if (path === "$where" && !validateWhere(query.$where)) {
+				throw new TypeError(
+					"$where operator value must be a function or a string",
+				);
+			}
+			if (path === "$expr") {
+				validateExpr(query.$expr);
+			}
+			if (path === "$jsonSchema") {
+				validateJsonSchema(query.$jsonSchema);
+			}
+			if (path === "$text" && !validateText(query.$text)) {
+				throw new TypeError(
+					"$text operator value must be an object with a string $search and optional $language, $caseSensitive and $diacriticSensitive",
+				);
+			}
+			if (Array.isArray(query[path])) {
+				for (const cond of query[path]) {
+					validate(cond);
+				}
+			}
+		} else {
+			const expOrOv = query[path];
+			const isAllExp = checkAllExp(expOrOv);
+			if (isAllExp) {
+				const exp = expOrOv;
+				if ("$in" in exp && !validateInNin(exp.$in)) {
+					throw new TypeError("$in operator value must be an array");
+				}
+				if ("$nin" in exp && !validateInNin(exp.$nin)) {
+					throw new TypeError("$nin operator value must be an array");
+				}
+				if ("$all" in exp && !validateAll(exp.$all)) {
+					throw new TypeError("$all operator value must be an array");
+				}
+				if ("$options" in exp && !("$regex" in exp)) {
+					throw new TypeError("$options needs a $regex");
+				}
+				if ("$regex" in exp) {
+					validateRegex(exp.$regex, exp.$options);
+				}
+				for (const value of [exp.$in, exp.$nin, [exp.$not]].flat()) {
+					if (value instanceof RegExp) {
+						validateRegex(value);
+					}
+				}
+				if ("$mod" in exp && !validateMod(exp.$mod)) {
+					throw new TypeError(
+						"$mod operator value must be an array of 2 numbers",
+					);
+				}
+				if ("$elemMatch" in exp) {
+					if (!validateElemMatch(exp.$elemMatch)) {
+						throw new TypeError(
+							"$elemMatch operator value must be an object of either query operators or field conditions",
+						);
+					}
+					validate(
+						isElemMatchValue(exp.$elemMatch)
+							? { [path]: exp.$elemMatch }
+							: exp.$elemMatch,
+					);
+				}
+				if ("$size" in exp && !validateSize(exp.$size)) {
+					throw new TypeError("$size operator value must be a number");
+				}
+				if ("$exists" in exp && !validateExists(exp.$exists)) {
+					throw new TypeError(
+						"$exists operator value must be a boolean or a number",
+					);
+				}
+				if ("$type" in exp && !validateType(exp.$type)) {
+					throw new TypeError(
+						"$type operator value must be a BSON type alias, a BSON type number or an array of those",
+					);
+				}
+				for (const op of [
+					"$bitsAllSet",
+					"$bitsAnySet",
+					"$bitsAllClear",
+					"$bitsAnyClear",
+				]) {
+					if (op in exp && !validateBits(exp[op])) {
+						throw new TypeError(
+							`${op} operator value must be a non-negative integer bitmask, an array of bit positions or a binary bitmask`,
+						);
+					}
+				}
+				if ("$geoWithin" in exp && !validateGeoWithin(exp.$geoWithin)) {
+					throw new TypeError(
+						"$geoWithin operator value must be a valid $geometry Polygon or MultiPolygon, $box, $polygon, $center or $centerSphere",
+					);
+				}
+				if (
+					"$geoIntersects" in exp &&
+					!validateGeoIntersects(exp.$geoIntersects)
+				) {
+					throw new TypeError(
+						"$geoIntersects operator value must be a valid GeoJSON $geometry",
+					);
+				}
+				if (
+					("$near" in exp ||
+						"$nearSphere" in exp ||
+						"$maxDistance" in exp ||
+						"$minDistance" in exp) &&
+					!validateNear(exp)
+				) {
+					throw new TypeError(
+						"$near and $nearSphere operator values must be a legacy coordinate pair or a GeoJSON Point $geometry, with non-negative $maxDistance and $minDistance",
+					);
+				}
+			} else if (expOrOv instanceof RegExp) {
+				validateRegex(expOrOv);
+			}
+		}
+	}
+
+	return true;
+}
+
+function checkAllExp(expOrOv) {
+	return (
+		expOrOv &&
+		isPlainObject(expOrOv) &&
+		!deepEqual(expOrOv, {}) &&
+		Object.keys(expOrOv).every((key) => condOps.has(key))
+	);
+}
+
+/**
+ * Validates query operators like $and, $or, $nor
+ * @param {any} query - The query to validate
+ * @returns {boolean}
+ */
+function validateQueryOps(query) {
+	return Array.isArray(query);
+}
+
+/**
+ * Validates $in $nin operators
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateInNin(value) {
+	return Array.isArray(value);
+}
+
+/**
+ * Validates $all operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateAll(value) {
+	const isArray = Array.isArray(value);
+
+	if (isArray) {
+		if (value.length === 0) {
+			return true;
+		}
+
+		if (
+			value.every(
+				(v) =>
+					isPlainObject(v) && Object.keys(v).some((k) => k.startsWith("$")),
+			)
+		) {
+			return validateAllElemMatch(value);
+		}
+	}
+
+	return isArray;
+}
+
+/**
+ * Validates $all operator with $elemMatch
+ * @param {any[]} ov - The value to validate
+ * @returns {boolean}
+ */
+function validateAllElemMatch(ov) {
+	return ov.every(
+		(o) => typeof o === "object" && o !== null && "$elemMatch" in o,
+	);
+}
+
+/**
+ * Validates $elemMatch operator, whose value must not mix query operators
+ * and field conditions
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateElemMatch(value) {
+	if (!isPlainObject(value)) {
+		return false;
+	}
+
+	const keys = Object.keys(value);
+	if (isElemMatchValue(value)) {
+		return keys.every((key) => condOps.has(key));
+	}
+	return keys.every((key) => !key.startsWith("$") || queryOps.has(key));
+}
+
+/**
+ * Checks if an $elemMatch value holds query operators matched against the
+ * array items themselves, which MongoDB decides by its first key
+ * @param {Record<string, any>} value - The $elemMatch value
+ * @returns {boolean}
+ */
+function isElemMatchValue(value) {
+	const [first] = Object.keys(value);
+	return first?.startsWith("$") === true && !queryOps.has(first);
+}
+
+/**
+ * Validates a $regex pattern and its $options, or a regex value
+ * @param {any} pattern - The $regex value
+ * @param {any} [options] - The $options value
+ * @throws {TypeError} if the regex is not valid or uses unsupported PCRE features
+ */
+function validateRegex(pattern, options) {
+	try {
+		toQueryRegExp(pattern, options);
+	} catch (error) {
+		throw new TypeError(/** @type {Error} */ (error).message);
+	}
+}
+
+/**
+ * Validates $mod operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateMod(value) {
+	return (
+		Array.isArray(value) &&
+		value.length === 2 &&
+		value.every((v) => numberTypes.includes(getBsonType(v) ?? ""))
+	);
+}
+
+/**
+ * Validates $size operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateSize(value) {
+	return typeof value === "number" || typeof value === "bigint";
+}
+
+/**
+ * Validates $exists operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateExists(value) {
+	return (
+		typeof value === "boolean" || typeof value === "number" || isNil(value)
+	);
+}
+
+/**
+ * Validates $type operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateType(value) {
+	return toTypeAliases(value) !== null;
+}
+
+/**
+ * Validates $bitsAllSet, $bitsAnySet, $bitsAllClear, $bitsAnyClear operators
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateBits(value) {
+	return toBitPositions(value) !== null;
+}
+
+/**
+ * Validates $geoWithin operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateGeoWithin(value) {
+	return parseGeoWithin(value) !== null;
+}
+
+/**
+ * Validates $geoIntersects operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateGeoIntersects(value) {
+	return parseGeoIntersects(value) !== null;
+}
+
+/**
+ * Validates $near and $nearSphere operators with their $maxDistance and $minDistance
+ * @param {Record<string, any>} exp - The expression holding the operators
+ * @returns {boolean}
+ */
+function validateNear(exp) {
+	return parseNear(exp) !== null;
+}
+
+/**
+ * Validates $where operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateWhere(value) {
+	return typeof value === "function" || typeof value === "string";
+}
+
+/**
+ * Validates $text operator
+ * @param {any} value - The value to validate
+ * @returns {boolean}
+ */
+function validateText(value) {
+	if (!isPlainObject(value) || typeof value.$search !== "string") {
+		return false;
+	}
+
+	return Object.entries(value).every(([key, v]) => {
+		switch (key) {
+			case "$search":
+				return true;
+			case "$language":
+				return textLanguages.has(v);
+			case "$caseSensitive":
+			case "$diacriticSensitive":
+				return typeof v === "boolean";
+			default:
+				return false;
+		}
+	});
+}
+
+/**
+ * Splits an aggregation field path, e.g. "$a.b", or variable, e.g. "$$a.b",
+ * into its segments
+ * @param {string} expr - The field path or variable, with its $ or $$ prefix
+ * @returns {string[]} the segments, starting with the variable name for a variable
+ * @throws {TypeError} if the path is empty or has an empty segment, e.g. "$a..b"
+ */
+function splitFieldPath(expr) {
+	const fieldPath = expr.startsWith("$$") ? expr.slice(2) : expr.slice(1);
+	const parts = fieldPath.split(".");
+	if (parts.some((part) => part === "")) {
+		throw new TypeError(`'${expr}' is not a valid field path`);
+	}
+	return parts;
+}
+
+/**
+ * Validates an aggregation expression used by $expr
+ * @param {any} expr - The expression to validate
+ * @throws {TypeError} if the expression uses an unknown operator or is malformed
+ */
+function validateExpr(expr) {
+	if (Array.isArray(expr)) {
+		for (const e of expr) {
+			validateExpr(e);
+		}
+		return;
+	}
+
+	if (typeof expr === "string" && expr.startsWith("$")) {
+		splitFieldPath(expr);
+		return;
+	}
+
+	if (!isPlainObject(expr) || expr instanceof Uint8Array) {
+		return;
+	}
+
+	const keys = Object.keys(expr);
+	if (keys.some((key) => key.startsWith("$"))) {
+		if (keys.length !== 1) {
+			throw new TypeError(
+				"an expression operator object must contain exactly one field",
+			);
+		}
+
+		const op = keys[0];
+		if (!exprOps.has(op)) {
+			throw new TypeError(`Unrecognized expression operator: '${op}'`);
+		}
+		if (op !== "$literal") {
+			validateExpr(expr[op]);
+		}
+		return;
+	}
+
+	for (const key of keys) {
+		validateExpr(expr[key]);
+	}
+}
+
+/**
+ * Validates a $jsonSchema schema and its subschemas
+ * @param {any} schema - The schema to validate
+ * @throws {TypeError} if the schema uses an unsupported keyword or is malformed
+ */
+function validateJsonSchema(schema) {
+	if (!isPlainObject(schema)) {
+		throw new TypeError("$jsonSchema must be an object");
+	}
+
+	const isCount = (/** @type {any} */ v) => Number.isInteger(v) && v >= 0;
+	const validateSchemas = (
+		/** @type {string} */ keyword,
+		/** @type {any} */ v,
+	) => {
+		if (!Array.isArray(v) || v.length === 0) {
+			throw new TypeError(
+				`$jsonSchema keyword '${keyword}' must be a non-empty array`,
+			);
+		}
+		for (const subschema of v) {
+			validateJsonSchema(subschema);
+		}
+	};
+	const validateSchemaMap = (
+		/** @type {string} */ keyword,
+		/** @type {any} */ v,
+	) => {
+		if (!isPlainObject(v)) {
+			throw new TypeError(`$jsonSchema keyword '${keyword}' must be an object`);
+		}
+		for (const subschema of Object.values(v)) {
+			validateJsonSchema(subschema);
+		}
+	};
+
+	const validatePattern = (/** @type {string} */ pattern) => {
+		try {
+			getSchemaRegExp(schema, pattern);
+		} catch (error) {
+			throw new TypeError(
+				`$jsonSchema pattern '${pattern}' is not a valid regular expression: ${/** @type {Error} */ (error).message}`,
+			);
+		}
+	};
+
+	for (const [keyword, v] of Object.entries(schema)) {
+		if (!jsonSchemaKeywords.has(keyword)) {
+			throw new TypeError(`$jsonSchema keyword '${keyword}' is not supported`);
+		}
+
+		switch (keyword) {
+			case "bsonType":
+				if (
+					![v]
+						.flat()
+						.every(
+							(t) =>
+								t === "number" || (typeof t === "string" && bsonTypes.has(t)),
+						)
+				) {
+					throw new TypeError(
+						"$jsonSchema keyword 'bsonType' must be a BSON type alias or an array of those",
+					);
+				}
+				if ("type" in schema) {
+					throw new TypeError(
+						"$jsonSchema keywords 'type' and 'bsonType' cannot be used together",
+					);
+				}
+				break;
+			case "type":
+				if (![v].flat().every((t) => jsonSchemaTypes.has(t))) {
+					throw new TypeError(
+						`$jsonSchema keyword 'type' must be one of ${[...jsonSchemaTypes.keys()].join(", ")} or an array of those`,
+					);
+				}
+				break;
+			case "required":
+				if (
+					!Array.isArray(v) ||
+					v.length === 0 ||
+					!v.every((name) => typeof name === "string") ||
+					new Set(v).size !== v.length
+				) {
+					throw new TypeError(
+						"$jsonSchema keyword 'required' must be a non-empty array of unique strings",
+					);
+				}
+				break;
+			case "properties":
+				validateSchemaMap(keyword, v);
+				break;
+			case "patternProperties":
+				validateSchemaMap(keyword, v);
+				for (const pattern of Object.keys(v)) {
+					validatePattern(pattern);
+				}
+				break;
+			case "additionalProperties":
+			case "additionalItems":
+				if (typeof v !== "boolean") {
+					validateJsonSchema(v);
+				}
+				break;
+			case "dependencies":
+				if (!isPlainObject(v)) {
+					throw new TypeError(
+						"$jsonSchema keyword 'dependencies' must be an object",
+					);
+				}
+				for (const dependency of Object.values(v)) {
+					if (Array.isArray(dependency)) {
+						if (!dependency.every((name) => typeof name === "string")) {
+							throw new TypeError(
+								"$jsonSchema keyword 'dependencies' must contain arrays of strings or schemas",
+							);
+						}
+					} else {
+						validateJsonSchema(dependency);
+					}
+				}
+				break;
+			case "items":
+				if (Array.isArray(v)) {
+					for (const subschema of v) {
+						validateJsonSchema(subschema);
+					}
+				} else {
+					validateJsonSchema(v);
+				}
+				break;
+			case "minProperties":
+			case "maxProperties":
+			case "minItems":
+			case "maxItems":
+			case "minLength":
+			case "maxLength":
+				if (!isCount(v)) {
+					throw new TypeError(
+						`$jsonSchema keyword '${keyword}' must be a non-negative integer`,
+					);
+				}
+				break;
+			case "uniqueItems":
+				if (typeof v !== "boolean") {
+					throw new TypeError(
+						"$jsonSchema keyword 'uniqueItems' must be a boolean",
+					);
+				}
+				break;
+			case "enum":
+				if (!Array.isArray(v) || v.length === 0) {
+					throw new TypeError(
+						"$jsonSchema keyword 'enum' must be a non-empty array",
+					);
+				}
+				break;
+			case "minimum":
+			case "maximum":
+				if (typeof v !== "number" && typeof v !== "bigint") {
+					throw new TypeError(
+						`$jsonSchema keyword '${keyword}' must be a number`,
+					);
+				}
+				break;
+			case "exclusiveMinimum":
+			case "exclusiveMaximum": {
+				const bound = keyword === "exclusiveMinimum" ? "minimum" : "maximum";
+				if (typeof v !== "boolean") {
+					throw new TypeError(
+						`$jsonSchema keyword '${keyword}' must be a boolean`,
+					);
+				}
+				if (!(bound in schema)) {
+					throw new TypeError(
+						`$jsonSchema keyword '${keyword}' requires '${bound}' to be present`,
+					);
+				}
+				break;
+			}
+			case "pattern":
+				if (typeof v !== "string") {
+					throw new TypeError("$jsonSchema keyword 'pattern' must be a string");
+				}
+				validatePattern(v);
+				break;
+			case "allOf":
+			case "anyOf":
+			case "oneOf":
+				validateSchemas(keyword, v);
+				break;
+			case "not":
+				validateJsonSchema(v);
+				break;
+		}
+	}
+}
+
+/**
+ * Checks if the given value is a plain object
+ * (not null, not an array, not a regex, not a date)
+ * @param {any} v - The value to check
+ * @returns {v is Record<any, any>}
+ */
+function isPlainObject(v) {
+	return (
+		typeof v === "object" &&
+		v !== null &&
+		!Array.isArray(v) &&
+		!(v instanceof RegExp) &&
+		!(v instanceof Date) &&
+		!isBsonValue(v)
+	);
+}
+
+/**
+ * Checks if the given value is an instance of one of the value classes of the
+ * bson package, e.g. ObjectId or Decimal128
+ * @param {any} v - The value to check
+ * @returns {boolean}
+ */
+function isBsonValue(v) {
+	return typeof v === "object" && v !== null && bsonClassTypes.has(v._bsontype);
+}
+
+/**
+ * Checks if the keys of a path can be looked up in the given value,
+ * values of the bson package classes are never descended into
+ * @param {any} v - The value to check
+ * @returns {boolean}
+ */
+function isTraversable(v) {
+	return typeof v === "object" && v !== null && !isBsonValue(v);
+}
+
+/**
+ * Converts a $type operator value into the set of BSON type aliases it matches
+ * @param {any} value - A type alias, a type number or an array of those
+ * @returns {Set<string> | null} null if the value is not a valid $type value
+ */
+function toTypeAliases(value) {
+	const values = Array.isArray(value) ? value : [value];
+	if (values.length === 0) {
+		return null;
+	}
+
+	const aliases = new Set();
+	for (const v of values) {
+		if (v === "number") {
+			for (const t of numberTypes) {
+				aliases.add(t);
+			}
+		} else if (typeof v === "string" && bsonTypes.has(v)) {
+			aliases.add(v);
+		} else if (typeof v === "number") {
+			const alias = [...bsonTypes].find(([, code]) => code === v)?.[0];
+			if (alias === undefined) {
+				return null;
+			}
+			aliases.add(alias);
+		} else {
+			return null;
+		}
+	}
+
+	return aliases;
+}
+
+/**
+ * Gets the BSON type alias of the given value, as it would be stored by the driver
+ * (integers in the int32 range are stored as int, other numbers as double,
+ * undefined as null)
+ * @param {any} v - The value to check
+ * @returns {string | undefined} undefined if the value has no BSON equivalent
+ */
+function getBsonType(v) {
+	if (isNil(v)) {
+		return "null";
+	}
+	if (typeof v === "number") {
+		const isInt32 =
+			Number.isInteger(v) &&
+			!Object.is(v, -0) &&
+			v >= -0x80000000 &&
+			v <= 0x7fffffff;
+		return isInt32 ? "int" : "double";
+	}
+	if (typeof v === "bigint") {
+		return "long";
+	}
+	if (typeof v === "string") {
+		return "string";
+	}
+	if (typeof v === "boolean") {
+		return "bool";
+	}
+	if (typeof v === "function") {
+		return "javascript";
+	}
+	if (Array.isArray(v)) {
+		return "array";
+	}
+	if (v instanceof Date) {
+		return "date";
+	}
+	if (v instanceof RegExp) {
+		return "regex";
+	}
+	if (v instanceof Uint8Array || v instanceof ArrayBuffer) {
+		return "binData";
+	}
+	if (isBsonValue(v)) {
+		return bsonClassTypes.get(v._bsontype);
+	}
+	if (typeof v === "object") {
+		return "object";
+	}
+	return undefined;
+}
+
+/**
+ * Converts a bitwise operator value into the list of bit positions it refers to
+ * @param {any} value - A numeric bitmask, an array of bit positions or a binary bitmask
+ * @returns {number[] | null} null if the value is not a valid bitmask
+ */
+function toBitPositions(value) {
+	if (typeof value === "number" || typeof value === "bigint") {
+		const isInt64 =
+			(typeof value === "bigint" || Number.isInteger(value)) &&
+			value >= 0 &&
+			value < 2 ** 63;
+		if (!isInt64) {
+			return null;
+		}
+
+		const positions = [];
+		for (let mask = BigInt(value), i = 0; mask > 0n; mask >>= 1n, i++) {
+			if (mask & 1n) {
+				positions.push(i);
+			}
+		}
+		return positions;
+	}
+
+	if (Array.isArray(value)) {
+		return value.every((v) => Number.isInteger(v) && v >= 0) ? value : null;
+	}
+
+	if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+		const bytes = new Uint8Array(value);
+		const positions = [];
+		for (let i = 0; i < bytes.length * 8; i++) {
+			if ((bytes[i >> 3] >> (i & 7)) & 1) {
+				positions.push(i);
+			}
+		}
+		return positions;
+	}
+
+	return null;
+}
+
+/**
+ * Converts a document value into something bit positions can be tested against
+ * Numbers must be integral and fit in a 64-bit signed integer; they are kept as
+ * bigint so that bits above 63 are sign extended like two's complement
+ * @param {any} v - The value to convert
+ * @returns {bigint | Uint8Array | null} null if the value can not be bit tested
+ */
+function toBitField(v) {
+	if (typeof v === "number") {
+		if (Number.isInteger(v) && v >= -(2 ** 63) && v < 2 ** 63) {
+			return BigInt(v);
+		}
+		return null;
+	}
+	if (typeof v === "bigint") {
+		return v >= -(2n ** 63n) && v < 2n ** 63n ? v : null;
+	}
+	if (v instanceof Uint8Array) {
+		return v;
+	}
+	if (v instanceof ArrayBuffer || v?._bsontype === "Binary") {
+		return toBinaryBytes(v);
+	}
+	if (v?._bsontype === "Int32" || v?._bsontype === "Long") {
+		return toBitField(toJsNumber(v));
+	}
+	return null;
+}
+
+/**
+ * Checks if the bit at the given position is set
+ * Binary data is little-endian and considered zero-extended
+ * @param {bigint | Uint8Array} field - The value to test, from toBitField
+ * @param {number} position - The bit position
+ * @returns {boolean}
+ */
+function isBitSet(field, position) {
+	if (typeof field === "bigint") {
+		return ((field >> BigInt(position)) & 1n) === 1n;
+	}
+
+	const byte = position >> 3;
+	return byte < field.length && ((field[byte] >> (position & 7)) & 1) === 1;
+}
+
+/**
+ * Compares two values following the BSON comparison order, as MongoDB's
+ * aggregation comparison operators do: values of different types are ordered by
+ * type, values of the same type by value; objects and arrays compare recursively
+ * undefined is treated as a missing value, which sorts before null
+ * @param {any} a - The value to compare
+ * @param {any} b - The value to compare against
+ * @returns {number} negative if a < b, positive if a > b, 0 if they are equal
+ */
+function compareBson(a, b) {
+	const typeA = a === undefined ? "undefined" : getBsonType(a);
+	const typeB = b === undefined ? "undefined" : getBsonType(b);
+	const orderA = bsonTypeOrder.get(typeA ?? "") ?? -1;
+	const orderB = bsonTypeOrder.get(typeB ?? "") ?? -1;
+	if (orderA !== orderB) {
+		return orderA - orderB;
+	}
+
+	switch (typeA) {
+		case "minKey":
+		case "undefined":
+		case "null":
+		case "maxKey":
+			return 0;
+		case "double":
+		case "int":
+		case "long":
+		case "decimal":
+			return compareNumbers(a, b);
+		case "string":
+			return compareStrings(a, b);
+		case "bool":
+			return Number(a) - Number(b);
+		case "date":
+			return compareNumbers(a.getTime(), b.getTime());
+		case "array":
+			return compareArrays(a, b);
+		case "object":
+			return compareObjects(a, b);
+		case "binData":
+			return compareBinary(a, b);
+		case "timestamp":
+			return compareNumbers(a.t, b.t) || compareNumbers(a.i, b.i);
+		case "objectId":
+			return compareStrings(a.toHexString(), b.toHexString());
+		case "regex":
+			return (
+				compareStrings(a.source, b.source) || compareStrings(a.flags, b.flags)
+			);
+		default:
+			return compareStrings(String(a), String(b));
+	}
+}
+
+/**
+ * Compares two numbers, NaN sorts before all other numbers
+ * Numbers of the bson package classes compare exactly with each other and with JS numbers
+ * @param {any} a - The number to compare
+ * @param {any} b - The number to compare against
+ * @returns {number}
+ */
+function compareNumbers(a, b) {
+	const x = toJsNumber(a);
+	const y = toJsNumber(b);
+	if (x?._bsontype === "Decimal128" || y?._bsontype === "Decimal128") {
+		return compareRationals(toRational(x), toRational(y));
+	}
+
+	const nanA = Number.isNaN(x);
+	const nanB = Number.isNaN(y);
+	if (nanA || nanB) {
+		return Number(nanB) - Number(nanA);
+	}
+	if (x < y) return -1;
+	if (x > y) return 1;
+	return 0;
+}
+
+/**
+ * Converts an Int32, Double or Long of the bson package to a JS number or bigint,
+ * other values (including Decimal128, which has no exact JS equivalent) are returned as is
+ * @param {any} v - The value to convert
+ * @returns {any}
+ */
+function toJsNumber(v) {
+	switch (v?._bsontype) {
+		case "Int32":
+		case "Double":
+			return v.valueOf();
+		case "Long":
+			return v.toBigInt();
+		default:
+			return v;
+	}
+}
+
+/**
+ * Converts a number, bigint or Decimal128 to an exact fraction of bigints,
+ * NaN and infinities are returned as numbers
+ * @param {any} v - The value to convert
+ * @returns {{ n: bigint, d: bigint } | number} numerator and positive denominator
+ */
+function toRational(v) {
+	if (typeof v === "bigint") {
+		return { n: v, d: 1n };
+	}
+
+	if (typeof v === "number") {
+		if (!Number.isFinite(v)) {
+			return v;
+		}
+		// Doubles are binary fractions, doubling them is exact
+		let x = v;
+		let d = 1n;
+		while (!Number.isInteger(x)) {
+			x *= 2;
+			d *= 2n;
+		}
+		return { n: BigInt(x), d };
+	}
+
+	const str = v.toString();
+	const match = /^(-?)(\d+)(?:\.(\d+))?(?:E([+-]\d+))?$/.exec(str);
+	if (!match) {
+		return Number(str);
+	}
+	const [, sign, integer, fraction = "", exponent = "0"] = match;
+	const n = BigInt(`${sign}${integer}${fraction}`);
+	const e = Number(exponent) - fraction.length;
+	return e >= 0
+		? { n: n * 10n ** BigInt(e), d: 1n }
+		: { n, d: 10n ** BigInt(-e) };
+}
+
+/**
+ * Compares two values from toRational, NaN sorts before all other numbers
+ * @param {{ n: bigint, d: bigint } | number} a - The value to compare
+ * @param {{ n: bigint, d: bigint } | number} b - The value to compare against
+ * @returns {number}
+ */
+function compareRationals(a, b) {
+	if (typeof a === "number" || typeof b === "number") {
+		// Finite values are between the infinities, so they can compare as 0
+		return compareNumbers(
+			typeof a === "number" ? a : 0,
+			typeof b === "number" ? b : 0,
+		);
+	}
+
+	const diff = a.n * b.d - b.n * a.d;
+	return Number(diff > 0n) - Number(diff < 0n);
+}
+
+/**
+ * Compares two strings by code point, which matches MongoDB's binary comparison
+ * of UTF-8 strings (JS relational operators compare UTF-16 code units)
+ * @param {string} a - The string to compare
+ * @param {string} b - The string to compare against
+ * @returns {number}
+ */
+function compareStrings(a, b) {
+	if (a === b) {
+		return 0;
+	}
+
+	const codePointsA = [...a];
+	const codePointsB = [...b];
+	const length = Math.min(codePointsA.length, codePointsB.length);
+	for (let i = 0; i < length; i++) {
+		const diff =
+			(codePointsA[i].codePointAt(0) ?? 0) -
+			(codePointsB[i].codePointAt(0) ?? 0);
+		if (diff !== 0) {
+			return diff;
+		}
+	}
+
+	return codePointsA.length - codePointsB.length;
+}
+
+/**
+ * Compares two arrays element by element, a shorter array sorts first
+ * @param {any[]} a - The array to compare
+ * @param {any[]} b - The array to compare against
+ * @returns {number}
+ */
+function compareArrays(a, b) {
+	const length = Math.min(a.length, b.length);
+	for (let i = 0; i < length; i++) {
+		const diff = compareBson(a[i], b[i]);
+		if (diff !== 0) {
+			return diff;
+		}
+	}
+
+	return a.length - b.length;
+}
+
+/**
+ * Compares two objects field by field, comparing the type of the values first,
+ * then the field names, then the values; an object with fewer fields sorts first
+ * @param {Record<string, any>} a - The object to compare
+ * @param {Record<string, any>} b - The object to compare against
+ * @returns {number}
+ */
+function compareObjects(a, b) {
+	const keysA = Object.keys(a);
+	const keysB = Object.keys(b);
+	const length = Math.min(keysA.length, keysB.length);
+	for (let i = 0; i < length; i++) {
+		const valueA = a[keysA[i]] ?? null;
+		const valueB = b[keysB[i]] ?? null;
+		const typeDiff =
+			(bsonTypeOrder.get(getBsonType(valueA) ?? "") ?? -1) -
+			(bsonTypeOrder.get(getBsonType(valueB) ?? "") ?? -1);
+		if (typeDiff !== 0) {
+			return typeDiff;
+		}
+
+		const diff =
+			compareStrings(keysA[i], keysB[i]) || compareBson(valueA, valueB);
+		if (diff !== 0) {
+			return diff;
+		}
+	}
+
+	return keysA.length - keysB.length;
+}
+
+/**
+ * Compares two binary values by length, then subtype, then byte by byte
+ * @param {any} a - The binary value to compare
+ * @param {any} b - The binary value to compare against
+ * @returns {number}
+ */
+function compareBinary(a, b) {
+	const bytesA = toBinaryBytes(a);
+	const bytesB = toBinaryBytes(b);
+	if (bytesA.length !== bytesB.length) {
+		return bytesA.length - bytesB.length;
+	}
+
+	const subtypeDiff = (a.sub_type ?? 0) - (b.sub_type ?? 0);
+	if (subtypeDiff !== 0) {
+		return subtypeDiff;
+	}
+
+	for (let i = 0; i < bytesA.length; i++) {
+		if (bytesA[i] !== bytesB[i]) {
+			return bytesA[i] - bytesB[i];
+		}
+	}
+
+	return 0;
+}
+
+/**
+ * Gets the bytes of a binary value, a Uint8Array, an ArrayBuffer or a bson package Binary
+ * @param {any} v - The binary value
+ * @returns {Uint8Array}
+ */
+function toBinaryBytes(v) {
+	if (v._bsontype === "Binary") {
+		return v.buffer.subarray(0, v.position);
+	}
+	return new Uint8Array(v);
+}
+
+/**
+ * Checks if the given value is null or undefined
+ * @param {any} v - The value to check
+ * @returns {boolean}
+ */
+function isNil(v) {
+	return v === null || v === undefined;
+}
+
+/**
+ * Matches if the document matches all the given queries
+ * @param {any} doc - The document to match against
+ * @param {string} path - The path to match against
+ * @param {any} ov - The queries to match against
+ * @param {QueryOptions} [options] - Query options
+ * @returns {boolean}
+ */
+function matchAnd(doc, path, ov, options) {
+	if (!validateQueryOps(ov)) {
+		return false;
+	}
+
+	return ov.every((cond) => matchCond(cond, doc, options));
+}
+
+/**
+ * Matches if the document matches any of the given queries
+ * @param {any} doc - The document to match against
+ * @param {string} path - The path to match against
+ * @param {any} ov - The queries to match against
+ * @param {QueryOptions} [options] - Query options
+ * @returns {boolean}
+ */
+function matchOr(doc, path, ov, options) {
+	if (!validateQueryOps(ov)) {
+		return false;
+	}
+
+	return ov.some((cond) => matchCond(cond, doc, options));
+}
+
+/**
+ * Matches if the document does not match any of the given queries
+ * @param {any} doc - The document to match against
+ * @param {string} path - The path to match against
+ * @param {any} ov - The queries to match against
+ * @param {QueryOptions} [options] - Query options
+ * @returns {boolean}
+ */
+function matchNor(doc, path, ov, options) {
+	if (!validateQueryOps(ov)) {
+		return false;
+	}
+
+	return !ov.some((cond) => matchCond(cond, doc, options));
+}
+
+/**
+ * Matches if the document does not match the given query
+ * @param {any} doc - Document to check
+ * @param {string} path - Path to the value
+ * @param {any} query - Value to match against
+ * @returns {boolean}
+ */
+function matchNot(doc, path, query) {
+	return !matchCond({ [path]: query }, doc);
+}
+
+/**
+ * Matches if the value at the given path is equal to the queried value
+ * @param {any} doc - The document/value to check
+ * @param {string[]} path - Array of path segments
+ * @param {any} ov - The value to match against
+ * @returns {boolean}
+ */
+function matchEq(doc, path, ov) {
+	if (path.length === 0) {
+		return matchEqValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchEq(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchEq(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchEq(d, path, ov));
+	}
+
+	if (isNil(ov)) {
+		return true;
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, equals the queried value
+ * @param {any} v - The value to check
+ * @param {any} ov - The value to match against
+ * @returns {boolean}
+ */
+function matchEqValue(v, ov) {
+	if (Array.isArray(v) && v.some((d) => matchEqValue(d, ov))) {
+		return true;
+	}
+
+	if (ov instanceof RegExp && typeof v === "string") {
+		if (getQueryRegExp(ov, ov).test(v)) {
+			return true;
+		}
+	}
+
+	return isBsonEqual(v, ov);
+}
+
+/**
+ * Checks if two values are equal like MongoDB compares them in equality matches:
+ * numbers are equal across numeric types (including bigint, compared exactly)
+ * and bson package values by their value
+ * @param {any} a - The value to compare
+ * @param {any} b - The value to compare against
+ * @returns {boolean}
+ */
+function isBsonEqual(a, b) {
+	if (
+		isBsonValue(a) ||
+		isBsonValue(b) ||
+		typeof a === "bigint" ||
+		typeof b === "bigint"
+	) {
+		return compareBson(a, b) === 0;
+	}
+
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((v, i) => isBsonEqual(v, b[i]));
+	}
+
+	if (isPlainObject(a) && isPlainObject(b)) {
+		const keys = Object.keys(a);
+		return (
+			keys.length === Object.keys(b).length &&
+			keys.every((key) => key in b && isBsonEqual(a[key], b[key]))
+		);
+	}
+
+	return deepEqual(a, b);
+}
+
+/**
+ * Matches if the value at the given path is not equal to the queried value
+ * @param {any} doc - Document to check
+ * @param {string[]} pathParts - Path to the value
+ * @param {any} query - Value to match against
+ * @returns {boolean}
+ */
+function matchNe(doc, pathParts, query) {
+	return !matchEq(doc, pathParts, query);
+}
+
+/**
+ * Matches if the value at the given path is in the array of queried values
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any[]} ov - Array of values to match against
+ * @returns {boolean}
+ */
+function matchIn(doc, path, ov) {
+	if (!validateInNin(ov)) {
+		return false;
+	}
+
+	if (path.length === 0) {
+		return matchInValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchIn(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchIn(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchIn(d, path, ov));
+	}
+
+	if (ov.includes(null) || ov.includes(undefined)) {
+		return true;
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, is in the array of queried values
+ * @param {any} v - The value to check
+ * @param {any[]} ov - Array of values to match against
+ * @returns {boolean}
+ */
+function matchInValue(v, ov) {
+	if (Array.isArray(v) && v.some((d) => matchInValue(d, ov))) {
+		return true;
+	}
+
+	return ov.some((o) => matchEqValue(v, o));
+}
+
+/**
+ * Matches if the value at the given path is not in the array of queried values
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any[]} ov - Array of values to match against
+ * @returns {boolean}
+ */
+function matchNin(doc, path, ov) {
+	if (!validateInNin(ov)) {
+		return false;
+	}
+
+	return !matchIn(doc, path, ov);
+}
+
+/**
+ * Matches if the value at the given path is greater than the queried value
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchGt(doc, path, ov) {
+	if (path.length === 0) {
+		return matchGtValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isPlainObject(doc) && key in doc) {
+		return matchGt(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchGt(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchGt(d, path, ov));
+	}
+
+	// Missing values compare as null
+	return matchGtValue(null, ov);
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, is greater than the queried value
+ * @param {any} v - The value to check
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchGtValue(v, ov) {
+	return matchRangeValue(v, ov, (diff) => diff > 0);
+}
+
+/**
+ * Matches if the value at the given path is greater than or equal to the queried value
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchGte(doc, path, ov) {
+	if (path.length === 0) {
+		return matchGteValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	// Handle object path traversal
+	if (isPlainObject(doc) && key in doc) {
+		return matchGte(doc[key], rest, ov);
+	}
+
+	// Handle array traversal
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchGte(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchGte(d, path, ov));
+	}
+
+	// Missing values compare as null
+	return matchGteValue(null, ov);
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, is greater than or equal to the queried value
+ * @param {any} v - The value to check
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchGteValue(v, ov) {
+	return matchRangeValue(v, ov, (diff) => diff >= 0);
+}
+
+/**
+ * Matches if the value at the given path is less than the queried value
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchLt(doc, path, ov) {
+	if (path.length === 0) {
+		return matchLtValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	// Handle object path traversal
+	if (isPlainObject(doc) && key in doc) {
+		return matchLt(doc[key], rest, ov);
+	}
+
+	// Handle array traversal
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchLt(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchLt(d, path, ov));
+	}
+
+	// Missing values compare as null
+	return matchLtValue(null, ov);
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, is less than the queried value
+ * @param {any} v - The value to check
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchLtValue(v, ov) {
+	return matchRangeValue(v, ov, (diff) => diff < 0);
+}
+
+/**
+ * Matches if the value at the given path is less than or equal to the queried value
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchLte(doc, path, ov) {
+	if (path.length === 0) {
+		return matchLteValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	// Handle object path traversal
+	if (isPlainObject(doc) && key in doc) {
+		return matchLte(doc[key], rest, ov);
+	}
+
+	// Handle array traversal
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchLte(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchLte(d, path, ov));
+	}
+
+	// Missing values compare as null
+	return matchLteValue(null, ov);
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, is less than or equal to the queried value
+ * @param {any} v - The value to check
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchLteValue(v, ov) {
+	return matchRangeValue(v, ov, (diff) => diff <= 0);
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, passes the given
+ * test of its comparison with the value of a range operator, see compareRange
+ * @param {any} v - The value to check
+ * @param {any} ov - Value to match against
+ * @param {(diff: number) => boolean} test - Tests the result of compareRange
+ * @returns {boolean}
+ */
+function matchRangeValue(v, ov, test) {
+	if (Array.isArray(v) && v.some((d) => test(compareRange(d, ov)))) {
+		return true;
+	}
+
+	return test(compareRange(v, ov));
+}
+
+/**
+ * Compares a value with the value of a range operator like MongoDB: values only
+ * compare if they are in the same BSON type bracket, e.g. numbers with numbers,
+ * or if the range operator value is MinKey or MaxKey,
+ * then follow the BSON comparison order, recursively in arrays and objects.
+ * NaN is only equal to NaN, and does not compare with other numbers
+ * @param {any} v - The value to compare
+ * @param {any} ov - The value to compare against
+ * @returns {number} negative if v < ov, positive if v > ov, 0 if they are equal,
+ *   NaN if they do not compare
+ */
+function compareRange(v, ov) {
+	const a = v ?? null;
+	const b = ov ?? null;
+	const typeB = getBsonType(b) ?? "";
+	const orderA = bsonTypeOrder.get(getBsonType(a) ?? "") ?? -1;
+	const orderB = bsonTypeOrder.get(typeB) ?? -1;
+	if (orderA !== orderB) {
+		// MinKey and MaxKey compare with values of all types
+		return typeB === "minKey" || typeB === "maxKey"
+			? orderA - orderB
+			: Number.NaN;
+	}
+
+	if (isNaNValue(a) || isNaNValue(b)) {
+		return isNaNValue(a) && isNaNValue(b) ? 0 : Number.NaN;
+	}
+
+	return compareBson(a, b);
+}
+
+/**
+ * Checks if a value is NaN, including NaN values of the bson package number classes
+ * @param {any} v - The value to check
+ * @returns {boolean}
+ */
+function isNaNValue(v) {
+	const n = toJsNumber(v);
+	return n?._bsontype === "Decimal128"
+		? n.toString() === "NaN"
+		: Number.isNaN(n);
+}
+
+/**
+ * Matches if the value at the given path matches the queried regex
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - The condition with the $regex and $options to match against
+ * @returns {boolean}
+ */
+function matchRegex(doc, path, ov) {
+	if (path.length === 0) {
+		return matchRegexValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchRegex(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchRegex(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchRegex(d, path, ov));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, matches the queried regex
+ * @param {any} v - The value to check
+ * @param {any} ov - The condition with the $regex and $options to match against
+ * @returns {boolean}
+ */
+function matchRegexValue(v, ov) {
+	if (Array.isArray(v) && v.some((d) => matchRegexValue(d, ov))) {
+		return true;
+	}
+
+	if (typeof v !== "string") {
+		return false;
+	}
+
+	if (typeof ov.$regex !== "string" && !(ov.$regex instanceof RegExp)) {
+		return false;
+	}
+
+	return getQueryRegExp(ov, ov.$regex, ov.$options).test(v);
+}
+
+/**
+ * Gets the JS regular expression of a $regex condition or regex value of a query,
+ * compiling it on first use, see compiledRegexes
+ * @param {object} key - The $regex condition or the regex value
+ * @param {string | RegExp} pattern - The $regex value
+ * @param {any} [options] - The $options value
+ * @returns {RegExp} a regex without the g and y flags, whose test is not stateful
+ */
+function getQueryRegExp(key, pattern, options) {
+	const compiled = compiledRegexes.get(key);
+	if (compiled?.pattern === pattern && compiled.options === options) {
+		return compiled.regex;
+	}
+
+	const regex = toQueryRegExp(pattern, options);
+	compiledRegexes.set(key, { pattern, options, regex });
+	return regex;
+}
+
+/**
+ * Builds the JS regular expression of a $regex pattern, which may be a regex
+ * whose flags are the options, or of a regex value
+ * @param {string | RegExp} pattern - The $regex value
+ * @param {any} [options] - The $options value
+ * @returns {RegExp}
+ * @throws {TypeError} if the pattern or options are of the wrong type or options are set twice
+ * @throws {SyntaxError} if the pattern is not valid or uses unsupported PCRE features
+ */
+function toQueryRegExp(pattern, options) {
+	if (typeof pattern !== "string" && !(pattern instanceof RegExp)) {
+		throw new TypeError("$regex has to be a string");
+	}
+	if (options !== undefined && typeof options !== "string") {
+		throw new TypeError("$options has to be a string");
+	}
+
+	if (pattern instanceof RegExp) {
+		const flags = getRegexOptions(pattern);
+		if (flags !== "" && options) {
+			throw new TypeError("options set in both $regex and $options");
+		}
+		return toRegExp("$regex", pattern.source, flags || options || "");
+	}
+	return toRegExp("$regex", pattern, options ?? "");
+}
+
+/**
+ * Matches if items in the value (array) at the given path match the queried $elemMatch,
+ * either query operators matched against the items themselves, e.g. { $gte: 80, $lt: 85 },
+ * or conditions on the fields of the items, e.g. { score: { $gte: 80 } }
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchElemMatch(doc, path, ov) {
+	if (!validateElemMatch(ov)) {
+		return false;
+	}
+
+	if (path.length === 0) {
+		if (!Array.isArray(doc)) {
+			return false;
+		}
+
+		if (isElemMatchValue(ov)) {
+			return doc.some(compileElemMatchValue(ov));
+		}
+
+		return doc.some((d) => matchCond(ov, d));
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchElemMatch(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchElemMatch(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchElemMatch(d, path, ov));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if the value at the given path matches the queried divisor and remainder
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchMod(doc, path, ov) {
+	if (!validateMod(ov)) {
+		return false;
+	}
+
+	if (path.length === 0) {
+		return matchModValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchMod(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchMod(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchMod(d, path, ov));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, matches the queried divisor and remainder
+ * @param {any} v - The value to check
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchModValue(v, ov) {
+	if (Array.isArray(v) && v.some((d) => matchModValue(d, ov))) {
+		return true;
+	}
+
+	const value = toTruncatedInteger(v);
+	const divisor = toTruncatedInteger(ov[0]);
+	const expected_remainder = toTruncatedInteger(ov[1]);
+	if (
+		value === null ||
+		divisor === null ||
+		expected_remainder === null ||
+		divisor === 0n
+	) {
+		return false;
+	}
+
+	// bigint remainders take the sign of the dividend, like MongoDB's
+	return value % divisor === expected_remainder;
+}
+
+/**
+ * Converts a number to an integer by truncating it towards zero, like MongoDB
+ * does with the values and the operands of $mod, as a bigint to stay exact
+ * @param {any} v - The value to convert
+ * @returns {bigint | null} null if the value is not a finite number
+ */
+function toTruncatedInteger(v) {
+	if (!numberTypes.includes(getBsonType(v) ?? "")) {
+		return null;
+	}
+
+	const rational = toRational(toJsNumber(v));
+	return typeof rational === "number" ? null : rational.n / rational.d;
+}
+
+/**
+ * Matches if the value at the given path matches the queried size
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchSize(doc, path, ov) {
+	if (!validateSize(ov)) {
+		return false;
+	}
+
+	if (path.length === 0) {
+		return matchSizeValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchSize(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchSize(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchSize(d, path, ov));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value is an array of the queried size
+ * @param {any} v - The value to check
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchSizeValue(v, ov) {
+	if (!Array.isArray(v)) {
+		return false;
+	}
+
+	if (typeof ov === "bigint") {
+		return BigInt(v.length) === ov;
+	}
+
+	return v.length === Number.parseInt(ov);
+}
+
+/**
+ * Matches if the value at the given path exists (or does not exist)
+ * The operand is coerced like MongoDB does: false, 0, null and undefined
+ * are false, everything else is true
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchExists(doc, path, ov) {
+	if (ov === false || ov === 0 || isNil(ov)) {
+		return !matchExists(doc, path, true);
+	}
+
+	if (path.length === 0) {
+		return true;
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchExists(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchExists(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchExists(d, path, ov));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if the value at the given path is of the queried BSON type(s)
+ * An array matches "array" and also matches if any of its elements is of the type
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchType(doc, path, ov) {
+	const aliases = toTypeAliases(ov);
+	if (aliases === null) {
+		return false;
+	}
+
+	if (path.length === 0) {
+		return matchTypeValue(doc, aliases);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchType(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchType(doc[idx], rest, ov);
+			}
+		}
+		return doc.some((d) => matchType(d, path, ov));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value is of one of the given BSON types, an array also matches
+ * "array" and if any of its elements is of one of the types
+ * @param {any} v - The value to check
+ * @param {Set<string>} aliases - The BSON type aliases
+ * @returns {boolean}
+ */
+function matchTypeValue(v, aliases) {
+	if (Array.isArray(v)) {
+		return aliases.has("array") || v.some((d) => aliases.has(getBsonType(d)));
+	}
+
+	return aliases.has(getBsonType(v));
+}
+
+/**
+ * Matches if the value at the given path passes the given bitwise test
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {number[]} positions - Bit positions to test
+ * @param {(field: bigint | Uint8Array, positions: number[]) => boolean} testBits - The bitwise test
+ * @returns {boolean}
+ */
+function matchBits(doc, path, positions, testBits) {
+	if (path.length === 0) {
+		return matchBitsValue(doc, positions, testBits);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchBits(doc[key], rest, positions, testBits);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchBits(doc[idx], rest, positions, testBits);
+			}
+		}
+		return doc.some((d) => matchBits(d, path, positions, testBits));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array, passes the given bitwise test
+ * @param {any} v - The value to check
+ * @param {number[]} positions - Bit positions to test
+ * @param {(field: bigint | Uint8Array, positions: number[]) => boolean} testBits - The bitwise test
+ * @returns {boolean}
+ */
+function matchBitsValue(v, positions, testBits) {
+	if (
+		Array.isArray(v) &&
+		v.some((d) => matchBitsValue(d, positions, testBits))
+	) {
+		return true;
+	}
+
+	const field = toBitField(v);
+	if (field === null) {
+		return false;
+	}
+
+	return testBits(field, positions);
+}
+
+/**
+ * Gets the test of a bitwise query operator, see bitsTests
+ * @param {string} op - The operator
+ * @returns {(field: bigint | Uint8Array, positions: number[]) => boolean}
+ */
+function getBitsTest(op) {
+	return /** @type {(field: bigint | Uint8Array, positions: number[]) => boolean} */ (
+		bitsTests.get(op)
+	);
+}
+
+/**
+ * Matches if all the queried bit positions are set in the value at the given path
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchBitsAllSet(doc, path, ov) {
+	const positions = toBitPositions(ov);
+	if (positions === null) {
+		return false;
+	}
+
+	return matchBits(doc, path, positions, getBitsTest("$bitsAllSet"));
+}
+
+/**
+ * Matches if any of the queried bit positions is set in the value at the given path
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchBitsAnySet(doc, path, ov) {
+	const positions = toBitPositions(ov);
+	if (positions === null) {
+		return false;
+	}
+
+	return matchBits(doc, path, positions, getBitsTest("$bitsAnySet"));
+}
+
+/**
+ * Matches if all the queried bit positions are clear in the value at the given path
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchBitsAllClear(doc, path, ov) {
+	const positions = toBitPositions(ov);
+	if (positions === null) {
+		return false;
+	}
+
+	return matchBits(doc, path, positions, getBitsTest("$bitsAllClear"));
+}
+
+/**
+ * Matches if any of the queried bit positions is clear in the value at the given path
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchBitsAnyClear(doc, path, ov) {
+	const positions = toBitPositions(ov);
+	if (positions === null) {
+		return false;
+	}
+
+	return matchBits(doc, path, positions, getBitsTest("$bitsAnyClear"));
+}
+
+/**
+ * Matches if the value at the given path matches the queried $all
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchAll(doc, path, ov) {
+	if (!validateAll(ov)) {
+		return false;
+	}
+
+	if (ov.length === 0) {
+		return false;
+	}
+
+	if (validateAllElemMatch(ov)) {
+		const elem_match_query = {
+			$and: ov.map((o) => ({ [path.join(".")]: o })),
+		};
+		return matchCond(elem_match_query, doc);
+	}
+
+	if (path.length === 0) {
+		return matchAllValue(doc, ov);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchAll(doc[key], rest, ov);
+	}
+
+	if (Array.isArray(doc) && /^\d+$/.test(key)) {
+		const idx = Number.parseInt(key);
+		if (idx < doc.length) {
+			return matchAll(doc[idx], rest, ov);
+		}
+	}
+
+	if (Array.isArray(doc)) {
+		return doc.some((d) => matchAll(d, path, ov));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value is an array containing each of the queried values or equal to it
+ * @param {any} v - The value to check
+ * @param {any[]} ov - Values to match against
+ * @returns {boolean}
+ */
+function matchAllValue(v, ov) {
+	if (!Array.isArray(v)) {
+		return false;
+	}
+
+	return ov.every(
+		(o) => v.some((dv) => isBsonEqual(dv, o)) || isBsonEqual(v, o),
+	);
+}
+
+/**
+ * Matches if the location at the given path is within the queried shape
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchGeoWithin(doc, path, ov) {
+	const within = parseGeoWithin(ov);
+	if (within === null) {
+		return false;
+	}
+
+	return matchGeo(doc, path, within);
+}
+
+/**
+ * Matches if the location at the given path intersects the queried geometry
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchGeoIntersects(doc, path, ov) {
+	const intersects = parseGeoIntersects(ov);
+	if (intersects === null) {
+		return false;
+	}
+
+	return matchGeo(doc, path, intersects);
+}
+
+/**
+ * Matches if the distance of the location at the given path to the queried
+ * point is between $minDistance and $maxDistance
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {Record<string, any>} exp - Expression holding $near or $nearSphere and the distance bounds
+ * @returns {boolean}
+ */
+function matchNear(doc, path, exp) {
+	const near = parseNear(exp);
+	if (near === null) {
+		return false;
+	}
+
+	const distance = getNearDistance(doc, path, near.distance);
+	return distance !== null && distance >= near.min && distance <= near.max;
+}
+
+/**
+ * Gets the smallest distance of the locations at the given path
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {(v: any) => number | null} getDistance - Gets the distance of a location, null if it is not one
+ * @returns {number | null} the distance, null if there are no locations at the path
+ */
+function getNearDistance(doc, path, getDistance) {
+	if (path.length === 0) {
+		const distances = [doc, ...(Array.isArray(doc) ? doc : [])]
+			.map(getDistance)
+			.filter((d) => d !== null);
+		return distances.length > 0 ? Math.min(...distances) : null;
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return getNearDistance(doc[key], rest, getDistance);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return getNearDistance(doc[idx], rest, getDistance);
+			}
+		}
+		const distances = doc
+			.map((d) => getNearDistance(d, path, getDistance))
+			.filter((d) => d !== null);
+		return distances.length > 0 ? Math.min(...distances) : null;
+	}
+
+	return null;
+}
+
+/**
+ * Matches if the value at the given path, or one of its elements if it is
+ * an array of locations, passes the given geospatial test
+ * @param {any} doc - Document to check
+ * @param {string[]} path - Path to the value
+ * @param {(v: any) => boolean} testGeo - The geospatial test
+ * @returns {boolean}
+ */
+function matchGeo(doc, path, testGeo) {
+	if (path.length === 0) {
+		return matchGeoValue(doc, testGeo);
+	}
+
+	const key = path[0];
+	const rest = path.slice(1);
+
+	if (isTraversable(doc) && key in doc) {
+		return matchGeo(doc[key], rest, testGeo);
+	}
+
+	if (Array.isArray(doc)) {
+		if (/^\d+$/.test(key)) {
+			const idx = Number.parseInt(key);
+			if (idx < doc.length) {
+				return matchGeo(doc[idx], rest, testGeo);
+			}
+		}
+		return doc.some((d) => matchGeo(d, path, testGeo));
+	}
+
+	return false;
+}
+
+/**
+ * Matches if a value, or one of its elements if it is an array of locations,
+ * passes the given geospatial test
+ * @param {any} v - The value to check
+ * @param {(v: any) => boolean} testGeo - The geospatial test
+ * @returns {boolean}
+ */
+function matchGeoValue(v, testGeo) {
+	return testGeo(v) || (Array.isArray(v) && v.some(testGeo));
+}
+
+/**
+ * Matches if the value at the given path matches the queried $where
+ * @param {any} doc - Document to check
+ * @param {string} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchWhere(doc, path, ov) {
+	if (!validateWhere(ov)) {
+		return false;
+	}
+
+	if (typeof ov === "function") {
+		return ov.call(doc);
+	}
+
+	if (typeof ov === "string") {
+		const fn = new Function(ov);
+		return fn.call(doc);
+	}
+
+	return false;
+}
+
+/**
+ * Matches if the document is valid against the queried $jsonSchema
+ * @param {any} doc - Document to check
+ * @param {string} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchJsonSchema(doc, path, ov) {
+	if (!isValidJsonSchema(ov)) {
+		return false;
+	}
+
+	return matchSchema(doc, ov);
+}
+
+/**
+ * Checks if a $jsonSchema value is a valid schema, see validateJsonSchema
+ * @param {any} schema - The schema to check
+ * @returns {boolean}
+ */
+function isValidJsonSchema(schema) {
+	try {
+		validateJsonSchema(schema);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Gets the regular expression of a pattern of a $jsonSchema schema,
+ * compiling it once per schema
+ * @param {object} schema - The schema the pattern is a keyword value or a patternProperties key of
+ * @param {string} pattern - The pattern
+ * @returns {RegExp}
+ * @throws {SyntaxError} if the pattern is not valid or uses unsupported PCRE features
+ */
+function getSchemaRegExp(schema, pattern) {
+	let regexes = compiledSchemaRegexes.get(schema);
+	if (regexes === undefined) {
+		regexes = new Map();
+		compiledSchemaRegexes.set(schema, regexes);
+	}
+
+	let regex = regexes.get(pattern);
+	if (regex === undefined) {
+		regex = toRegExp("$jsonSchema", pattern, "");
+		regexes.set(pattern, regex);
+	}
+	return regex;
+}
+
+/**
+ * Matches a value against a $jsonSchema schema
+ * Keywords only constrain values of the type they apply to, e.g. minLength
+ * ignores values that are not strings
+ * @param {any} v - The value to check
+ * @param {Record<string, any>} schema - The schema to match against
+ * @returns {boolean}
+ */
+function matchSchema(v, schema) {
+	const type = getBsonType(v);
+	const isNumber = numberTypes.includes(type ?? "");
+
+	if ("bsonType" in schema) {
+		const aliases = toTypeAliases(schema.bsonType);
+		if (!aliases?.has(type ?? "")) {
+			return false;
+		}
+	}
+	if ("type" in schema) {
+		const types = [schema.type].flat();
+		if (!types.some((t) => jsonSchemaTypes.get(t)?.includes(type ?? ""))) {
+			return false;
+		}
+	}
+	if ("enum" in schema) {
+		const sorted = sortFields(v);
+		if (
+			!schema.enum.some(
+				(/** @type {any} */ e) => compareBson(sortFields(e), sorted) === 0,
+			)
+		) {
+			return false;
+		}
+	}
+
+	if (isNumber) {
+		if ("minimum" in schema) {
+			const diff = compareNumbers(v, schema.minimum);
+			if (schema.exclusiveMinimum ? diff <= 0 : diff < 0) {
+				return false;
+			}
+		}
+		if ("maximum" in schema) {
+			const diff = compareNumbers(v, schema.maximum);
+			if (schema.exclusiveMaximum ? diff >= 0 : diff > 0) {
+				return false;
+			}
+		}
+	}
+
+	if (type === "string") {
+		if ("minLength" in schema || "maxLength" in schema) {
+			const length = [...v].length;
+			if ("minLength" in schema && length < schema.minLength) {
+				return false;
+			}
+			if ("maxLength" in schema && length > schema.maxLength) {
+				return false;
+			}
+		}
+		if (
+			"pattern" in schema &&
+			!getSchemaRegExp(schema, schema.pattern).test(v)
+		) {
+			return false;
+		}
+	}
+
+	if (type === "object" && !matchSchemaObject(v, schema)) {
+		return false;
+	}
+
+	if (type === "array" && !matchSchemaArray(v, schema)) {
+		return false;
+	}
+
+	if (
+		"allOf" in schema &&
+		!schema.allOf.every((/** @type {any} */ s) => matchSchema(v, s))
+	) {
+		return false;
+	}
+	if (
+		"anyOf" in schema &&
+		!schema.anyOf.some((/** @type {any} */ s) => matchSchema(v, s))
+	) {
+		return false;
+	}
+	if (
+		"oneOf" in schema &&
+		schema.oneOf.filter((/** @type {any} */ s) => matchSchema(v, s)).length !==
+			1
+	) {
+		return false;
+	}
+	if ("not" in schema && matchSchema(v, schema.not)) {
+		return false;
+	}
+
+	return true;
+}
+
+/**
+ * Matches an object against the object keywords of a $jsonSchema schema
+ * @param {Record<string, any>} v - The object to check
+ * @param {Record<string, any>} schema - The schema to match against
+ * @returns {boolean}
+ */
+function matchSchemaObject(v, schema) {
+	const keys = Object.keys(v);
+
+	if ("required" in schema) {
+		if (!schema.required.every((/** @type {string} */ key) => key in v)) {
+			return false;
+		}
+	}
+	if ("minProperties" in schema && keys.length < schema.minProperties) {
+		return false;
+	}
+	if ("maxProperties" in schema && keys.length > schema.maxProperties) {
+		return false;
+	}
+
+	const properties = schema.properties ?? {};
+	const patterns = Object.entries(schema.patternProperties ?? {}).map(
+		([pattern, subschema]) => ({
+			regex: getSchemaRegExp(schema, pattern),
+			subschema,
+		}),
+	);
+	for (const key of keys) {
+		let isAdditional = true;
+		if (key in properties) {
+			isAdditional = false;
+			if (!matchSchema(v[key], properties[key])) {
+				return false;
+			}
+		}
+		for (const { regex, subschema } of patterns) {
+			if (regex.test(key)) {
+				isAdditional = false;
+				if (!matchSchema(v[key], subschema)) {
+					return false;
+				}
+			}
+		}
+
+		const { additionalProperties } = schema;
+		if (isAdditional && additionalProperties !== undefined) {
+			if (
+				additionalProperties === false ||
+				(additionalProperties !== true &&
+					!matchSchema(v[key], additionalProperties))
+			) {
+				return false;
+			}
+		}
+	}
+
+	for (const [key, dependency] of Object.entries(schema.dependencies ?? {})) {
+		if (!(key in v)) {
+			continue;
+		}
+		const isValid = Array.isArray(dependency)
+			? dependency.every((name) => name in v)
+			: matchSchema(v, dependency);
+		if (!isValid) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Matches an array against the array keywords of a $jsonSchema schema
+ * @param {any[]} v - The array to check
+ * @param {Record<string, any>} schema - The schema to match against
+ * @returns {boolean}
+ */
+function matchSchemaArray(v, schema) {
+	if ("minItems" in schema && v.length < schema.minItems) {
+		return false;
+	}
+	if ("maxItems" in schema && v.length > schema.maxItems) {
+		return false;
+	}
+	if (
+		schema.uniqueItems === true &&
+		uniqueBson(v.map(sortFields)).length !== v.length
+	) {
+		return false;
+	}
+
+	const { items, additionalItems } = schema;
+	if (Array.isArray(items)) {
+		for (let i = 0; i < v.length; i++) {
+			if (i < items.length) {
+				if (!matchSchema(v[i], items[i])) {
+					return false;
+				}
+			} else if (
+				additionalItems === false ||
+				(isPlainObject(additionalItems) && !matchSchema(v[i], additionalItems))
+			) {
+				return false;
+			}
+		}
+	} else if (isPlainObject(items)) {
+		if (!v.every((item) => matchSchema(item, items))) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Sorts the fields of embedded documents by name, including those nested in
+ * arrays, so that compareBson ignores field order like the $jsonSchema enum
+ * and uniqueItems keywords do
+ * @param {any} v - The value to sort
+ * @returns {any} a sorted copy of documents and arrays, other values as is
+ */
+function sortFields(v) {
+	if (Array.isArray(v)) {
+		return v.map(sortFields);
+	}
+	if (getBsonType(v) !== "object") {
+		return v;
+	}
+	return Object.fromEntries(
+		Object.keys(v)
+			.sort(compareStrings)
+			.map((key) => [key, sortFields(v[key])]),
+	);
+}
+
+/**
+ * Matches if the document matches the queried $text search
+ * @param {any} doc - Document to check
+ * @param {string} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @param {QueryOptions} [options] - Query options
+ * @returns {boolean}
+ */
+function matchText(doc, path, ov, options = {}) {
+	if (!validateText(ov)) {
+		return false;
+	}
+
+	return findTextMatch(doc, getTextSearch(ov), options) !== null;
+}
+
+/**
+ * Matches if the queried aggregation expression evaluates to a truthy value
+ * @param {any} doc - Document to check
+ * @param {string} path - Path to the value
+ * @param {any} ov - Value to match against
+ * @returns {boolean}
+ */
+function matchExpr(doc, path, ov) {
+	return isExprTruthy(evalExpr(ov, { ROOT: doc, CURRENT: doc }));
+}
+
+/**
+ * Checks if the given value is truthy according to aggregation rules:
+ * false, null, missing values and zero are falsy, everything else is truthy
+ * @param {any} v - The value to check
+ * @returns {boolean}
+ */
+function isExprTruthy(v) {
+	return !(v === false || isNil(v) || v === 0 || v === 0n);
+}
+
+/**
+ * Evaluates an aggregation expression
+ * "$field.path" strings resolve against $$CURRENT, "$$name.path" strings against
+ * variables, objects with a single "$" key are operators, other objects and
+ * arrays are evaluated recursively and anything else is a literal
+ * @param {any} expr - The expression to evaluate
+ * @param {Record<string, any>} vars - Variables in scope, without the "$$" prefix
+ * @returns {any} the result, undefined if it is missing
+ */
+function evalExpr(expr, vars) {
+	if (typeof expr === "string" && expr.startsWith("$")) {
+		const path = splitFieldPath(expr);
+		if (expr.startsWith("$$")) {
+			const name = /** @type {string} */ (path.shift());
+			if (!(name in vars)) {
+				throw new ReferenceError(`Use of undefined variable: ${name}`);
+			}
+			return getExprField(vars[name], path);
+		}
+
+		return getExprField(vars.CURRENT, path);
+	}
+
+	if (Array.isArray(expr)) {
+		return expr.map((e) => evalExpr(e, vars) ?? null);
+	}
+
+	if (!isPlainObject(expr) || expr instanceof Uint8Array) {
+		return expr;
+	}
+
+	const keys = Object.keys(expr);
+	if (keys.length === 1 && keys[0].startsWith("$")) {
+		const evaluate = exprOps.get(keys[0]);
+		if (evaluate === undefined) {
+			throw new TypeError(`Unrecognized expression operator: '${keys[0]}'`);
+		}
+		return evaluate(expr[keys[0]], vars);
+	}
+
+	/** @type {Record<string, any>} */
+	const result = {};
+	for (const key of keys) {
+		const value = evalExpr(expr[key], vars);
+		if (value !== undefined) {
+			result[key] = value;
+		}
+	}
+	return result;
+}
+
+/**
+ * Gets the value at the given path following aggregation field path rules:
+ * arrays are not indexed by position, instead the path is resolved against each
+ * element and the results are collected into an array
+ * @param {any} value - The value to traverse
+ * @param {string[]} path - Path segments
+ * @returns {any} the value, undefined if it is missing
+ */
+function getExprField(value, path) {
+	if (path.length === 0) {
+		return value;
+	}
+
+	if (Array.isArray(value)) {
+		const results = [];
+		for (const v of value) {
+			if (Array.isArray(v) || isPlainObject(v)) {
+				const result = getExprField(v, path);
+				if (result !== undefined) {
+					results.push(result);
+				}
+			}
+		}
+		return results;
+	}
+
+	if (isPlainObject(value) && path[0] in value) {
+		return getExprField(value[path[0]] ?? null, path.slice(1));
+	}
+
+	return undefined;
+}
+
+/**
+ * Evaluates the arguments of an aggregation operator, checking their count
+ * A single argument may be given without wrapping it in an array
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - The operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @param {number} min - Minimum number of arguments
+ * @param {number} [max] - Maximum number of arguments, defaults to min
+ * @returns {any[]}
+ */
+function evalExprArgs(op, args, vars, min, max = min) {
+	const list = Array.isArray(args) ? args : [args];
+	if (list.length < min || list.length > max) {
+		const expected =
+			min === max
+				? `exactly ${min}`
+				: max === Number.POSITIVE_INFINITY
+					? `at least ${min}`
+					: `between ${min} and ${max}`;
+		throw new TypeError(
+			`Expression ${op} takes ${expected} arguments. ${list.length} were passed in.`,
+		);
+	}
+
+	return list.map((arg) => evalExpr(arg, vars));
+}
+
+/**
+ * $literal: returns its argument without evaluating it
+ * @param {any} args - The value to return
+ * @returns {any}
+ */
+function exprLiteral(args) {
+	return args;
+}
+
+/**
+ * $eq: checks if two values are equal
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprEq(args, vars) {
+	const [a, b] = evalExprArgs("$eq", args, vars, 2);
+	return compareBson(a, b) === 0;
+}
+
+/**
+ * $ne: checks if two values are not equal
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprNe(args, vars) {
+	const [a, b] = evalExprArgs("$ne", args, vars, 2);
+	return compareBson(a, b) !== 0;
+}
+
+/**
+ * $gt: checks if the first value is greater than the second
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprGt(args, vars) {
+	const [a, b] = evalExprArgs("$gt", args, vars, 2);
+	return compareBson(a, b) > 0;
+}
+
+/**
+ * $gte: checks if the first value is greater than or equal to the second
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprGte(args, vars) {
+	const [a, b] = evalExprArgs("$gte", args, vars, 2);
+	return compareBson(a, b) >= 0;
+}
+
+/**
+ * $lt: checks if the first value is less than the second
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprLt(args, vars) {
+	const [a, b] = evalExprArgs("$lt", args, vars, 2);
+	return compareBson(a, b) < 0;
+}
+
+/**
+ * $lte: checks if the first value is less than or equal to the second
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprLte(args, vars) {
+	const [a, b] = evalExprArgs("$lte", args, vars, 2);
+	return compareBson(a, b) <= 0;
+}
+
+/**
+ * $cmp: compares two values, returning -1, 0 or 1
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number}
+ */
+function exprCmp(args, vars) {
+	const [a, b] = evalExprArgs("$cmp", args, vars, 2);
+	return Math.sign(compareBson(a, b));
+}
+
+/**
+ * Gets the type name of an evaluated value for use in error messages
+ * @param {any} v - The value
+ * @returns {string}
+ */
+function getExprTypeName(v) {
+	return v === undefined ? "missing" : (getBsonType(v) ?? typeof v);
+}
+
+/**
+ * Evaluates the arguments of an arithmetic operator, checking they are numeric
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - The operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @param {number} count - Number of arguments
+ * @returns {(number | bigint)[] | null} null if any argument is null or missing
+ */
+function evalNumericArgs(op, args, vars, count) {
+	const values = evalExprArgs(op, args, vars, count).map(toExprNumber);
+	for (const v of values) {
+		if (isNil(v)) {
+			return null;
+		}
+		if (typeof v !== "number" && typeof v !== "bigint") {
+			throw new TypeError(
+				`${op} only supports numeric types, not ${getExprTypeName(v)}`,
+			);
+		}
+	}
+
+	return values;
+}
+
+/**
+ * Converts the numbers of the bson package for expression operators:
+ * Int32 and Double to numbers, Long to a bigint and Decimal128 to a number,
+ * as decimals are represented
+ * @param {any} v - The value to convert
+ * @returns {any} the number, other values as is
+ */
+function toExprNumber(v) {
+	return v?._bsontype === "Decimal128" ? Number(v.toString()) : toJsNumber(v);
+}
+
+/**
+ * Applies an arithmetic operation following MongoDB's numeric type widening:
+ * a long (bigint) with an integer gives a long, or a double if the result
+ * overflows 64 bits, and a double with anything gives a double
+ * @param {number | bigint} a - The first operand
+ * @param {number | bigint} b - The second operand
+ * @param {(a: bigint, b: bigint) => bigint} longOp - The operation on longs
+ * @param {(a: number, b: number) => number} doubleOp - The operation on numbers
+ * @returns {number | bigint}
+ */
+function applyNumericOp(a, b, longOp, doubleOp) {
+	if (
+		(typeof a === "bigint" || typeof b === "bigint") &&
+		isIntegral(a) &&
+		isIntegral(b)
+	) {
+		return toLongResult(longOp(BigInt(a), BigInt(b)));
+	}
+	return doubleOp(Number(a), Number(b));
+}
+
+/**
+ * Checks if a number is an integer or a bigint
+ * @param {number | bigint} v - The number to check
+ * @returns {boolean}
+ */
+function isIntegral(v) {
+	return typeof v === "bigint" || Number.isInteger(v);
+}
+
+/**
+ * Gets the result of long arithmetic, a double if it overflows 64 bits
+ * @param {bigint} n - The exact result
+ * @returns {number | bigint}
+ */
+function toLongResult(n) {
+	return n >= -(2n ** 63n) && n < 2n ** 63n ? n : Number(n);
+}
+
+/**
+ * $add: adds numbers together, or adds numbers as milliseconds to a date
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | Date | null}
+ */
+function exprAdd(args, vars) {
+	const values = evalExprArgs(
+		"$add",
+		args,
+		vars,
+		0,
+		Number.POSITIVE_INFINITY,
+	).map(toExprNumber);
+
+	/** @type {number | bigint} */
+	let sum = 0;
+	/** @type {Date | null} */
+	let date = null;
+	for (const v of values) {
+		if (isNil(v)) {
+			return null;
+		}
+		if (v instanceof Date) {
+			if (date !== null) {
+				throw new TypeError("only one date allowed in an $add expression");
+			}
+			date = v;
+		} else if (typeof v === "number" || typeof v === "bigint") {
+			sum = applyNumericOp(
+				sum,
+				v,
+				(a, b) => a + b,
+				(a, b) => a + b,
+			);
+		} else {
+			throw new TypeError(
+				`$add only supports numeric or date types, not ${getExprTypeName(v)}`,
+			);
+		}
+	}
+
+	if (date !== null) {
+		return new Date(date.getTime() + Math.round(Number(sum)));
+	}
+	return sum;
+}
+
+/**
+ * $subtract: subtracts two numbers, a number of milliseconds from a date,
+ * or two dates to get the difference in milliseconds
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | Date | null}
+ */
+function exprSubtract(args, vars) {
+	const [a, b] = evalExprArgs("$subtract", args, vars, 2).map(toExprNumber);
+	if (isNil(a) || isNil(b)) {
+		return null;
+	}
+
+	const isNumeric = (/** @type {any} */ v) =>
+		typeof v === "number" || typeof v === "bigint";
+	if (isNumeric(a) && isNumeric(b)) {
+		return applyNumericOp(
+			a,
+			b,
+			(x, y) => x - y,
+			(x, y) => x - y,
+		);
+	}
+	if (a instanceof Date && b instanceof Date) {
+		return a.getTime() - b.getTime();
+	}
+	if (a instanceof Date && isNumeric(b)) {
+		return new Date(a.getTime() - Math.round(Number(b)));
+	}
+
+	throw new TypeError(
+		`can't $subtract ${getExprTypeName(b)} from ${getExprTypeName(a)}`,
+	);
+}
+
+/**
+ * $multiply: multiplies numbers together
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprMultiply(args, vars) {
+	const values = evalExprArgs(
+		"$multiply",
+		args,
+		vars,
+		0,
+		Number.POSITIVE_INFINITY,
+	).map(toExprNumber);
+
+	/** @type {number | bigint} */
+	let product = 1;
+	for (const v of values) {
+		if (isNil(v)) {
+			return null;
+		}
+		if (typeof v !== "number" && typeof v !== "bigint") {
+			throw new TypeError(
+				`$multiply only supports numeric types, not ${getExprTypeName(v)}`,
+			);
+		}
+		product = applyNumericOp(
+			product,
+			v,
+			(a, b) => a * b,
+			(a, b) => a * b,
+		);
+	}
+
+	return product;
+}
+
+/**
+ * $divide: divides the first number by the second
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprDivide(args, vars) {
+	const values = evalNumericArgs("$divide", args, vars, 2);
+	if (values === null) {
+		return null;
+	}
+
+	const [a, b] = values.map(Number);
+	if (b === 0) {
+		throw new RangeError("can't $divide by zero");
+	}
+	return a / b;
+}
+
+/**
+ * $mod: remainder of dividing the first number by the second,
+ * with the sign of the dividend
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprMod(args, vars) {
+	const values = evalNumericArgs("$mod", args, vars, 2);
+	if (values === null) {
+		return null;
+	}
+
+	const [a, b] = values;
+	if (Number(b) === 0) {
+		throw new RangeError("can't $mod by zero");
+	}
+	return applyNumericOp(
+		a,
+		b,
+		(x, y) => x % y,
+		(x, y) => x % y,
+	);
+}
+
+/**
+ * $abs: absolute value of a number
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprAbs(args, vars) {
+	const values = evalNumericArgs("$abs", args, vars, 1);
+	if (values === null) {
+		return null;
+	}
+
+	const [v] = values;
+	if (typeof v === "number") {
+		return Math.abs(v);
+	}
+	if (v === -(2n ** 63n)) {
+		throw new RangeError("can't take $abs of long long min");
+	}
+	return v < 0n ? -v : v;
+}
+
+/**
+ * $ceil: smallest integer greater than or equal to a number
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprCeil(args, vars) {
+	const values = evalNumericArgs("$ceil", args, vars, 1);
+	if (values === null) {
+		return null;
+	}
+	return typeof values[0] === "bigint" ? values[0] : Math.ceil(values[0]);
+}
+
+/**
+ * $floor: largest integer less than or equal to a number
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprFloor(args, vars) {
+	const values = evalNumericArgs("$floor", args, vars, 1);
+	if (values === null) {
+		return null;
+	}
+	return typeof values[0] === "bigint" ? values[0] : Math.floor(values[0]);
+}
+
+/**
+ * Evaluates the arguments of $round and $trunc: a number and an optional
+ * number of decimal places between -20 and 100
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {[number | bigint, number] | null} null if any argument is null or missing
+ */
+function evalPlaceArgs(op, args, vars) {
+	const [value, place = 0] = evalExprArgs(op, args, vars, 1, 2).map(
+		toExprNumber,
+	);
+	if (isNil(value) || isNil(place)) {
+		return null;
+	}
+	if (typeof value !== "number" && typeof value !== "bigint") {
+		throw new TypeError(
+			`${op} only supports numeric types, not ${getExprTypeName(value)}`,
+		);
+	}
+	if (!Number.isInteger(place) || place < -20 || place > 100) {
+		throw new RangeError(
+			`cannot apply ${op} with precision value ${place} value must be in [-20, 100]`,
+		);
+	}
+
+	return [value, place];
+}
+
+/**
+ * Scales a number by a power of ten, rounds it and scales it back
+ * Negative places are divided out rather than multiplied by a fraction, and the
+ * scaled number is limited to 15 significant digits like MongoDB does for doubles,
+ * so that e.g. 1.15 scales to 11.5 rather than 11.499999999999998
+ * @param {number} value - The number to round
+ * @param {number} place - Number of decimal places, negative for tens, hundreds...
+ * @param {(scaled: number) => number} round - Rounds the scaled number to an integer
+ * @returns {number}
+ */
+function roundToPlace(value, place, round) {
+	if (!Number.isFinite(value)) {
+		return value;
+	}
+	if (place >= 0) {
+		const factor = 10 ** place;
+		return round(Number((value * factor).toPrecision(15))) / factor;
+	}
+	const factor = 10 ** -place;
+	return round(Number((value / factor).toPrecision(15))) * factor;
+}
+
+/**
+ * Rounds a long to a number of decimal places, which only changes it
+ * for negative places, e.g. -2 rounds to hundreds
+ * @param {bigint} value - The long to round
+ * @param {number} place - Number of decimal places
+ * @param {boolean} halfEven - Rounds halves to the nearest even value if true,
+ *   truncates otherwise
+ * @returns {number | bigint}
+ */
+function roundLongToPlace(value, place, halfEven) {
+	if (place >= 0) {
+		return value;
+	}
+	const factor = 10n ** BigInt(-place);
+	let quotient = value / factor;
+	const remainder = value % factor;
+	if (halfEven) {
+		const twice = 2n * (remainder < 0n ? -remainder : remainder);
+		if (twice > factor || (twice === factor && quotient % 2n !== 0n)) {
+			quotient += value < 0n ? -1n : 1n;
+		}
+	}
+	return toLongResult(quotient * factor);
+}
+
+/**
+ * $round: rounds a number to a number of decimal places,
+ * halves are rounded to the nearest even value
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprRound(args, vars) {
+	const values = evalPlaceArgs("$round", args, vars);
+	if (values === null) {
+		return null;
+	}
+
+	if (typeof values[0] === "bigint") {
+		return roundLongToPlace(values[0], values[1], true);
+	}
+	return roundToPlace(values[0], values[1], (scaled) => {
+		const floor = Math.floor(scaled);
+		const diff = scaled - floor;
+		if (diff === 0.5) {
+			return floor % 2 === 0 ? floor : floor + 1;
+		}
+		return Math.round(scaled);
+	});
+}
+
+/**
+ * $trunc: truncates a number to a number of decimal places
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprTrunc(args, vars) {
+	const values = evalPlaceArgs("$trunc", args, vars);
+	if (values === null) {
+		return null;
+	}
+
+	if (typeof values[0] === "bigint") {
+		return roundLongToPlace(values[0], values[1], false);
+	}
+	return roundToPlace(values[0], values[1], Math.trunc);
+}
+
+/**
+ * $pow: raises a number to an exponent, a long to a non-negative integer
+ * exponent gives a long unless it overflows
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | bigint | null}
+ */
+function exprPow(args, vars) {
+	const values = evalNumericArgs("$pow", args, vars, 2);
+	if (values === null) {
+		return null;
+	}
+
+	const [base, exponent] = values;
+	if (Number(base) === 0 && exponent < 0) {
+		throw new RangeError(
+			"$pow cannot take a base of 0 and a negative exponent",
+		);
+	}
+	if (
+		(typeof base === "bigint" || typeof exponent === "bigint") &&
+		isIntegral(base) &&
+		isIntegral(exponent) &&
+		exponent >= 0
+	) {
+		const b = BigInt(base);
+		const e = BigInt(exponent);
+		// Bases other than -1, 0 and 1 overflow 64 bits with exponents from 64
+		if (e < 64n) {
+			return toLongResult(b ** e);
+		}
+		if (b >= -1n && b <= 1n) {
+			return b === -1n && e % 2n === 0n ? 1n : b;
+		}
+	}
+	return Number(base) ** Number(exponent);
+}
+
+/**
+ * $sqrt: square root of a non-negative number
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprSqrt(args, vars) {
+	const values = evalNumericArgs("$sqrt", args, vars, 1);
+	if (values === null) {
+		return null;
+	}
+
+	const v = Number(values[0]);
+	if (v < 0) {
+		throw new RangeError("$sqrt's argument must be greater than or equal to 0");
+	}
+	return Math.sqrt(v);
+}
+
+/**
+ * $exp: raises Euler's number to an exponent
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprExp(args, vars) {
+	const values = evalNumericArgs("$exp", args, vars, 1);
+	return values === null ? null : Math.exp(Number(values[0]));
+}
+
+/**
+ * $ln: natural logarithm of a positive number
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprLn(args, vars) {
+	const values = evalNumericArgs("$ln", args, vars, 1);
+	if (values === null) {
+		return null;
+	}
+
+	const v = Number(values[0]);
+	if (v <= 0) {
+		throw new RangeError(
+			`$ln's argument must be a positive number, but is ${v}`,
+		);
+	}
+	return Math.log(v);
+}
+
+/**
+ * $log: logarithm of a positive number in a positive base other than 1
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprLog(args, vars) {
+	const values = evalNumericArgs("$log", args, vars, 2);
+	if (values === null) {
+		return null;
+	}
+
+	const [value, base] = values.map(Number);
+	if (value <= 0) {
+		throw new RangeError(
+			`$log's argument must be a positive number, but is ${value}`,
+		);
+	}
+	if (base <= 0 || base === 1) {
+		throw new RangeError(
+			`$log's base must be a positive number not equal to 1, but is ${base}`,
+		);
+	}
+	return Math.log(value) / Math.log(base);
+}
+
+/**
+ * $log10: base 10 logarithm of a positive number
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprLog10(args, vars) {
+	const values = evalNumericArgs("$log10", args, vars, 1);
+	if (values === null) {
+		return null;
+	}
+
+	const v = Number(values[0]);
+	if (v <= 0) {
+		throw new RangeError(
+			`$log10's argument must be a positive number, but is ${v}`,
+		);
+	}
+	return Math.log10(v);
+}
+
+/**
+ * Checks the named arguments of an operator that takes an object as argument
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - The operator arguments
+ * @param {string[]} required - Names of the required arguments
+ * @param {string[]} [optional] - Names of the optional arguments
+ * @throws {TypeError} if an argument is missing or unknown
+ */
+function checkExprNamedArgs(op, args, required, optional = []) {
+	if (!isPlainObject(args)) {
+		throw new TypeError(`${op} expects an object of named arguments`);
+	}
+	for (const key of Object.keys(args)) {
+		if (!required.includes(key) && !optional.includes(key)) {
+			throw new TypeError(`${op} found an unknown argument: ${key}`);
+		}
+	}
+	for (const key of required) {
+		if (!(key in args)) {
+			throw new TypeError(`${op} requires '${key}' to be specified`);
+		}
+	}
+}
+
+/**
+ * Converts a value to a string the way string expression operators do:
+ * null and missing become the empty string, numbers and dates are formatted
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert
+ * @returns {string}
+ */
+function coerceExprString(op, v) {
+	if (isNil(v)) {
+		return "";
+	}
+	if (typeof v === "string") {
+		return v;
+	}
+	if (typeof v === "number" || typeof v === "bigint") {
+		return String(v);
+	}
+	if (v instanceof Date) {
+		return v.toISOString();
+	}
+
+	throw new TypeError(
+		`${op} can't convert from BSON type ${getExprTypeName(v)} to String`,
+	);
+}
+
+/**
+ * Evaluates an argument that must be a non-negative integer
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} name - The argument name, used in error messages
+ * @param {any} v - The evaluated argument
+ * @returns {number}
+ */
+function checkExprIndex(op, name, v) {
+	if (typeof v !== "number" || !Number.isInteger(v)) {
+		throw new TypeError(
+			`${op}: ${name} must be an integer, found: ${getExprTypeName(v)}`,
+		);
+	}
+	if (v < 0) {
+		throw new RangeError(`${op}: ${name} must be a non-negative integer`);
+	}
+	return v;
+}
+
+/**
+ * Changes the case of ASCII letters only, as MongoDB does
+ * @param {string} str - The string to convert
+ * @param {boolean} upper - Converts to upper case if true, lower case otherwise
+ * @returns {string}
+ */
+function changeAsciiCase(str, upper) {
+	return upper
+		? str.replace(/[a-z]+/g, (m) => m.toUpperCase())
+		: str.replace(/[A-Z]+/g, (m) => m.toLowerCase());
+}
+
+/**
+ * $toLower: converts ASCII letters of a string to lower case
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string}
+ */
+function exprToLower(args, vars) {
+	const [v] = evalExprArgs("$toLower", args, vars, 1);
+	return changeAsciiCase(coerceExprString("$toLower", v), false);
+}
+
+/**
+ * $toUpper: converts ASCII letters of a string to upper case
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string}
+ */
+function exprToUpper(args, vars) {
+	const [v] = evalExprArgs("$toUpper", args, vars, 1);
+	return changeAsciiCase(coerceExprString("$toUpper", v), true);
+}
+
+/**
+ * $concat: concatenates strings
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string | null}
+ */
+function exprConcat(args, vars) {
+	const values = evalExprArgs(
+		"$concat",
+		args,
+		vars,
+		0,
+		Number.POSITIVE_INFINITY,
+	);
+
+	let result = "";
+	for (const v of values) {
+		if (isNil(v)) {
+			return null;
+		}
+		if (typeof v !== "string") {
+			throw new TypeError(
+				`$concat only supports strings, not ${getExprTypeName(v)}`,
+			);
+		}
+		result += v;
+	}
+
+	return result;
+}
+
+/**
+ * $substrCP: substring by code point index and count
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string}
+ */
+function exprSubstrCP(args, vars) {
+	const [v, start, count] = evalExprArgs("$substrCP", args, vars, 3);
+	const codePoints = [...coerceExprString("$substrCP", v)];
+	checkExprIndex("$substrCP", "starting index", start);
+	checkExprIndex("$substrCP", "length", count);
+
+	return codePoints.slice(start, start + count).join("");
+}
+
+/**
+ * $substrBytes: substring by UTF-8 byte index and count
+ * A negative start returns an empty string, a negative count takes the rest
+ * of the string; indexes in the middle of a character are errors
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string}
+ */
+function exprSubstrBytes(args, vars) {
+	const [v, start, count] = evalExprArgs("$substrBytes", args, vars, 3);
+	const bytes = utf8Encoder.encode(coerceExprString("$substrBytes", v));
+	for (const [name, n] of [
+		["starting index", start],
+		["length", count],
+	]) {
+		if (typeof n !== "number") {
+			throw new TypeError(
+				`$substrBytes: ${name} must be a numeric type, found: ${getExprTypeName(n)}`,
+			);
+		}
+	}
+
+	const begin = Math.trunc(start);
+	if (begin < 0 || begin >= bytes.length) {
+		return "";
+	}
+	const end =
+		count < 0
+			? bytes.length
+			: Math.min(bytes.length, begin + Math.trunc(count));
+
+	const isContinuationByte = (i) => (bytes[i] & 0xc0) === 0x80;
+	if (isContinuationByte(begin)) {
+		throw new RangeError(
+			"$substrBytes: Invalid range, starting index is a UTF-8 continuation byte.",
+		);
+	}
+	if (end < bytes.length && isContinuationByte(end)) {
+		throw new RangeError(
+			"$substrBytes: Invalid range, ending index is in the middle of a UTF-8 character.",
+		);
+	}
+
+	return new TextDecoder().decode(bytes.subarray(begin, end));
+}
+
+/**
+ * $strLenCP: number of code points in a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number}
+ */
+function exprStrLenCP(args, vars) {
+	const [v] = evalExprArgs("$strLenCP", args, vars, 1);
+	if (typeof v !== "string") {
+		throw new TypeError(
+			`$strLenCP requires a string argument, found: ${getExprTypeName(v)}`,
+		);
+	}
+	return [...v].length;
+}
+
+/**
+ * $strLenBytes: number of UTF-8 bytes in a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number}
+ */
+function exprStrLenBytes(args, vars) {
+	const [v] = evalExprArgs("$strLenBytes", args, vars, 1);
+	if (typeof v !== "string") {
+		throw new TypeError(
+			`$strLenBytes requires a string argument, found: ${getExprTypeName(v)}`,
+		);
+	}
+	return utf8Encoder.encode(v).length;
+}
+
+/**
+ * $indexOfCP: code point index of the first occurrence of a substring,
+ * optionally searching between a start and an end index, -1 if not found
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprIndexOfCP(args, vars) {
+	const [v, search, start, end] = evalExprArgs("$indexOfCP", args, vars, 2, 4);
+	if (isNil(v)) {
+		return null;
+	}
+	if (typeof v !== "string") {
+		throw new TypeError(
+			`$indexOfCP requires a string as the first argument, found: ${getExprTypeName(v)}`,
+		);
+	}
+	if (typeof search !== "string") {
+		throw new TypeError(
+			`$indexOfCP requires a string as the second argument, found: ${getExprTypeName(search)}`,
+		);
+	}
+
+	const codePoints = [...v];
+	const searchCodePoints = [...search];
+	const from =
+		start === undefined ? 0 : checkExprIndex("$indexOfCP", "start", start);
+	const to =
+		end === undefined
+			? codePoints.length
+			: Math.min(codePoints.length, checkExprIndex("$indexOfCP", "end", end));
+
+	for (let i = from; i + searchCodePoints.length <= to; i++) {
+		if (searchCodePoints.every((cp, j) => codePoints[i + j] === cp)) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * $split: splits a string by a delimiter
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string[] | null}
+ */
+function exprSplit(args, vars) {
+	const [v, delimiter] = evalExprArgs("$split", args, vars, 2);
+	if (isNil(v)) {
+		return null;
+	}
+	if (typeof v !== "string") {
+		throw new TypeError(
+			`$split requires an expression that evaluates to a string as a first argument, found: ${getExprTypeName(v)}`,
+		);
+	}
+	if (typeof delimiter !== "string") {
+		throw new TypeError(
+			`$split requires an expression that evaluates to a string as a second argument, found: ${getExprTypeName(delimiter)}`,
+		);
+	}
+	if (delimiter === "") {
+		throw new RangeError("$split requires a non-empty separator");
+	}
+
+	return v.split(delimiter);
+}
+
+/**
+ * Trims characters from the start and/or end of a string
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @param {boolean} left - Trims the start of the string
+ * @param {boolean} right - Trims the end of the string
+ * @returns {string | null}
+ */
+function trimExpr(op, args, vars, left, right) {
+	checkExprNamedArgs(op, args, ["input"], ["chars"]);
+	const input = evalExpr(args.input, vars);
+	const chars = "chars" in args ? evalExpr(args.chars, vars) : undefined;
+	if (isNil(input) || (chars !== undefined && isNil(chars))) {
+		return null;
+	}
+	if (typeof input !== "string") {
+		throw new TypeError(
+			`${op} requires its input to be a string, got ${getExprTypeName(input)} instead.`,
+		);
+	}
+	if (chars !== undefined && typeof chars !== "string") {
+		throw new TypeError(
+			`${op} requires 'chars' to be a string, got ${getExprTypeName(chars)} instead.`,
+		);
+	}
+
+	const trimmed = new Set(chars === undefined ? whitespaceChars : [...chars]);
+	const codePoints = [...input];
+	let begin = 0;
+	let end = codePoints.length;
+	while (left && begin < end && trimmed.has(codePoints[begin])) {
+		begin++;
+	}
+	while (right && end > begin && trimmed.has(codePoints[end - 1])) {
+		end--;
+	}
+
+	return codePoints.slice(begin, end).join("");
+}
+
+/**
+ * $trim: removes whitespace or the given characters from both ends of a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string | null}
+ */
+function exprTrim(args, vars) {
+	return trimExpr("$trim", args, vars, true, true);
+}
+
+/**
+ * $ltrim: removes whitespace or the given characters from the start of a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string | null}
+ */
+function exprLtrim(args, vars) {
+	return trimExpr("$ltrim", args, vars, true, false);
+}
+
+/**
+ * $rtrim: removes whitespace or the given characters from the end of a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string | null}
+ */
+function exprRtrim(args, vars) {
+	return trimExpr("$rtrim", args, vars, false, true);
+}
+
+/**
+ * $strcasecmp: compares two strings ignoring the case of ASCII letters,
+ * returning -1, 0 or 1
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number}
+ */
+function exprStrcasecmp(args, vars) {
+	const [a, b] = evalExprArgs("$strcasecmp", args, vars, 2);
+	return Math.sign(
+		compareStrings(
+			changeAsciiCase(coerceExprString("$strcasecmp", a), true),
+			changeAsciiCase(coerceExprString("$strcasecmp", b), true),
+		),
+	);
+}
+
+/**
+ * Evaluates the arguments of $regexMatch, $regexFind and $regexFindAll
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {[string, RegExp] | null} the input and a global regex,
+ * null if the input is null or missing
+ */
+function evalRegexArgs(op, args, vars) {
+	checkExprNamedArgs(op, args, ["input", "regex"], ["options"]);
+	const input = evalExpr(args.input, vars);
+	const regex = evalExpr(args.regex, vars);
+	const options = "options" in args ? evalExpr(args.options, vars) : undefined;
+
+	if (!isNil(input) && typeof input !== "string") {
+		throw new TypeError(
+			`${op} needs 'input' to be of type string, found: ${getExprTypeName(input)}`,
+		);
+	}
+	if (
+		!isNil(regex) &&
+		typeof regex !== "string" &&
+		!(regex instanceof RegExp)
+	) {
+		throw new TypeError(
+			`${op} needs 'regex' to be of type string or regex, found: ${getExprTypeName(regex)}`,
+		);
+	}
+	if (!isNil(options) && typeof options !== "string") {
+		throw new TypeError(
+			`${op} needs 'options' to be of type string, found: ${getExprTypeName(options)}`,
+		);
+	}
+	if (
+		regex instanceof RegExp &&
+		getRegexOptions(regex) !== "" &&
+		!isNil(options)
+	) {
+		throw new TypeError(
+			`${op}: regex option(s) specified in both 'regex' and 'option' fields`,
+		);
+	}
+	if (isNil(input) || isNil(regex)) {
+		return null;
+	}
+
+	return [input, getExprRegExp(op, args, regex, options)];
+}
+
+/**
+ * Gets the regular expression of a regex aggregation operator, compiling it
+ * once per operator arguments as long as the regex and options stay the same
+ * @param {string} op - The operator name, used in error messages
+ * @param {Record<string, any>} args - The operator arguments, the cache key
+ * @param {string | RegExp} regex - The evaluated regex
+ * @param {string | null | undefined} options - The evaluated options
+ * @returns {RegExp} a global regex, see findRegexMatches
+ * @throws {SyntaxError} if the pattern or options are not valid or not supported
+ */
+function getExprRegExp(op, args, regex, options) {
+	const compiled = compiledRegexes.get(args);
+	if (compiled?.pattern === regex && compiled.options === options) {
+		return compiled.regex;
+	}
+
+	const pattern = regex instanceof RegExp ? regex.source : regex;
+	const flags =
+		(regex instanceof RegExp && getRegexOptions(regex)) || (options ?? "");
+	const compiledRegex = toRegExp(op, pattern, flags, "g");
+	compiledRegexes.set(args, { pattern: regex, options, regex: compiledRegex });
+	return compiledRegex;
+}
+
+/**
+ * Builds a JS regular expression from a MongoDB (PCRE) regex pattern and options,
+ * see translatePcre
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} pattern - The regex pattern
+ * @param {string} options - The regex options
+ * @param {string} [extraFlags] - Additional JS flags, e.g. "g"
+ * @returns {RegExp}
+ * @throws {SyntaxError} if the pattern or options are not valid or not supported
+ */
+function toRegExp(op, pattern, options, extraFlags = "") {
+	const { source, flags, groups } = translatePcre(op, pattern, options);
+	let regex;
+	try {
+		regex = new RegExp(source, flags + extraFlags);
+	} catch (error) {
+		throw new SyntaxError(
+			`${op}: invalid regular expression /${pattern}/: ${/** @type {Error} */ (error).message}`,
+		);
+	}
+	pcreCaptureGroups.set(regex, groups);
+	return regex;
+}
+
+/**
+ * Gets the MongoDB regex options of a JS regular expression,
+ * dropping the flags that only affect how JS runs it
+ * @param {RegExp} regex - The regular expression
+ * @returns {string}
+ */
+function getRegexOptions(regex) {
+	return regex.flags.replace(/[dgy]/g, "").replace("v", "u");
+}
+
+/**
+ * A PCRE pattern translated to a JS regular expression
+ * @typedef {object} PcreTranslation
+ * @property {string} source - The JS pattern
+ * @property {string} flags - The JS flags
+ * @property {number[]} groups - The JS group numbers of the PCRE capture groups,
+ *   which differ when atomic groups or possessive quantifiers add groups
+ */
+
+/**
+ * A set of characters of a PCRE pattern, such as \d or [:alpha:]
+ * @typedef {object} PcreCharSet
+ * @property {[number, number][]} ranges - Ranges of code points
+ * @property {string[]} properties - JS Unicode property escapes, e.g. \p{L}
+ * @property {boolean} negated - Whether the set matches the characters not in it
+ */
+
+/**
+ * Translates a PCRE pattern, as used by MongoDB, to a JS regular expression.
+ * JS and PCRE differ in:
+ * - . ^ $ and the anchors \A \Z \z, which are translated to assertions
+ *   following the PCRE newline rules and the m and s options and inline flags
+ * - the x option, whose whitespace and # comments are removed
+ * - inline flags, e.g. (?i) or (?s:...), case insensitive parts of a case
+ *   sensitive pattern are matched with both cases of their characters
+ * - possessive quantifiers and atomic groups, which are emulated with
+ *   a lookahead capture and a backreference
+ * - POSIX classes, e.g. [[:alpha:]], \h, \v, \R, \Q...\E and octal escapes
+ * - code points, which patterns always match like PCRE in UTF mode,
+ *   the u option is accepted but has no effect
+ * Backtracking control verbs, recursion, conditionals, branch resets,
+ * \G, \K, \X and \C are not supported, nor are backreferences to groups that
+ * may not have taken part in the match when they are reached, e.g. /(a)|b\1/
+ * or /(a)?\1/, which fail in PCRE but match the empty string in JS
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} pattern - The PCRE pattern
+ * @param {string} options - The MongoDB regex options
+ * @returns {PcreTranslation}
+ * @throws {SyntaxError} if the pattern or options are not valid or not supported
+ */
+function translatePcre(op, pattern, options) {
+	for (const option of options) {
+		if (!"imsux".includes(option)) {
+			throw new SyntaxError(`${op}: invalid flag in regex options: ${option}`);
+		}
+	}
+	if (pattern.includes("\0")) {
+		throw new SyntaxError(
+			`${op}: regular expression cannot contain an embedded null byte`,
+		);
+	}
+
+	const ignoreCase = options.includes("i");
+	return (
+		(ignoreCase && translatePcreWith(op, pattern, options, true)) ||
+		/** @type {PcreTranslation} */ (
+			translatePcreWith(op, pattern, options, false)
+		)
+	);
+}
+
+/**
+ * Translates a PCRE pattern, see translatePcre
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} pattern - The PCRE pattern
+ * @param {string} options - The MongoDB regex options
+ * @param {boolean} jsIgnoreCase - Whether to use the JS i flag, which requires
+ *   the whole pattern to be case insensitive
+ * @returns {PcreTranslation | null} the translation, null if the JS i flag cannot be used
+ */
+function translatePcreWith(op, pattern, options, jsIgnoreCase) {
+	let pos = 0;
+	let groupCount = 0;
+	let helperCount = 0;
+	let caseSensitive = false;
+	/** @type {Map<string, number>} */
+	const names = new Map();
+	/** @type {Set<number>} */
+	const references = new Set();
+	/** @type {Set<number>} */
+	const closedGroups = new Set();
+	// Groups that may not take part in the match of the rest of the pattern:
+	// in a previous alternative, an optional item or a negative assertion
+	/** @type {Set<number>} */
+	const optionalGroups = new Set();
+	// Position of the first reference to a group opened after it
+	let forwardReferencePos = -1;
+
+	const unsupportedReference =
+		"backreferences to groups that may not have taken part in the match are not supported";
+
+	/** @param {string} message */
+	const fail = (message) =>
+		new SyntaxError(`${op}: ${message} at offset ${pos} of /${pattern}/`);
+
+	// Capture groups and backreferences are marked with the key of their group
+	// and numbered once the whole pattern is translated
+	/** @param {string} key */
+	const groupMark = (key) => `\u0001${key}\u0001`;
+	/** @param {string} key */
+	const referenceMark = (key) => `\u0000${key}\u0000`;
+
+	/** @param {number} start - The group count before the optional part */
+	const markOptional = (start) => {
+		for (let number = start + 1; number <= groupCount; number++) {
+			optionalGroups.add(number);
+		}
+	};
+
+	/** @param {{ i: boolean }} flags */
+	const checkCase = (flags) => {
+		if (!flags.i && jsIgnoreCase) {
+			caseSensitive = true;
+		}
+		return flags.i && !jsIgnoreCase;
+	};
+
+	/**
+	 * @param {number} cp - The code point
+	 * @param {{ i: boolean }} flags - The current flags
+	 * @returns {string}
+	 */
+	const emitChar = (cp, flags) => {
+		if (checkCase(flags)) {
+			const variants = getCaseVariants(cp);
+			if (variants.length > 1) {
+				return `[${variants.map(toClassChar).join("")}]`;
+			}
+		}
+		const c = String.fromCodePoint(cp);
+		if ("^$\\.*+?()[]{}|/".includes(c)) {
+			return `\\${c}`;
+		}
+		return c === "-" ? c : toClassChar(cp);
+	};
+
+	/**
+	 * Negated classes are emitted as a negative lookahead and any character,
+	 * Node 18 fails to match astral characters with [^...] under the u flag
+	 * when something follows them
+	 * @param {string} content - The class content
+	 * @param {boolean} negated - Whether the class matches the characters not in it
+	 * @returns {string}
+	 */
+	const emitClass = (content, negated) =>
+		negated ? `(?:(?![${content}])[\\s\\S])` : `[${content}]`;
+
+	/**
+	 * @param {PcreCharSet} set - The set
+	 * @returns {string}
+	 */
+	const emitSet = (set) =>
+		emitClass(
+			`${toClassContent(set.ranges)}${set.properties.join("")}`,
+			set.negated,
+		);
+
+	/**
+	 * Reads a group name ending with the given character
+	 * @param {string} end - The closing character
+	 * @returns {string}
+	 */
+	const readName = (end) => {
+		const match = /^([A-Za-z_]\w{0,31})/.exec(pattern.slice(pos));
+		if (match === null || pattern[pos + match[1].length] !== end) {
+			throw fail("invalid group name");
+		}
+		pos += match[1].length + 1;
+		return match[1];
+	};
+
+	/**
+	 * @param {string} name - The group name
+	 * @returns {string}
+	 */
+	const namedReference = (name) => {
+		const number = names.get(name);
+		if (number === undefined) {
+			throw fail(`reference to non-existent subpattern ${name}`);
+		}
+		return numberedReference(number);
+	};
+
+	/**
+	 * @param {number} number - The group number
+	 * @returns {string}
+	 */
+	const numberedReference = (number) => {
+		if (number <= 0) {
+			throw fail("invalid backreference");
+		}
+		if (number > groupCount) {
+			if (forwardReferencePos === -1) {
+				forwardReferencePos = pos;
+			}
+		} else if (!closedGroups.has(number) || optionalGroups.has(number)) {
+			throw fail(unsupportedReference);
+		}
+		references.add(number);
+		return referenceMark(`g${number}`);
+	};
+
+	/**
+	 * Parses an escape sequence, after the backslash
+	 * @param {boolean} inClass - Whether the escape is inside a character class
+	 * @returns {number | PcreCharSet | string} a code point, a set of characters,
+	 *   or outside classes a translated assertion or backreference
+	 */
+	const parseEscape = (inClass) => {
+		if (pos >= pattern.length) {
+			throw fail("\\ at end of pattern");
+		}
+		const c = pattern[pos++];
+		const rest = pattern.slice(pos);
+		let match;
+		switch (c) {
+			case "a":
+				return 0x07;
+			case "e":
+				return 0x1b;
+			case "f":
+				return 0x0c;
+			case "n":
+				return 0x0a;
+			case "r":
+				return 0x0d;
+			case "t":
+				return 0x09;
+			case "d":
+			case "D":
+				return getPcreSet("digit", c === "D");
+			case "w":
+			case "W":
+				return getPcreSet("word", c === "W");
+			case "s":
+			case "S":
+				return getPcreSet("space", c === "S");
+			case "h":
+			case "H":
+				return getPcreSet("horizontal", c === "H");
+			case "v":
+			case "V":
+				return getPcreSet("vertical", c === "V");
+			case "N":
+				if (rest.startsWith("{")) {
+					throw fail("PCRE does not support \\N{name}");
+				}
+				return { ranges: [[0x0a, 0x0a]], properties: [], negated: true };
+			case "p":
+			case "P": {
+				match = /^(?:\{(\^?)([\w&]+)\}|([A-Z]))/.exec(rest);
+				if (match === null) {
+					throw fail("malformed \\p or \\P sequence");
+				}
+				pos += match[0].length;
+				const name = match[2] ?? match[3];
+				const negated = (c === "P") !== (match[1] === "^");
+				if (name === "Any") {
+					return { ranges: [[0, 0x10ffff]], properties: [], negated };
+				}
+				const property = /^(?:[CLMNPSZ][a-z]?|L&)$/.test(name)
+					? name.replace("L&", "LC")
+					: `Script=${name}`;
+				return { ranges: [], properties: [`\\p{${property}}`], negated };
+			}
+			case "x":
+				match = /^(?:\{([0-9A-Fa-f]+)\}|([0-9A-Fa-f]{0,2}))/.exec(rest);
+				pos += match?.[0].length ?? 0;
+				return toPcreCodePoint(match?.[1] ?? match?.[2] ?? "", 16);
+			case "o":
+				match = /^\{([0-7]+)\}/.exec(rest);
+				if (match === null) {
+					throw fail("missing or invalid octal in \\o{...}");
+				}
+				pos += match[0].length;
+				return toPcreCodePoint(match[1], 8);
+			case "0":
+				match = /^[0-7]{0,2}/.exec(rest);
+				pos += match?.[0].length ?? 0;
+				return toPcreCodePoint(`0${match?.[0] ?? ""}`, 8);
+			case "c":
+				if (pos >= pattern.length || pattern.charCodeAt(pos) > 0x7f) {
+					throw fail("\\c must be followed by a printable ASCII character");
+				}
+				return pattern[pos++].toUpperCase().charCodeAt(0) ^ 0x40;
+			case "b":
+				if (inClass) {
+					return 0x08;
+				}
+				return "\\b";
+			case "B":
+				if (inClass) {
+					throw fail("escape sequence is invalid in character class");
+				}
+				return "\\B";
+			case "A":
+			case "Z":
+			case "z":
+			case "R":
+			case "g":
+			case "k":
+				if (inClass) {
+					throw fail("escape sequence is invalid in character class");
+				}
+				break;
+			case "Q":
+			case "E":
+				// Handled by the callers
+				return "";
+			case "L":
+			case "l":
+			case "U":
+			case "u":
+				throw fail("PCRE does not support \\L, \\l, \\N{name}, \\U, or \\u");
+			case "G":
+			case "K":
+			case "X":
+			case "C":
+				throw fail(`\\${c} is not supported`);
+			default:
+				break;
+		}
+
+		if (/[1-9]/.test(c)) {
+			match = /^\d*/.exec(rest);
+			const digits = c + (match?.[0] ?? "");
+			const number = Number.parseInt(digits);
+			if (!inClass && (number < 10 || number <= groupCount)) {
+				pos += digits.length - 1;
+				return numberedReference(number);
+			}
+			const octal = /^[0-7]{1,3}/.exec(digits)?.[0];
+			if (octal === undefined) {
+				throw fail("invalid escape sequence");
+			}
+			pos += octal.length - 1;
+			return toPcreCodePoint(octal, 8);
+		}
+
+		switch (c) {
+			case "A":
+				return "^";
+			case "Z":
+				return "(?=\\n?$)";
+			case "z":
+				return "$";
+			case "R":
+				return "(?:\\r\\n|[\\n\\v\\f\\r\\x85\\u2028\\u2029])";
+			case "g": {
+				match = /^(?:\{(-?\d+)\}|(-?\d+)|\{([A-Za-z_]\w*)\})/.exec(rest);
+				if (match === null) {
+					throw fail("a numbered reference must not be zero");
+				}
+				pos += match[0].length;
+				if (match[3] !== undefined) {
+					return namedReference(match[3]);
+				}
+				const number = Number.parseInt(match[1] ?? match[2]);
+				return numberedReference(number < 0 ? groupCount + 1 + number : number);
+			}
+			case "k": {
+				const end = ["<>", "''", "{}"].find((e) => e[0] === pattern[pos])?.[1];
+				if (end === undefined) {
+					throw fail("\\k is not followed by a group name");
+				}
+				pos++;
+				return namedReference(readName(end));
+			}
+			default:
+				break;
+		}
+
+		if (/[A-Za-z0-9]/.test(c)) {
+			throw fail("unrecognized character follows \\");
+		}
+		return /** @type {number} */ (c.codePointAt(0));
+	};
+
+	/**
+	 * Reads a literal character of the pattern
+	 * @returns {number}
+	 */
+	const readChar = () => {
+		const cp = /** @type {number} */ (pattern.codePointAt(pos));
+		pos += cp > 0xffff ? 2 : 1;
+		return cp;
+	};
+
+	/**
+	 * Parses a character class, after the opening bracket
+	 * @param {{ i: boolean }} flags - The current flags
+	 * @returns {string}
+	 */
+	const parseClass = (flags) => {
+		const negated = pattern[pos] === "^";
+		if (negated) {
+			pos++;
+		}
+
+		/** @type {[number, number][]} */
+		const ranges = [];
+		/** @type {string[]} */
+		const content = [];
+		let first = true;
+		let quoted = false;
+		while (true) {
+			if (pos >= pattern.length) {
+				throw fail("missing terminating ] for character class");
+			}
+			if (quoted && pattern.startsWith("\\E", pos)) {
+				pos += 2;
+				quoted = false;
+				continue;
+			}
+			if (!quoted && pattern[pos] === "]" && !first) {
+				pos++;
+				break;
+			}
+			first = false;
+
+			/** @type {number | PcreCharSet} */
+			let item;
+			const posix = quoted
+				? null
+				: /^\[:(\^?)([a-z]+):\]/.exec(pattern.slice(pos));
+			if (posix !== null) {
+				pos += posix[0].length;
+				if (!posixClasses.has(posix[2])) {
+					throw fail("unknown POSIX class name");
+				}
+				item = getPcreSet(posix[2], posix[1] === "^");
+			} else if (!quoted && /^\[[.=]/.test(pattern.slice(pos))) {
+				throw fail("POSIX collating elements are not supported");
+			} else if (!quoted && pattern[pos] === "\\") {
+				pos++;
+				if (pattern[pos] === "Q") {
+					pos++;
+					quoted = true;
+					continue;
+				}
+				if (pattern[pos] === "E") {
+					pos++;
+					continue;
+				}
+				const escaped = parseEscape(true);
+				if (typeof escaped === "string") {
+					throw fail("escape sequence is invalid in character class");
+				}
+				item = escaped;
+			} else {
+				item = readChar();
+			}
+
+			if (typeof item !== "number") {
+				if (!item.negated) {
+					ranges.push(...item.ranges);
+					content.push(...item.properties);
+				} else if (item.properties.length === 0) {
+					ranges.push(...getComplementRanges(item.ranges));
+				} else {
+					// Sets with properties are single \p escapes
+					content.push(item.properties[0].replace("\\p", "\\P"));
+				}
+				continue;
+			}
+
+			// A range unless the hyphen is the last character of the class
+			if (
+				!quoted &&
+				pattern[pos] === "-" &&
+				pos + 1 < pattern.length &&
+				pattern[pos + 1] !== "]"
+			) {
+				const start = pos;
+				pos++;
+				let end;
+				if (pattern[pos] === "\\") {
+					pos++;
+					end = parseEscape(true);
+				} else if (/^\[:\^?[a-z]+:\]/.test(pattern.slice(pos))) {
+					end = null;
+				} else {
+					end = readChar();
+				}
+				if (typeof end === "number") {
+					if (end < item) {
+						throw fail("range out of order in character class");
+					}
+					ranges.push([item, end]);
+					continue;
+				}
+				// A hyphen next to a set is a literal
+				pos = start;
+			}
+			ranges.push([item, item]);
+		}
+
+		if (checkCase(flags)) {
+			ranges.push(...getCaseRanges(ranges));
+		}
+
+		return emitClass(`${toClassContent(ranges)}${content.join("")}`, negated);
+	};
+
+	/**
+	 * Parses the inline flags of a group, after (?
+	 * @param {{ i: boolean, m: boolean, s: boolean, x: boolean }} flags - The flags to change
+	 */
+	const parseFlags = (flags) => {
+		const start = pos;
+		let value = true;
+		while (pos < pattern.length && !":)".includes(pattern[pos])) {
+			const c = pattern[pos++];
+			if (c === "-" && value) {
+				value = false;
+			} else if (c === "^" && pos === start + 1) {
+				flags.i = false;
+				flags.m = false;
+				flags.s = false;
+				flags.x = false;
+			} else if (c === "i" || c === "m" || c === "s" || c === "x") {
+				flags[c] = value;
+			} else {
+				throw fail(`unsupported inline flag ${c}`);
+			}
+		}
+		if (pos >= pattern.length) {
+			throw fail("missing ) after group");
+		}
+	};
+
+	/**
+	 * Parses a group, after the opening parenthesis
+	 * @param {{ i: boolean, m: boolean, s: boolean, x: boolean }} flags - The current flags,
+	 *   changed by flag groups such as (?i)
+	 * @returns {string} the translated group, empty if it only changes flags or is a comment
+	 */
+	const parseGroup = (flags) => {
+		/**
+		 * @param {string} prefix - The translated opening of the group
+		 * @param {{ i: boolean, m: boolean, s: boolean, x: boolean }} [groupFlags] - The flags inside the group
+		 */
+		const body = (prefix, groupFlags = { ...flags }) => {
+			const translated = parseAlternation(groupFlags);
+			if (pattern[pos] !== ")") {
+				throw fail("missing closing parenthesis");
+			}
+			pos++;
+			return `${prefix}${translated})`;
+		};
+
+		if (pattern.startsWith("*", pos)) {
+			throw fail("backtracking control verbs are not supported");
+		}
+		if (!pattern.startsWith("?", pos)) {
+			const number = ++groupCount;
+			const translated = body(`(${groupMark(`g${number}`)}`);
+			closedGroups.add(number);
+			return translated;
+		}
+
+		pos++;
+		const rest = pattern.slice(pos);
+		if (rest.startsWith("#")) {
+			const end = pattern.indexOf(")", pos);
+			if (end === -1) {
+				throw fail("missing ) after (?# comment");
+			}
+			pos = end + 1;
+			return "";
+		}
+		const assertion = /^(?::|=|!|<=|<!)/.exec(rest)?.[0];
+		if (assertion !== undefined) {
+			pos += assertion.length;
+			const start = groupCount;
+			const translated = body(`(?${assertion}`);
+			if (assertion.endsWith("!")) {
+				markOptional(start);
+			}
+			return translated;
+		}
+		if (rest.startsWith(">")) {
+			pos++;
+			const key = `h${++helperCount}`;
+			return `${body(`(?=(${groupMark(key)}`)})${referenceMark(key)}`;
+		}
+		const named = /^(?:<|'|P<)(?=[A-Za-z_])/.exec(rest)?.[0];
+		if (named !== undefined) {
+			pos += named.length;
+			const name = readName(named === "'" ? "'" : ">");
+			if (names.has(name)) {
+				throw fail(`two named subpatterns have the same name ${name}`);
+			}
+			const number = ++groupCount;
+			names.set(name, number);
+			const translated = body(`(?<${name}>${groupMark(`g${number}`)}`);
+			closedGroups.add(number);
+			return translated;
+		}
+		if (rest.startsWith("P=")) {
+			pos += 2;
+			return namedReference(readName(")"));
+		}
+		if (/^(?:\||\(|R|[+-]?\d|&|P>|C)/.test(rest)) {
+			throw fail(
+				"branch resets, conditionals, recursion and callouts are not supported",
+			);
+		}
+
+		const groupFlags = { ...flags };
+		parseFlags(groupFlags);
+		if (pattern[pos] === ")") {
+			pos++;
+			Object.assign(flags, groupFlags);
+			return "";
+		}
+		pos++;
+		return body("(?:", groupFlags);
+	};
+
+	/**
+	 * Parses a quantifier, if there is one at the current position
+	 * @returns {{ quantifier: string, possessive: boolean } | null}
+	 */
+	const parseQuantifier = () => {
+		const match = /^(?:[*+?]|\{\d+(?:,\d*)?\})([?+]?)/.exec(pattern.slice(pos));
+		if (match === null) {
+			return null;
+		}
+		pos += match[0].length;
+		const possessive = match[1] === "+";
+		return {
+			quantifier: possessive ? match[0].slice(0, -1) : match[0],
+			possessive,
+		};
+	};
+
+	/**
+	 * Parses alternatives up to the end of the pattern or of the current group
+	 * @param {{ i: boolean, m: boolean, s: boolean, x: boolean }} flags - The current flags
+	 * @returns {string}
+	 */
+	const parseAlternation = (flags) => {
+		let translated = "";
+		/** @type {string | null} */
+		let atom = null;
+		// Group counts before the current alternative and item
+		let branchStart = groupCount;
+		let atomStart = groupCount;
+		let alternated = false;
+		while (pos < pattern.length) {
+			const c = pattern[pos];
+			if (flags.x && /[ \t\n\v\f\r]/.test(c)) {
+				pos++;
+				continue;
+			}
+			if (flags.x && c === "#") {
+				const end = pattern.indexOf("\n", pos);
+				pos = end === -1 ? pattern.length : end + 1;
+				continue;
+			}
+			if (c === ")") {
+				break;
+			}
+
+			const quantified = parseQuantifier();
+			if (quantified !== null) {
+				if (atom === null) {
+					throw fail("quantifier does not follow a repeatable item");
+				}
+				const { quantifier, possessive } = quantified;
+				if (/^(?:[?*]|\{0+[,}])/.test(quantifier)) {
+					markOptional(atomStart);
+				}
+				if (possessive) {
+					const key = `h${++helperCount}`;
+					atom = `(?=(${groupMark(key)}(?:${atom})${quantifier}))${referenceMark(key)}`;
+				} else {
+					atom = `(?:${atom})${quantifier}`;
+				}
+				continue;
+			}
+
+			translated += atom ?? "";
+			atom = null;
+			atomStart = groupCount;
+			pos++;
+			if (c === "|") {
+				markOptional(branchStart);
+				branchStart = groupCount;
+				alternated = true;
+				translated += "|";
+			} else if (c === "(") {
+				atom = parseGroup(flags) || null;
+			} else if (c === "[") {
+				atom = parseClass(flags);
+			} else if (c === ".") {
+				atom = flags.s ? "[\\s\\S]" : emitClass("\\n", true);
+			} else if (c === "^") {
+				atom = flags.m ? "(?:^|(?<=\\n))" : "^";
+			} else if (c === "$") {
+				atom = flags.m ? "(?=\\n|$)" : "(?=\\n?$)";
+			} else if (c === "\\" && pattern[pos] === "Q") {
+				pos++;
+				let end = pattern.indexOf("\\E", pos);
+				end = end === -1 ? pattern.length : end;
+				const literal = [...pattern.slice(pos, end)];
+				pos = Math.min(end + 2, pattern.length);
+				const chars = literal.map((l) =>
+					emitChar(/** @type {number} */ (l.codePointAt(0)), flags),
+				);
+				translated += chars.slice(0, -1).join("");
+				atom = chars.at(-1) ?? null;
+			} else if (c === "\\") {
+				const escaped = parseEscape(false);
+				if (typeof escaped === "number") {
+					atom = emitChar(escaped, flags);
+				} else if (typeof escaped === "string") {
+					if (escaped.startsWith("\u0000")) {
+						checkCase(flags);
+					}
+					atom = escaped || null;
+				} else {
+					atom = emitSet(escaped);
+				}
+			} else {
+				pos--;
+				atom = emitChar(readChar(), flags);
+			}
+		}
+		if (alternated) {
+			markOptional(branchStart);
+		}
+		return translated + (atom ?? "");
+	};
+
+	const source = parseAlternation({
+		i: options.includes("i"),
+		m: options.includes("m"),
+		s: options.includes("s"),
+		x: options.includes("x"),
+	});
+	if (pos < pattern.length) {
+		throw fail("unmatched closing parenthesis");
+	}
+	if (caseSensitive) {
+		return null;
+	}
+
+	for (const number of references) {
+		if (number > groupCount) {
+			throw fail(`reference to non-existent subpattern ${number}`);
+		}
+	}
+	if (forwardReferencePos !== -1) {
+		pos = forwardReferencePos;
+		throw fail(unsupportedReference);
+	}
+
+	// Numbers the groups in the order they are opened, marks split the source
+	// into parts whose odd ones are keys
+	/** @type {Map<string, number>} */
+	const numbers = new Map();
+	const groupParts = source.split("\u0001");
+	for (let i = 1; i < groupParts.length; i += 2) {
+		numbers.set(groupParts[i], numbers.size + 1);
+		groupParts[i] = "";
+	}
+	const referenceParts = groupParts.join("").split("\u0000");
+	for (let i = 1; i < referenceParts.length; i += 2) {
+		referenceParts[i] = `(?:\\${numbers.get(referenceParts[i])})`;
+	}
+	return {
+		source: referenceParts.join(""),
+		flags: jsIgnoreCase ? "iu" : "u",
+		groups: Array.from(
+			{ length: groupCount },
+			(_, i) => /** @type {number} */ (numbers.get(`g${i + 1}`)),
+		),
+	};
+}
+
+/**
+ * Converts digits of an escape sequence to a code point
+ * @param {string} digits - The digits, empty for 0
+ * @param {number} radix - The radix of the digits
+ * @returns {number}
+ * @throws {SyntaxError} if the code point is too large
+ */
+function toPcreCodePoint(digits, radix) {
+	const cp = digits === "" ? 0 : Number.parseInt(digits, radix);
+	if (cp > 0x10ffff || (cp >= 0xd800 && cp <= 0xdfff)) {
+		throw new SyntaxError(
+			`character code point value in escape sequence is too large or a surrogate: ${digits}`,
+		);
+	}
+	return cp;
+}
+
+/**
+ * Gets a named set of characters of PCRE, see pcreSets
+ * @param {string} name - The set name
+ * @param {boolean} negated - Whether the set is negated
+ * @returns {PcreCharSet}
+ */
+function getPcreSet(name, negated) {
+	const bounds = /** @type {number[]} */ (pcreSets.get(name));
+	/** @type {[number, number][]} */
+	const ranges = [];
+	for (let i = 0; i < bounds.length; i += 2) {
+		ranges.push([bounds[i], bounds[i + 1]]);
+	}
+	return { ranges, properties: [], negated };
+}
+
+/**
+ * Gets the ranges of code points not in the given ranges
+ * @param {[number, number][]} ranges - The ranges
+ * @returns {[number, number][]}
+ */
+function getComplementRanges(ranges) {
+	/** @type {[number, number][]} */
+	const complement = [];
+	let next = 0;
+	for (const [lo, hi] of [...ranges].sort((a, b) => a[0] - b[0])) {
+		if (lo > next) {
+			complement.push([next, lo - 1]);
+		}
+		next = Math.max(next, hi + 1);
+	}
+	if (next <= 0x10ffff) {
+		complement.push([next, 0x10ffff]);
+	}
+	return complement;
+}
+
+/**
+ * Gets the code points that are another case of a code point, including itself
+ * @param {number} cp - The code point
+ * @returns {number[]}
+ */
+function getCaseVariants(cp) {
+	const c = String.fromCodePoint(cp);
+	const variants = new Set([cp]);
+	for (const v of [
+		c.toLowerCase(),
+		c.toUpperCase(),
+		c.toUpperCase().toLowerCase(),
+		c.toLowerCase().toUpperCase(),
+	]) {
+		const vcp = /** @type {number} */ (v.codePointAt(0));
+		if (v.length === String.fromCodePoint(vcp).length) {
+			variants.add(vcp);
+		}
+	}
+	return [...variants];
+}
+
+/**
+ * Gets the ranges of the other cases of the code points in the given ranges
+ * @param {[number, number][]} ranges - The ranges
+ * @returns {[number, number][]}
+ */
+function getCaseRanges(ranges) {
+	/** @type {[number, number][]} */
+	const caseRanges = [];
+	for (const [lo, hi] of ranges) {
+		// No code points above have other cases
+		for (let cp = lo; cp <= Math.min(hi, 0x1ffff); cp++) {
+			for (const v of getCaseVariants(cp)) {
+				if (v < lo || v > hi) {
+					caseRanges.push([v, v]);
+				}
+			}
+		}
+	}
+	return caseRanges;
+}
+
+/**
+ * Converts ranges of code points to the content of a JS character class
+ * @param {[number, number][]} ranges - The ranges
+ * @returns {string}
+ */
+function toClassContent(ranges) {
+	return ranges
+		.map(([lo, hi]) =>
+			lo === hi ? toClassChar(lo) : `${toClassChar(lo)}-${toClassChar(hi)}`,
+		)
+		.join("");
+}
+
+/**
+ * Converts a code point to a character that can be used in a JS character
+ * class, escaping special and non-printable characters
+ * @param {number} cp - The code point
+ * @returns {string}
+ */
+function toClassChar(cp) {
+	const c = String.fromCodePoint(cp);
+	if ("\\]-^[".includes(c)) {
+		return `\\${c}`;
+	}
+	if (/[\p{C}\p{Z}]/u.test(c) && c !== " ") {
+		return `\\u{${cp.toString(16)}}`;
+	}
+	return c;
+}
+
+/**
+ * Gets the regex matches of a string in the shape returned by $regexFind
+ * @param {string} input - The string to search
+ * @param {RegExp} regex - A global regex
+ * @param {number} limit - Maximum number of matches
+ * @returns {{ match: string, idx: number, captures: (string | null)[] }[]}
+ */
+function findRegexMatches(input, regex, limit) {
+	const results = [];
+	regex.lastIndex = 0;
+	while (results.length < limit) {
+		const m = regex.exec(input);
+		if (m === null) {
+			break;
+		}
+
+		results.push({
+			match: m[0],
+			idx: [...input.slice(0, m.index)].length,
+			captures: (pcreCaptureGroups.get(regex) ?? []).map((i) => m[i] ?? null),
+		});
+
+		if (m[0] === "") {
+			const codePoint = input.codePointAt(regex.lastIndex) ?? 0;
+			regex.lastIndex += codePoint > 0xffff ? 2 : 1;
+		}
+	}
+
+	return results;
+}
+
+/**
+ * $regexMatch: checks if a string matches a regex
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprRegexMatch(args, vars) {
+	const values = evalRegexArgs("$regexMatch", args, vars);
+	if (values === null) {
+		return false;
+	}
+
+	return findRegexMatches(values[0], values[1], 1).length > 0;
+}
+
+/**
+ * $regexFind: first regex match of a string, with its code point index and captures
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {{ match: string, idx: number, captures: (string | null)[] } | null}
+ */
+function exprRegexFind(args, vars) {
+	const values = evalRegexArgs("$regexFind", args, vars);
+	if (values === null) {
+		return null;
+	}
+
+	return findRegexMatches(values[0], values[1], 1)[0] ?? null;
+}
+
+/**
+ * $regexFindAll: all regex matches of a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {{ match: string, idx: number, captures: (string | null)[] }[]}
+ */
+function exprRegexFindAll(args, vars) {
+	const values = evalRegexArgs("$regexFindAll", args, vars);
+	if (values === null) {
+		return [];
+	}
+
+	return findRegexMatches(values[0], values[1], Number.POSITIVE_INFINITY);
+}
+
+/**
+ * Replaces occurrences of a string in another string
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @param {boolean} all - Replaces all occurrences if true, the first one otherwise
+ * @returns {string | null}
+ */
+function replaceExpr(op, args, vars, all) {
+	checkExprNamedArgs(op, args, ["input", "find", "replacement"]);
+	const values = {
+		input: evalExpr(args.input, vars),
+		find: evalExpr(args.find, vars),
+		replacement: evalExpr(args.replacement, vars),
+	};
+	for (const [name, v] of Object.entries(values)) {
+		if (!isNil(v) && typeof v !== "string") {
+			throw new TypeError(
+				`${op} requires that '${name}' be a string, found: ${getExprTypeName(v)}`,
+			);
+		}
+	}
+
+	const { input, find, replacement } = values;
+	if (isNil(input) || isNil(find) || isNil(replacement)) {
+		return null;
+	}
+
+	return all
+		? input.replaceAll(find, () => replacement)
+		: input.replace(find, () => replacement);
+}
+
+/**
+ * $replaceOne: replaces the first occurrence of a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string | null}
+ */
+function exprReplaceOne(args, vars) {
+	return replaceExpr("$replaceOne", args, vars, false);
+}
+
+/**
+ * $replaceAll: replaces all occurrences of a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string | null}
+ */
+function exprReplaceAll(args, vars) {
+	return replaceExpr("$replaceAll", args, vars, true);
+}
+
+/**
+ * Gets a function returning the offset of a timezone from UTC at a given time
+ * Timezones are Olson names resolved with the built-in Intl data, or UTC offsets
+ * such as "+01:00", "+0100" and "+01"
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} timezone - The timezone, UTC if undefined
+ * @returns {(ms: number) => number} maps a UTC time to the offset in milliseconds
+ */
+function getTimezone(op, timezone) {
+	if (timezone === undefined) {
+		return () => 0;
+	}
+	if (typeof timezone !== "string") {
+		throw new TypeError(
+			`${op}: timezone must evaluate to a string, found ${getExprTypeName(timezone)}`,
+		);
+	}
+
+	const cached = timezones.get(timezone);
+	if (cached) {
+		return cached;
+	}
+
+	let zone;
+	const offset = /^([+-])(\d{2})(?::?(\d{2}))?$/.exec(timezone);
+	if (offset) {
+		const sign = offset[1] === "-" ? -1 : 1;
+		const ms =
+			sign * (Number(offset[2]) * 60 + Number(offset[3] ?? 0)) * 60 * 1000;
+		zone = () => ms;
+	} else {
+		let formatter;
+		try {
+			formatter = new Intl.DateTimeFormat("en-US", {
+				timeZone: timezone,
+				hourCycle: "h23",
+				year: "numeric",
+				month: "numeric",
+				day: "numeric",
+				hour: "numeric",
+				minute: "numeric",
+				second: "numeric",
+			});
+		} catch {
+			throw new RangeError(
+				`${op}: unrecognized time zone identifier: "${timezone}"`,
+			);
+		}
+
+		zone = (/** @type {number} */ ms) => {
+			/** @type {Record<string, number>} */
+			const parts = {};
+			for (const { type, value } of formatter.formatToParts(ms)) {
+				parts[type] = Number(value);
+			}
+			const local = toUtcMs(
+				parts.year,
+				parts.month,
+				parts.day,
+				parts.hour,
+				parts.minute,
+				parts.second,
+				0,
+			);
+			return local - Math.floor(ms / 1000) * 1000;
+		};
+	}
+
+	timezones.set(timezone, zone);
+	return zone;
+}
+
+/**
+ * Checks if a timezone argument refers to UTC
+ * @param {string | undefined} timezone - The timezone
+ * @returns {boolean}
+ */
+function isUtcTimezone(timezone) {
+	return (
+		timezone === undefined ||
+		/^(?:UTC|GMT|Etc\/UTC|Etc\/GMT|[+-]00(?::?00)?)$/.test(timezone)
+	);
+}
+
+/**
+ * Gets the UTC time in milliseconds of a date given by its parts,
+ * parts out of their range carry over like Date.UTC (e.g. month 13 is January
+ * of the next year) but years 0 to 99 are not mapped to 1900 to 1999
+ * @param {number} year - The year
+ * @param {number} month - The month, 1 to 12
+ * @param {number} day - The day of the month
+ * @param {number} hour - The hour
+ * @param {number} minute - The minute
+ * @param {number} second - The second
+ * @param {number} millisecond - The millisecond
+ * @returns {number}
+ */
+function toUtcMs(year, month, day, hour, minute, second, millisecond) {
+	const date = new Date(0);
+	date.setUTCFullYear(year, month - 1, day);
+	date.setUTCHours(hour, minute, second, millisecond);
+	return date.getTime();
+}
+
+/**
+ * Converts a local time in a timezone to UTC
+ * @param {number} local - Local time in milliseconds, as if it was UTC
+ * @param {(ms: number) => number} zone - The timezone, from getTimezone
+ * @returns {number} the UTC time in milliseconds
+ */
+function localToUtc(local, zone) {
+	const offset = zone(local);
+	const utc = local - offset;
+	const actualOffset = zone(utc);
+	return actualOffset === offset ? utc : local - actualOffset;
+}
+
+/**
+ * Splits a date into its parts in a timezone
+ * @param {Date} date - The date
+ * @param {(ms: number) => number} zone - The timezone, from getTimezone
+ */
+function getDateParts(date, zone) {
+	const offset = zone(date.getTime());
+	const local = new Date(date.getTime() + offset);
+	const year = local.getUTCFullYear();
+	const month = local.getUTCMonth() + 1;
+	const day = local.getUTCDate();
+	const dayOfWeek = local.getUTCDay() + 1;
+	const dayOfYear =
+		(toUtcMs(year, month, day, 0, 0, 0, 0) - toUtcMs(year, 1, 1, 0, 0, 0, 0)) /
+			fixedDateUnits.get("day") +
+		1;
+
+	// ISO weeks start on Monday and belong to the year of their Thursday
+	const isoDayOfWeek = dayOfWeek === 1 ? 7 : dayOfWeek - 1;
+	const thursday = new Date(
+		toUtcMs(year, month, day + 4 - isoDayOfWeek, 0, 0, 0, 0),
+	);
+	const isoWeekYear = thursday.getUTCFullYear();
+	const isoWeek = Math.ceil(
+		((thursday.getTime() - toUtcMs(isoWeekYear, 1, 1, 0, 0, 0, 0)) /
+			fixedDateUnits.get("day") +
+			1) /
+			7,
+	);
+
+	return {
+		local: local.getTime(),
+		offset,
+		year,
+		month,
+		day,
+		hour: local.getUTCHours(),
+		minute: local.getUTCMinutes(),
+		second: local.getUTCSeconds(),
+		millisecond: local.getUTCMilliseconds(),
+		dayOfWeek,
+		dayOfYear,
+		// Weeks start on Sunday, days before the first Sunday of the year are in week 0
+		week: Math.floor((dayOfYear - 1 + 7 - (dayOfWeek - 1)) / 7),
+		isoWeekYear,
+		isoWeek,
+		isoDayOfWeek,
+	};
+}
+
+/**
+ * Checks that an evaluated value is a date
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value
+ * @returns {Date}
+ */
+function toExprDate(op, v) {
+	if (!(v instanceof Date)) {
+		throw new TypeError(
+			`${op} can't convert from BSON type ${getExprTypeName(v)} to Date`,
+		);
+	}
+	return v;
+}
+
+/**
+ * Evaluates the arguments of the date part operators ($year, $month...), which
+ * are either a date expression or an object with a date and a timezone
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {ReturnType<typeof getDateParts> | null} null if an argument is null or missing
+ */
+function evalDatePartArgs(op, args, vars) {
+	let date;
+	let timezone;
+	if (
+		isPlainObject(args) &&
+		Object.keys(args).some((key) => !key.startsWith("$"))
+	) {
+		checkExprNamedArgs(op, args, ["date"], ["timezone"]);
+		date = evalExpr(args.date, vars);
+		timezone = "timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+	} else {
+		[date] = evalExprArgs(op, args, vars, 1);
+	}
+
+	if (isNil(date) || timezone === null) {
+		return null;
+	}
+	return getDateParts(toExprDate(op, date), getTimezone(op, timezone));
+}
+
+/**
+ * $year: year of a date
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprYear(args, vars) {
+	return evalDatePartArgs("$year", args, vars)?.year ?? null;
+}
+
+/**
+ * $month: month of a date, 1 to 12
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprMonth(args, vars) {
+	return evalDatePartArgs("$month", args, vars)?.month ?? null;
+}
+
+/**
+ * $dayOfMonth: day of the month of a date, 1 to 31
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprDayOfMonth(args, vars) {
+	return evalDatePartArgs("$dayOfMonth", args, vars)?.day ?? null;
+}
+
+/**
+ * $dayOfWeek: day of the week of a date, 1 (Sunday) to 7 (Saturday)
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprDayOfWeek(args, vars) {
+	return evalDatePartArgs("$dayOfWeek", args, vars)?.dayOfWeek ?? null;
+}
+
+/**
+ * $dayOfYear: day of the year of a date, 1 to 366
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprDayOfYear(args, vars) {
+	return evalDatePartArgs("$dayOfYear", args, vars)?.dayOfYear ?? null;
+}
+
+/**
+ * $hour: hour of a date, 0 to 23
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprHour(args, vars) {
+	return evalDatePartArgs("$hour", args, vars)?.hour ?? null;
+}
+
+/**
+ * $minute: minute of a date, 0 to 59
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprMinute(args, vars) {
+	return evalDatePartArgs("$minute", args, vars)?.minute ?? null;
+}
+
+/**
+ * $second: second of a date, 0 to 59
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprSecond(args, vars) {
+	return evalDatePartArgs("$second", args, vars)?.second ?? null;
+}
+
+/**
+ * $millisecond: millisecond of a date, 0 to 999
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprMillisecond(args, vars) {
+	return evalDatePartArgs("$millisecond", args, vars)?.millisecond ?? null;
+}
+
+/**
+ * $week: week of the year of a date, 0 to 53, weeks start on Sunday
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprWeek(args, vars) {
+	return evalDatePartArgs("$week", args, vars)?.week ?? null;
+}
+
+/**
+ * $isoWeek: ISO 8601 week number of a date, 1 to 53
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprIsoWeek(args, vars) {
+	return evalDatePartArgs("$isoWeek", args, vars)?.isoWeek ?? null;
+}
+
+/**
+ * $isoWeekYear: ISO 8601 week numbering year of a date
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprIsoWeekYear(args, vars) {
+	return evalDatePartArgs("$isoWeekYear", args, vars)?.isoWeekYear ?? null;
+}
+
+/**
+ * $isoDayOfWeek: ISO 8601 day of the week of a date, 1 (Monday) to 7 (Sunday)
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprIsoDayOfWeek(args, vars) {
+	return evalDatePartArgs("$isoDayOfWeek", args, vars)?.isoDayOfWeek ?? null;
+}
+
+/**
+ * Formats a UTC offset as +hhmm
+ * @param {number} offset - The offset in milliseconds
+ * @returns {string}
+ */
+function formatUtcOffset(offset) {
+	const minutes = Math.abs(offset) / 60000;
+	return `${offset < 0 ? "-" : "+"}${String(Math.floor(minutes / 60)).padStart(2, "0")}${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Formats date parts with a $dateToString format string
+ * @param {string} op - The operator name, used in error messages
+ * @param {ReturnType<typeof getDateParts>} parts - The date parts
+ * @param {string} format - The format string
+ * @returns {string}
+ */
+function formatDate(op, parts, format) {
+	const pad = (/** @type {number} */ n, /** @type {number} */ width) =>
+		String(n).padStart(width, "0");
+
+	return format.replace(/%(.?)/gs, (_, specifier) => {
+		switch (specifier) {
+			case "d":
+				return pad(parts.day, 2);
+			case "G":
+				return pad(parts.isoWeekYear, 4);
+			case "H":
+				return pad(parts.hour, 2);
+			case "j":
+				return pad(parts.dayOfYear, 3);
+			case "L":
+				return pad(parts.millisecond, 3);
+			case "m":
+				return pad(parts.month, 2);
+			case "M":
+				return pad(parts.minute, 2);
+			case "S":
+				return pad(parts.second, 2);
+			case "w":
+				return String(parts.dayOfWeek);
+			case "u":
+				return String(parts.isoDayOfWeek);
+			case "U":
+				return pad(parts.week, 2);
+			case "V":
+				return pad(parts.isoWeek, 2);
+			case "Y":
+				return pad(parts.year, 4);
+			case "z":
+				return formatUtcOffset(parts.offset);
+			case "Z":
+				return `${parts.offset < 0 ? "-" : "+"}${Math.abs(parts.offset) / 60000}`;
+			case "b":
+				return monthNames[parts.month - 1].slice(0, 3);
+			case "B":
+				return monthNames[parts.month - 1];
+			case "%":
+				return "%";
+			case "":
+				throw new SyntaxError(`${op}: unmatched '%' at end of format string`);
+			default:
+				throw new SyntaxError(
+					`${op}: invalid format character '%${specifier}' in format string`,
+				);
+		}
+	});
+}
+
+/**
+ * $dateToString: formats a date as a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprDateToString(args, vars) {
+	checkExprNamedArgs(
+		"$dateToString",
+		args,
+		["date"],
+		["format", "timezone", "onNull"],
+	);
+	const date = evalExpr(args.date, vars);
+	const format = "format" in args ? evalExpr(args.format, vars) : undefined;
+	const timezone =
+		"timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+
+	if (isNil(date)) {
+		return "onNull" in args ? evalExpr(args.onNull, vars) : null;
+	}
+	if (format === null || timezone === null) {
+		return null;
+	}
+	if (format !== undefined && typeof format !== "string") {
+		throw new TypeError(
+			`$dateToString requires that 'format' be a string, found: ${getExprTypeName(format)}`,
+		);
+	}
+
+	const parts = getDateParts(
+		toExprDate("$dateToString", date),
+		getTimezone("$dateToString", timezone),
+	);
+	const defaultFormat = isUtcTimezone(timezone)
+		? "%Y-%m-%dT%H:%M:%S.%LZ"
+		: "%Y-%m-%dT%H:%M:%S.%L";
+	return formatDate("$dateToString", parts, format ?? defaultFormat);
+}
+
+/**
+ * Parses a date string, either in ISO 8601 like format
+ * (e.g. "2024-01-31", "2024-01-31T12:00:00.000+01:00", "2024-01-31 12:00 Europe/Berlin")
+ * or in a $dateToString like format
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} str - The date string
+ * @param {string | undefined} format - The format, undefined for ISO 8601
+ * @returns {{ local: number, timezone: string | undefined } | null} the local time
+ * in milliseconds (as if it was UTC) and the timezone in the string,
+ * null if the string is invalid
+ */
+function parseDateString(op, str, format) {
+	if (format === undefined) {
+		const m =
+			/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?|[A-Za-z_]+(?:\/[A-Za-z_+-]+)*)?$/.exec(
+				str.trim(),
+			);
+		if (!m) {
+			return null;
+		}
+		const [year, month, day, hour, minute, second] = m
+			.slice(1, 7)
+			.map((n) => (n === undefined ? 0 : Number(n)));
+		const millisecond =
+			m[7] === undefined ? 0 : Number(m[7].slice(0, 3).padEnd(3, "0"));
+		return toValidLocalDate(
+			[year, month, day, hour, minute, second, millisecond],
+			m[8] === "Z" ? "UTC" : m[8],
+		);
+	}
+
+	/** @type {Record<string, number>} */
+	const fields = {};
+	let timezone;
+	let pos = 0;
+	const readNumber = (/** @type {number} */ maxDigits) => {
+		const m = new RegExp(`^[+-]?\\d{1,${maxDigits}}`).exec(str.slice(pos));
+		if (!m) {
+			return null;
+		}
+		pos += m[0].length;
+		return Number(m[0]);
+	};
+
+	for (let i = 0; i < format.length; i++) {
+		if (format[i] !== "%") {
+			if (str[pos] !== format[i]) {
+				return null;
+			}
+			pos++;
+			continue;
+		}
+
+		const specifier = format[++i];
+		const numberField = dateFormatFields.get(specifier);
+		if (numberField !== undefined) {
+			const [field, digits] = numberField;
+			const n = readNumber(digits);
+			if (n === null) {
+				return null;
+			}
+			fields[field] = n;
+		} else if (specifier === "z") {
+			const m = /^[+-]\d{2}(?::?\d{2})?/.exec(str.slice(pos));
+			if (!m) {
+				return null;
+			}
+			timezone = m[0];
+			pos += m[0].length;
+		} else if (specifier === "Z") {
+			const n = readNumber(4);
+			if (n === null) {
+				return null;
+			}
+			timezone = formatUtcOffset(n * 60000);
+		} else if (specifier === "b" || specifier === "B") {
+			const month = monthNames.findIndex((name) => {
+				const candidate = specifier === "b" ? name.slice(0, 3) : name;
+				return (
+					str.slice(pos, pos + candidate.length).toLowerCase() ===
+					candidate.toLowerCase()
+				);
+			});
+			if (month === -1) {
+				return null;
+			}
+			fields.month = month + 1;
+			pos += specifier === "b" ? 3 : monthNames[month].length;
+		} else if (specifier === "%") {
+			if (str[pos] !== "%") {
+				return null;
+			}
+			pos++;
+		} else {
+			throw new SyntaxError(
+				`${op}: invalid format character '%${specifier ?? ""}' in format string`,
+			);
+		}
+	}
+	if (pos !== str.length) {
+		return null;
+	}
+
+	const time = [
+		fields.hour ?? 0,
+		fields.minute ?? 0,
+		fields.second ?? 0,
+		fields.millisecond ?? 0,
+	];
+	if ("isoWeekYear" in fields) {
+		const local = isoWeekDateToLocal(
+			fields.isoWeekYear,
+			fields.isoWeek ?? 1,
+			fields.isoDayOfWeek ?? 1,
+			time,
+		);
+		return { local, timezone };
+	}
+
+	const year = fields.year ?? 1970;
+	if ("dayOfYear" in fields) {
+		const local = toUtcMs(year, 1, fields.dayOfYear, 0, 0, 0, 0);
+		const date = new Date(local);
+		if (fields.dayOfYear < 1 || date.getUTCFullYear() !== year) {
+			return null;
+		}
+		return toValidLocalDate(
+			[year, date.getUTCMonth() + 1, date.getUTCDate(), ...time],
+			timezone,
+		);
+	}
+	return toValidLocalDate(
+		[year, fields.month ?? 1, fields.day ?? 1, ...time],
+		timezone,
+	);
+}
+
+/**
+ * Gets the local time of parsed date parts, checking they are in their valid
+ * range (no carrying over like $dateFromParts)
+ * @param {number[]} parts - year, month, day, hour, minute, second, millisecond
+ * @param {string | undefined} timezone - The timezone in the string
+ * @returns {{ local: number, timezone: string | undefined } | null}
+ */
+function toValidLocalDate(parts, timezone) {
+	const [year, month, day, hour, minute, second, millisecond] = parts;
+	const daysInMonth = new Date(
+		toUtcMs(year, month + 1, 0, 0, 0, 0, 0),
+	).getUTCDate();
+	const isValid =
+		month >= 1 &&
+		month <= 12 &&
+		day >= 1 &&
+		day <= daysInMonth &&
+		hour <= 23 &&
+		minute <= 59 &&
+		second <= 59 &&
+		millisecond <= 999;
+	if (!isValid) {
+		return null;
+	}
+
+	const local = toUtcMs(year, month, day, hour, minute, second, millisecond);
+	return { local, timezone };
+}
+
+/**
+ * Gets the local time of an ISO week date
+ * @param {number} isoWeekYear - The ISO week numbering year
+ * @param {number} isoWeek - The ISO week
+ * @param {number} isoDayOfWeek - The ISO day of week, 1 (Monday) to 7 (Sunday)
+ * @param {number[]} time - hour, minute, second, millisecond
+ * @returns {number} the local time in milliseconds, as if it was UTC
+ */
+function isoWeekDateToLocal(isoWeekYear, isoWeek, isoDayOfWeek, time) {
+	// January 4th is always in the first ISO week
+	const jan4 = new Date(toUtcMs(isoWeekYear, 1, 4, 0, 0, 0, 0));
+	const jan4IsoDay = jan4.getUTCDay() || 7;
+	const day = 4 - jan4IsoDay + 1 + (isoWeek - 1) * 7 + (isoDayOfWeek - 1);
+	const [hour, minute, second, millisecond] = time;
+	return toUtcMs(isoWeekYear, 1, day, hour, minute, second, millisecond);
+}
+
+/**
+ * $dateFromString: parses a date string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprDateFromString(args, vars) {
+	checkExprNamedArgs(
+		"$dateFromString",
+		args,
+		["dateString"],
+		["format", "timezone", "onError", "onNull"],
+	);
+	const dateString = evalExpr(args.dateString, vars);
+	const format = "format" in args ? evalExpr(args.format, vars) : undefined;
+	const timezone =
+		"timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+
+	if (format !== undefined && format !== null && typeof format !== "string") {
+		throw new TypeError(
+			`$dateFromString requires that 'format' be a string, found: ${getExprTypeName(format)}`,
+		);
+	}
+	const zone =
+		timezone === null ? null : getTimezone("$dateFromString", timezone);
+	if (isNil(dateString)) {
+		return "onNull" in args ? evalExpr(args.onNull, vars) : null;
+	}
+	if (format === null || zone === null) {
+		return null;
+	}
+
+	try {
+		if (typeof dateString !== "string") {
+			throw new TypeError(
+				`$dateFromString requires that 'dateString' be a string, found: ${getExprTypeName(dateString)} with value ${JSON.stringify(dateString)}`,
+			);
+		}
+
+		const parsed = parseDateString("$dateFromString", dateString, format);
+		if (parsed === null) {
+			throw new RangeError(
+				`$dateFromString: an incomplete date/time string has been found, with elements missing: "${dateString}"`,
+			);
+		}
+		if (parsed.timezone !== undefined && timezone !== undefined) {
+			throw new RangeError(
+				`$dateFromString: you cannot pass in a date/time string with time zone information ('${parsed.timezone}') together with a second timezone argument`,
+			);
+		}
+
+		const stringZone =
+			parsed.timezone === undefined
+				? zone
+				: getTimezone("$dateFromString", parsed.timezone);
+		return new Date(localToUtc(parsed.local, stringZone));
+	} catch (error) {
+		if ("onError" in args && !(error instanceof SyntaxError)) {
+			return evalExpr(args.onError, vars);
+		}
+		throw error;
+	}
+}
+
+/**
+ * $dateToParts: splits a date into an object of its parts
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {Record<string, number> | null}
+ */
+function exprDateToParts(args, vars) {
+	checkExprNamedArgs("$dateToParts", args, ["date"], ["timezone", "iso8601"]);
+	const date = evalExpr(args.date, vars);
+	const timezone =
+		"timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+	const iso8601 = "iso8601" in args ? evalExpr(args.iso8601, vars) : false;
+
+	if (isNil(date) || timezone === null || iso8601 === null) {
+		return null;
+	}
+	if (typeof iso8601 !== "boolean") {
+		throw new TypeError(
+			`$dateToParts requires 'iso8601' to be a boolean, found: ${getExprTypeName(iso8601)}`,
+		);
+	}
+
+	const parts = getDateParts(
+		toExprDate("$dateToParts", date),
+		getTimezone("$dateToParts", timezone),
+	);
+	const { hour, minute, second, millisecond } = parts;
+	if (iso8601) {
+		const { isoWeekYear, isoWeek, isoDayOfWeek } = parts;
+		return {
+			isoWeekYear,
+			isoWeek,
+			isoDayOfWeek,
+			hour,
+			minute,
+			second,
+			millisecond,
+		};
+	}
+	const { year, month, day } = parts;
+	return { year, month, day, hour, minute, second, millisecond };
+}
+
+/**
+ * $dateFromParts: builds a date from its parts, parts out of their range
+ * carry over (e.g. month 13 is January of the next year)
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {Date | null}
+ */
+function exprDateFromParts(args, vars) {
+	const time = ["hour", "minute", "second", "millisecond"];
+	const isIso = isPlainObject(args) && "isoWeekYear" in args;
+	const dateFields = isIso
+		? ["isoWeekYear", "isoWeek", "isoDayOfWeek"]
+		: ["year", "month", "day"];
+	checkExprNamedArgs(
+		"$dateFromParts",
+		args,
+		[dateFields[0]],
+		[...dateFields.slice(1), ...time, "timezone"],
+	);
+
+	const defaults = { month: 1, day: 1, isoWeek: 1, isoDayOfWeek: 1 };
+	const values = [];
+	for (const field of [...dateFields, ...time]) {
+		const v =
+			field in args ? evalExpr(args[field], vars) : (defaults[field] ?? 0);
+		if (isNil(v)) {
+			return null;
+		}
+
+		const [min, max] = field === dateFields[0] ? [1, 9999] : [-32768, 32767];
+		if (typeof v !== "number" || !Number.isInteger(v) || v < min || v > max) {
+			throw new RangeError(
+				`$dateFromParts: '${field}' must evaluate to an integer in the range ${min} to ${max}, found ${getExprTypeName(v)} ${v}`,
+			);
+		}
+		values.push(v);
+	}
+
+	const timezone =
+		"timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+	if (timezone === null) {
+		return null;
+	}
+
+	const [a, b, c, ...timeValues] = values;
+	const local = isIso
+		? isoWeekDateToLocal(a, b, c, timeValues)
+		: toUtcMs(
+				a,
+				b,
+				c,
+				timeValues[0],
+				timeValues[1],
+				timeValues[2],
+				timeValues[3],
+			);
+	return new Date(localToUtc(local, getTimezone("$dateFromParts", timezone)));
+}
+
+/**
+ * Checks that an evaluated value is a supported date unit
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} unit - The unit
+ * @returns {string}
+ */
+function toDateUnit(op, unit) {
+	if (
+		typeof unit !== "string" ||
+		!(fixedDateUnits.has(unit) || monthDateUnits.has(unit))
+	) {
+		throw new RangeError(`${op}: unknown time unit value: ${unit}`);
+	}
+	return unit;
+}
+
+/**
+ * Gets the index of a day of the week from its name, 0 for Sunday
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} startOfWeek - A day name, full or three letters, in any case
+ * @returns {number}
+ */
+function toDayOfWeek(op, startOfWeek) {
+	const day =
+		typeof startOfWeek === "string"
+			? dayNames.findIndex(
+					(name) =>
+						name === startOfWeek.toLowerCase() ||
+						name.slice(0, 3) === startOfWeek.toLowerCase(),
+				)
+			: -1;
+	if (day === -1) {
+		throw new RangeError(`${op}: unknown startOfWeek value: ${startOfWeek}`);
+	}
+	return day;
+}
+
+/**
+ * Adds an amount of a unit to a date; days, weeks and longer units are added to
+ * the local time in the timezone, months are clamped to the last day of the month
+ * @param {Date} date - The date
+ * @param {string} unit - The unit
+ * @param {number} amount - The amount, may be negative
+ * @param {(ms: number) => number} zone - The timezone, from getTimezone
+ * @returns {Date}
+ */
+function addToDate(date, unit, amount, zone) {
+	const unitMs = fixedDateUnits.get(unit);
+	if (unit !== "day" && unit !== "week" && unitMs !== undefined) {
+		return new Date(date.getTime() + amount * unitMs);
+	}
+
+	const parts = getDateParts(date, zone);
+	const { hour, minute, second, millisecond } = parts;
+	if (unitMs !== undefined) {
+		const days = amount * (unit === "week" ? 7 : 1);
+		const local = toUtcMs(
+			parts.year,
+			parts.month,
+			parts.day + days,
+			hour,
+			minute,
+			second,
+			millisecond,
+		);
+		return new Date(localToUtc(local, zone));
+	}
+
+	const months =
+		parts.year * 12 +
+		parts.month -
+		1 +
+		amount * (monthDateUnits.get(unit) ?? 1);
+	const year = Math.floor(months / 12);
+	const month = (((months % 12) + 12) % 12) + 1;
+	const daysInMonth = new Date(
+		toUtcMs(year, month + 1, 0, 0, 0, 0, 0),
+	).getUTCDate();
+	const local = toUtcMs(
+		year,
+		month,
+		Math.min(parts.day, daysInMonth),
+		hour,
+		minute,
+		second,
+		millisecond,
+	);
+	return new Date(localToUtc(local, zone));
+}
+
+/**
+ * Adds or subtracts an amount of a unit to a date for $dateAdd and $dateSubtract
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @param {number} sign - 1 to add, -1 to subtract
+ * @returns {Date | null}
+ */
+function dateAddExpr(op, args, vars, sign) {
+	checkExprNamedArgs(op, args, ["startDate", "unit", "amount"], ["timezone"]);
+	const startDate = evalExpr(args.startDate, vars);
+	const unit = evalExpr(args.unit, vars);
+	const amount = evalExpr(args.amount, vars);
+	const timezone =
+		"timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+
+	if (isNil(startDate) || isNil(unit) || isNil(amount) || timezone === null) {
+		return null;
+	}
+	if (typeof amount !== "number" || !Number.isInteger(amount)) {
+		throw new TypeError(
+			`${op} expects integer amount of time units, found: ${getExprTypeName(amount)}`,
+		);
+	}
+
+	return addToDate(
+		toExprDate(op, startDate),
+		toDateUnit(op, unit),
+		sign * amount,
+		getTimezone(op, timezone),
+	);
+}
+
+/**
+ * $dateAdd: adds an amount of a unit to a date
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {Date | null}
+ */
+function exprDateAdd(args, vars) {
+	return dateAddExpr("$dateAdd", args, vars, 1);
+}
+
+/**
+ * $dateSubtract: subtracts an amount of a unit from a date
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {Date | null}
+ */
+function exprDateSubtract(args, vars) {
+	return dateAddExpr("$dateSubtract", args, vars, -1);
+}
+
+/**
+ * Gets the number of days between the unix epoch and a local time
+ * @param {number} local - Local time in milliseconds, as if it was UTC
+ * @returns {number}
+ */
+function toEpochDays(local) {
+	return Math.floor(local / (fixedDateUnits.get("day") ?? 1));
+}
+
+/**
+ * $dateDiff: number of unit boundaries crossed between two dates
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprDateDiff(args, vars) {
+	checkExprNamedArgs(
+		"$dateDiff",
+		args,
+		["startDate", "endDate", "unit"],
+		["timezone", "startOfWeek"],
+	);
+	const startDate = evalExpr(args.startDate, vars);
+	const endDate = evalExpr(args.endDate, vars);
+	const unit = evalExpr(args.unit, vars);
+	const timezone =
+		"timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+	const startOfWeek =
+		"startOfWeek" in args ? evalExpr(args.startOfWeek, vars) : "sunday";
+
+	if (
+		isNil(startDate) ||
+		isNil(endDate) ||
+		isNil(unit) ||
+		timezone === null ||
+		startOfWeek === null
+	) {
+		return null;
+	}
+
+	const dateUnit = toDateUnit("$dateDiff", unit);
+	const zone = getTimezone("$dateDiff", timezone);
+	const start = getDateParts(toExprDate("$dateDiff", startDate), zone);
+	const end = getDateParts(toExprDate("$dateDiff", endDate), zone);
+
+	if (dateUnit === "week") {
+		// Epoch day 0 is a Thursday
+		const weekStart = toDayOfWeek("$dateDiff", startOfWeek);
+		const toWeeks = (/** @type {number} */ local) =>
+			Math.floor((toEpochDays(local) + 4 - weekStart) / 7);
+		return toWeeks(end.local) - toWeeks(start.local);
+	}
+	if (dateUnit === "day") {
+		return toEpochDays(end.local) - toEpochDays(start.local);
+	}
+
+	const unitMs = fixedDateUnits.get(dateUnit);
+	if (unitMs !== undefined) {
+		return Math.floor(end.local / unitMs) - Math.floor(start.local / unitMs);
+	}
+
+	const months = monthDateUnits.get(dateUnit) ?? 1;
+	const toUnits = (/** @type {typeof start} */ parts) =>
+		Math.floor((parts.year * 12 + parts.month - 1) / months);
+	return toUnits(end) - toUnits(start);
+}
+
+/**
+ * $dateTrunc: truncates a date to the start of its bin of binSize units,
+ * bins are counted from 2000-01-01T00:00:00 in the timezone
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {Date | null}
+ */
+function exprDateTrunc(args, vars) {
+	checkExprNamedArgs(
+		"$dateTrunc",
+		args,
+		["date", "unit"],
+		["binSize", "timezone", "startOfWeek"],
+	);
+	const date = evalExpr(args.date, vars);
+	const unit = evalExpr(args.unit, vars);
+	const binSize = "binSize" in args ? evalExpr(args.binSize, vars) : 1;
+	const timezone =
+		"timezone" in args ? evalExpr(args.timezone, vars) : undefined;
+	const startOfWeek =
+		"startOfWeek" in args ? evalExpr(args.startOfWeek, vars) : "sunday";
+
+	if (
+		isNil(date) ||
+		isNil(unit) ||
+		isNil(binSize) ||
+		timezone === null ||
+		startOfWeek === null
+	) {
+		return null;
+	}
+	if (
+		typeof binSize !== "number" ||
+		!Number.isInteger(binSize) ||
+		binSize <= 0
+	) {
+		throw new RangeError(
+			"$dateTrunc requires 'binSize' to be a 64-bit integer greater than 0",
+		);
+	}
+
+	const dateUnit = toDateUnit("$dateTrunc", unit);
+	const zone = getTimezone("$dateTrunc", timezone);
+	const parts = getDateParts(toExprDate("$dateTrunc", date), zone);
+	const reference = toUtcMs(2000, 1, 1, 0, 0, 0, 0);
+
+	const months = monthDateUnits.get(dateUnit);
+	if (months !== undefined) {
+		const bin = months * binSize;
+		const elapsed = (parts.year - 2000) * 12 + parts.month - 1;
+		const truncated = Math.floor(elapsed / bin) * bin;
+		const local = toUtcMs(2000, truncated + 1, 1, 0, 0, 0, 0);
+		return new Date(localToUtc(local, zone));
+	}
+
+	let start = reference;
+	if (dateUnit === "week") {
+		// Weeks are counted from the first startOfWeek day in 2000,
+		// 2000-01-01 is a Saturday
+		const weekStart = toDayOfWeek("$dateTrunc", startOfWeek);
+		start = toUtcMs(2000, 1, 1 + ((weekStart - 6 + 7) % 7), 0, 0, 0, 0);
+	}
+	const bin = (fixedDateUnits.get(dateUnit) ?? 1) * binSize;
+	const local = start + Math.floor((parts.local - start) / bin) * bin;
+	return new Date(localToUtc(local, zone));
+}
+
+/**
+ * Checks that a name can be used for a user defined variable: it must start
+ * with a lowercase ASCII letter or a non-ASCII character and only contain
+ * letters, digits and underscores
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} name - The variable name
+ * @returns {string}
+ */
+function checkExprVarName(op, name) {
+	if (typeof name !== "string" || name === "") {
+		throw new TypeError(`${op}: variable names must be non-empty strings`);
+	}
+	if (!/^[a-z\u0080-\uffff][\w\u0080-\uffff]*$/.test(name)) {
+		throw new SyntaxError(
+			`${op}: '${name}' is not a valid user variable name, it must start with a lowercase letter or a non-ASCII character`,
+		);
+	}
+	return name;
+}
+
+/**
+ * Checks that an evaluated operator input is an array
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} name - The argument name, used in error messages
+ * @param {any} v - The evaluated argument
+ * @returns {any[]}
+ */
+function checkExprArray(op, name, v) {
+	if (!Array.isArray(v)) {
+		throw new TypeError(
+			`${op} requires ${name} to be an array, found: ${getExprTypeName(v)}`,
+		);
+	}
+	return v;
+}
+
+/**
+ * Checks that an evaluated argument is an integer
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} name - The argument name, used in error messages
+ * @param {any} v - The evaluated argument
+ * @returns {number}
+ */
+function checkExprInteger(op, name, v) {
+	if (typeof v === "bigint") {
+		return Number(v);
+	}
+	if (typeof v !== "number" || !Number.isInteger(v)) {
+		throw new TypeError(
+			`${op} requires ${name} to be an integer, found: ${getExprTypeName(v)}`,
+		);
+	}
+	return v;
+}
+
+/**
+ * $filter: selects the elements of an array for which cond is truthy,
+ * the current element is bound to $$this or the variable named by as
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprFilter(args, vars) {
+	checkExprNamedArgs("$filter", args, ["input", "cond"], ["as", "limit"]);
+	const name = checkExprVarName("$filter", args.as ?? "this");
+	const input = evalExpr(args.input, vars);
+	const limit = "limit" in args ? evalExpr(args.limit, vars) : null;
+
+	if (isNil(input)) {
+		return null;
+	}
+	checkExprArray("$filter", "input", input);
+
+	let max = Number.POSITIVE_INFINITY;
+	if (!isNil(limit)) {
+		max = checkExprInteger("$filter", "limit", limit);
+		if (max < 1) {
+			throw new RangeError("$filter: limit must be greater than 0");
+		}
+	}
+
+	const results = [];
+	for (const item of input) {
+		if (results.length >= max) {
+			break;
+		}
+		if (isExprTruthy(evalExpr(args.cond, { ...vars, [name]: item }))) {
+			results.push(item);
+		}
+	}
+	return results;
+}
+
+/**
+ * $map: applies an expression to each element of an array,
+ * the current element is bound to $$this or the variable named by as
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprMap(args, vars) {
+	checkExprNamedArgs("$map", args, ["input", "in"], ["as"]);
+	const name = checkExprVarName("$map", args.as ?? "this");
+	const input = evalExpr(args.input, vars);
+
+	if (isNil(input)) {
+		return null;
+	}
+
+	return checkExprArray("$map", "input", input).map(
+		(item) => evalExpr(args.in, { ...vars, [name]: item }) ?? null,
+	);
+}
+
+/**
+ * $reduce: combines the elements of an array into a single value,
+ * the accumulated value is bound to $$value and the current element to $$this
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprReduce(args, vars) {
+	checkExprNamedArgs("$reduce", args, ["input", "initialValue", "in"]);
+	const input = evalExpr(args.input, vars);
+
+	if (isNil(input)) {
+		return null;
+	}
+
+	let value = evalExpr(args.initialValue, vars);
+	for (const item of checkExprArray("$reduce", "input", input)) {
+		value = evalExpr(args.in, { ...vars, value, this: item });
+	}
+	return value;
+}
+
+/**
+ * $size: number of elements in an array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number}
+ */
+function exprSize(args, vars) {
+	const [v] = evalExprArgs("$size", args, vars, 1);
+	if (!Array.isArray(v)) {
+		throw new TypeError(
+			`The argument to $size must be an array. Type of argument was: ${getExprTypeName(v)}`,
+		);
+	}
+	return v.length;
+}
+
+/**
+ * $arrayElemAt: element at an index, negative indexes count from the end
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any} the element, undefined if the index is out of bounds
+ */
+function exprArrayElemAt(args, vars) {
+	const [v, index] = evalExprArgs("$arrayElemAt", args, vars, 2);
+	if (isNil(v) || isNil(index)) {
+		return null;
+	}
+	checkExprArray("$arrayElemAt", "its first argument", v);
+	const i = checkExprInteger("$arrayElemAt", "its second argument", index);
+
+	return v[i < 0 ? v.length + i : i];
+}
+
+/**
+ * $first: first element of an array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any} the element, undefined if the array is empty
+ */
+function exprFirst(args, vars) {
+	const [v] = evalExprArgs("$first", args, vars, 1);
+	if (isNil(v)) {
+		return null;
+	}
+	return checkExprArray("$first", "its argument", v)[0];
+}
+
+/**
+ * $last: last element of an array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any} the element, undefined if the array is empty
+ */
+function exprLast(args, vars) {
+	const [v] = evalExprArgs("$last", args, vars, 1);
+	if (isNil(v)) {
+		return null;
+	}
+	return checkExprArray("$last", "its argument", v).at(-1);
+}
+
+/**
+ * $slice: a subset of an array, either [array, n] or [array, position, n]
+ * Negative n takes the last n elements, negative positions count from the end
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprSlice(args, vars) {
+	const values = evalExprArgs("$slice", args, vars, 2, 3);
+	if (values.some(isNil)) {
+		return null;
+	}
+
+	const v = checkExprArray("$slice", "its first argument", values[0]);
+	if (values.length === 2) {
+		const n = checkExprInteger("$slice", "its second argument", values[1]);
+		return n < 0 ? v.slice(Math.max(v.length + n, 0)) : v.slice(0, n);
+	}
+
+	const position = checkExprInteger("$slice", "its second argument", values[1]);
+	const n = checkExprInteger("$slice", "its third argument", values[2]);
+	if (n <= 0) {
+		throw new RangeError("$slice requires its third argument to be positive");
+	}
+	const start =
+		position < 0
+			? Math.max(v.length + position, 0)
+			: Math.min(position, v.length);
+	return v.slice(start, start + n);
+}
+
+/**
+ * $concatArrays: concatenates arrays
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprConcatArrays(args, vars) {
+	const values = evalExprArgs(
+		"$concatArrays",
+		args,
+		vars,
+		0,
+		Number.POSITIVE_INFINITY,
+	);
+	if (values.some(isNil)) {
+		return null;
+	}
+
+	return values.flatMap((v) =>
+		checkExprArray("$concatArrays", "its arguments", v),
+	);
+}
+
+/**
+ * $in: checks if a value is an element of an array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprIn(args, vars) {
+	const [v, array] = evalExprArgs("$in", args, vars, 2);
+	return checkExprArray("$in", "its second argument", array).some(
+		(item) => compareBson(item, v) === 0,
+	);
+}
+
+/**
+ * $indexOfArray: index of the first occurrence of a value in an array,
+ * optionally searching between a start and an end index, -1 if not found
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprIndexOfArray(args, vars) {
+	const [v, search, start, end] = evalExprArgs(
+		"$indexOfArray",
+		args,
+		vars,
+		2,
+		4,
+	);
+	if (isNil(v)) {
+		return null;
+	}
+	checkExprArray("$indexOfArray", "its first argument", v);
+
+	const from =
+		start === undefined ? 0 : checkExprIndex("$indexOfArray", "start", start);
+	const to =
+		end === undefined
+			? v.length
+			: Math.min(v.length, checkExprIndex("$indexOfArray", "end", end));
+
+	for (let i = from; i < to; i++) {
+		if (compareBson(v[i], search) === 0) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * $isArray: checks if a value is an array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprIsArray(args, vars) {
+	const [v] = evalExprArgs("$isArray", args, vars, 1);
+	return Array.isArray(v);
+}
+
+/**
+ * $range: integers from start (inclusive) to end (exclusive) with an optional step
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number[]}
+ */
+function exprRange(args, vars) {
+	const values = evalExprArgs("$range", args, vars, 2, 3);
+	const start = checkExprInteger("$range", "a starting value", values[0]);
+	const end = checkExprInteger("$range", "an ending value", values[1]);
+	const step =
+		values.length === 3 ? checkExprInteger("$range", "a step", values[2]) : 1;
+	if (step === 0) {
+		throw new RangeError("$range requires a non-zero step value");
+	}
+
+	const results = [];
+	for (let i = start; step > 0 ? i < end : i > end; i += step) {
+		results.push(i);
+	}
+	return results;
+}
+
+/**
+ * $reverseArray: elements of an array in reverse order
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprReverseArray(args, vars) {
+	const [v] = evalExprArgs("$reverseArray", args, vars, 1);
+	if (isNil(v)) {
+		return null;
+	}
+	return [...checkExprArray("$reverseArray", "its argument", v)].reverse();
+}
+
+/**
+ * $zip: transposes an array of arrays, truncating to the shortest array
+ * unless useLongestLength is set, in which case missing elements are
+ * taken from defaults or null
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[][] | null}
+ */
+function exprZip(args, vars) {
+	checkExprNamedArgs(
+		"$zip",
+		args,
+		["inputs"],
+		["useLongestLength", "defaults"],
+	);
+	const inputs = evalExpr(args.inputs, vars);
+	const useLongestLength =
+		"useLongestLength" in args ? evalExpr(args.useLongestLength, vars) : false;
+	const defaults = "defaults" in args ? evalExpr(args.defaults, vars) : null;
+
+	if (typeof useLongestLength !== "boolean") {
+		throw new TypeError(
+			`$zip requires useLongestLength to be a boolean, found: ${getExprTypeName(useLongestLength)}`,
+		);
+	}
+	if (isNil(inputs)) {
+		return null;
+	}
+	checkExprArray("$zip", "inputs", inputs);
+	if (inputs.some(isNil)) {
+		return null;
+	}
+	for (const input of inputs) {
+		checkExprArray("$zip", "each element of inputs", input);
+	}
+
+	let fill = inputs.map(() => null);
+	if (!isNil(defaults)) {
+		if (!useLongestLength) {
+			throw new TypeError(
+				"$zip: cannot specify defaults unless useLongestLength is true",
+			);
+		}
+		checkExprArray("$zip", "defaults", defaults);
+		if (defaults.length !== inputs.length) {
+			throw new RangeError("$zip: defaults and inputs must be the same length");
+		}
+		fill = defaults;
+	}
+
+	const lengths = inputs.map((input) => input.length);
+	const length =
+		inputs.length === 0
+			? 0
+			: useLongestLength
+				? Math.max(...lengths)
+				: Math.min(...lengths);
+	return Array.from({ length }, (_, i) =>
+		inputs.map((input, j) => (i < input.length ? input[i] : fill[j])),
+	);
+}
+
+/**
+ * $sortArray: sorts an array, either by whole values (sortBy 1 or -1)
+ * or by document fields (sortBy { field: 1 or -1, ... })
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprSortArray(args, vars) {
+	checkExprNamedArgs("$sortArray", args, ["input", "sortBy"]);
+	const { sortBy } = args;
+	const isDirection = (/** @type {any} */ v) => v === 1 || v === -1;
+	if (
+		!isDirection(sortBy) &&
+		!(
+			isPlainObject(sortBy) &&
+			Object.keys(sortBy).length > 0 &&
+			Object.values(sortBy).every(isDirection)
+		)
+	) {
+		throw new TypeError(
+			"$sortArray requires sortBy to be 1, -1 or an object of fields with 1 or -1",
+		);
+	}
+
+	const input = evalExpr(args.input, vars);
+	if (isNil(input)) {
+		return null;
+	}
+	checkExprArray("$sortArray", "input", input);
+
+	if (isDirection(sortBy)) {
+		return [...input].sort((a, b) => sortBy * compareBson(a, b));
+	}
+
+	const keys = Object.entries(sortBy).map(([path, direction]) => ({
+		path: path.split("."),
+		direction,
+	}));
+	return [...input].sort((a, b) => {
+		for (const { path, direction } of keys) {
+			const result = compareBson(
+				getExprField(a, path) ?? null,
+				getExprField(b, path) ?? null,
+			);
+			if (result !== 0) {
+				return direction * result;
+			}
+		}
+		return 0;
+	});
+}
+
+/**
+ * $arrayToObject: converts an array of [key, value] pairs or
+ * { k, v } documents into an object, later keys overwrite earlier ones
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {Record<string, any> | null}
+ */
+function exprArrayToObject(args, vars) {
+	const [v] = evalExprArgs("$arrayToObject", args, vars, 1);
+	if (isNil(v)) {
+		return null;
+	}
+	checkExprArray("$arrayToObject", "its argument", v);
+
+	const pairs = Array.isArray(v[0]);
+	/** @type {Record<string, any>} */
+	const result = {};
+	for (const item of v) {
+		let key;
+		let value;
+		if (pairs && Array.isArray(item) && item.length === 2) {
+			[key, value] = item;
+		} else if (
+			!pairs &&
+			isPlainObject(item) &&
+			Object.keys(item).length === 2 &&
+			"k" in item &&
+			"v" in item
+		) {
+			({ k: key, v: value } = item);
+		} else {
+			throw new TypeError(
+				"$arrayToObject requires an array of [key, value] pairs or an array of { k, v } documents",
+			);
+		}
+		if (typeof key !== "string") {
+			throw new TypeError(
+				`$arrayToObject requires keys to be strings, found: ${getExprTypeName(key)}`,
+			);
+		}
+		if (key.includes("\0")) {
+			throw new RangeError(
+				"$arrayToObject requires keys to not contain null bytes",
+			);
+		}
+		result[key] = value;
+	}
+	return result;
+}
+
+/**
+ * $objectToArray: converts an object into an array of { k, v } documents
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {{ k: string, v: any }[] | null}
+ */
+function exprObjectToArray(args, vars) {
+	const [v] = evalExprArgs("$objectToArray", args, vars, 1);
+	if (isNil(v)) {
+		return null;
+	}
+	if (getBsonType(v) !== "object") {
+		throw new TypeError(
+			`$objectToArray requires a document input, found: ${getExprTypeName(v)}`,
+		);
+	}
+	return Object.entries(v).map(([k, value]) => ({ k, v: value }));
+}
+
+/**
+ * Evaluates the arguments of $minN, $maxN, $firstN and $lastN
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {{ input: any[], n: number } | null} null if input is null or missing
+ */
+function evalNArgs(op, args, vars) {
+	checkExprNamedArgs(op, args, ["input", "n"]);
+	const input = evalExpr(args.input, vars);
+	const n = checkExprInteger(op, "n", evalExpr(args.n, vars));
+	if (n < 1) {
+		throw new RangeError(`${op} requires n to be greater than 0`);
+	}
+	if (isNil(input)) {
+		return null;
+	}
+
+	return { input: checkExprArray(op, "input", input), n };
+}
+
+/**
+ * $minN: the n smallest elements of an array in ascending order,
+ * null and missing elements are ignored
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprMinN(args, vars) {
+	const nArgs = evalNArgs("$minN", args, vars);
+	if (nArgs === null) {
+		return null;
+	}
+	return nArgs.input
+		.filter((v) => !isNil(v))
+		.sort(compareBson)
+		.slice(0, nArgs.n);
+}
+
+/**
+ * $maxN: the n largest elements of an array in descending order,
+ * null and missing elements are ignored
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprMaxN(args, vars) {
+	const nArgs = evalNArgs("$maxN", args, vars);
+	if (nArgs === null) {
+		return null;
+	}
+	return nArgs.input
+		.filter((v) => !isNil(v))
+		.sort((a, b) => compareBson(b, a))
+		.slice(0, nArgs.n);
+}
+
+/**
+ * $firstN: the first n elements of an array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprFirstN(args, vars) {
+	const nArgs = evalNArgs("$firstN", args, vars);
+	return nArgs === null ? null : nArgs.input.slice(0, nArgs.n);
+}
+
+/**
+ * $lastN: the last n elements of an array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprLastN(args, vars) {
+	const nArgs = evalNArgs("$lastN", args, vars);
+	return nArgs === null ? null : nArgs.input.slice(-nArgs.n);
+}
+
+/**
+ * $cond: evaluates then if the condition is truthy, else otherwise
+ * Accepts { if, then, else } or [if, then, else]
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprCond(args, vars) {
+	let branches = args;
+	if (Array.isArray(args)) {
+		if (args.length !== 3) {
+			throw new TypeError(
+				`Expression $cond takes exactly 3 arguments. ${args.length} were passed in.`,
+			);
+		}
+		const [cond, then, otherwise] = args;
+		branches = { if: cond, then, else: otherwise };
+	}
+	checkExprNamedArgs("$cond", branches, ["if", "then", "else"]);
+
+	return isExprTruthy(evalExpr(branches.if, vars))
+		? evalExpr(branches.then, vars)
+		: evalExpr(branches.else, vars);
+}
+
+/**
+ * $switch: evaluates the then of the first branch whose case is truthy,
+ * or default if no case matches
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprSwitch(args, vars) {
+	checkExprNamedArgs("$switch", args, ["branches"], ["default"]);
+	if (!Array.isArray(args.branches)) {
+		throw new TypeError("$switch expected an array for 'branches'");
+	}
+
+	for (const branch of args.branches) {
+		checkExprNamedArgs("$switch", branch, ["case", "then"]);
+		if (isExprTruthy(evalExpr(branch.case, vars))) {
+			return evalExpr(branch.then, vars);
+		}
+	}
+
+	if (!("default" in args)) {
+		throw new RangeError(
+			"$switch could not find a matching branch for an input, and no default was specified.",
+		);
+	}
+	return evalExpr(args.default, vars);
+}
+
+/**
+ * $ifNull: the first input that is not null or missing,
+ * the last argument is the replacement if all inputs are null or missing
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprIfNull(args, vars) {
+	if (!Array.isArray(args) || args.length < 2) {
+		throw new TypeError("$ifNull needs at least two arguments");
+	}
+
+	for (const input of args.slice(0, -1)) {
+		const v = evalExpr(input, vars);
+		if (!isNil(v)) {
+			return v;
+		}
+	}
+	return evalExpr(args.at(-1), vars);
+}
+
+/**
+ * $let: binds variables for use in the in expression,
+ * the variables are evaluated in the enclosing scope
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprLet(args, vars) {
+	checkExprNamedArgs("$let", args, ["vars", "in"]);
+	if (!isPlainObject(args.vars)) {
+		throw new TypeError("$let: invalid parameter: expected an object (vars)");
+	}
+
+	/** @type {Record<string, any>} */
+	const scope = { ...vars };
+	for (const [name, expr] of Object.entries(args.vars)) {
+		scope[checkExprVarName("$let", name)] = evalExpr(expr, vars);
+	}
+	return evalExpr(args.in, scope);
+}
+
+/**
+ * $and: true if all arguments are truthy, stops at the first falsy argument
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprAnd(args, vars) {
+	const list = Array.isArray(args) ? args : [args];
+	return list.every((arg) => isExprTruthy(evalExpr(arg, vars)));
+}
+
+/**
+ * $or: true if any argument is truthy, stops at the first truthy argument
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprOr(args, vars) {
+	const list = Array.isArray(args) ? args : [args];
+	return list.some((arg) => isExprTruthy(evalExpr(arg, vars)));
+}
+
+/**
+ * $not: true if the argument is falsy
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprNot(args, vars) {
+	const [v] = evalExprArgs("$not", args, vars, 1);
+	return !isExprTruthy(v);
+}
+
+/**
+ * Creates a value with the interface of a bson package ObjectId
+ * @param {string} hex - 24 hexadecimal characters
+ * @returns {{ _bsontype: "ObjectId", toHexString: () => string, getTimestamp: () => Date }}
+ */
+function createObjectId(hex) {
+	const id = hex.toLowerCase();
+	return {
+		_bsontype: "ObjectId",
+		toHexString: () => id,
+		getTimestamp: () => new Date(Number.parseInt(id.slice(0, 8), 16) * 1000),
+	};
+}
+
+/**
+ * Throws the error for a conversion that is not in the conversion table
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value that was being converted
+ * @param {string} to - The BSON type alias it was converted to
+ * @returns {never}
+ */
+function throwUnsupportedConversion(op, v, to) {
+	throw new TypeError(
+		`${op}: Unsupported conversion from ${getExprTypeName(v)} to ${to} in $convert with no onError value`,
+	);
+}
+
+/**
+ * Truncates a number to an integer, checking it is within a range
+ * @param {string} op - The operator name, used in error messages
+ * @param {number} v - The number to truncate
+ * @param {number} min - Smallest allowed result
+ * @param {number} max - Largest allowed result
+ * @returns {number}
+ */
+function truncateInRange(op, v, min, max) {
+	if (!Number.isFinite(v)) {
+		throw new RangeError(
+			`${op}: Attempt to convert ${v} value to integer type in $convert with no onError value`,
+		);
+	}
+	const truncated = Math.trunc(v);
+	if (truncated < min || truncated > max) {
+		throw new RangeError(
+			`${op}: Conversion would overflow target type in $convert with no onError value`,
+		);
+	}
+	return truncated;
+}
+
+/**
+ * Parses a base 10 integer string
+ * @param {string} op - The operator name, used in error messages
+ * @param {string} v - The string to parse
+ * @returns {bigint}
+ */
+function parseIntegerString(op, v) {
+	if (!/^[+-]?\d+$/.test(v)) {
+		throw new RangeError(
+			`${op}: Failed to parse number '${v}' in $convert with no onError value: Did not consume whole string.`,
+		);
+	}
+	return BigInt(v);
+}
+
+/**
+ * Converts a value to a boolean, numbers are true unless zero,
+ * strings, dates and ObjectIds are always true
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
  * @returns {boolean}
  */
-function isNil(v) {
-	return v === null || v === undefined;
+function convertToBool(op, v) {
+	switch (getBsonType(v)) {
+		case "bool":
+			return v;
+		case "int":
+		case "double":
+			return v !== 0;
+		case "long":
+			return v !== 0n;
+		case "string":
+		case "date":
+		case "objectId":
+			return true;
+		default:
+			return throwUnsupportedConversion(op, v, "bool");
+	}
+}
+
+/**
+ * Converts a value to a 32-bit integer, doubles are truncated
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
+ * @returns {number}
+ */
+function convertToInt(op, v) {
+	const min = -0x80000000;
+	const max = 0x7fffffff;
+	switch (getBsonType(v)) {
+		case "bool":
+			return Number(v);
+		case "int":
+		case "double":
+			return truncateInRange(op, v, min, max);
+		case "long":
+			return truncateInRange(op, Number(v), min, max);
+		case "string": {
+			const n = parseIntegerString(op, v);
+			if (n < BigInt(min) || n > BigInt(max)) {
+				throw new RangeError(
+					`${op}: Failed to parse number '${v}' in $convert with no onError value: Overflow`,
+				);
+			}
+			return Number(n);
+		}
+		default:
+			return throwUnsupportedConversion(op, v, "int");
+	}
+}
+
+/**
+ * Converts a value to a 64-bit integer (bigint), doubles are truncated
+ * and dates become milliseconds since the unix epoch
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
+ * @returns {bigint}
+ */
+function convertToLong(op, v) {
+	const min = -(2n ** 63n);
+	const max = 2n ** 63n - 1n;
+	switch (getBsonType(v)) {
+		case "bool":
+			return BigInt(v);
+		case "int":
+			return BigInt(v);
+		case "double": {
+			// 2^63 is the smallest double above the long range
+			const n = truncateInRange(op, v, Number(min), Number(max));
+			if (n >= 2 ** 63) {
+				throw new RangeError(
+					`${op}: Conversion would overflow target type in $convert with no onError value`,
+				);
+			}
+			return BigInt(n);
+		}
+		case "long":
+			return v;
+		case "date":
+			return BigInt(v.getTime());
+		case "string": {
+			const n = parseIntegerString(op, v);
+			if (n < min || n > max) {
+				throw new RangeError(
+					`${op}: Failed to parse number '${v}' in $convert with no onError value: Overflow`,
+				);
+			}
+			return n;
+		}
+		default:
+			return throwUnsupportedConversion(op, v, "long");
+	}
+}
+
+/**
+ * Converts a value to a double, dates become milliseconds since the unix epoch
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
+ * @param {string} [to] - The target BSON type alias, used in error messages
+ * @returns {number}
+ */
+function convertToDouble(op, v, to = "double") {
+	switch (getBsonType(v)) {
+		case "bool":
+			return Number(v);
+		case "int":
+		case "double":
+			return v;
+		case "long":
+			return Number(v);
+		case "date":
+			return v.getTime();
+		case "string": {
+			const special = specialDoubleStrings.get(v.toLowerCase());
+			if (special !== undefined) {
+				return special;
+			}
+			if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(v)) {
+				throw new RangeError(
+					`${op}: Failed to parse number '${v}' in $convert with no onError value: Did not consume whole string.`,
+				);
+			}
+			const n = Number(v);
+			if (!Number.isFinite(n)) {
+				throw new RangeError(
+					`${op}: Failed to parse number '${v}' in $convert with no onError value: Out of range`,
+				);
+			}
+			return n;
+		}
+		default:
+			return throwUnsupportedConversion(op, v, to);
+	}
+}
+
+/**
+ * Converts a value to a string, dates are formatted as ISO 8601
+ * and ObjectIds as hexadecimal
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
+ * @returns {string}
+ */
+function convertToString(op, v) {
+	switch (getBsonType(v)) {
+		case "bool":
+		case "int":
+		case "long":
+		case "string":
+			return String(v);
+		case "double":
+			return Object.is(v, -0) ? "-0" : String(v);
+		case "date":
+			return v.toISOString();
+		case "objectId":
+			return v.toHexString();
+		default:
+			return throwUnsupportedConversion(op, v, "string");
+	}
+}
+
+/**
+ * Converts a value to a date, numbers are milliseconds since the unix epoch,
+ * strings are parsed like $dateFromString and ObjectIds give their timestamp
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
+ * @returns {Date}
+ */
+function convertToDate(op, v) {
+	let ms;
+	switch (getBsonType(v)) {
+		case "date":
+			return v;
+		case "double":
+			ms = Math.trunc(v);
+			break;
+		case "long":
+			ms = Number(v);
+			break;
+		case "objectId":
+			return v.getTimestamp();
+		case "string": {
+			const parsed = parseDateString(op, v, undefined);
+			if (parsed === null) {
+				throw new RangeError(
+					`${op}: Error parsing date string '${v}' in $convert with no onError value`,
+				);
+			}
+			ms = localToUtc(parsed.local, getTimezone(op, parsed.timezone));
+			break;
+		}
+		default:
+			return throwUnsupportedConversion(op, v, "date");
+	}
+
+	const date = new Date(ms);
+	if (Number.isNaN(date.getTime())) {
+		throw new RangeError(
+			`${op}: Conversion would overflow target type in $convert with no onError value`,
+		);
+	}
+	return date;
+}
+
+/**
+ * Converts a value to an ObjectId, strings must be 24 hexadecimal characters
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
+ * @returns {any}
+ */
+function convertToObjectId(op, v) {
+	switch (getBsonType(v)) {
+		case "objectId":
+			return v;
+		case "string":
+			if (v.length !== 24) {
+				throw new RangeError(
+					`${op}: Failed to parse objectId '${v}' in $convert with no onError value: Invalid string length for parsing to OID, expected 24 but found ${v.length}`,
+				);
+			}
+			if (!/^[0-9a-f]{24}$/i.test(v)) {
+				throw new RangeError(
+					`${op}: Failed to parse objectId '${v}' in $convert with no onError value: Invalid character found in hex string`,
+				);
+			}
+			return createObjectId(v);
+		default:
+			return throwUnsupportedConversion(op, v, "objectId");
+	}
+}
+
+/**
+ * Converts a value to the given BSON type following the $convert conversion table
+ * Decimals are represented as JS numbers, like doubles, and the numbers of the
+ * bson package are converted like the JS numbers they hold, see toExprNumber
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} v - The value to convert, not null or missing
+ * @param {string} to - The BSON type alias to convert to
+ * @returns {any}
+ */
+function convertValue(op, v, to) {
+	if (to === "string" && v?._bsontype === "Decimal128") {
+		// Keeps the digits of the decimal, e.g. 1.10
+		return v.toString();
+	}
+
+	const value = toExprNumber(v);
+	switch (to) {
+		case "bool":
+			return convertToBool(op, value);
+		case "int":
+			return convertToInt(op, value);
+		case "long":
+			return convertToLong(op, value);
+		case "double":
+		case "decimal":
+			return convertToDouble(op, value, to);
+		case "string":
+			return convertToString(op, value);
+		case "date":
+			return convertToDate(op, value);
+		case "objectId":
+			return convertToObjectId(op, value);
+		default:
+			return throwUnsupportedConversion(op, value, to);
+	}
+}
+
+/**
+ * $convert: converts a value to a type given by alias or number,
+ * onNull is returned for null or missing input and onError for failed conversions
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprConvert(args, vars) {
+	checkExprNamedArgs("$convert", args, ["input", "to"], ["onError", "onNull"]);
+	const input = evalExpr(args.input, vars);
+	const to = evalExpr(args.to, vars);
+
+	if (isNil(to)) {
+		return null;
+	}
+	const alias =
+		typeof to === "number"
+			? [...bsonTypes].find(([, code]) => code === to)?.[0]
+			: to;
+	if (typeof alias !== "string" || !bsonTypes.has(alias)) {
+		throw new TypeError(
+			`$convert: Unknown type name: ${typeof to === "string" ? to : getExprTypeName(to)}`,
+		);
+	}
+	if (isNil(input)) {
+		return "onNull" in args ? evalExpr(args.onNull, vars) : null;
+	}
+
+	try {
+		return convertValue("$convert", input, alias);
+	} catch (error) {
+		if ("onError" in args) {
+			return evalExpr(args.onError, vars);
+		}
+		throw error;
+	}
+}
+
+/**
+ * Evaluates the argument of a $toType shorthand and converts it
+ * @param {string} op - The operator name, used in error messages
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @param {string} to - The BSON type alias to convert to
+ * @returns {any} null if the argument is null or missing
+ */
+function convertExpr(op, args, vars, to) {
+	const [v] = evalExprArgs(op, args, vars, 1);
+	return isNil(v) ? null : convertValue(op, v, to);
+}
+
+/**
+ * $toBool: converts a value to a boolean
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean | null}
+ */
+function exprToBool(args, vars) {
+	return convertExpr("$toBool", args, vars, "bool");
+}
+
+/**
+ * $toInt: converts a value to a 32-bit integer
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprToInt(args, vars) {
+	return convertExpr("$toInt", args, vars, "int");
 }
 
 /**
- * Matches if the document matches all the given queries
- * @param {any} doc - The document to match against
- * @param {string} path - The path to match against
- * @param {any} ov - The queries to match against
+ * $toLong: converts a value to a 64-bit integer
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {bigint | null}
+ */
+function exprToLong(args, vars) {
+	return convertExpr("$toLong", args, vars, "long");
+}
+
+/**
+ * $toDouble: converts a value to a double
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprToDouble(args, vars) {
+	return convertExpr("$toDouble", args, vars, "double");
+}
+
+/**
+ * $toDecimal: converts a value to a decimal, represented as a JS number
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {number | null}
+ */
+function exprToDecimal(args, vars) {
+	return convertExpr("$toDecimal", args, vars, "decimal");
+}
+
+/**
+ * $toString: converts a value to a string
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string | null}
+ */
+function exprToString(args, vars) {
+	return convertExpr("$toString", args, vars, "string");
+}
+
+/**
+ * $toDate: converts a value to a date
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {Date | null}
+ */
+function exprToDate(args, vars) {
+	return convertExpr("$toDate", args, vars, "date");
+}
+
+/**
+ * $toObjectId: converts a value to an ObjectId
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any}
+ */
+function exprToObjectId(args, vars) {
+	return convertExpr("$toObjectId", args, vars, "objectId");
+}
+
+/**
+ * $type: BSON type alias of a value, "missing" if it is missing
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {string}
+ */
+function exprType(args, vars) {
+	const [v] = evalExprArgs("$type", args, vars, 1);
+	return getExprTypeName(v);
+}
+
+/**
+ * $isNumber: checks if a value is an int, long, double or decimal
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
  * @returns {boolean}
  */
-function matchAnd(doc, path, ov) {
-	if (!validateQueryOps(ov)) {
-		return false;
+function exprIsNumber(args, vars) {
+	const [v] = evalExprArgs("$isNumber", args, vars, 1);
+	return numberTypes.includes(getBsonType(v) ?? "");
+}
+
+/**
+ * Removes duplicate values, values that compare equal in BSON order
+ * (e.g. 1 and 1.0, or objects with the same fields in the same order) are duplicates
+ * @param {any[]} values - The values to de-duplicate
+ * @returns {any[]} the first occurrence of each value, in order
+ */
+function uniqueBson(values) {
+	const results = [];
+	for (const v of values) {
+		if (!includesBson(results, v)) {
+			results.push(v);
+		}
 	}
+	return results;
+}
+
+/**
+ * Checks if a value is an element of an array, comparing in BSON order
+ * @param {any[]} array - The array to search
+ * @param {any} v - The value to find
+ * @returns {boolean}
+ */
+function includesBson(array, v) {
+	return array.some((item) => compareBson(item, v) === 0);
+}
 
-	return ov.every((cond) => matchCond(cond, doc));
+/**
+ * Checks that the evaluated arguments of a set operator are all arrays
+ * @param {string} op - The operator name, used in error messages
+ * @param {any[]} values - The evaluated arguments
+ * @returns {any[][]}
+ */
+function checkSetArrays(op, values) {
+	for (const v of values) {
+		if (!Array.isArray(v)) {
+			throw new TypeError(
+				`All operands of ${op} must be arrays. One argument is of type: ${getExprTypeName(v)}`,
+			);
+		}
+	}
+	return values;
 }
 
 /**
- * Matches if the document matches any of the given queries
- * @param {any} doc - The document to match against
- * @param {string} path - The path to match against
- * @param {any} ov - The queries to match against
+ * $setEquals: checks if all arrays contain the same distinct elements
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
  * @returns {boolean}
  */
-function matchOr(doc, path, ov) {
-	if (!validateQueryOps(ov)) {
-		return false;
+function exprSetEquals(args, vars) {
+	const values = evalExprArgs(
+		"$setEquals",
+		args,
+		vars,
+		2,
+		Number.POSITIVE_INFINITY,
+	);
+	const [first, ...rest] = checkSetArrays("$setEquals", values);
+	return rest.every(
+		(set) =>
+			set.every((v) => includesBson(first, v)) &&
+			first.every((v) => includesBson(set, v)),
+	);
+}
+
+/**
+ * $setIntersection: distinct elements that are in all arrays
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprSetIntersection(args, vars) {
+	const values = evalExprArgs(
+		"$setIntersection",
+		args,
+		vars,
+		0,
+		Number.POSITIVE_INFINITY,
+	);
+	if (values.some(isNil)) {
+		return null;
+	}
+	if (values.length === 0) {
+		return [];
 	}
 
-	return ov.some((cond) => matchCond(cond, doc));
+	const [first, ...rest] = checkSetArrays("$setIntersection", values);
+	return uniqueBson(first).filter((v) =>
+		rest.every((set) => includesBson(set, v)),
+	);
 }
 
 /**
- * Matches if the document does not match any of the given queries
- * @param {any} doc - The document to match against
- * @param {string} path - The path to match against
- * @param {any} ov - The queries to match against
- * @returns {boolean}
+ * $setUnion: distinct elements that are in any array
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
  */
-function matchNor(doc, path, ov) {
-	if (!validateQueryOps(ov)) {
-		return false;
+function exprSetUnion(args, vars) {
+	const values = evalExprArgs(
+		"$setUnion",
+		args,
+		vars,
+		0,
+		Number.POSITIVE_INFINITY,
+	);
+	if (values.some(isNil)) {
+		return null;
 	}
 
-	return !ov.some((cond) => matchCond(cond, doc));
+	return uniqueBson(checkSetArrays("$setUnion", values).flat(1));
 }
 
 /**
- * Matches if the document does not match the given query
- * @param {any} doc - Document to check
- * @param {string} path - Path to the value
- * @param {any} query - Value to match against
+ * $setDifference: distinct elements of the first array that are not in the second
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {any[] | null}
+ */
+function exprSetDifference(args, vars) {
+	const values = evalExprArgs("$setDifference", args, vars, 2);
+	if (values.some(isNil)) {
+		return null;
+	}
+
+	const [first, second] = checkSetArrays("$setDifference", values);
+	return uniqueBson(first).filter((v) => !includesBson(second, v));
+}
+
+/**
+ * $setIsSubset: checks if all elements of the first array are in the second
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
  * @returns {boolean}
  */
-function matchNot(doc, path, query) {
-	return !matchCond({ [path]: query }, doc);
+function exprSetIsSubset(args, vars) {
+	const values = evalExprArgs("$setIsSubset", args, vars, 2);
+	const [first, second] = checkSetArrays("$setIsSubset", values);
+	return first.every((v) => includesBson(second, v));
 }
 
 /**
- * Matches if the value at the given path is equal to the queried value
- * @param {any} doc - The document/value to check
- * @param {string[]} path - Array of path segments
- * @param {any} ov - The value to match against
+ * $anyElementTrue: checks if any element of an array is truthy,
+ * nested arrays are not descended into
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
  * @returns {boolean}
  */
-function matchEq(doc, path, ov) {
-	if (path.length === 0) {
-		if (Array.isArray(doc) && doc.some((d) => matchEq(d, path, ov))) {
-			return true;
+function exprAnyElementTrue(args, vars) {
+	const [v] = evalExprArgs("$anyElementTrue", args, vars, 1);
+	return checkExprArray("$anyElementTrue", "its argument", v).some(
+		isExprTruthy,
+	);
+}
+
+/**
+ * $allElementTrue: checks if all elements of an array are truthy,
+ * nested arrays are not descended into
+ * @param {any} args - Operator arguments
+ * @param {Record<string, any>} vars - Variables in scope
+ * @returns {boolean}
+ */
+function exprAllElementTrue(args, vars) {
+	const [v] = evalExprArgs("$allElementTrue", args, vars, 1);
+	return checkExprArray("$allElementTrue", "its argument", v).every(
+		isExprTruthy,
+	);
+}
+
+/**
+ * Finds the $text operand of a query, at the top level or inside $and and $or
+ * @param {Record<string, any>} query - The query to search
+ * @returns {Record<string, any> | undefined}
+ */
+function findTextSearch(query) {
+	if (!isPlainObject(query)) {
+		return undefined;
+	}
+	if ("$text" in query) {
+		return query.$text;
+	}
+
+	for (const op of ["$and", "$or"]) {
+		if (Array.isArray(query[op])) {
+			for (const cond of query[op]) {
+				const search = findTextSearch(cond);
+				if (search !== undefined) {
+					return search;
+				}
+			}
 		}
+	}
+	return undefined;
+}
 
-		if (ov instanceof RegExp && typeof doc === "string") {
-			if (ov.test(doc)) {
-				return true;
+/**
+ * Normalizes text for comparison: removes diacritics unless diacriticSensitive
+ * and lowercases unless caseSensitive
+ * @param {string} text - The text to normalize
+ * @param {boolean} caseSensitive - Keeps the case
+ * @param {boolean} diacriticSensitive - Keeps the diacritics
+ * @returns {string}
+ */
+function normalizeText(text, caseSensitive, diacriticSensitive) {
+	const folded = diacriticSensitive
+		? text
+		: text.normalize("NFD").replace(/\p{M}/gu, "").normalize("NFC");
+	return caseSensitive ? folded : folded.toLowerCase();
+}
+
+/**
+ * Splits text into words, any character that is not a letter, number
+ * or combining mark is a delimiter
+ * @param {string} text - The text to split
+ * @returns {string[]}
+ */
+function tokenizeText(text) {
+	return text.match(/[\p{L}\p{N}\p{M}]+/gu) ?? [];
+}
+
+/**
+ * Converts a normalized word into the term it is searched and scored by
+ * @param {string} word - The normalized word
+ * @param {boolean} stem - Stems the word and ignores English stop words
+ * @returns {string | null} null if the word is a stop word
+ */
+function toTextTerm(word, stem) {
+	if (!stem) {
+		return word;
+	}
+
+	const lower = word.toLowerCase();
+	if (englishStopWords.has(lower)) {
+		return null;
+	}
+
+	// Stems the lowercase word, keeping the case of the word where the stem
+	// still matches it so case sensitive searches compare the original case
+	const stemmed = stemEnglish(lower);
+	return [...stemmed]
+		.map((c, i) => (word[i]?.toLowerCase() === c ? word[i] : c))
+		.join("");
+}
+
+/**
+ * @typedef {object} TextSearch
+ * @property {Set<string>} positiveTerms - Terms of which any must be present,
+ *   including the words of positive phrases
+ * @property {Set<string>} negatedTerms - Terms that must not be present
+ * @property {string[]} positivePhrases - Phrases that must all be present,
+ *   normalized like the searched text
+ * @property {string[]} negatedPhrases - Phrases that must not be present,
+ *   normalized like the searched text
+ * @property {Set<string>} scoreTerms - Positive terms, case and diacritic insensitive
+ * @property {boolean} stem - Whether words are stemmed and stop words ignored
+ * @property {boolean} caseSensitive - Whether the search is case sensitive
+ * @property {boolean} diacriticSensitive - Whether the search is diacritic sensitive
+ */
+
+/**
+ * Parses a $text operand: words are ORed, "quoted phrases" are ANDed and
+ * words or phrases prefixed with - are negated
+ * @param {Record<string, any>} ov - The $text operand
+ * @returns {TextSearch}
+ */
+function parseTextSearch(ov) {
+	const caseSensitive = ov.$caseSensitive === true;
+	const diacriticSensitive = ov.$diacriticSensitive === true;
+	const stem = textLanguages.get(ov.$language ?? "english") ?? true;
+
+	/** @type {TextSearch} */
+	const search = {
+		positiveTerms: new Set(),
+		negatedTerms: new Set(),
+		positivePhrases: [],
+		negatedPhrases: [],
+		scoreTerms: new Set(),
+		stem,
+		caseSensitive,
+		diacriticSensitive,
+	};
+
+	const addTerm = (
+		/** @type {string} */ word,
+		/** @type {boolean} */ negated,
+	) => {
+		const term = toTextTerm(
+			normalizeText(word, caseSensitive, diacriticSensitive),
+			stem,
+		);
+		if (term === null) {
+			return;
+		}
+		if (negated) {
+			search.negatedTerms.add(term);
+			return;
+		}
+		search.positiveTerms.add(term);
+		const scoreTerm = toTextTerm(normalizeText(word, false, false), stem);
+		if (scoreTerm !== null) {
+			search.scoreTerms.add(scoreTerm);
+		}
+	};
+
+	const { $search } = ov;
+	let inPhrase = false;
+	let inNegation = false;
+	let phraseStart = 0;
+	let previousWhitespace = true;
+	for (const m of $search.matchAll(/\s+|[\p{L}\p{N}\p{M}]+|./gu)) {
+		const [token] = m;
+		const index = m.index ?? 0;
+
+		if (/^\s/.test(token)) {
+			previousWhitespace = true;
+			continue;
+		}
+
+		if (/^[\p{L}\p{N}\p{M}]/u.test(token)) {
+			// Words of negated phrases are only used to match the phrase
+			if (!(inPhrase && inNegation)) {
+				addTerm(token, inNegation);
+			}
+			if (!inPhrase) {
+				inNegation = false;
+			}
+		} else if (token === "-") {
+			if (!inPhrase && previousWhitespace) {
+				inNegation = true;
+			}
+		} else if (token === '"') {
+			if (inPhrase) {
+				const phrase = normalizeText(
+					$search.slice(phraseStart, index),
+					caseSensitive,
+					diacriticSensitive,
+				);
+				if (inNegation) {
+					search.negatedPhrases.push(phrase);
+				} else {
+					search.positivePhrases.push(phrase);
+				}
+				inNegation = false;
+			} else {
+				phraseStart = index + 1;
 			}
+			inPhrase = !inPhrase;
 		}
+		previousWhitespace = false;
+	}
+
+	return search;
+}
 
-		return deepEqual(doc, ov);
+/**
+ * Gets the parsed search of a $text operand, parsing it once per operand
+ * @param {Record<string, any>} ov - The $text operand
+ * @returns {TextSearch}
+ */
+function getTextSearch(ov) {
+	const source = [
+		ov.$search,
+		ov.$language,
+		ov.$caseSensitive,
+		ov.$diacriticSensitive,
+	];
+	const parsed = parsedTextSearches.get(ov);
+	if (parsed?.source.every((v, i) => v === source[i])) {
+		return parsed.search;
 	}
 
-	const key = path[0];
-	const rest = path.slice(1);
+	const search = parseTextSearch(ov);
+	parsedTextSearches.set(ov, { source, search });
+	return search;
+}
 
-	if (typeof doc === "object" && doc !== null && key in doc) {
-		return matchEq(doc[key], rest, ov);
+/**
+ * Gets the text values and their weights of the fields searched by $text,
+ * strings in arrays are included
+ * @param {any} doc - The document
+ * @param {QueryOptions} options - Query options
+ * @returns {{ text: string, weight: number }[]}
+ */
+function getTextFields(doc, options) {
+	/** @type {{ text: string, weight: number }[]} */
+	const fields = [];
+	/** @type {(v: any, path: string[], weight: number) => void} */
+	const collect = (v, path, weight) => {
+		if (path.length === 0) {
+			if (typeof v === "string") {
+				fields.push({ text: v, weight });
+			} else if (Array.isArray(v)) {
+				for (const item of v) {
+					if (typeof item === "string") {
+						fields.push({ text: item, weight });
+					}
+				}
+			}
+			return;
+		}
+		if (Array.isArray(v)) {
+			for (const item of v) {
+				collect(item, path, weight);
+			}
+		} else if (isPlainObject(v) && path[0] in v) {
+			collect(v[path[0]], path.slice(1), weight);
+		}
+	};
+	/** @type {(v: any) => void} */
+	const collectAll = (v) => {
+		if (typeof v === "string") {
+			fields.push({ text: v, weight: 1 });
+		} else if (Array.isArray(v)) {
+			v.forEach(collectAll);
+		} else if (isPlainObject(v) && getBsonType(v) === "object") {
+			Object.values(v).forEach(collectAll);
+		}
+	};
+
+	const { textFields } = options;
+	if (textFields === undefined) {
+		collectAll(doc);
+	} else if (Array.isArray(textFields)) {
+		for (const path of textFields) {
+			collect(doc, path.split("."), 1);
+		}
+	} else {
+		for (const [path, weight] of Object.entries(textFields)) {
+			collect(doc, path.split("."), weight);
+		}
+	}
+	return fields;
+}
+
+/**
+ * Scores a string for each term it contains, like MongoDB text indexes:
+ * repeated terms add diminishing weight, terms that make up more of the
+ * text weigh more and a term that is the whole text is boosted
+ * @param {string} text - The text to score
+ * @param {number} weight - The weight of the field
+ * @param {boolean} stem - Stems the words and ignores English stop words
+ * @param {Map<string, number>} scores - Scores by term, added to
+ */
+function scoreTextField(text, weight, stem, scores) {
+	/** @type {Map<string, { count: number, freq: number, exp: number }>} */
+	const terms = new Map();
+	let numTokens = 0;
+	for (const word of tokenizeText(normalizeText(text, false, false))) {
+		const term = toTextTerm(word, stem);
+		if (term === null) {
+			continue;
+		}
+		const data = terms.get(term) ?? { count: 0, freq: 0, exp: 0 };
+		data.exp = data.exp === 0 ? 1 : data.exp * 2;
+		data.count++;
+		data.freq += 1 / data.exp;
+		terms.set(term, data);
+		numTokens++;
 	}
 
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchEq(doc[idx], rest, ov);
+	for (const [term, data] of terms) {
+		const coeff = (0.5 * data.count) / numTokens + 0.5;
+		const adjustment =
+			text.length === term.length && text.toLowerCase() === term ? 1.1 : 1;
+		scores.set(
+			term,
+			(scores.get(term) ?? 0) + weight * data.freq * coeff * adjustment,
+		);
+	}
+}
+
+/**
+ * Matches a document against a $text search
+ * @param {any} doc - The document
+ * @param {TextSearch} search - The parsed search, see getTextSearch
+ * @param {QueryOptions} options - Query options
+ * @returns {{ text: string, weight: number }[] | null} the searched fields of
+ *   the document, null if the document does not match
+ */
+function findTextMatch(doc, search, options) {
+	if (search.positiveTerms.size === 0) {
+		return null;
+	}
+
+	const { caseSensitive, diacriticSensitive, stem } = search;
+	const fields = getTextFields(doc, options);
+	const texts = fields.map(({ text }) =>
+		normalizeText(text, caseSensitive, diacriticSensitive),
+	);
+	const terms = new Set(
+		texts.flatMap((text) =>
+			tokenizeText(text).map((word) => toTextTerm(word, stem)),
+		),
+	);
+	const hasPhrase = (/** @type {string} */ phrase) =>
+		texts.some((text) => text.includes(phrase));
+
+	const isMatch =
+		[...search.positiveTerms].some((term) => terms.has(term)) &&
+		![...search.negatedTerms].some((term) => terms.has(term)) &&
+		search.positivePhrases.every(hasPhrase) &&
+		!search.negatedPhrases.some(hasPhrase);
+	return isMatch ? fields : null;
+}
+
+/**
+ * Matches and scores a document against a $text search
+ * @param {any} doc - The document
+ * @param {TextSearch} search - The parsed search, see getTextSearch
+ * @param {QueryOptions} options - Query options
+ * @returns {number | null} the relevance score, null if the document does not match
+ */
+function scoreText(doc, search, options) {
+	const fields = findTextMatch(doc, search, options);
+	if (fields === null) {
+		return null;
+	}
+
+	/** @type {Map<string, number>} */
+	const scores = new Map();
+	for (const { text, weight } of fields) {
+		scoreTextField(text, weight, search.stem, scores);
+	}
+	let score = 0;
+	for (const term of search.scoreTerms) {
+		score += scores.get(term) ?? 0;
+	}
+	return score;
+}
+
+/**
+ * Checks if a character is a vowel for the English stemmer
+ * @param {string} word - The word
+ * @param {number} i - Index of the character
+ * @returns {boolean}
+ */
+function isStemVowel(word, i) {
+	return "aeiouy".includes(word[i]);
+}
+
+/**
+ * Gets the start of the region after the first non-vowel following a vowel
+ * @param {string} word - The word
+ * @param {number} start - Index to search from
+ * @returns {number} the length of the word if there is no such region
+ */
+function getStemRegion(word, start) {
+	for (let i = start + 1; i < word.length; i++) {
+		if (!isStemVowel(word, i) && isStemVowel(word, i - 1)) {
+			return i + 1;
+		}
+	}
+	return word.length;
+}
+
+/**
+ * Checks if the word ends in a short syllable: a vowel followed by a
+ * non-vowel other than w, x or Y and preceded by a non-vowel, or a vowel at
+ * the beginning of the word followed by a non-vowel
+ * @param {string} word - The word
+ * @returns {boolean}
+ */
+function endsInShortSyllable(word) {
+	const n = word.length;
+	if (n === 2) {
+		return isStemVowel(word, 0) && !isStemVowel(word, 1);
+	}
+	return (
+		n > 2 &&
+		!isStemVowel(word, n - 3) &&
+		isStemVowel(word, n - 2) &&
+		!isStemVowel(word, n - 1) &&
+		!"wxY".includes(word[n - 1])
+	);
+}
+
+// Words with irregular stems
+const stemExceptions = new Map([
+	["skis", "ski"],
+	["skies", "sky"],
+	["dying", "die"],
+	["lying", "lie"],
+	["tying", "tie"],
+	["idly", "idl"],
+	["gently", "gentl"],
+	["ugly", "ugli"],
+	["early", "earli"],
+	["only", "onli"],
+	["singly", "singl"],
+	["sky", "sky"],
+	["news", "news"],
+	["howe", "howe"],
+	["atlas", "atlas"],
+	["cosmos", "cosmos"],
+	["bias", "bias"],
+	["andes", "andes"],
+]);
+
+// Words left unchanged after step 1a
+const stemInvariants = new Set([
+	"inning",
+	"outing",
+	"canning",
+	"herring",
+	"earring",
+	"proceed",
+	"exceed",
+	"succeed",
+]);
+
+// Step 2 suffixes and their replacements, longest first
+const stemStep2Suffixes = [
+	["ization", "ize"],
+	["ational", "ate"],
+	["fulness", "ful"],
+	["ousness", "ous"],
+	["iveness", "ive"],
+	["tional", "tion"],
+	["biliti", "ble"],
+	["lessli", "less"],
+	["entli", "ent"],
+	["ation", "ate"],
+	["alism", "al"],
+	["aliti", "al"],
+	["ousli", "ous"],
+	["iviti", "ive"],
+	["fulli", "ful"],
+	["enci", "ence"],
+	["anci", "ance"],
+	["abli", "able"],
+	["izer", "ize"],
+	["ator", "ate"],
+	["alli", "al"],
+	["bli", "ble"],
+	["ogi", "og"],
+	["li", ""],
+];
+
+// Step 3 suffixes and their replacements, longest first
+const stemStep3Suffixes = [
+	["ational", "ate"],
+	["tional", "tion"],
+	["alize", "al"],
+	["icate", "ic"],
+	["iciti", "ic"],
+	["ative", ""],
+	["ical", "ic"],
+	["ness", ""],
+	["ful", ""],
+];
+
+// Step 4 suffixes, longest first
+const stemStep4Suffixes = [
+	"ement",
+	"ance",
+	"ence",
+	"able",
+	"ible",
+	"ment",
+	"ant",
+	"ent",
+	"ism",
+	"ate",
+	"iti",
+	"ous",
+	"ive",
+	"ize",
+	"ion",
+	"al",
+	"er",
+	"ic",
+];
+
+/**
+ * Stems a lowercase English word with the Porter2 (Snowball English) algorithm
+ * @param {string} word - The lowercase word
+ * @returns {string}
+ */
+function stemEnglish(word) {
+	if (word.length <= 2) {
+		return word;
+	}
+	const exception = stemExceptions.get(word);
+	if (exception !== undefined) {
+		return exception;
+	}
+
+	// Marks ys that act as consonants
+	let w = word.replace(/^y/, "Y").replace(/([aeiouy])y/g, "$1Y");
+
+	const prefix = /^(gener|commun|arsen)/.exec(w);
+	const r1 = prefix ? prefix[0].length : getStemRegion(w, 0);
+	const r2 = getStemRegion(w, r1);
+	const inR1 = (/** @type {string} */ suffix) => w.length - suffix.length >= r1;
+	const inR2 = (/** @type {string} */ suffix) => w.length - suffix.length >= r2;
+	const hasVowel = (/** @type {string} */ part) => /[aeiouy]/.test(part);
+
+	// Step 1a: plurals
+	if (w.endsWith("sses")) {
+		w = w.slice(0, -2);
+	} else if (w.endsWith("ied") || w.endsWith("ies")) {
+		w = w.length > 4 ? w.slice(0, -2) : w.slice(0, -1);
+	} else if (
+		w.endsWith("s") &&
+		!/(us|ss)$/.test(w) &&
+		hasVowel(w.slice(0, -2))
+	) {
+		w = w.slice(0, -1);
+	}
+
+	if (stemInvariants.has(w)) {
+		return w;
+	}
+
+	// Step 1b: past tenses and gerunds
+	const step1b = /(eedly|ingly|edly|eed|ing|ed)$/.exec(w);
+	if (step1b) {
+		const [suffix] = step1b;
+		if (suffix === "eed" || suffix === "eedly") {
+			if (inR1(suffix)) {
+				w = `${w.slice(0, -suffix.length)}ee`;
+			}
+		} else if (hasVowel(w.slice(0, -suffix.length))) {
+			w = w.slice(0, -suffix.length);
+			if (/(at|bl|iz)$/.test(w)) {
+				w += "e";
+			} else if (/(bb|dd|ff|gg|mm|nn|pp|rr|tt)$/.test(w)) {
+				w = w.slice(0, -1);
+			} else if (r1 >= w.length && endsInShortSyllable(w)) {
+				w += "e";
+			}
+		}
+	}
+
+	// Step 1c: y after a consonant that is not the first letter
+	if (/.[^aeiouy][yY]$/.test(w)) {
+		w = `${w.slice(0, -1)}i`;
+	}
+
+	// Step 2
+	for (const [suffix, replacement] of stemStep2Suffixes) {
+		if (w.endsWith(suffix)) {
+			if (inR1(suffix)) {
+				const stem = w.slice(0, -suffix.length);
+				if (suffix === "ogi") {
+					if (stem.endsWith("l")) {
+						w = stem + replacement;
+					}
+				} else if (suffix === "li") {
+					if (/[cdeghkmnrt]$/.test(stem)) {
+						w = stem;
+					}
+				} else {
+					w = stem + replacement;
+				}
+			}
+			break;
+		}
+	}
+
+	// Step 3
+	for (const [suffix, replacement] of stemStep3Suffixes) {
+		if (w.endsWith(suffix)) {
+			if (inR1(suffix) && (suffix !== "ative" || inR2(suffix))) {
+				w = w.slice(0, -suffix.length) + replacement;
+			}
+			break;
+		}
+	}
+
+	// Step 4
+	for (const suffix of stemStep4Suffixes) {
+		if (w.endsWith(suffix)) {
+			if (inR2(suffix)) {
+				const stem = w.slice(0, -suffix.length);
+				if (suffix !== "ion" || /[st]$/.test(stem)) {
+					w = stem;
+				}
 			}
+			break;
 		}
-		return doc.some((d) => matchEq(d, path, ov));
 	}
 
-	if (isNil(ov)) {
-		return true;
+	// Step 5
+	if (w.endsWith("e")) {
+		const stem = w.slice(0, -1);
+		if (inR2("e") || (inR1("e") && !endsInShortSyllable(stem))) {
+			w = stem;
+		}
+	} else if (w.endsWith("ll") && inR2("l")) {
+		w = w.slice(0, -1);
 	}
 
-	return false;
+	return w.replaceAll("Y", "y");
 }
 
 /**
- * Matches if the value at the given path is not equal to the queried value
- * @param {any} doc - Document to check
- * @param {string[]} pathParts - Path to the value
- * @param {any} query - Value to match against
- * @returns {boolean}
+ * A point of a legacy coordinate pair or a GeoJSON geometry
+ * @typedef {object} GeoPoint
+ * @property {number} x - The x coordinate or longitude
+ * @property {number} y - The y coordinate or latitude
  */
-function matchNe(doc, pathParts, query) {
-	return !matchEq(doc, pathParts, query);
-}
 
 /**
- * Matches if the value at the given path is in the array of queried values
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any[]} ov - Array of values to match against
- * @returns {boolean}
+ * A point on the unit sphere
+ * @typedef {[number, number, number]} SpherePoint
  */
-function matchIn(doc, path, ov) {
-	if (!validateInNin(ov)) {
-		return false;
-	}
-
-	if (path.length === 0) {
-		if (Array.isArray(doc) && doc.some((d) => matchIn(d, path, ov))) {
-			return true;
-		}
-
-		return ov.some((o) => matchEq(doc, path, o));
-	}
 
-	const key = path[0];
-	const rest = path.slice(1);
-
-	if (typeof doc === "object" && doc !== null && key in doc) {
-		return matchIn(doc[key], rest, ov);
+/**
+ * Parses a legacy coordinate pair, either [x, y] or an embedded document
+ * whose first two fields are the coordinates, e.g. { lng, lat }
+ * @param {any} v - The value to parse
+ * @param {boolean} [allowExtra] - Whether values after the first two are allowed
+ * @returns {GeoPoint | null}
+ */
+function parseLegacyPoint(v, allowExtra = false) {
+	if (!Array.isArray(v) && !isPlainObject(v)) {
+		return null;
 	}
 
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchIn(doc[idx], rest, ov);
-			}
-		}
-		return doc.some((d) => matchIn(d, path, ov));
+	const values = Object.values(v);
+	if (values.length < 2 || (!allowExtra && values.length !== 2)) {
+		return null;
 	}
 
-	if (ov.includes(null) || ov.includes(undefined)) {
-		return true;
+	const [x, y] = values;
+	if (!Number.isFinite(x) || !Number.isFinite(y)) {
+		return null;
 	}
 
-	return false;
+	return { x, y };
 }
 
 /**
- * Matches if the value at the given path is not in the array of queried values
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any[]} ov - Array of values to match against
- * @returns {boolean}
+ * Parses a GeoJSON position, [longitude, latitude] with optional extra coordinates
+ * @param {any} v - The value to parse
+ * @returns {GeoPoint | null}
  */
-function matchNin(doc, path, ov) {
-	if (!validateInNin(ov)) {
-		return false;
+function parseGeoJsonPosition(v) {
+	if (!Array.isArray(v) || v.length < 2 || !v.every(Number.isFinite)) {
+		return null;
 	}
 
-	return !matchIn(doc, path, ov);
+	const [x, y] = v;
+	return isValidLngLat({ x, y }) ? { x, y } : null;
 }
 
 /**
- * Matches if the value at the given path is greater than the queried value
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
+ * Checks if the given point has valid longitude and latitude coordinates
+ * @param {GeoPoint} point - The point to check
  * @returns {boolean}
  */
-function matchGt(doc, path, ov) {
-	if (path.length === 0) {
-		// Handle array of documents
-		if (Array.isArray(doc) && doc.some((d) => matchGt(d, path, ov))) {
-			return true;
-		}
+function isValidLngLat({ x, y }) {
+	return x >= -180 && x <= 180 && y >= -90 && y <= 90;
+}
 
-		// Handle array comparison
-		if (Array.isArray(doc) && Array.isArray(ov)) {
-			// In JavaScript, arrays can't be directly compared with > operator
-			// Compare elements one by one
-			for (let i = 0; i < Math.max(doc.length, ov.length); i++) {
-				if (i >= ov.length) return true;
-				if (i >= doc.length) return false;
-				if (doc[i] !== ov[i]) return doc[i] > ov[i];
-			}
-			return false;
-		}
+/**
+ * Parses a location stored in a document like MongoDB does: arrays and
+ * embedded documents starting with a number are legacy coordinate pairs,
+ * other embedded documents must be GeoJSON points
+ * @param {any} v - The stored value
+ * @returns {GeoPoint | null}
+ */
+function parseStoredGeoPoint(v) {
+	if (
+		Array.isArray(v) ||
+		(isPlainObject(v) && typeof Object.values(v)[0] === "number")
+	) {
+		return parseLegacyPoint(v, true);
+	}
 
-		// Handle object comparison
-		if (isPlainObject(doc) && isPlainObject(ov)) {
-			const docKeys = Object.keys(doc);
-			const ovKeys = Object.keys(ov);
+	if (isPlainObject(v) && v.type === "Point") {
+		return parseGeoJsonPosition(v.coordinates);
+	}
 
-			for (let i = 0; i < Math.max(docKeys.length, ovKeys.length); i++) {
-				const docKey = docKeys[i];
-				const ovKey = ovKeys[i];
+	return null;
+}
 
-				if (docKey === undefined) return false;
-				if (ovKey === undefined) return true;
-				if (docKey !== ovKey) return docKey > ovKey;
-				if (docKey === ovKey) {
-					if (doc[docKey] > ov[ovKey]) return true;
-					if (doc[docKey] < ov[ovKey]) return false;
-				}
-			}
-			return false;
-		}
+/**
+ * Converts a longitude and latitude in degrees to a point on the unit sphere
+ * @param {GeoPoint} point - The point to convert
+ * @returns {SpherePoint | null} the point, null if the coordinates are not valid
+ */
+function toSpherePoint(point) {
+	if (!isValidLngLat(point)) {
+		return null;
+	}
 
-		// Handle number comparison
-		if (typeof doc === "number" && typeof ov === "number") {
-			return doc > ov;
-		}
+	const lng = (point.x * Math.PI) / 180;
+	const lat = (point.y * Math.PI) / 180;
+	return [
+		Math.cos(lat) * Math.cos(lng),
+		Math.cos(lat) * Math.sin(lng),
+		Math.sin(lat),
+	];
+}
 
-		// Handle string comparison
-		if (typeof doc === "string" && typeof ov === "string") {
-			return doc > ov;
-		}
+/**
+ * Computes the cross product of two vectors
+ * @param {SpherePoint} a - The first vector
+ * @param {SpherePoint} b - The second vector
+ * @returns {SpherePoint}
+ */
+function crossVec(a, b) {
+	return [
+		a[1] * b[2] - a[2] * b[1],
+		a[2] * b[0] - a[0] * b[2],
+		a[0] * b[1] - a[1] * b[0],
+	];
+}
 
-		return false;
-	}
+/**
+ * Computes the dot product of two vectors
+ * @param {SpherePoint} a - The first vector
+ * @param {SpherePoint} b - The second vector
+ * @returns {number}
+ */
+function dotVec(a, b) {
+	return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
 
-	const key = path[0];
-	const rest = path.slice(1);
+/**
+ * Scales a vector to unit length
+ * @param {SpherePoint} a - The vector to scale
+ * @returns {SpherePoint}
+ */
+function normalizeVec(a) {
+	const n = Math.hypot(...a);
+	return [a[0] / n, a[1] / n, a[2] / n];
+}
 
-	if (isPlainObject(doc) && key in doc) {
-		return matchGt(doc[key], rest, ov);
-	}
+/**
+ * Gets the side of the great circle through a and b on which c lies,
+ * positive if c is to the left of the edge from a to b
+ * @param {SpherePoint} a - The start of the edge
+ * @param {SpherePoint} b - The end of the edge
+ * @param {SpherePoint} c - The point to check
+ * @returns {number} -1, 0 or 1
+ */
+function sphereSide(a, b, c) {
+	return Math.sign(dotVec(crossVec(a, b), c));
+}
 
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchGt(doc[idx], rest, ov);
-			}
-		}
-		return doc.some((d) => matchGt(d, path, ov));
+/**
+ * Computes the angle in radians between two points on the unit sphere
+ * @param {SpherePoint} a - The first point
+ * @param {SpherePoint} b - The second point
+ * @returns {number}
+ */
+function sphereAngle(a, b) {
+	return Math.atan2(Math.hypot(...crossVec(a, b)), dotVec(a, b));
+}
+
+/**
+ * Checks if two geodesic edges cross at a point interior to both edges,
+ * edges sharing a vertex do not cross
+ * @param {SpherePoint} a - The start of the first edge
+ * @param {SpherePoint} b - The end of the first edge
+ * @param {SpherePoint} c - The start of the second edge
+ * @param {SpherePoint} d - The end of the second edge
+ * @returns {boolean}
+ */
+function edgesCross(a, b, c, d) {
+	if (
+		[a, b].some((v) => v === c || v === d || deepEqual(v, c) || deepEqual(v, d))
+	) {
+		return false;
 	}
 
-	return false;
+	const acb = -sphereSide(a, b, c);
+	return (
+		acb !== 0 &&
+		sphereSide(a, b, d) === acb &&
+		-sphereSide(c, d, b) === acb &&
+		sphereSide(c, d, a) === acb
+	);
 }
 
 /**
- * Matches if the value at the given path is greater than or equal to the queried value
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
+ * Checks if a point is inside a loop of the unit sphere, the inside of the
+ * loop being to the left of its edges. A geodesic is drawn from the point to
+ * a point of an edge, whose side is known, and the edges it crosses are counted
+ * @param {SpherePoint[]} loop - The vertices of the loop
+ * @param {SpherePoint} p - The point to check
  * @returns {boolean}
  */
-function matchGte(doc, path, ov) {
-	if (path.length === 0) {
-		// Handle array of documents
-		if (Array.isArray(doc) && doc.some((d) => matchGte(d, path, ov))) {
-			return true;
+function loopContains(loop, p) {
+	for (let i = 0; i < loop.length; i++) {
+		const a = loop[i];
+		const b = loop[(i + 1) % loop.length];
+		const side = sphereSide(a, b, p);
+		// An odd fraction of the edge avoids drawing the geodesic through vertices
+		const m = normalizeVec([
+			a[0] * 0.618 + b[0] * 0.382,
+			a[1] * 0.618 + b[1] * 0.382,
+			a[2] * 0.618 + b[2] * 0.382,
+		]);
+		if (side === 0 || dotVec(m, p) <= -1 + 1e-12) {
+			continue;
 		}
 
-		// Handle array comparison
-		if (Array.isArray(doc) && Array.isArray(ov)) {
-			// In JavaScript, arrays can't be directly compared with >= operator
-			// Compare elements one by one
-			for (let i = 0; i < Math.max(doc.length, ov.length); i++) {
-				if (i >= ov.length) return true;
-				if (i >= doc.length) return false;
-				if (doc[i] !== ov[i]) return doc[i] > ov[i];
+		let inside = side > 0;
+		for (let j = 0; j < loop.length; j++) {
+			if (j === i) {
+				continue;
 			}
-			return true; // Arrays are equal
-		}
-
-		// Handle object comparison
-		if (isPlainObject(doc) && isPlainObject(ov)) {
-			if (!Object.keys(doc).length && !Object.keys(ov).length) {
-				return true;
+			const c = loop[j];
+			const d = loop[(j + 1) % loop.length];
+			// Vertices on the geodesic count as being on its right side,
+			// so that passing through a vertex counts as a single crossing
+			const cLeft = sphereSide(p, m, c) > 0;
+			if (cLeft === sphereSide(p, m, d) > 0) {
+				continue;
 			}
-
-			const docKeys = Object.keys(doc);
-			const ovKeys = Object.keys(ov);
-
-			for (let i = 0; i < Math.max(docKeys.length, ovKeys.length); i++) {
-				const docKey = docKeys[i];
-				const ovKey = ovKeys[i];
-
-				if (docKey === undefined) return false;
-				if (ovKey === undefined) return true;
-				if (docKey !== ovKey) return docKey > ovKey;
-				if (docKey === ovKey) {
-					if (doc[docKey] > ov[ovKey]) return true;
-					if (doc[docKey] < ov[ovKey]) return false;
-				}
+			const acb = cLeft ? -1 : 1;
+			if (-sphereSide(c, d, m) === acb && sphereSide(c, d, p) === acb) {
+				inside = !inside;
 			}
-			return true; // Objects are equal
-		}
-
-		// Handle number comparison
-		if (typeof doc === "number" && typeof ov === "number") {
-			return doc >= ov;
-		}
-
-		// Handle string comparison
-		if (typeof doc === "string" && typeof ov === "string") {
-			return doc >= ov;
 		}
+		return inside;
+	}
 
-		// Handle null comparison
-		if (isNil(doc) && isNil(ov)) {
-			return true;
-		}
+	return false;
+}
 
-		return false;
+/**
+ * Computes the sum of the turning angles of a loop of the unit sphere,
+ * positive if the loop encloses less than a hemisphere on its left
+ * @param {SpherePoint[]} loop - The vertices of the loop
+ * @returns {number}
+ */
+function getLoopCurvature(loop) {
+	let sum = 0;
+	for (let i = 0; i < loop.length; i++) {
+		const a = loop[(i + loop.length - 1) % loop.length];
+		const b = loop[i];
+		const c = loop[(i + 1) % loop.length];
+		const angle = sphereAngle(crossVec(a, b), crossVec(b, c));
+		sum += sphereSide(a, b, c) > 0 ? angle : -angle;
 	}
+	return sum;
+}
 
-	const key = path[0];
-	const rest = path.slice(1);
+/**
+ * Parses a closed GeoJSON ring into the vertices of a loop, without the
+ * closing vertex and consecutive duplicates
+ * @param {any} ring - The GeoJSON ring
+ * @returns {SpherePoint[] | null} the vertices, null if the ring is not valid
+ */
+function parseGeoJsonRing(ring) {
+	if (!Array.isArray(ring) || ring.length < 4) {
+		return null;
+	}
 
-	// Handle object path traversal
-	if (isPlainObject(doc) && key in doc) {
-		return matchGte(doc[key], rest, ov);
+	const positions = ring.map(parseGeoJsonPosition);
+	const first = positions[0];
+	const last = positions[positions.length - 1];
+	if (
+		positions.some((p) => p === null) ||
+		first.x !== last.x ||
+		first.y !== last.y
+	) {
+		return null;
 	}
 
-	// Handle array traversal
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchGte(doc[idx], rest, ov);
-			}
+	/** @type {SpherePoint[]} */
+	const loop = [];
+	const keys = new Set();
+	for (let i = 0; i < positions.length - 1; i++) {
+		const position = positions[i];
+		const key = `${position.x},${position.y}`;
+		if (i > 0 && key === `${positions[i - 1].x},${positions[i - 1].y}`) {
+			continue;
 		}
-		return doc.some((d) => matchGte(d, path, ov));
+		if (keys.has(key)) {
+			return null;
+		}
+		keys.add(key);
+		loop.push(/** @type {SpherePoint} */ (toSpherePoint(position)));
 	}
 
-	// Handle null comparison
-	if (isNil(ov)) {
-		return true;
+	if (
+		loop.length < 3 ||
+		loop.some((v, i) => isAntipodal(v, loop[(i + 1) % loop.length])) ||
+		loopsCross(loop, loop)
+	) {
+		return null;
 	}
 
-	return false;
+	return loop;
 }
 
 /**
- * Matches if the value at the given path is less than the queried value
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
+ * Checks if any edges of two loops cross
+ * @param {SpherePoint[]} a - The vertices of the first loop
+ * @param {SpherePoint[]} b - The vertices of the second loop
  * @returns {boolean}
  */
-function matchLt(doc, path, ov) {
-	if (path.length === 0) {
-		// Handle array of documents
-		if (Array.isArray(doc) && doc.some((d) => matchLt(d, path, ov))) {
-			return true;
-		}
-
-		// Handle array comparison
-		if (Array.isArray(doc) && Array.isArray(ov)) {
-			// Compare elements one by one
-			for (let i = 0; i < Math.max(doc.length, ov.length); i++) {
-				if (i >= doc.length) return true;
-				if (i >= ov.length) return false;
-				if (doc[i] !== ov[i]) return doc[i] < ov[i];
+function loopsCross(a, b) {
+	for (let i = 0; i < a.length; i++) {
+		for (let j = 0; j < b.length; j++) {
+			if (
+				edgesCross(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])
+			) {
+				return true;
 			}
-			return false;
 		}
+	}
+	return false;
+}
 
-		// Handle object comparison
-		if (isPlainObject(doc) && isPlainObject(ov)) {
-			if (Object.keys(doc).length === 0 && Object.keys(ov).length === 0) {
-				return false;
-			}
-
-			const docKeys = Object.keys(doc);
-			const ovKeys = Object.keys(ov);
-
-			for (let i = 0; i < Math.max(docKeys.length, ovKeys.length); i++) {
-				const docKey = docKeys[i];
-				const ovKey = ovKeys[i];
+/**
+ * Parses the coordinates of a GeoJSON polygon into loops, the first one being
+ * the shell and the others its holes. Loops enclose the smaller of the two
+ * regions they bound, unless strict winding is required, in which case the
+ * shell encloses the region to the left of its counterclockwise vertices
+ * @param {any} coordinates - The GeoJSON polygon coordinates
+ * @param {boolean} [strictWinding] - Whether the winding order defines the shell's inside
+ * @returns {SpherePoint[][] | null} the loops, null if the polygon is not valid
+ */
+function parseGeoJsonPolygon(coordinates, strictWinding = false) {
+	if (!Array.isArray(coordinates) || coordinates.length === 0) {
+		return null;
+	}
 
-				if (docKey === undefined) return true;
-				if (ovKey === undefined) return false;
-				if (docKey !== ovKey) return docKey < ovKey;
-				if (docKey === ovKey) {
-					if (doc[docKey] > ov[ovKey]) return false;
-					if (doc[docKey] < ov[ovKey]) return true;
-				}
-			}
-			return false;
+	const loops = [];
+	for (const ring of coordinates) {
+		const loop = parseGeoJsonRing(ring);
+		if (loop === null) {
+			return null;
 		}
-
-		// Handle number comparison
-		if (typeof doc === "number" && typeof ov === "number") {
-			return doc < ov;
+		if (!strictWinding && getLoopCurvature(loop) < 0) {
+			loop.reverse();
 		}
+		loops.push(loop);
+	}
 
-		// Handle string comparison
-		if (typeof doc === "string" && typeof ov === "string") {
-			return doc < ov;
+	const [shell, ...holes] = loops;
+	for (const [i, hole] of holes.entries()) {
+		if (loopsCross(shell, hole) || !hole.every((p) => loopContains(shell, p))) {
+			return null;
+		}
+		for (const other of holes.slice(i + 1)) {
+			if (
+				loopsCross(hole, other) ||
+				loopContains(hole, other[0]) ||
+				loopContains(other, hole[0])
+			) {
+				return null;
+			}
 		}
-
-		return false;
 	}
 
-	const key = path[0];
-	const rest = path.slice(1);
+	return loops;
+}
 
-	// Handle object path traversal
-	if (isPlainObject(doc) && key in doc) {
-		return matchLt(doc[key], rest, ov);
+/**
+ * Checks if a point is inside a polygon parsed by parseGeoJsonPolygon
+ * @param {SpherePoint[][]} polygon - The loops of the polygon
+ * @param {SpherePoint} p - The point to check
+ * @returns {boolean}
+ */
+function polygonContains([shell, ...holes], p) {
+	return loopContains(shell, p) && !holes.some((hole) => loopContains(hole, p));
+}
+
+/**
+ * A GeoJSON geometry parsed into the points, polylines and polygons it is made of
+ * @typedef {object} GeoShape
+ * @property {SpherePoint[]} points - The points
+ * @property {SpherePoint[][]} lines - The vertices of the polylines
+ * @property {SpherePoint[][][]} polygons - The loops of the polygons, see parseGeoJsonPolygon
+ */
+
+/**
+ * Parses the vertices of a GeoJSON LineString, without consecutive duplicates
+ * @param {any} coordinates - The GeoJSON line coordinates
+ * @returns {SpherePoint[] | null} the vertices, null if the line is not valid
+ */
+function parseGeoJsonLine(coordinates) {
+	if (!Array.isArray(coordinates) || coordinates.length < 2) {
+		return null;
 	}
 
-	// Handle array traversal
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchLt(doc[idx], rest, ov);
-			}
+	/** @type {SpherePoint[]} */
+	const line = [];
+	for (const position of coordinates) {
+		const p = parseGeoJsonPosition(position);
+		if (p === null) {
+			return null;
 		}
-		return doc.some((d) => matchLt(d, path, ov));
+		const v = /** @type {SpherePoint} */ (toSpherePoint(p));
+		const previous = line[line.length - 1];
+		if (previous && deepEqual(previous, v)) {
+			continue;
+		}
+		if (previous && isAntipodal(previous, v)) {
+			return null;
+		}
+		line.push(v);
 	}
 
-	return false;
+	return line.length < 2 ? null : line;
 }
 
 /**
- * Matches if the value at the given path is less than or equal to the queried value
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
+ * Checks if two points of the unit sphere are antipodal, edges between them being undefined
+ * @param {SpherePoint} a - The first point
+ * @param {SpherePoint} b - The second point
  * @returns {boolean}
  */
-function matchLte(doc, path, ov) {
-	if (path.length === 0) {
-		// Handle array of documents
-		if (Array.isArray(doc) && doc.some((d) => matchLte(d, path, ov))) {
-			return true;
-		}
-
-		// Handle array comparison
-		if (Array.isArray(doc) && Array.isArray(ov)) {
-			// Compare elements one by one since JS doesn't support direct array comparison
-			for (let i = 0; i < Math.max(doc.length, ov.length); i++) {
-				if (i >= doc.length) return true;
-				if (i >= ov.length) return false;
-				if (doc[i] !== ov[i]) return doc[i] < ov[i];
-			}
-			return true;
-		}
-
-		// Handle object comparison
-		if (isPlainObject(doc) && isPlainObject(ov)) {
-			if (!Object.keys(doc).length && !Object.keys(ov).length) {
-				return true;
-			}
+function isAntipodal(a, b) {
+	return sphereAngle(a, b) >= Math.PI - geoTolerance;
+}
 
-			const docKeys = Object.keys(doc);
-			const ovKeys = Object.keys(ov);
+/**
+ * Parses a GeoJSON geometry of any type
+ * @param {any} geometry - The GeoJSON geometry
+ * @param {boolean} [allowCollection] - Whether a GeometryCollection is allowed
+ * @returns {GeoShape | null} the shape, null if the geometry is not valid
+ */
+function parseGeoJson(geometry, allowCollection = true) {
+	if (!isPlainObject(geometry)) {
+		return null;
+	}
 
-			for (let i = 0; i < Math.max(docKeys.length, ovKeys.length); i++) {
-				const docKey = docKeys[i];
-				const ovKey = ovKeys[i];
+	const { type, coordinates } = geometry;
+	const isMulti = typeof type === "string" && type.startsWith("Multi");
+	if (isMulti && (!Array.isArray(coordinates) || coordinates.length === 0)) {
+		return null;
+	}
 
-				if (docKey === undefined) return true;
-				if (ovKey === undefined) return false;
-				if (docKey !== ovKey) return docKey < ovKey;
-				if (docKey === ovKey) {
-					if (doc[docKey] < ov[ovKey]) return true;
-					if (doc[docKey] > ov[ovKey]) return false;
+	/** @type {GeoShape} */
+	const shape = { points: [], lines: [], polygons: [] };
+	switch (type) {
+		case "Point":
+		case "MultiPoint":
+			for (const position of isMulti ? coordinates : [coordinates]) {
+				const p = parseGeoJsonPosition(position);
+				if (p === null) {
+					return null;
 				}
+				shape.points.push(/** @type {SpherePoint} */ (toSpherePoint(p)));
 			}
-			return true;
-		}
-
-		// Handle number comparison
-		if (typeof doc === "number" && typeof ov === "number") {
-			return doc <= ov;
-		}
-
-		// Handle string comparison
-		if (typeof doc === "string" && typeof ov === "string") {
-			return doc <= ov;
-		}
-
-		// Handle null comparison
-		if (isNil(doc) && isNil(ov)) {
-			return true;
+			return shape;
+		case "LineString":
+		case "MultiLineString":
+			for (const c of isMulti ? coordinates : [coordinates]) {
+				const line = parseGeoJsonLine(c);
+				if (line === null) {
+					return null;
+				}
+				shape.lines.push(line);
+			}
+			return shape;
+		case "Polygon":
+		case "MultiPolygon":
+			for (const c of isMulti ? coordinates : [coordinates]) {
+				const polygon = parseGeoJsonPolygon(c);
+				if (polygon === null) {
+					return null;
+				}
+				shape.polygons.push(polygon);
+			}
+			return shape;
+		case "GeometryCollection": {
+			const { geometries } = geometry;
+			if (
+				!allowCollection ||
+				!Array.isArray(geometries) ||
+				geometries.length === 0
+			) {
+				return null;
+			}
+			for (const g of geometries) {
+				const s = parseGeoJson(g, false);
+				if (s === null) {
+					return null;
+				}
+				shape.points.push(...s.points);
+				shape.lines.push(...s.lines);
+				shape.polygons.push(...s.polygons);
+			}
+			return shape;
 		}
-
-		return false;
+		default:
+			return null;
 	}
+}
 
-	const key = path[0];
-	const rest = path.slice(1);
-
-	// Handle object path traversal
-	if (isPlainObject(doc) && key in doc) {
-		return matchLte(doc[key], rest, ov);
+/**
+ * Parses the $geometry of a geospatial query, which may name a coordinate
+ * reference system, the strict winding one being only allowed for
+ * single ring polygons
+ * @param {any} geometry - The GeoJSON geometry
+ * @returns {GeoShape | null} the shape, null if the geometry is not valid
+ */
+function parseGeoQueryGeometry(geometry) {
+	if (!isPlainObject(geometry)) {
+		return null;
 	}
 
-	// Handle array traversal
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchLte(doc[idx], rest, ov);
-			}
-		}
-		return doc.some((d) => matchLte(d, path, ov));
+	const { crs } = geometry;
+	if (crs === undefined) {
+		return parseGeoJson(geometry);
 	}
 
-	if (isNil(ov)) {
-		return true;
+	const name = crs?.type === "name" ? crs.properties?.name : undefined;
+	if (!geoCrsNames.has(name)) {
+		return null;
+	}
+	if (!geoCrsNames.get(name)) {
+		return parseGeoJson(geometry);
 	}
 
-	return false;
+	const { type, coordinates } = geometry;
+	if (type !== "Polygon" || coordinates?.length !== 1) {
+		return null;
+	}
+	const polygon = parseGeoJsonPolygon(coordinates, true);
+	return polygon && { points: [], lines: [], polygons: [polygon] };
 }
 
 /**
- * Matches if the value at the given path matches the queried regex
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
- * @returns {boolean}
+ * Parses a location stored in a document as a shape of the sphere, legacy
+ * coordinate pairs only being on the sphere if they are valid longitudes and latitudes
+ * @param {any} v - The stored value
+ * @returns {GeoShape | null}
  */
-function matchRegex(doc, path, ov) {
-	if (path.length === 0) {
-		if (Array.isArray(doc) && doc.some((d) => matchRegex(d, path, ov))) {
-			return true;
-		}
+function parseStoredGeoShape(v) {
+	if (
+		Array.isArray(v) ||
+		(isPlainObject(v) && typeof Object.values(v)[0] === "number")
+	) {
+		const point = parseLegacyPoint(v, true);
+		const p = point && toSpherePoint(point);
+		return p && { points: [p], lines: [], polygons: [] };
+	}
 
-		if (typeof doc !== "string") {
-			return false;
-		}
+	return parseGeoJson(v);
+}
 
-		let flags = "";
-		if (ov.$options.includes("i")) {
-			flags += "i";
-		}
-		if (ov.$options.includes("m")) {
-			flags += "m";
-		}
-		if (ov.$options.includes("s")) {
-			flags += "s";
+/**
+ * Gets the edges of polylines or polygon loops
+ * @param {SpherePoint[][]} lines - The vertices of the polylines or loops
+ * @param {boolean} closed - Whether the vertices are loops
+ * @returns {[SpherePoint, SpherePoint][]}
+ */
+function getGeoEdges(lines, closed) {
+	/** @type {[SpherePoint, SpherePoint][]} */
+	const edges = [];
+	for (const line of lines) {
+		const count = closed ? line.length : line.length - 1;
+		for (let i = 0; i < count; i++) {
+			edges.push([line[i], line[(i + 1) % line.length]]);
 		}
-
-		const matcher = new RegExp(ov.$regex, flags);
-		return matcher.test(doc);
 	}
+	return edges;
+}
 
-	const key = path[0];
-	const rest = path.slice(1);
-
-	if (typeof doc === "object" && doc !== null && key in doc) {
-		return matchRegex(doc[key], rest, ov);
+/**
+ * Computes the angle in radians between a point and the closest point of a geodesic edge
+ * @param {SpherePoint} p - The point
+ * @param {SpherePoint} a - The start of the edge
+ * @param {SpherePoint} b - The end of the edge
+ * @returns {number}
+ */
+function getEdgeDistance(p, a, b) {
+	const n = normalizeVec(crossVec(a, b));
+	// The closest point is inside the edge if p projects between its ends
+	if (dotVec(crossVec(a, p), n) > 0 && dotVec(crossVec(p, b), n) > 0) {
+		return Math.asin(Math.min(1, Math.abs(dotVec(p, n))));
 	}
+	return Math.min(sphereAngle(p, a), sphereAngle(p, b));
+}
 
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchRegex(doc[idx], rest, ov);
-			}
-		}
-		return doc.some((d) => matchRegex(d, path, ov));
-	}
+/**
+ * Checks if a point is on a geodesic edge, within the geospatial tolerance
+ * @param {SpherePoint} p - The point to check
+ * @param {SpherePoint} a - The start of the edge
+ * @param {SpherePoint} b - The end of the edge
+ * @returns {boolean}
+ */
+function isOnEdge(p, a, b) {
+	return getEdgeDistance(p, a, b) <= geoTolerance;
+}
 
-	return false;
+/**
+ * Checks if two geodesic edges cross or touch
+ * @param {[SpherePoint, SpherePoint]} edge - The first edge
+ * @param {[SpherePoint, SpherePoint]} other - The second edge
+ * @returns {boolean}
+ */
+function edgesIntersect([a, b], [c, d]) {
+	return (
+		edgesCross(a, b, c, d) ||
+		isOnEdge(a, c, d) ||
+		isOnEdge(b, c, d) ||
+		isOnEdge(c, a, b) ||
+		isOnEdge(d, a, b)
+	);
 }
 
 /**
- * Matches if items in the value (array) at the given path match the queried $elemMatch
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
+ * Checks if a point is inside or on the boundary of a polygon
+ * @param {SpherePoint[][]} polygon - The loops of the polygon
+ * @param {SpherePoint} p - The point to check
  * @returns {boolean}
  */
-function matchElemMatch(doc, path, ov) {
-	if (path.length === 0) {
-		if (!Array.isArray(doc)) {
-			return false;
-		}
+function polygonIntersectsPoint(polygon, p) {
+	return (
+		polygonContains(polygon, p) ||
+		getGeoEdges(polygon, true).some(([a, b]) => isOnEdge(p, a, b))
+	);
+}
 
-		return doc.some((d) => matchCond(ov, d));
+/**
+ * Checks if two shapes of the sphere have any point in common
+ * @param {GeoShape} shape - The first shape
+ * @param {GeoShape} other - The second shape
+ * @returns {boolean}
+ */
+function geoShapesIntersect(shape, other) {
+	const edges = [
+		...getGeoEdges(shape.lines, false),
+		...getGeoEdges(shape.polygons.flat(), true),
+	];
+	const otherEdges = [
+		...getGeoEdges(other.lines, false),
+		...getGeoEdges(other.polygons.flat(), true),
+	];
+	if (edges.some((edge) => otherEdges.some((e) => edgesIntersect(edge, e)))) {
+		return true;
 	}
 
-	const key = path[0];
-	const rest = path.slice(1);
+	// Without intersecting edges, shapes only intersect if a point or vertex
+	// of one of them is inside a polygon of the other or on its polylines
+	return [
+		[shape, other],
+		[other, shape],
+	].some(([s, o]) =>
+		[
+			...s.points,
+			...s.lines.map((l) => l[0]),
+			...s.polygons.flat().map((l) => l[0]),
+		].some(
+			(p) =>
+				o.points.some((q) => sphereAngle(p, q) <= geoTolerance) ||
+				getGeoEdges(o.lines, false).some(([a, b]) => isOnEdge(p, a, b)) ||
+				o.polygons.some((polygon) => polygonContains(polygon, p)),
+		),
+	);
+}
 
-	if (typeof doc === "object" && doc !== null && key in doc) {
-		return matchElemMatch(doc[key], rest, ov);
+/**
+ * Splits a shape into shapes of a single point, polyline or polygon
+ * @param {GeoShape} shape - The shape to split
+ * @returns {GeoShape[]}
+ */
+function splitGeoShape({ points, lines, polygons }) {
+	return [
+		...points.map((p) => ({ points: [p], lines: [], polygons: [] })),
+		...lines.map((line) => ({ points: [], lines: [line], polygons: [] })),
+		...polygons.map((polygon) => ({
+			points: [],
+			lines: [],
+			polygons: [polygon],
+		})),
+	];
+}
+
+/**
+ * Checks if a shape of the sphere is within a polygon: its points are inside
+ * the polygon, its edges do not cross the polygon's edges and it does not
+ * surround the polygon's holes
+ * @param {SpherePoint[][]} polygon - The loops of the polygon
+ * @param {GeoShape} shape - The shape to check
+ * @returns {boolean}
+ */
+function polygonContainsShape(polygon, shape) {
+	const shells = shape.polygons.map(([shell]) => shell);
+	const vertices = [...shape.points, ...shape.lines.flat(), ...shells.flat()];
+	if (!vertices.every((p) => polygonContains(polygon, p))) {
+		return false;
 	}
 
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchElemMatch(doc[idx], rest, ov);
+	const edges = getGeoEdges(polygon, true);
+	return (
+		[...getGeoEdges(shape.lines, false), ...getGeoEdges(shells, true)].every(
+			([a, b]) => !edges.some(([c, d]) => edgesCross(a, b, c, d)),
+		) &&
+		polygon
+			.slice(1)
+			.every((hole) => !shells.some((shell) => loopContains(shell, hole[0])))
+	);
+}
+
+/**
+ * Checks if a point is inside a flat polygon the way MongoDB's legacy
+ * $polygon does, counting the crossings of a ray cast along the x axis
+ * @param {GeoPoint[]} polygon - The vertices of the polygon
+ * @param {GeoPoint} p - The point to check
+ * @returns {boolean}
+ */
+function flatPolygonContains(polygon, p) {
+	let inside = false;
+	let p1 = polygon[0];
+	for (let i = 1; i <= polygon.length; i++) {
+		const p2 = polygon[i % polygon.length];
+		if (
+			p.y > Math.min(p1.y, p2.y) &&
+			p.y <= Math.max(p1.y, p2.y) &&
+			p.x <= Math.max(p1.x, p2.x) &&
+			p1.y !== p2.y
+		) {
+			const xinters = ((p.y - p1.y) * (p2.x - p1.x)) / (p2.y - p1.y) + p1.x;
+			if (p1.x === p2.x && p.x === p1.x) {
+				return false;
+			}
+			if (p1.x === p2.x || p.x <= xinters) {
+				inside = !inside;
 			}
 		}
-		return doc.some((d) => matchElemMatch(d, path, ov));
+		p1 = p2;
 	}
-
-	return false;
+	return inside;
 }
 
 /**
- * Matches if the value at the given path matches the queried divisor and remainder
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
- * @returns {boolean}
+ * Parses the shape of a $geoWithin query into a predicate on stored locations,
+ * legacy shapes only contain points
+ * @param {any} ov - The $geoWithin operator value
+ * @returns {((v: any) => boolean) | null} the predicate, null if the shape is not valid
  */
-function matchMod(doc, path, ov) {
-	if (!validateMod(ov)) {
-		return false;
+function parseGeoWithin(ov) {
+	if (!isPlainObject(ov) || Object.keys(ov).length !== 1) {
+		return null;
 	}
 
-	if (path.length === 0) {
-		if (Array.isArray(doc) && doc.some((d) => matchMod(d, path, ov))) {
-			return true;
+	if ("$geometry" in ov) {
+		const shape = parseGeoQueryGeometry(ov.$geometry);
+		if (
+			shape === null ||
+			shape.points.length > 0 ||
+			shape.lines.length > 0 ||
+			!["Polygon", "MultiPolygon"].includes(ov.$geometry.type)
+		) {
+			return null;
 		}
+		return (v) => {
+			const stored = parseStoredGeoShape(v);
+			return (
+				stored !== null &&
+				splitGeoShape(stored).every((part) =>
+					shape.polygons.some((polygon) => polygonContainsShape(polygon, part)),
+				)
+			);
+		};
+	}
 
-		if (typeof doc !== "number") {
-			return false;
-		}
+	/** @type {((point: GeoPoint) => boolean) | null} */
+	let contains = null;
 
-		const divisor = Math.floor(ov[0]);
-		const expected_remainder = Math.floor(ov[1]);
-		const doc_remainder = Math.floor(doc % divisor);
+	if ("$box" in ov) {
+		if (!Array.isArray(ov.$box) || ov.$box.length !== 2) {
+			return null;
+		}
+		const [a, b] = ov.$box.map((v) => parseLegacyPoint(v));
+		if (a === null || b === null) {
+			return null;
+		}
+		contains = ({ x, y }) =>
+			x >= Math.min(a.x, b.x) &&
+			x <= Math.max(a.x, b.x) &&
+			y >= Math.min(a.y, b.y) &&
+			y <= Math.max(a.y, b.y);
+	}
 
-		return doc_remainder === expected_remainder;
+	if ("$polygon" in ov) {
+		if (!Array.isArray(ov.$polygon) || ov.$polygon.length < 3) {
+			return null;
+		}
+		const polygon = ov.$polygon.map((v) => parseLegacyPoint(v));
+		if (polygon.includes(null)) {
+			return null;
+		}
+		contains = (point) =>
+			flatPolygonContains(/** @type {GeoPoint[]} */ (polygon), point);
 	}
 
-	const key = path[0];
-	const rest = path.slice(1);
+	if ("$center" in ov) {
+		const circle = parseLegacyCircle(ov.$center);
+		if (circle === null) {
+			return null;
+		}
+		const { center, radius } = circle;
+		contains = ({ x, y }) => Math.hypot(x - center.x, y - center.y) <= radius;
+	}
 
-	if (typeof doc === "object" && doc !== null && key in doc) {
-		return matchMod(doc[key], rest, ov);
+	if (contains !== null) {
+		const flatContains = contains;
+		return (v) => {
+			const point = parseStoredGeoPoint(v);
+			return point !== null && flatContains(point);
+		};
 	}
 
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchMod(doc[idx], rest, ov);
-			}
+	if ("$centerSphere" in ov) {
+		const circle = parseLegacyCircle(ov.$centerSphere);
+		const c = circle && toSpherePoint(circle.center);
+		if (!circle || c === null) {
+			return null;
 		}
-		return doc.some((d) => matchMod(d, path, ov));
+		return (v) => {
+			const stored = parseStoredGeoShape(v);
+			return (
+				stored !== null &&
+				[
+					...stored.points,
+					...stored.lines.flat(),
+					...stored.polygons.flat(2),
+				].every((p) => sphereAngle(c, p) <= circle.radius)
+			);
+		};
 	}
 
-	return false;
+	return null;
 }
 
 /**
- * Matches if the value at the given path matches the queried size
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
- * @returns {boolean}
+ * Parses a legacy $center or $centerSphere circle, [center, radius]
+ * @param {any} circle - The circle to parse
+ * @returns {{ center: GeoPoint, radius: number } | null}
  */
-function matchSize(doc, path, ov) {
-	if (!validateSize(ov)) {
-		return false;
+function parseLegacyCircle(circle) {
+	if (!Array.isArray(circle) || circle.length !== 2) {
+		return null;
 	}
 
-	if (path.length === 0) {
-		if (!Array.isArray(doc)) {
-			return false;
-		}
-
-		return doc.length === Number.parseInt(ov);
+	const center = parseLegacyPoint(circle[0]);
+	const radius = circle[1];
+	if (center === null || typeof radius !== "number" || !(radius >= 0)) {
+		return null;
 	}
 
-	const key = path[0];
-	const rest = path.slice(1);
+	return { center, radius };
+}
 
-	if (typeof doc === "object" && doc !== null && key in doc) {
-		return matchSize(doc[key], rest, ov);
+/**
+ * Parses the $geometry of a $geoIntersects query into a predicate on stored locations
+ * @param {any} ov - The $geoIntersects operator value
+ * @returns {((v: any) => boolean) | null} the predicate, null if the geometry is not valid
+ */
+function parseGeoIntersects(ov) {
+	if (!isPlainObject(ov) || Object.keys(ov).length !== 1) {
+		return null;
 	}
 
-	if (Array.isArray(doc)) {
-		if (/^\d+$/.test(key)) {
-			const idx = Number.parseInt(key);
-			if (idx < doc.length) {
-				return matchSize(doc[idx], rest, ov);
-			}
-		}
-		return doc.some((d) => matchSize(d, path, ov));
+	const shape = parseGeoQueryGeometry(ov.$geometry);
+	if (shape === null) {
+		return null;
 	}
 
-	return false;
+	return (v) => {
+		const stored = parseStoredGeoShape(v);
+		return stored !== null && geoShapesIntersect(shape, stored);
+	};
 }
 
 /**
- * Matches if the value at the given path matches the queried $all
- * @param {any} doc - Document to check
- * @param {string[]} path - Path to the value
- * @param {any} ov - Value to match against
- * @returns {boolean}
+ * Computes the angle in radians between a point and the closest point of a shape
+ * @param {GeoShape} shape - The shape
+ * @param {SpherePoint} p - The point
+ * @returns {number}
  */
-function matchAll(doc, path, ov) {
-	if (!validateAll(ov)) {
-		return false;
-	}
-
-	if (ov.length === 0) {
-		return false;
+function getGeoShapeDistance(shape, p) {
+	if (shape.polygons.some((polygon) => polygonContains(polygon, p))) {
+		return 0;
 	}
 
-	if (validateAllElemMatch(ov)) {
-		const elem_match_query = {
-			$and: ov.map((o) => ({ [path.join(".")]: o })),
-		};
-		return matchCond(elem_match_query, doc);
-	}
+	const edges = [
+		...getGeoEdges(shape.lines, false),
+		...getGeoEdges(shape.polygons.flat(), true),
+	];
+	return Math.min(
+		...shape.points.map((q) => sphereAngle(p, q)),
+		...edges.map(([a, b]) => getEdgeDistance(p, a, b)),
+	);
+}
 
-	if (path.length === 0) {
-		if (!Array.isArray(doc)) {
-			return false;
-		}
+/**
+ * A parsed $near or $nearSphere condition
+ * @typedef {object} GeoNear
+ * @property {(v: any) => number | null} distance - Gets the distance of a stored location, null if it is not one
+ * @property {number} min - The $minDistance
+ * @property {number} max - The $maxDistance
+ */
 
-		return ov.every(
-			(o) => doc.find((dv) => deepEqual(dv, o)) || deepEqual(doc, o),
-		);
+/**
+ * Parses a $near or $nearSphere condition. $near to a legacy coordinate pair
+ * measures flat distances, $nearSphere to a legacy coordinate pair measures
+ * radians and both measure meters to a GeoJSON point. The distance bounds are
+ * inside the operator value for GeoJSON points and next to it otherwise
+ * @param {Record<string, any>} exp - Expression holding $near or $nearSphere and the distance bounds
+ * @returns {GeoNear | null} the condition, null if it is not valid
+ */
+function parseNear(exp) {
+	if ("$near" in exp === "$nearSphere" in exp) {
+		return null;
 	}
 
-	const key = path[0];
-	const rest = path.slice(1);
+	const spherical = "$nearSphere" in exp;
+	const ov = spherical ? exp.$nearSphere : exp.$near;
 
-	if (typeof doc === "object" && doc !== null && key in doc) {
-		return matchAll(doc[key], rest, ov);
+	/** @type {Record<string, any>} */
+	let bounds = exp;
+	let scale = 1;
+	/** @type {GeoPoint | null} */
+	let point = null;
+	if (isPlainObject(ov) && "$geometry" in ov) {
+		const { $geometry, $maxDistance, $minDistance, ...rest } = ov;
+		if (
+			Object.keys(rest).length > 0 ||
+			"$maxDistance" in exp ||
+			"$minDistance" in exp ||
+			$geometry?.type !== "Point"
+		) {
+			return null;
+		}
+		bounds = ov;
+		scale = earthRadiusMeters;
+		point = parseGeoJsonPosition($geometry.coordinates);
+	} else {
+		point = parseLegacyPoint(ov);
 	}
 
-	if (Array.isArray(doc) && /^\d+$/.test(key)) {
-		const idx = Number.parseInt(key);
-		if (idx < doc.length) {
-			return matchAll(doc[idx], rest, ov);
-		}
+	const {
+		$maxDistance: max = Number.POSITIVE_INFINITY,
+		$minDistance: min = 0,
+	} = bounds;
+	if (
+		point === null ||
+		typeof max !== "number" ||
+		typeof min !== "number" ||
+		!(max >= 0) ||
+		!(min >= 0)
+	) {
+		return null;
 	}
 
-	if (Array.isArray(doc)) {
-		return doc.some((d) => matchAll(d, path, ov));
+	if (!spherical && scale === 1) {
+		const { x, y } = point;
+		return {
+			distance: (v) => {
+				const p = parseStoredGeoPoint(v);
+				return p && Math.hypot(p.x - x, p.y - y);
+			},
+			min,
+			max,
+		};
 	}
 
-	return false;
+	const c = toSpherePoint(point);
+	if (c === null) {
+		return null;
+	}
+	return {
+		distance: (v) => {
+			const shape = parseStoredGeoShape(v);
+			return shape && getGeoShapeDistance(shape, c) * scale;
+		},
+		min,
+		max,
+	};
 }
 
 /**
- * Matches if the value at the given path matches the queried $where
- * @param {any} doc - Document to check
- * @param {string} path - Path to the value
- * @param {any} ov - Value to match against
- * @returns {boolean}
+ * Finds the top level $near or $nearSphere condition of a query,
+ * which may be inside a top level $and
+ * @param {Record<string, any>} query - The query to search
+ * @returns {{ path: string[], near: GeoNear } | undefined}
  */
-function matchWhere(doc, path, ov) {
-	if (!validateWhere(ov)) {
-		return false;
-	}
-
-	if (typeof ov === "function") {
-		return ov.call(doc);
-	}
-
-	if (typeof ov === "string") {
-		const fn = new Function(ov);
-		return fn.call(doc);
+function findNearCond(query) {
+	for (const [path, expOrOv] of Object.entries(query)) {
+		if (path === "$and" && Array.isArray(expOrOv)) {
+			for (const cond of expOrOv) {
+				const found = isPlainObject(cond) ? findNearCond(cond) : undefined;
+				if (found !== undefined) {
+					return found;
+				}
+			}
+		} else if (
+			checkAllExp(expOrOv) &&
+			("$near" in expOrOv || "$nearSphere" in expOrOv)
+		) {
+			const near = parseNear(expOrOv);
+			if (near !== null) {
+				return { path: path.split("."), near };
+			}
+		}
 	}
-
-	return false;
+	return undefined;
 }
@@ -0,0 +1,258 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$multiply",
+		query: { $expr: { $gt: [{ $multiply: ["$qty", "$price"] }, 100] } },
+		input: [{ qty: 5, price: 30 }, { qty: 2, price: 30 }, { qty: 5 }],
+		expected: [{ qty: 5, price: 30 }],
+	},
+	{
+		name: "$add numbers",
+		query: { $expr: { $eq: [{ $add: ["$a", "$b", 1] }, 10] } },
+		input: [
+			{ a: 4, b: 5 },
+			{ a: 4.5, b: 4.5 },
+			{ a: 1, b: 1 },
+		],
+		expected: [
+			{ a: 4, b: 5 },
+			{ a: 4.5, b: 4.5 },
+		],
+	},
+	{
+		name: "$add date and milliseconds",
+		query: {
+			$expr: {
+				$gt: [{ $add: ["$date", 86400000] }, new Date("2024-01-02")],
+			},
+		},
+		input: [
+			{ date: new Date("2024-01-01T12:00:00Z") },
+			{ date: new Date("2023-12-31T12:00:00Z") },
+		],
+		expected: [{ date: new Date("2024-01-01T12:00:00Z") }],
+	},
+	{
+		name: "$add null propagation",
+		query: { $expr: { $eq: [{ $add: ["$a", 1] }, null] } },
+		input: [{ a: null }, {}, { a: 1 }],
+		expected: [{ a: null }, {}],
+	},
+	{
+		name: "$subtract dates",
+		query: {
+			$expr: { $gte: [{ $subtract: ["$end", "$start"] }, 3600000] },
+		},
+		input: [
+			{
+				start: new Date("2024-01-01T00:00:00Z"),
+				end: new Date("2024-01-01T02:00:00Z"),
+			},
+			{
+				start: new Date("2024-01-01T00:00:00Z"),
+				end: new Date("2024-01-01T00:30:00Z"),
+			},
+		],
+		expected: [
+			{
+				start: new Date("2024-01-01T00:00:00Z"),
+				end: new Date("2024-01-01T02:00:00Z"),
+			},
+		],
+	},
+	{
+		name: "$subtract milliseconds from date",
+		query: {
+			$expr: {
+				$eq: [
+					{ $subtract: ["$date", 60000] },
+					new Date("2024-01-01T00:00:00Z"),
+				],
+			},
+		},
+		input: [
+			{ date: new Date("2024-01-01T00:01:00Z") },
+			{ date: new Date("2024-01-01T00:00:00Z") },
+		],
+		expected: [{ date: new Date("2024-01-01T00:01:00Z") }],
+	},
+	{
+		name: "$divide",
+		query: { $expr: { $eq: [{ $divide: ["$a", "$b"] }, 2.5] } },
+		input: [
+			{ a: 5, b: 2 },
+			{ a: 10, b: 4 },
+			{ a: 4, b: 2 },
+		],
+		expected: [
+			{ a: 5, b: 2 },
+			{ a: 10, b: 4 },
+		],
+	},
+	{
+		name: "$mod",
+		query: { $expr: { $eq: [{ $mod: ["$n", 3] }, 1] } },
+		input: [{ n: 7 }, { n: -5 }, { n: 4.5 }, { n: 4 }],
+		expected: [{ n: 7 }, { n: 4 }],
+	},
+	{
+		name: "$abs",
+		query: { $expr: { $eq: [{ $abs: "$n" }, 2] } },
+		input: [{ n: -2 }, { n: 2 }, { n: 3 }, { n: null }],
+		expected: [{ n: -2 }, { n: 2 }],
+	},
+	{
+		name: "$ceil and $floor",
+		query: {
+			$expr: { $eq: [{ $ceil: "$n" }, { $add: [{ $floor: "$n" }, 1] }] },
+		},
+		input: [{ n: 1.5 }, { n: -1.5 }, { n: 2 }],
+		expected: [{ n: 1.5 }, { n: -1.5 }],
+	},
+	{
+		name: "$round to even",
+		query: { $expr: { $eq: [{ $round: ["$n", 0] }, 2] } },
+		input: [{ n: 2.5 }, { n: 1.5 }, { n: 2.4 }, { n: 2.6 }, { n: 3.5 }],
+		expected: [{ n: 2.5 }, { n: 1.5 }, { n: 2.4 }],
+	},
+	{
+		name: "$round with places",
+		query: { $expr: { $eq: [{ $round: ["$n", 1] }, 1.2] } },
+		input: [{ n: 1.25 }, { n: 1.15 }, { n: 1.24 }, { n: 1.26 }],
+		expected: [{ n: 1.25 }, { n: 1.15 }, { n: 1.24 }],
+	},
+	{
+		name: "$round with negative places",
+		query: { $expr: { $eq: [{ $round: ["$n", -1] }, 20] } },
+		input: [{ n: 25 }, { n: 15 }, { n: 24 }, { n: 26 }],
+		expected: [{ n: 25 }, { n: 15 }, { n: 24 }],
+	},
+	{
+		name: "$trunc",
+		query: { $expr: { $eq: [{ $trunc: ["$n", 1] }, 1.2] } },
+		input: [{ n: 1.29 }, { n: 1.2 }, { n: -1.29 }, { n: 1.3 }],
+		expected: [{ n: 1.29 }, { n: 1.2 }],
+	},
+	{
+		name: "$trunc without places",
+		query: { $expr: { $eq: [{ $trunc: "$n" }, -1] } },
+		input: [{ n: -1.9 }, { n: -2.1 }],
+		expected: [{ n: -1.9 }],
+	},
+	{
+		name: "$pow",
+		query: { $expr: { $eq: [{ $pow: ["$n", 2] }, 16] } },
+		input: [{ n: 4 }, { n: -4 }, { n: 2 }],
+		expected: [{ n: 4 }, { n: -4 }],
+	},
+	{
+		name: "$sqrt",
+		query: { $expr: { $eq: [{ $sqrt: "$n" }, 3] } },
+		input: [{ n: 9 }, { n: 3 }],
+		expected: [{ n: 9 }],
+	},
+	{
+		name: "$exp",
+		query: { $expr: { $gt: [{ $exp: "$n" }, 2.7] } },
+		input: [{ n: 1 }, { n: 0 }],
+		expected: [{ n: 1 }],
+	},
+	{
+		name: "$ln",
+		query: { $expr: { $lt: [{ $ln: "$n" }, 1] } },
+		input: [{ n: 2 }, { n: 3 }],
+		expected: [{ n: 2 }],
+	},
+	{
+		name: "$log",
+		query: { $expr: { $gt: [{ $log: ["$n", 2] }, 2.9] } },
+		input: [{ n: 8 }, { n: 7 }],
+		expected: [{ n: 8 }],
+	},
+	{
+		name: "$log10",
+		query: { $expr: { $eq: [{ $log10: "$n" }, 2] } },
+		input: [{ n: 100 }, { n: 10 }],
+		expected: [{ n: 100 }],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query arithmetic expression tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("arithmetic expression errors", () => {
+		const errors = [
+			[{ $add: ["$a", 1] }, TypeError],
+			[{ $add: ["$date", "$date"] }, TypeError],
+			[{ $subtract: [1, "$date"] }, TypeError],
+			[{ $multiply: ["$a", 2] }, TypeError],
+			[{ $divide: [1, 0] }, RangeError],
+			[{ $mod: [1, 0] }, RangeError],
+			[{ $sqrt: -1 }, RangeError],
+			[{ $ln: 0 }, RangeError],
+			[{ $log: [8, 1] }, RangeError],
+			[{ $pow: [0, -1] }, RangeError],
+			[{ $round: [1.5, 0.5] }, RangeError],
+			[{ $abs: [1, 2] }, TypeError],
+		];
+		for (const [expr, error] of errors) {
+			assert.throws(
+				() => Query({ $expr: expr }).test({ a: "1", date: new Date() }),
+				error,
+			);
+		}
+	});
+});
@@ -0,0 +1,470 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const orders = [
+	{
+		items: [
+			{ status: "paid", price: 30 },
+			{ status: "paid", price: 25 },
+			{ status: "due", price: 100 },
+		],
+	},
+	{
+		items: [
+			{ status: "paid", price: 20 },
+			{ status: "due", price: 100 },
+		],
+	},
+	{ items: [] },
+];
+
+const testCases = [
+	{
+		name: "$filter and $reduce with $$this and $$value",
+		query: {
+			$expr: {
+				$gt: [
+					{
+						$reduce: {
+							input: {
+								$filter: {
+									input: "$items",
+									cond: { $eq: ["$$this.status", "paid"] },
+								},
+							},
+							initialValue: 0,
+							in: { $add: ["$$value", "$$this.price"] },
+						},
+					},
+					50,
+				],
+			},
+		},
+		input: orders,
+		expected: [orders[0]],
+	},
+	{
+		name: "$filter with as and limit",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$filter: {
+							input: "$a",
+							as: "n",
+							cond: { $gte: ["$$n", 2] },
+							limit: 2,
+						},
+					},
+					[3, 2],
+				],
+			},
+		},
+		input: [{ a: [3, 1, 2, 4] }, { a: [3, 1] }, { a: null }],
+		expected: [{ a: [3, 1, 2, 4] }],
+	},
+	{
+		name: "$map with nested scopes",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$map: {
+							input: "$a",
+							as: "x",
+							in: {
+								$map: {
+									input: "$a",
+									in: { $multiply: ["$$x", "$$this"] },
+								},
+							},
+						},
+					},
+					[
+						[1, 2],
+						[2, 4],
+					],
+				],
+			},
+		},
+		input: [{ a: [1, 2] }, { a: [2, 1] }],
+		expected: [{ a: [1, 2] }],
+	},
+	{
+		name: "$map over null and missing",
+		query: {
+			$expr: { $eq: [{ $map: { input: "$a", in: "$$this" } }, null] },
+		},
+		input: [{ a: null }, {}, { a: [] }],
+		expected: [{ a: null }, {}],
+	},
+	{
+		name: "$reduce concatenating strings",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$reduce: {
+							input: "$tags",
+							initialValue: "",
+							in: { $concat: ["$$value", "$$this"] },
+						},
+					},
+					"abc",
+				],
+			},
+		},
+		input: [{ tags: ["a", "b", "c"] }, { tags: ["abc", ""] }, { tags: ["c"] }],
+		expected: [{ tags: ["a", "b", "c"] }, { tags: ["abc", ""] }],
+	},
+	{
+		name: "$size",
+		query: { $expr: { $gt: [{ $size: "$items" }, 1] } },
+		input: orders,
+		expected: [orders[0], orders[1]],
+	},
+	{
+		name: "$arrayElemAt",
+		query: {
+			$expr: {
+				$eq: [
+					[{ $arrayElemAt: ["$a", 0] }, { $arrayElemAt: ["$a", -1] }],
+					[1, 3],
+				],
+			},
+		},
+		input: [{ a: [1, 2, 3] }, { a: [1, 3, 2] }, { a: [1] }],
+		expected: [{ a: [1, 2, 3] }],
+	},
+	{
+		name: "$arrayElemAt out of bounds is missing",
+		query: {
+			$expr: {
+				$eq: [{ $arrayElemAt: ["$a", 5] }, "$missing"],
+			},
+		},
+		input: [{ a: [1, 2, 3] }, { a: [1, 2, 3, 4, 5, 6] }],
+		expected: [{ a: [1, 2, 3] }],
+	},
+	{
+		name: "$first and $last",
+		query: {
+			$expr: {
+				$eq: [
+					[{ $first: "$a" }, { $last: "$a" }],
+					["x", "z"],
+				],
+			},
+		},
+		input: [{ a: ["x", "y", "z"] }, { a: ["z", "x"] }, { a: ["x", "z"] }],
+		expected: [{ a: ["x", "y", "z"] }, { a: ["x", "z"] }],
+	},
+	{
+		name: "$slice",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $slice: ["$a", 2] },
+						{ $slice: ["$a", -2] },
+						{ $slice: ["$a", 1, 2] },
+						{ $slice: ["$a", -3, 1] },
+					],
+					[[1, 2], [3, 4], [2, 3], [2]],
+				],
+			},
+		},
+		input: [{ a: [1, 2, 3, 4] }, { a: [1, 2, 3] }],
+		expected: [{ a: [1, 2, 3, 4] }],
+	},
+	{
+		name: "$concatArrays",
+		query: {
+			$expr: {
+				$eq: [{ $concatArrays: ["$a", "$b", [3]] }, [1, 2, 3]],
+			},
+		},
+		input: [
+			{ a: [1], b: [2] },
+			{ a: [1, 2], b: [] },
+			{ a: [1], b: null },
+		],
+		expected: [
+			{ a: [1], b: [2] },
+			{ a: [1, 2], b: [] },
+		],
+	},
+	{
+		name: "$in",
+		query: { $expr: { $in: ["$color", ["red", "green"]] } },
+		input: [{ color: "red" }, { color: "blue" }, { color: ["red"] }, {}],
+		expected: [{ color: "red" }],
+	},
+	{
+		name: "$indexOfArray",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $indexOfArray: ["$a", "b"] },
+						{ $indexOfArray: ["$a", "b", 2] },
+						{ $indexOfArray: ["$a", "b", 0, 1] },
+					],
+					[1, 3, -1],
+				],
+			},
+		},
+		input: [{ a: ["a", "b", "c", "b"] }, { a: ["b", "a", "c", "b"] }],
+		expected: [{ a: ["a", "b", "c", "b"] }],
+	},
+	{
+		name: "$isArray",
+		query: { $expr: { $isArray: "$a" } },
+		input: [{ a: [] }, { a: [1] }, { a: "x" }, { a: { b: [] } }, {}],
+		expected: [{ a: [] }, { a: [1] }],
+	},
+	{
+		name: "$range",
+		query: {
+			$expr: {
+				$eq: [
+					[{ $range: [0, "$n"] }, { $range: ["$n", 0, -2] }],
+					[
+						[0, 1, 2, 3],
+						[4, 2],
+					],
+				],
+			},
+		},
+		input: [{ n: 4 }, { n: 3 }],
+		expected: [{ n: 4 }],
+	},
+	{
+		name: "$reverseArray",
+		query: {
+			$expr: { $eq: [{ $reverseArray: "$a" }, [3, 2, 1]] },
+		},
+		input: [{ a: [1, 2, 3] }, { a: [3, 2, 1] }],
+		expected: [{ a: [1, 2, 3] }],
+	},
+	{
+		name: "$zip",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $zip: { inputs: ["$a", "$b"] } },
+						{
+							$zip: {
+								inputs: ["$a", "$b"],
+								useLongestLength: true,
+								defaults: [0, "-"],
+							},
+						},
+					],
+					[
+						[[1, "x"]],
+						[
+							[1, "x"],
+							[2, "-"],
+						],
+					],
+				],
+			},
+		},
+		input: [
+			{ a: [1, 2], b: ["x"] },
+			{ a: [1], b: ["x", "y"] },
+		],
+		expected: [{ a: [1, 2], b: ["x"] }],
+	},
+	{
+		name: "$sortArray by value",
+		query: {
+			$expr: {
+				$eq: [{ $sortArray: { input: "$a", sortBy: -1 } }, ["b", "a", 3]],
+			},
+		},
+		input: [{ a: ["b", 3, "a"] }, { a: [3, "a"] }],
+		expected: [{ a: ["b", 3, "a"] }],
+	},
+	{
+		name: "$sortArray by fields",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$map: {
+							input: {
+								$sortArray: {
+									input: "$items",
+									sortBy: { status: 1, price: -1 },
+								},
+							},
+							in: "$$this.price",
+						},
+					},
+					[100, 30, 25],
+				],
+			},
+		},
+		input: orders,
+		expected: [orders[0]],
+	},
+	{
+		name: "$arrayToObject and $objectToArray",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$arrayToObject: {
+							$map: {
+								input: { $objectToArray: "$scores" },
+								in: { k: "$$this.k", v: { $add: ["$$this.v", 1] } },
+							},
+						},
+					},
+					{ a: 2, b: 3 },
+				],
+			},
+		},
+		input: [{ scores: { a: 1, b: 2 } }, { scores: { b: 2, a: 1 } }],
+		expected: [{ scores: { a: 1, b: 2 } }],
+	},
+	{
+		name: "$arrayToObject with pairs",
+		query: {
+			$expr: {
+				$eq: [{ $arrayToObject: "$pairs" }, { a: 1, b: 3 }],
+			},
+		},
+		input: [
+			{
+				pairs: [
+					["a", 1],
+					["b", 2],
+					["b", 3],
+				],
+			},
+			{
+				pairs: [
+					["a", 1],
+					["b", 2],
+				],
+			},
+		],
+		expected: [
+			{
+				pairs: [
+					["a", 1],
+					["b", 2],
+					["b", 3],
+				],
+			},
+		],
+	},
+	{
+		name: "$minN, $maxN, $firstN and $lastN",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $minN: { input: "$a", n: 2 } },
+						{ $maxN: { input: "$a", n: 2 } },
+						{ $firstN: { input: "$a", n: 2 } },
+						{ $lastN: { input: "$a", n: 2 } },
+					],
+					[
+						[1, 2],
+						[4, 3],
+						[3, null],
+						[4, 2],
+					],
+				],
+			},
+		},
+		input: [{ a: [3, null, 1, 4, 2] }, { a: [1, 2, 3, 4] }],
+		expected: [{ a: [3, null, 1, 4, 2] }],
+	},
+];
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query array expression tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("array expression errors", () => {
+		const errors = [
+			[{ $size: "$missing" }, TypeError],
+			[{ $size: "$s" }, TypeError],
+			[{ $filter: { input: "$s", cond: true } }, TypeError],
+			[{ $filter: { input: "$a", cond: true, limit: 0 } }, RangeError],
+			[{ $map: { input: "$a", as: "X", in: "$$X" } }, SyntaxError],
+			[{ $map: { input: "$a", as: "x", in: "$$this" } }, ReferenceError],
+			[{ $reduce: { input: "$a", in: "$$value" } }, TypeError],
+			[{ $arrayElemAt: ["$a", 1.5] }, TypeError],
+			[{ $slice: ["$a", 0, 0] }, RangeError],
+			[{ $in: [1, "$missing"] }, TypeError],
+			[{ $range: [0, 5, 0] }, RangeError],
+			[{ $zip: { inputs: ["$a"], defaults: [0] } }, TypeError],
+			[{ $sortArray: { input: "$a", sortBy: 2 } }, TypeError],
+			[{ $arrayToObject: [[["a", 1], { k: "b", v: 2 }]] }, TypeError],
+			[{ $objectToArray: "$a" }, TypeError],
+			[{ $minN: { input: "$a", n: 0 } }, RangeError],
+		];
+		for (const [expr, error] of errors) {
+			assert.throws(
+				() => Query({ $expr: expr }).test({ a: [1, 2], s: "x" }),
+				error,
+			);
+		}
+	});
+});
@@ -0,0 +1,179 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$bitsAllSet positions",
+		query: { foo: { $bitsAllSet: [1, 5] } },
+		input: [{ foo: 54 }, { foo: 20 }, { foo: 34 }, { foo: "54" }, {}],
+		expected: [{ foo: 54 }, { foo: 34 }],
+	},
+	{
+		name: "$bitsAllSet bitmask",
+		query: { foo: { $bitsAllSet: 50 } },
+		input: [{ foo: 54 }, { foo: 20 }, { foo: 50 }],
+		expected: [{ foo: 54 }, { foo: 50 }],
+	},
+	{
+		name: "$bitsAnySet positions",
+		query: { foo: { $bitsAnySet: [1, 5] } },
+		input: [{ foo: 54 }, { foo: 20 }, { foo: 32 }, { foo: 0 }],
+		expected: [{ foo: 54 }, { foo: 32 }],
+	},
+	{
+		name: "$bitsAllClear positions",
+		query: { foo: { $bitsAllClear: [1, 5] } },
+		input: [{ foo: 54 }, { foo: 20 }, { foo: 32 }, { foo: 0 }, { foo: null }],
+		expected: [{ foo: 20 }, { foo: 0 }],
+	},
+	{
+		name: "$bitsAnyClear bitmask",
+		query: { foo: { $bitsAnyClear: 34 } },
+		input: [{ foo: 54 }, { foo: 20 }, { foo: 32 }, { foo: true }],
+		expected: [{ foo: 20 }, { foo: 32 }],
+	},
+	{
+		name: "$bitsAllSet empty positions",
+		query: { foo: { $bitsAllSet: [] } },
+		input: [{ foo: 54 }, { foo: 0 }, { foo: "bar" }],
+		expected: [{ foo: 54 }, { foo: 0 }],
+	},
+	{
+		name: "$bitsAllSet negative numbers are sign extended",
+		query: { foo: { $bitsAllSet: [0, 63, 100] } },
+		input: [{ foo: -5 }, { foo: -2 }, { foo: 5 }],
+		expected: [{ foo: -5 }],
+	},
+	{
+		name: "$bitsAnyClear negative numbers",
+		query: { foo: { $bitsAnyClear: [2] } },
+		input: [{ foo: -5 }, { foo: -1 }],
+		expected: [{ foo: -5 }],
+	},
+	{
+		name: "$bitsAllClear non-integral doubles",
+		query: { foo: { $bitsAllClear: [1] } },
+		input: [{ foo: 2.5 }, { foo: 4.0 }, { foo: 2 ** 70 }],
+		expected: [{ foo: 4.0 }],
+	},
+	{
+		name: "$bitsAllSet array of values",
+		query: { foo: { $bitsAllSet: [1, 5] } },
+		input: [{ foo: [20, 54] }, { foo: [20, 32] }, { foo: [] }],
+		expected: [{ foo: [20, 54] }],
+	},
+	{
+		name: "$bitsAnySet dict access",
+		query: { "foo.bar": { $bitsAnySet: [0] } },
+		input: [
+			{ foo: { bar: 1 } },
+			{ foo: [{ bar: 2 }, { bar: 3 }] },
+			{ foo: { bar: 2 } },
+			{ foo: 1 },
+		],
+		expected: [{ foo: { bar: 1 } }, { foo: [{ bar: 2 }, { bar: 3 }] }],
+	},
+	{
+		name: "$bitsAllSet list access",
+		query: { "foo.1": { $bitsAllSet: [0] } },
+		input: [{ foo: [2, 1] }, { foo: [1, 2] }],
+		expected: [{ foo: [2, 1] }],
+	},
+	{
+		name: "$bitsAllSet with negative bitmask",
+		query: { foo: { $bitsAllSet: -1 } },
+		input: [{ foo: 1 }],
+		expected: [],
+	},
+	{
+		name: "$bitsAllSet with invalid positions",
+		query: { foo: { $bitsAllSet: [1.5] } },
+		input: [{ foo: 1 }],
+		expected: [],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query bitwise tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	// the driver returns binary data as bson Binary, so these are not compared against mongo
+	await test("binary field values", () => {
+		const input = [
+			{ foo: Buffer.from([0x66]) },
+			{ foo: Buffer.from([0x14]) },
+			{ foo: new Uint8Array([0x00, 0x01]) },
+		];
+
+		const allSet = Query({ foo: { $bitsAllSet: [1, 5] } });
+		assert.deepStrictEqual(getFilterResults(allSet.test, input), [input[0]]);
+
+		const anySet = Query({ foo: { $bitsAnySet: [8, 100] } });
+		assert.deepStrictEqual(getFilterResults(anySet.test, input), [input[2]]);
+
+		const allClear = Query({ foo: { $bitsAllClear: [1, 100] } });
+		assert.deepStrictEqual(getFilterResults(allClear.test, input), [
+			input[1],
+			input[2],
+		]);
+	});
+
+	await test("binary bitmask", () => {
+		const input = [{ foo: 54 }, { foo: 20 }, { foo: Buffer.from([0x66]) }];
+		const q = Query({ foo: { $bitsAllSet: Buffer.from([0x22]) } });
+		assert.deepStrictEqual(getFilterResults(q.test, input), [
+			input[0],
+			input[2],
+		]);
+	});
+});
@@ -0,0 +1,436 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { MaxKey as mgqMaxKey, MinKey as mgqMinKey, Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import {
+	Binary,
+	Collection,
+	Decimal128,
+	Double,
+	Int32,
+	Long,
+	MaxKey,
+	MinKey,
+	MongoClient,
+	ObjectId,
+	Timestamp,
+	UUID,
+} from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const idA = "64b7f0000000000000000001";
+const idB = "64b7f0000000000000000002";
+const uuid = "0e5f4d4c-3b2a-4190-8f7e-6d5c4b3a2910";
+
+// The driver reads numbers back as JS numbers, so expected results are the
+// indexes of the matching input documents
+const testCases = [
+	{
+		name: "ObjectId equality",
+		query: { foo: new ObjectId(idA) },
+		input: [
+			{ foo: new ObjectId(idA) },
+			{ foo: new ObjectId(idB) },
+			{ foo: idA },
+			{ foo: [new ObjectId(idB), new ObjectId(idA)] },
+		],
+		expected: [0, 3],
+	},
+	{
+		name: "ObjectId $in",
+		query: { foo: { $in: [new ObjectId(idA), idB] } },
+		input: [
+			{ foo: new ObjectId(idA) },
+			{ foo: new ObjectId(idB) },
+			{ foo: idB },
+		],
+		expected: [0, 2],
+	},
+	{
+		name: "ObjectId range",
+		query: { foo: { $gt: new ObjectId(idA) } },
+		input: [
+			{ foo: new ObjectId(idA) },
+			{ foo: new ObjectId(idB) },
+			{ foo: "zzz" },
+			{ foo: true },
+		],
+		expected: [1],
+	},
+	{
+		name: "internal fields are not traversed",
+		query: { "foo.buffer": { $exists: true } },
+		input: [
+			{ foo: new ObjectId(idA) },
+			{ foo: Decimal128.fromString("1") },
+			{ foo: { buffer: 1 } },
+		],
+		expected: [2],
+	},
+	{
+		name: "equality across numeric types",
+		query: { foo: 1 },
+		input: [
+			{ foo: new Int32(1) },
+			{ foo: Long.fromNumber(1) },
+			{ foo: new Double(1) },
+			{ foo: Decimal128.fromString("1.00") },
+			{ foo: Decimal128.fromString("1.01") },
+			{ foo: "1" },
+		],
+		expected: [0, 1, 2, 3],
+	},
+	{
+		name: "equality in embedded documents",
+		query: { foo: { bar: new Int32(3) } },
+		input: [
+			{ foo: { bar: 3 } },
+			{ foo: { bar: Long.fromNumber(3) } },
+			{ foo: { bar: Decimal128.fromString("3.0"), baz: 1 } },
+		],
+		expected: [0, 1],
+	},
+	{
+		name: "Decimal128 range",
+		query: { foo: { $gt: Decimal128.fromString("0.1") } },
+		input: [
+			{ foo: 0.1 },
+			{ foo: Decimal128.fromString("0.1") },
+			{ foo: Decimal128.fromString("0.10000000000000000000000000000001") },
+			{ foo: new Int32(0) },
+			{ foo: Long.fromNumber(1) },
+		],
+		expected: [0, 2, 4],
+	},
+	{
+		name: "Long range past 2^53",
+		query: { foo: { $lt: Long.fromString("9007199254740993") } },
+		input: [
+			{ foo: 9007199254740992 },
+			{ foo: Long.fromString("9007199254740993") },
+			{ foo: Long.fromString("9007199254740992") },
+		],
+		expected: [0, 2],
+	},
+	{
+		name: "$type of bson numbers",
+		query: { foo: { $type: ["int", "decimal"] } },
+		input: [
+			{ foo: new Int32(1) },
+			{ foo: Long.fromNumber(1) },
+			{ foo: new Double(1) },
+			{ foo: Decimal128.fromString("1") },
+			{ foo: 1 },
+		],
+		expected: [0, 3, 4],
+	},
+	{
+		name: "$mod of bson numbers",
+		query: { foo: { $mod: [4, 1] } },
+		input: [
+			{ foo: new Int32(5) },
+			{ foo: Long.fromNumber(9) },
+			{ foo: new Double(5.5) },
+			{ foo: Decimal128.fromString("13.9") },
+			{ foo: Decimal128.fromString("2") },
+		],
+		expected: [0, 1, 2, 3],
+	},
+	{
+		name: "$expr $multiply with bson numbers",
+		query: { $expr: { $eq: [{ $multiply: ["$qty", "$price"] }, 2.5] } },
+		input: [
+			{ qty: new Int32(2), price: Decimal128.fromString("1.25") },
+			{ qty: Long.fromNumber(2), price: new Double(1.25) },
+			{ qty: new Int32(3), price: Decimal128.fromString("1.25") },
+		],
+		expected: [0, 1],
+	},
+	{
+		name: "$expr $add and $subtract with bson numbers",
+		query: {
+			$expr: { $eq: [{ $subtract: [{ $add: ["$a", "$b"] }, 1] }, 6] },
+		},
+		input: [
+			{ a: new Int32(5), b: Long.fromNumber(2) },
+			{ a: new Double(4.5), b: Decimal128.fromString("2.5") },
+			{ a: new Int32(1), b: Long.fromNumber(1) },
+		],
+		expected: [0, 1],
+	},
+	{
+		name: "$expr conversions of bson numbers",
+		query: {
+			$expr: {
+				$and: [
+					{ $eq: [{ $toInt: "$v" }, 5] },
+					{ $eq: [{ $toDouble: "$v" }, "$d"] },
+					{ $toBool: "$v" },
+					{ $eq: [{ $toString: "$v" }, "$s"] },
+				],
+			},
+		},
+		input: [
+			{ v: new Int32(5), d: 5, s: "5" },
+			{ v: Decimal128.fromString("5.50"), d: 5.5, s: "5.50" },
+			{ v: Long.fromNumber(5), d: 5, s: "5" },
+			{ v: new Double(5.25), d: 5.25, s: "5.25" },
+			{ v: Decimal128.fromString("6"), d: 6, s: "6" },
+		],
+		expected: [0, 1, 2, 3],
+	},
+	{
+		name: "UUID equality",
+		query: { foo: new UUID(uuid) },
+		input: [
+			{ foo: new UUID(uuid) },
+			{ foo: new Binary(new UUID(uuid).buffer) },
+			{ foo: new UUID() },
+		],
+		expected: [0],
+	},
+	{
+		name: "Binary range",
+		query: { foo: { $gt: new Binary(new Uint8Array([1, 2])) } },
+		input: [
+			{ foo: new Binary(new Uint8Array([1, 3])) },
+			{ foo: new Binary(new Uint8Array([1])) },
+			{ foo: new Binary(new Uint8Array([0, 0, 0])) },
+			{ foo: new Binary(new Uint8Array([1, 2]), 4) },
+		],
+		expected: [0, 2, 3],
+	},
+	{
+		name: "Timestamp range",
+		query: { foo: { $gte: new Timestamp({ t: 10, i: 2 }) } },
+		input: [
+			{ foo: new Timestamp({ t: 10, i: 1 }) },
+			{ foo: new Timestamp({ t: 10, i: 2 }) },
+			{ foo: new Timestamp({ t: 11, i: 0 }) },
+			{ foo: new Date(20000) },
+		],
+		expected: [1, 2],
+	},
+	{
+		name: "$all with bson numbers",
+		query: { foo: { $all: [Decimal128.fromString("1"), Long.fromNumber(2)] } },
+		input: [
+			{ foo: [1, 2] },
+			{ foo: [1] },
+			{ foo: [new Int32(2), new Double(1)] },
+		],
+		expected: [0, 2],
+	},
+	{
+		name: "$gt MinKey",
+		query: { foo: { $gt: new MinKey() } },
+		input: [
+			{ foo: 1 },
+			{ foo: null },
+			{},
+			{ foo: "a" },
+			{ foo: new MinKey() },
+			{ foo: [] },
+		],
+		expected: [0, 1, 2, 3, 5],
+	},
+	{
+		name: "$lt MaxKey",
+		query: { foo: { $lt: new MaxKey() } },
+		input: [
+			{ foo: 1 },
+			{},
+			{ foo: new MaxKey() },
+			{ foo: new Date(0) },
+			{ foo: [new MaxKey()] },
+		],
+		expected: [0, 1, 3, 4],
+	},
+	{
+		name: "$lte MinKey",
+		query: { foo: { $lte: new MinKey() } },
+		input: [{ foo: new MinKey() }, { foo: null }, {}],
+		expected: [0],
+	},
+	{
+		name: "MinKey equality",
+		query: { foo: new MinKey() },
+		input: [{ foo: new MinKey() }, { foo: null }, {}, { foo: new MaxKey() }],
+		expected: [0],
+	},
+	{
+		name: "$type maxKey",
+		query: { foo: { $type: "maxKey" } },
+		input: [{ foo: new MaxKey() }, { foo: new MinKey() }, { foo: 127 }],
+		expected: [0],
+	},
+	{
+		name: "bigint equality",
+		query: { foo: 1n },
+		input: [
+			{ foo: 1 },
+			{ foo: 1n },
+			{ foo: Long.fromNumber(1) },
+			{ foo: Decimal128.fromString("1") },
+			{ foo: 2n },
+			{ foo: "1" },
+		],
+		expected: [0, 1, 2, 3],
+	},
+	{
+		name: "bigint equality past 2^53",
+		query: { foo: 9007199254740993n },
+		input: [
+			{ foo: 9007199254740992 },
+			{ foo: 9007199254740993n },
+			{ foo: Long.fromString("9007199254740993") },
+		],
+		expected: [1, 2],
+	},
+	{
+		name: "bigint range",
+		query: { foo: { $gt: 9007199254740992 } },
+		input: [
+			{ foo: 9007199254740993n },
+			{ foo: 9007199254740992n },
+			{ foo: [1n, 9007199254740992] },
+			{ foo: [1n, 9007199254740999n] },
+		],
+		expected: [0, 3],
+	},
+	{
+		name: "$in with bigint",
+		query: { foo: { $in: [1n, 3] } },
+		input: [{ foo: 1 }, { foo: 3n }, { foo: 2n }, { foo: [5, 1n] }],
+		expected: [0, 1, 3],
+	},
+	{
+		name: "$all with bigint",
+		query: { foo: { $all: [1n, 2] } },
+		input: [{ foo: [1, 2n] }, { foo: [1n] }, { foo: [2, 1] }],
+		expected: [0, 2],
+	},
+	{
+		name: "$size with bigint",
+		query: { foo: { $size: 2n } },
+		input: [{ foo: [1, 2] }, { foo: [1] }, { foo: 2n }],
+		expected: [0],
+	},
+	{
+		name: "$mod with bigint",
+		query: { foo: { $mod: [3n, 1n] } },
+		input: [
+			{ foo: 4n },
+			{ foo: 9007199254740994n },
+			{ foo: -2n },
+			{ foo: 7.9 },
+			{ foo: "4" },
+		],
+		expected: [0, 1, 3],
+	},
+	{
+		name: "$expr arithmetic with bigint",
+		query: {
+			$expr: {
+				$and: [
+					{ $eq: [{ $add: ["$a", 1] }, 6] },
+					{ $eq: [{ $multiply: ["$a", "$b"] }, "$product"] },
+					{ $eq: [{ $mod: ["$a", 3n] }, 2] },
+				],
+			},
+		},
+		input: [
+			{ a: 5n, b: 9007199254740993n, product: 45035996273704965n },
+			{ a: 5n, b: 0.5, product: 2.5 },
+			{ a: 4n, b: 1n, product: 4n },
+		],
+		expected: [0, 1],
+	},
+	{
+		name: "$mod truncation with negative values",
+		query: { foo: { $mod: [4, -1] } },
+		input: [
+			{ foo: -5 },
+			{ foo: -5.5 },
+			{ foo: -1.5 },
+			{ foo: 3 },
+			{ foo: -9n },
+		],
+		expected: [0, 1, 2, 4],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query bson type tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const docs = input.map((doc, i) => ({ i, ...doc }));
+
+			const mongoResults = await getMongoResults(collection, query, docs);
+			assert.deepStrictEqual(
+				mongoResults.map((doc) => doc.i),
+				expected,
+			);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), docs);
+			assert.deepStrictEqual(
+				actual.map((doc) => doc.i),
+				expected,
+			);
+		});
+	}
+
+	await test("mgq MinKey and MaxKey", () => {
+		const q = Query({ foo: { $gt: mgqMinKey, $lt: mgqMaxKey } });
+		assert.strictEqual(q.test({ foo: 1 }), true);
+		assert.strictEqual(q.test({}), true);
+		assert.strictEqual(q.test({ foo: new MinKey() }), false);
+		assert.strictEqual(q.test({ foo: mgqMaxKey }), false);
+		assert.strictEqual(
+			Query({ foo: mgqMinKey }).test({ foo: new MinKey() }),
+			true,
+		);
+		assert.strictEqual(
+			Query({ foo: new MaxKey() }).test({ foo: mgqMaxKey }),
+			true,
+		);
+	});
+});
@@ -0,0 +1,144 @@
+import assert from "node:assert";
+import test, { describe } from "node:test";
+import { MaxKey, MinKey, Query } from "../mgq.js";
+
+const input = [
+	{},
+	{ foo: null },
+	{ foo: 1 },
+	{ foo: Number.NaN },
+	{ foo: "bar" },
+	{ foo: "BAZ\n" },
+	{ foo: [] },
+	{ foo: [1, 2, 3] },
+	{ foo: [[1], [2, "bar"]] },
+	{ foo: [null, { bar: 1 }] },
+	{ foo: { bar: 1, baz: [1, 2] } },
+	{ foo: { bar: [{ baz: 1 }, { baz: "qux" }] } },
+	{ foo: { bar: { baz: null } } },
+	{ foo: [{ bar: 1 }, { bar: [2, 3] }, { baz: 4 }] },
+	{ foo: { 0: "zero", length: 2 } },
+	{ foo: ["a", "b"], bar: 5 },
+	{ foo: new Date(0) },
+	{ foo: [true, [3]] },
+	{ foo: MaxKey },
+	{ foo: 3n },
+	{ foo: [2n, 9007199254740993n] },
+	{ foo: { type: "Point", coordinates: [1, 1] } },
+	{ foo: [1, 1], bar: [0, 0] },
+];
+
+const queries = [
+	{ foo: 1 },
+	{ foo: null },
+	{ foo: Number.NaN },
+	{ foo: [1, 2, 3] },
+	{ foo: { bar: 1, baz: [1, 2] } },
+	{ foo: /^ba/i },
+	{ "foo.bar": 1 },
+	{ "foo.bar.baz": null },
+	{ "foo.0": 1 },
+	{ "foo.1.bar": 2 },
+	{ "foo.length": 2 },
+	{ foo: { $eq: "bar", $ne: null } },
+	{ foo: { $gt: 1 } },
+	{ foo: { $gte: null } },
+	{ foo: { $gte: new Date(0) } },
+	{ foo: { $lt: [2, new Date(0)] } },
+	{ foo: { $gt: [[1], [2]] } },
+	{ foo: { $lte: { bar: 1, baz: [1, 3] } } },
+	{ foo: { $gte: Number.NaN } },
+	{ foo: { $gt: MinKey } },
+	{ "foo.bar": { $lt: MaxKey } },
+	{ foo: MaxKey },
+	{ foo: 3n },
+	{ foo: { $in: [1, 2n] } },
+	{ foo: { $gt: 9007199254740992 } },
+	{ foo: { $mod: [2n, 1] } },
+	{ "foo.bar": { $lt: 2 } },
+	{ "foo.bar.baz": { $lte: null } },
+	{ "foo.length": { $gte: 2 } },
+	{ foo: { $in: [1, "bar", null] } },
+	{ foo: { $in: [/^BA/, { bar: 1 }] } },
+	{ "foo.bar": { $nin: [1, 2] } },
+	{ foo: { $in: 1 } },
+	{ foo: { $not: { $gt: 1 } } },
+	{ foo: { $not: /^ba/ } },
+	{ foo: { $regex: "^ba", $options: "i" } },
+	{ "foo.bar.baz": { $regex: "q" } },
+	{ foo: { $mod: [2, 1] } },
+	{ foo: { $mod: "2" } },
+	{ foo: { $all: [1, 2] } },
+	{ foo: { $all: [{ $elemMatch: { bar: 1 } }] } },
+	{ foo: { $all: [] } },
+	{ foo: { $elemMatch: { $gte: 2, $lt: 3 } } },
+	{ foo: { $elemMatch: { $not: { $gt: 1 } } } },
+	{ foo: { $elemMatch: { $type: "array" } } },
+	{ foo: { $elemMatch: { bar: { $gte: 2 } } } },
+	{ foo: { $size: 3 } },
+	{ "foo.bar": { $exists: true } },
+	{ "foo.bar": { $exists: 0 } },
+	{ foo: { $type: "array" } },
+	{ foo: { $type: ["string", "null"] } },
+	{ foo: { $bitsAllSet: [0] } },
+	{ foo: { $bitsAnyClear: 1 } },
+	{
+		foo: {
+			$geoWithin: {
+				$box: [
+					[0, 0],
+					[2, 2],
+				],
+			},
+		},
+	},
+	{
+		foo: {
+			$geoIntersects: { $geometry: { type: "Point", coordinates: [1, 1] } },
+		},
+	},
+	{ foo: { $near: [1, 1], $maxDistance: 1 } },
+	{ foo: { $unknown: 1 } },
+	{ $and: [{ foo: { $exists: true } }, { bar: 5 }] },
+	{ $or: [{ foo: 1 }, { "foo.bar": 1 }] },
+	{ $nor: [{ foo: null }, { foo: { $type: "array" } }] },
+	{ $and: 1 },
+	{ $where: "this.bar === 5" },
+	{ $expr: { $eq: [{ $type: "$foo" }, "string"] } },
+	{
+		$jsonSchema: {
+			required: ["foo"],
+			properties: { foo: { bsonType: "int" } },
+		},
+	},
+	{ foo: { $exists: true }, bar: { $gte: 5 } },
+	...["^b", "$foo"].map((regex) => ({
+		$expr: {
+			$cond: [
+				{ $eq: [{ $type: "$foo" }, "string"] },
+				{ $regexMatch: { input: "$foo", regex, options: "i" } },
+				false,
+			],
+		},
+	})),
+	{ $jsonSchema: { properties: { foo: { type: "string", pattern: "a" } } } },
+	{ $jsonSchema: { properties: { foo: { pattern: 1 } } } },
+	{ $text: { $search: "bar -baz" } },
+	{ $text: { $search: 1 } },
+];
+
+describe("Query compile tests", () => {
+	for (const query of queries) {
+		const name = JSON.stringify(query, (_, v) =>
+			typeof v === "bigint" ? `${v}n` : v,
+		);
+		test(name, () => {
+			const interpreted = Query(query, { compile: false });
+			const compiled = Query(query);
+			assert.deepStrictEqual(
+				input.filter(compiled.test),
+				input.filter(interpreted.test),
+			);
+		});
+	}
+});
@@ -0,0 +1,299 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$cond object form",
+		query: {
+			$expr: {
+				$lt: [
+					{
+						$cond: {
+							if: { $gte: ["$qty", 100] },
+							then: { $multiply: ["$price", 0.5] },
+							else: "$price",
+						},
+					},
+					10,
+				],
+			},
+		},
+		input: [
+			{ qty: 100, price: 15 },
+			{ qty: 10, price: 15 },
+			{ qty: 10, price: 5 },
+		],
+		expected: [
+			{ qty: 100, price: 15 },
+			{ qty: 10, price: 5 },
+		],
+	},
+	{
+		name: "$cond array form",
+		query: { $expr: { $cond: ["$flag", "$a", "$b"] } },
+		input: [
+			{ flag: true, a: 1, b: 0 },
+			{ flag: true, a: 0, b: 1 },
+			{ flag: 0, a: 0, b: 1 },
+			{ a: 0, b: 1 },
+			{ flag: [], a: 1, b: 0 },
+		],
+		expected: [
+			{ flag: true, a: 1, b: 0 },
+			{ flag: 0, a: 0, b: 1 },
+			{ a: 0, b: 1 },
+			{ flag: [], a: 1, b: 0 },
+		],
+	},
+	{
+		name: "$switch with default",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$switch: {
+							branches: [
+								{ case: { $gte: ["$score", 90] }, then: "A" },
+								{ case: { $gte: ["$score", 80] }, then: "B" },
+							],
+							default: "F",
+						},
+					},
+					"$grade",
+				],
+			},
+		},
+		input: [
+			{ score: 95, grade: "A" },
+			{ score: 85, grade: "B" },
+			{ score: 95, grade: "B" },
+			{ score: 10, grade: "F" },
+			{ grade: "F" },
+		],
+		expected: [
+			{ score: 95, grade: "A" },
+			{ score: 85, grade: "B" },
+			{ score: 10, grade: "F" },
+			{ grade: "F" },
+		],
+	},
+	{
+		name: "$switch without default when a branch matches",
+		query: {
+			$expr: {
+				$switch: {
+					branches: [
+						{ case: { $eq: ["$type", "a"] }, then: true },
+						{ case: true, then: false },
+					],
+				},
+			},
+		},
+		input: [{ type: "a" }, { type: "b" }],
+		expected: [{ type: "a" }],
+	},
+	{
+		name: "$ifNull",
+		query: { $expr: { $eq: [{ $ifNull: ["$a", "$b", "none"] }, "$expected"] } },
+		input: [
+			{ a: 1, b: 2, expected: 1 },
+			{ a: null, b: 2, expected: 2 },
+			{ b: null, expected: "none" },
+			{ a: false, expected: false },
+			{ a: 1, expected: 2 },
+		],
+		expected: [
+			{ a: 1, b: 2, expected: 1 },
+			{ a: null, b: 2, expected: 2 },
+			{ b: null, expected: "none" },
+			{ a: false, expected: false },
+		],
+	},
+	{
+		name: "$let",
+		query: {
+			$expr: {
+				$let: {
+					vars: { total: { $add: ["$price", "$tax"] } },
+					in: { $gt: ["$$total", 100] },
+				},
+			},
+		},
+		input: [
+			{ price: 90, tax: 20 },
+			{ price: 90, tax: 5 },
+		],
+		expected: [{ price: 90, tax: 20 }],
+	},
+	{
+		name: "$let nested scopes",
+		query: {
+			$expr: {
+				$let: {
+					vars: { x: "$a", y: 10 },
+					in: {
+						$let: {
+							vars: { x: { $add: ["$$x", 1] } },
+							in: { $eq: [{ $add: ["$$x", "$$y"] }, 13] },
+						},
+					},
+				},
+			},
+		},
+		input: [{ a: 2 }, { a: 3 }],
+		expected: [{ a: 2 }],
+	},
+	{
+		name: "$let variables in $map",
+		query: {
+			$expr: {
+				$let: {
+					vars: { factor: "$factor" },
+					in: {
+						$eq: [
+							{
+								$map: {
+									input: "$a",
+									in: { $multiply: ["$$this", "$$factor"] },
+								},
+							},
+							[2, 4],
+						],
+					},
+				},
+			},
+		},
+		input: [
+			{ a: [1, 2], factor: 2 },
+			{ a: [1, 2], factor: 3 },
+		],
+		expected: [{ a: [1, 2], factor: 2 }],
+	},
+	{
+		name: "$and",
+		query: { $expr: { $and: ["$a", { $gt: ["$b", 1] }] } },
+		input: [
+			{ a: 1, b: 2 },
+			{ a: 0, b: 2 },
+			{ a: null, b: 2 },
+			{ b: 2 },
+			{ a: "", b: 2 },
+			{ a: true, b: 1 },
+		],
+		expected: [
+			{ a: 1, b: 2 },
+			{ a: "", b: 2 },
+		],
+	},
+	{
+		name: "$or",
+		query: { $expr: { $or: ["$a", "$b"] } },
+		input: [
+			{ a: 0, b: false },
+			{ a: 0, b: 1 },
+			{ a: [], b: null },
+			{ a: null },
+			{},
+		],
+		expected: [
+			{ a: 0, b: 1 },
+			{ a: [], b: null },
+		],
+	},
+	{
+		name: "$and and $or with no arguments",
+		query: { $expr: { $and: [{ $and: [] }, { $not: { $or: [] } }] } },
+		input: [{ a: 1 }],
+		expected: [{ a: 1 }],
+	},
+	{
+		name: "$not",
+		query: { $expr: { $not: ["$a"] } },
+		input: [{ a: 0 }, { a: false }, { a: null }, {}, { a: 1 }, { a: "0" }],
+		expected: [{ a: 0 }, { a: false }, { a: null }, {}],
+	},
+];
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query conditional expression tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("conditional expression errors", () => {
+		const errors = [
+			[{ $cond: { if: true, then: 1 } }, TypeError],
+			[{ $cond: [true, 1] }, TypeError],
+			[{ $switch: { branches: [{ case: "$missing", then: 1 }] } }, RangeError],
+			[{ $switch: { branches: [{ case: true }] } }, TypeError],
+			[{ $ifNull: ["$a"] }, TypeError],
+			[{ $let: { vars: { Total: 1 }, in: "$$Total" } }, SyntaxError],
+			[{ $let: { vars: { x: "$$x" }, in: "$$x" } }, ReferenceError],
+			[{ $not: [1, 2] }, TypeError],
+		];
+		for (const [expr, error] of errors) {
+			assert.throws(() => Query({ $expr: expr }).test({ a: 1 }), error);
+		}
+	});
+
+	await test("branches that are not taken are not evaluated", () => {
+		const q = Query({
+			$expr: {
+				$and: [
+					{ $cond: [true, true, { $divide: [1, 0] }] },
+					{ $or: [true, { $divide: [1, 0] }] },
+					{ $not: { $and: [false, { $divide: [1, 0] }] } },
+					{ $ifNull: [1, { $divide: [1, 0] }] },
+				],
+			},
+		});
+		assert.strictEqual(q.test({}), true);
+	});
+});
@@ -0,0 +1,363 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$toInt from strings and doubles",
+		query: { $expr: { $gt: [{ $toInt: "$qty" }, 4] } },
+		input: [
+			{ qty: "5" },
+			{ qty: "4" },
+			{ qty: 5.9 },
+			{ qty: 4.9 },
+			{ qty: true },
+		],
+		expected: [{ qty: "5" }, { qty: 5.9 }],
+	},
+	{
+		name: "$toInt truncates negative doubles towards zero",
+		query: { $expr: { $eq: [{ $toInt: "$n" }, -4] } },
+		input: [{ n: -4.9 }, { n: -5.1 }, { n: -4 }],
+		expected: [{ n: -4.9 }, { n: -4 }],
+	},
+	{
+		name: "$toLong",
+		query: { $expr: { $eq: [{ $toLong: "$n" }, "$expected"] } },
+		input: [
+			{ n: "123", expected: 123 },
+			{ n: 5.7, expected: 5 },
+			{ n: false, expected: 0 },
+			{ n: new Date(1000), expected: 1000 },
+		],
+		expected: [
+			{ n: "123", expected: 123 },
+			{ n: 5.7, expected: 5 },
+			{ n: false, expected: 0 },
+			{ n: new Date(1000), expected: 1000 },
+		],
+	},
+	{
+		name: "$toLong in arithmetic",
+		query: {
+			$expr: {
+				$and: [
+					{ $gt: [{ $add: [{ $toLong: "$c" }, 1] }, 10] },
+					{
+						$eq: [{ $type: { $multiply: [{ $toLong: "$c" }, 2] } }, "long"],
+					},
+					{
+						$eq: [{ $type: { $add: [{ $toLong: "$c" }, 0.5] } }, "double"],
+					},
+				],
+			},
+		},
+		input: [{ c: "12" }, { c: "9" }, { c: 10.5 }],
+		expected: [{ c: "12" }, { c: 10.5 }],
+	},
+	{
+		name: "$toDouble and $toDecimal",
+		query: {
+			$expr: {
+				$eq: [
+					[{ $toDouble: "$n" }, { $toDecimal: "$n" }],
+					["$expected", "$expected"],
+				],
+			},
+		},
+		input: [
+			{ n: "1.5", expected: 1.5 },
+			{ n: "-2e3", expected: -2000 },
+			{ n: true, expected: 1 },
+			{ n: new Date(10), expected: 10 },
+			{ n: "1.5", expected: 2 },
+		],
+		expected: [
+			{ n: "1.5", expected: 1.5 },
+			{ n: "-2e3", expected: -2000 },
+			{ n: true, expected: 1 },
+			{ n: new Date(10), expected: 10 },
+		],
+	},
+	{
+		name: "$toBool",
+		query: { $expr: { $toBool: "$v" } },
+		input: [
+			{ v: 1 },
+			{ v: 0 },
+			{ v: "" },
+			{ v: "false" },
+			{ v: 0.5 },
+			{ v: false },
+			{ v: new Date(0) },
+		],
+		expected: [
+			{ v: 1 },
+			{ v: "" },
+			{ v: "false" },
+			{ v: 0.5 },
+			{ v: new Date(0) },
+		],
+	},
+	{
+		name: "$toString",
+		query: { $expr: { $eq: [{ $toString: "$v" }, "$expected"] } },
+		input: [
+			{ v: 1, expected: "1" },
+			{ v: 1.5, expected: "1.5" },
+			{ v: true, expected: "true" },
+			{ v: new Date(0), expected: "1970-01-01T00:00:00.000Z" },
+			{ v: 2, expected: "2.0" },
+		],
+		expected: [
+			{ v: 1, expected: "1" },
+			{ v: 1.5, expected: "1.5" },
+			{ v: true, expected: "true" },
+			{ v: new Date(0), expected: "1970-01-01T00:00:00.000Z" },
+		],
+	},
+	{
+		name: "$toDate",
+		query: {
+			$expr: {
+				$eq: [{ $toDate: "$v" }, new Date("2024-03-31T01:30:00Z")],
+			},
+		},
+		input: [
+			{ v: "2024-03-31T01:30:00Z" },
+			{ v: "2024-03-31T03:30:00+02:00" },
+			{ v: 1711848600000 },
+			{ v: "2024-03-31" },
+		],
+		expected: [
+			{ v: "2024-03-31T01:30:00Z" },
+			{ v: "2024-03-31T03:30:00+02:00" },
+			{ v: 1711848600000 },
+		],
+	},
+	{
+		name: "$toObjectId",
+		query: {
+			$expr: {
+				$eq: [
+					{ $toObjectId: "$id" },
+					{ $toObjectId: "5ab9cbfa31c2ab715d42129e" },
+				],
+			},
+		},
+		input: [
+			{ id: "5ab9cbfa31c2ab715d42129e" },
+			{ id: "5AB9CBFA31C2AB715D42129E" },
+			{ id: "5ab9cbfa31c2ab715d42129f" },
+		],
+		expected: [
+			{ id: "5ab9cbfa31c2ab715d42129e" },
+			{ id: "5AB9CBFA31C2AB715D42129E" },
+		],
+	},
+	{
+		name: "conversion of null and missing",
+		query: {
+			$expr: {
+				$eq: [
+					[{ $toInt: "$v" }, { $toString: "$v" }, { $toDate: "$v" }],
+					[null, null, null],
+				],
+			},
+		},
+		input: [{ v: null }, {}, { v: 1.5 }],
+		expected: [{ v: null }, {}],
+	},
+	{
+		name: "$convert with type alias and number",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $convert: { input: "$v", to: "int" } },
+						{ $convert: { input: "$v", to: 16 } },
+						{ $convert: { input: "$v", to: "$to" } },
+					],
+					[10, 10, "10"],
+				],
+			},
+		},
+		input: [
+			{ v: "10", to: "string" },
+			{ v: 10.5, to: "string" },
+			{ v: "10", to: "int" },
+		],
+		expected: [{ v: "10", to: "string" }],
+	},
+	{
+		name: "$convert onError",
+		query: {
+			$expr: {
+				$eq: [{ $convert: { input: "$v", to: "int", onError: -1 } }, -1],
+			},
+		},
+		input: [
+			{ v: "abc" },
+			{ v: "1.5" },
+			{ v: 1e10 },
+			{ v: "2147483648" },
+			{ v: new Date(0) },
+			{ v: "-1" },
+			{ v: "12" },
+		],
+		expected: [
+			{ v: "abc" },
+			{ v: "1.5" },
+			{ v: 1e10 },
+			{ v: "2147483648" },
+			{ v: new Date(0) },
+			{ v: "-1" },
+		],
+	},
+	{
+		name: "$convert onNull",
+		query: {
+			$expr: {
+				$eq: [{ $convert: { input: "$v", to: "int", onNull: "none" } }, "none"],
+			},
+		},
+		input: [{ v: null }, {}, { v: "1" }],
+		expected: [{ v: null }, {}],
+	},
+	{
+		name: "$type",
+		query: { $expr: { $eq: [{ $type: "$v" }, "$t"] } },
+		input: [
+			{ v: 1, t: "int" },
+			{ v: 1.5, t: "double" },
+			{ v: "a", t: "string" },
+			{ v: [1], t: "array" },
+			{ v: { a: 1 }, t: "object" },
+			{ v: null, t: "null" },
+			{ v: true, t: "bool" },
+			{ v: new Date(0), t: "date" },
+			{ v: /a/, t: "regex" },
+			{ t: "missing" },
+			{ v: 1, t: "double" },
+		],
+		expected: [
+			{ v: 1, t: "int" },
+			{ v: 1.5, t: "double" },
+			{ v: "a", t: "string" },
+			{ v: [1], t: "array" },
+			{ v: { a: 1 }, t: "object" },
+			{ v: null, t: "null" },
+			{ v: true, t: "bool" },
+			{ v: new Date(0), t: "date" },
+			{ v: /a/, t: "regex" },
+			{ t: "missing" },
+		],
+	},
+	{
+		name: "$type of converted values",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $type: { $toLong: "$v" } },
+						{ $type: { $toString: "$v" } },
+						{ $type: { $toDate: { $toLong: "$v" } } },
+						{ $type: { $toObjectId: "5ab9cbfa31c2ab715d42129e" } },
+					],
+					["long", "string", "date", "objectId"],
+				],
+			},
+		},
+		input: [{ v: 1 }],
+		expected: [{ v: 1 }],
+	},
+	{
+		name: "$isNumber",
+		query: { $expr: { $isNumber: "$v" } },
+		input: [{ v: 1 }, { v: 1.5 }, { v: "1" }, { v: null }, {}, { v: [1] }],
+		expected: [{ v: 1 }, { v: 1.5 }],
+	},
+];
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query type conversion expression tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("$toLong keeps 64-bit precision", () => {
+		const q = Query({
+			$expr: { $eq: [{ $toLong: "$v" }, 9007199254740993n] },
+		});
+		assert.strictEqual(q.test({ v: "9007199254740993" }), true);
+		assert.strictEqual(q.test({ v: "9007199254740992" }), false);
+	});
+
+	await test("type conversion errors", () => {
+		const errors = [
+			[{ $toInt: "abc" }, RangeError],
+			[{ $toInt: "2147483648" }, RangeError],
+			[{ $toInt: Number.NaN }, RangeError],
+			[{ $toLong: 2 ** 63 }, RangeError],
+			[{ $toDouble: "1.5x" }, RangeError],
+			[{ $toDate: 5 }, TypeError],
+			[{ $toDate: "not a date" }, RangeError],
+			[{ $toObjectId: "abc" }, RangeError],
+			[{ $toObjectId: "5ab9cbfa31c2ab715d42129z" }, RangeError],
+			[{ $toBool: { $literal: [1] } }, TypeError],
+			[{ $toString: { $literal: { a: 1 } } }, TypeError],
+			[{ $convert: { input: 1, to: "number", onError: 0 } }, TypeError],
+			[{ $convert: { input: 1 } }, TypeError],
+			[{ $type: [1, 2] }, TypeError],
+		];
+		for (const [expr, error] of errors) {
+			assert.throws(() => Query({ $expr: expr }).test({}), error);
+		}
+	});
+});
@@ -0,0 +1,636 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$year, $month and $dayOfMonth",
+		query: {
+			$expr: {
+				$eq: [
+					[{ $year: "$d" }, { $month: "$d" }, { $dayOfMonth: "$d" }],
+					[2024, 3, 31],
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-03-31T01:30:00Z") },
+			{ d: new Date("2024-04-01T00:00:00Z") },
+			{ d: new Date("2023-03-31T00:00:00Z") },
+		],
+		expected: [{ d: new Date("2024-03-31T01:30:00Z") }],
+	},
+	{
+		name: "$dayOfWeek with Olson timezone",
+		query: {
+			$expr: {
+				$eq: [{ $dayOfWeek: { date: "$d", timezone: "Europe/Berlin" } }, 1],
+			},
+		},
+		input: [
+			{ d: new Date("2024-03-30T23:30:00Z") },
+			{ d: new Date("2024-03-31T22:30:00Z") },
+			{ d: new Date("2024-03-31T21:30:00Z") },
+		],
+		expected: [
+			{ d: new Date("2024-03-30T23:30:00Z") },
+			{ d: new Date("2024-03-31T21:30:00Z") },
+		],
+	},
+	{
+		name: "$hour with UTC offset",
+		query: {
+			$expr: { $eq: [{ $hour: { date: "$d", timezone: "+05:30" } }, 7] },
+		},
+		input: [
+			{ d: new Date("2024-03-31T01:30:00Z") },
+			{ d: new Date("2024-03-31T07:30:00Z") },
+		],
+		expected: [{ d: new Date("2024-03-31T01:30:00Z") }],
+	},
+	{
+		name: "$minute, $second and $millisecond",
+		query: {
+			$expr: {
+				$eq: [
+					[{ $minute: "$d" }, { $second: "$d" }, { $millisecond: "$d" }],
+					[20, 30, 456],
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-01-01T10:20:30.456Z") },
+			{ d: new Date("2024-01-01T10:20:30Z") },
+		],
+		expected: [{ d: new Date("2024-01-01T10:20:30.456Z") }],
+	},
+	{
+		name: "$dayOfYear",
+		query: { $expr: { $eq: [{ $dayOfYear: "$d" }, 366] } },
+		input: [
+			{ d: new Date("2024-12-31T00:00:00Z") },
+			{ d: new Date("2023-12-31T00:00:00Z") },
+		],
+		expected: [{ d: new Date("2024-12-31T00:00:00Z") }],
+	},
+	{
+		name: "$week and ISO week parts",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $week: "$d" },
+						{ $isoWeek: "$d" },
+						{ $isoWeekYear: "$d" },
+						{ $isoDayOfWeek: "$d" },
+					],
+					[1, 53, 2020, 7],
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2021-01-03T00:00:00Z") },
+			{ d: new Date("2021-01-04T00:00:00Z") },
+		],
+		expected: [{ d: new Date("2021-01-03T00:00:00Z") }],
+	},
+	{
+		name: "date parts of null and missing",
+		query: { $expr: { $eq: [{ $year: "$d" }, null] } },
+		input: [{ d: null }, {}, { d: new Date(0) }],
+		expected: [{ d: null }, {}],
+	},
+	{
+		name: "$dateToString default format",
+		query: {
+			$expr: {
+				$eq: [{ $dateToString: { date: "$d" } }, "2024-03-31T01:30:00.000Z"],
+			},
+		},
+		input: [
+			{ d: new Date("2024-03-31T01:30:00Z") },
+			{ d: new Date("2024-03-31T01:30:01Z") },
+		],
+		expected: [{ d: new Date("2024-03-31T01:30:00Z") }],
+	},
+	{
+		name: "$dateToString with timezone",
+		query: {
+			$expr: {
+				$eq: [
+					{ $dateToString: { date: "$d", timezone: "Europe/Berlin" } },
+					"2024-03-31T03:30:00.000",
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-03-31T01:30:00Z") },
+			{ d: new Date("2024-03-31T03:30:00Z") },
+		],
+		expected: [{ d: new Date("2024-03-31T01:30:00Z") }],
+	},
+	{
+		name: "$dateToString with format",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$dateToString: {
+							date: "$d",
+							format: "%d/%m/%Y %H:%M %j %U %V %G %u %w %z %Z %%",
+							timezone: "+05:30",
+						},
+					},
+					"31/03/2024 07:00 091 13 13 2024 7 1 +0530 +330 %",
+				],
+			},
+		},
+		input: [{ d: new Date("2024-03-31T01:30:00Z") }],
+		expected: [{ d: new Date("2024-03-31T01:30:00Z") }],
+	},
+	{
+		name: "$dateToString onNull",
+		query: {
+			$expr: {
+				$eq: [{ $dateToString: { date: "$d", onNull: "none" } }, "none"],
+			},
+		},
+		input: [{ d: null }, {}, { d: new Date(0) }],
+		expected: [{ d: null }, {}],
+	},
+	{
+		name: "$dateFromString",
+		query: {
+			$expr: { $eq: [{ $dateFromString: { dateString: "$s" } }, "$d"] },
+		},
+		input: [
+			{ s: "2024-03-31T01:30:00Z", d: new Date("2024-03-31T01:30:00Z") },
+			{ s: "2024-03-31", d: new Date("2024-03-31T00:00:00Z") },
+			{ s: "2024-03-31T03:30:00+02:00", d: new Date("2024-03-31T01:30:00Z") },
+			{ s: "2024-03-31 03:30:00.5", d: new Date("2024-03-31T03:30:00.500Z") },
+			{ s: "2024-03-31T03:30:00", d: new Date("2024-03-31T01:30:00Z") },
+		],
+		expected: [
+			{ s: "2024-03-31T01:30:00Z", d: new Date("2024-03-31T01:30:00Z") },
+			{ s: "2024-03-31", d: new Date("2024-03-31T00:00:00Z") },
+			{ s: "2024-03-31T03:30:00+02:00", d: new Date("2024-03-31T01:30:00Z") },
+			{ s: "2024-03-31 03:30:00.5", d: new Date("2024-03-31T03:30:00.500Z") },
+		],
+	},
+	{
+		name: "$dateFromString with timezone",
+		query: {
+			$expr: {
+				$eq: [
+					{ $dateFromString: { dateString: "$s", timezone: "Europe/Berlin" } },
+					new Date("2024-03-31T01:30:00Z"),
+				],
+			},
+		},
+		input: [{ s: "2024-03-31T03:30:00" }, { s: "2024-03-31T01:30:00" }],
+		expected: [{ s: "2024-03-31T03:30:00" }],
+	},
+	{
+		name: "$dateFromString with format",
+		query: {
+			$expr: {
+				$eq: [
+					{ $dateFromString: { dateString: "$s", format: "%d/%m/%Y" } },
+					new Date("2024-03-31T00:00:00Z"),
+				],
+			},
+		},
+		input: [{ s: "31/03/2024" }, { s: "30/03/2024" }],
+		expected: [{ s: "31/03/2024" }],
+	},
+	{
+		name: "$dateFromString onError and onNull",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$dateFromString: {
+							dateString: "$s",
+							onError: "error",
+							onNull: "null",
+						},
+					},
+					"$expected",
+				],
+			},
+		},
+		input: [
+			{ s: "2024-02-30", expected: "error" },
+			{ s: "not a date", expected: "error" },
+			{ s: null, expected: "null" },
+			{ expected: "null" },
+		],
+		expected: [
+			{ s: "2024-02-30", expected: "error" },
+			{ s: "not a date", expected: "error" },
+			{ s: null, expected: "null" },
+			{ expected: "null" },
+		],
+	},
+	{
+		name: "$dateToParts",
+		query: {
+			$expr: {
+				$eq: [
+					{ $dateToParts: { date: "$d", timezone: "Europe/Berlin" } },
+					{
+						year: 2024,
+						month: 3,
+						day: 31,
+						hour: 3,
+						minute: 30,
+						second: 0,
+						millisecond: 0,
+					},
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-03-31T01:30:00Z") },
+			{ d: new Date("2024-03-31T03:30:00Z") },
+		],
+		expected: [{ d: new Date("2024-03-31T01:30:00Z") }],
+	},
+	{
+		name: "$dateToParts iso8601",
+		query: {
+			$expr: {
+				$eq: [
+					{ $dateToParts: { date: "$d", iso8601: true } },
+					{
+						isoWeekYear: 2020,
+						isoWeek: 53,
+						isoDayOfWeek: 7,
+						hour: 0,
+						minute: 0,
+						second: 0,
+						millisecond: 0,
+					},
+				],
+			},
+		},
+		input: [{ d: new Date("2021-01-03T00:00:00Z") }],
+		expected: [{ d: new Date("2021-01-03T00:00:00Z") }],
+	},
+	{
+		name: "$dateFromParts",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$dateFromParts: {
+							year: "$y",
+							month: "$m",
+							day: 1,
+							hour: 3,
+							timezone: "Europe/Berlin",
+						},
+					},
+					"$d",
+				],
+			},
+		},
+		input: [
+			{ y: 2024, m: 4, d: new Date("2024-04-01T01:00:00Z") },
+			{ y: 2024, m: 14, d: new Date("2025-02-01T02:00:00Z") },
+			{ y: 2024, m: 1, d: new Date("2024-01-01T03:00:00Z") },
+		],
+		expected: [
+			{ y: 2024, m: 4, d: new Date("2024-04-01T01:00:00Z") },
+			{ y: 2024, m: 14, d: new Date("2025-02-01T02:00:00Z") },
+		],
+	},
+	{
+		name: "$dateFromParts iso8601",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$dateFromParts: { isoWeekYear: 2020, isoWeek: 53, isoDayOfWeek: 7 },
+					},
+					"$d",
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2021-01-03T00:00:00Z") },
+			{ d: new Date("2020-12-27T00:00:00Z") },
+		],
+		expected: [{ d: new Date("2021-01-03T00:00:00Z") }],
+	},
+	{
+		name: "$dateAdd month clamps to end of month",
+		query: {
+			$expr: {
+				$eq: [
+					{ $dateAdd: { startDate: "$d", unit: "month", amount: 1 } },
+					new Date("2024-02-29T00:00:00Z"),
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-01-31T00:00:00Z") },
+			{ d: new Date("2024-01-29T00:00:00Z") },
+			{ d: new Date("2024-02-01T00:00:00Z") },
+		],
+		expected: [
+			{ d: new Date("2024-01-31T00:00:00Z") },
+			{ d: new Date("2024-01-29T00:00:00Z") },
+		],
+	},
+	{
+		name: "$dateAdd day keeps local time across DST",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$dateAdd: {
+							startDate: "$d",
+							unit: "day",
+							amount: 1,
+							timezone: "Europe/Berlin",
+						},
+					},
+					new Date("2024-03-31T11:00:00Z"),
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-03-30T12:00:00Z") },
+			{ d: new Date("2024-03-30T11:00:00Z") },
+		],
+		expected: [{ d: new Date("2024-03-30T12:00:00Z") }],
+	},
+	{
+		name: "$dateAdd hour",
+		query: {
+			$expr: {
+				$gt: [
+					{ $dateAdd: { startDate: "$d", unit: "hour", amount: 2 } },
+					new Date("2024-01-01T12:00:00Z"),
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-01-01T10:30:00Z") },
+			{ d: new Date("2024-01-01T09:30:00Z") },
+		],
+		expected: [{ d: new Date("2024-01-01T10:30:00Z") }],
+	},
+	{
+		name: "$dateSubtract",
+		query: {
+			$expr: {
+				$eq: [
+					{ $dateSubtract: { startDate: "$d", unit: "week", amount: 1 } },
+					new Date("2024-02-23T00:00:00Z"),
+				],
+			},
+		},
+		input: [
+			{ d: new Date("2024-03-01T00:00:00Z") },
+			{ d: new Date("2024-02-29T00:00:00Z") },
+		],
+		expected: [{ d: new Date("2024-03-01T00:00:00Z") }],
+	},
+	{
+		name: "$dateDiff",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $dateDiff: { startDate: "$a", endDate: "$b", unit: "year" } },
+						{ $dateDiff: { startDate: "$a", endDate: "$b", unit: "quarter" } },
+						{ $dateDiff: { startDate: "$a", endDate: "$b", unit: "month" } },
+						{ $dateDiff: { startDate: "$a", endDate: "$b", unit: "day" } },
+						{ $dateDiff: { startDate: "$a", endDate: "$b", unit: "hour" } },
+					],
+					"$expected",
+				],
+			},
+		},
+		input: [
+			{
+				a: new Date("2023-12-31T23:00:00Z"),
+				b: new Date("2024-01-01T01:00:00Z"),
+				expected: [1, 1, 1, 1, 2],
+			},
+			{
+				a: new Date("2024-01-01T00:00:00Z"),
+				b: new Date("2024-12-31T23:59:59Z"),
+				expected: [0, 3, 11, 365, 8783],
+			},
+			{
+				a: new Date("2024-02-01T00:00:00Z"),
+				b: new Date("2024-01-01T00:00:00Z"),
+				expected: [0, 0, -1, -31, -744],
+			},
+		],
+		expected: [
+			{
+				a: new Date("2023-12-31T23:00:00Z"),
+				b: new Date("2024-01-01T01:00:00Z"),
+				expected: [1, 1, 1, 1, 2],
+			},
+			{
+				a: new Date("2024-01-01T00:00:00Z"),
+				b: new Date("2024-12-31T23:59:59Z"),
+				expected: [0, 3, 11, 365, 8783],
+			},
+			{
+				a: new Date("2024-02-01T00:00:00Z"),
+				b: new Date("2024-01-01T00:00:00Z"),
+				expected: [0, 0, -1, -31, -744],
+			},
+		],
+	},
+	{
+		name: "$dateDiff week with startOfWeek",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $dateDiff: { startDate: "$a", endDate: "$b", unit: "week" } },
+						{
+							$dateDiff: {
+								startDate: "$a",
+								endDate: "$b",
+								unit: "week",
+								startOfWeek: "monday",
+							},
+						},
+					],
+					[1, 0],
+				],
+			},
+		},
+		input: [
+			{
+				a: new Date("2024-01-06T00:00:00Z"),
+				b: new Date("2024-01-07T00:00:00Z"),
+			},
+			{
+				a: new Date("2024-01-07T00:00:00Z"),
+				b: new Date("2024-01-08T00:00:00Z"),
+			},
+		],
+		expected: [
+			{
+				a: new Date("2024-01-06T00:00:00Z"),
+				b: new Date("2024-01-07T00:00:00Z"),
+			},
+		],
+	},
+	{
+		name: "$dateDiff with timezone",
+		query: {
+			$expr: {
+				$eq: [
+					{
+						$dateDiff: {
+							startDate: "$a",
+							endDate: "$b",
+							unit: "day",
+							timezone: "America/New_York",
+						},
+					},
+					0,
+				],
+			},
+		},
+		input: [
+			{
+				a: new Date("2024-01-01T12:00:00Z"),
+				b: new Date("2024-01-02T03:00:00Z"),
+			},
+			{
+				a: new Date("2024-01-01T12:00:00Z"),
+				b: new Date("2024-01-02T06:00:00Z"),
+			},
+		],
+		expected: [
+			{
+				a: new Date("2024-01-01T12:00:00Z"),
+				b: new Date("2024-01-02T03:00:00Z"),
+			},
+		],
+	},
+	{
+		name: "$dateTrunc",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $dateTrunc: { date: "$d", unit: "month", binSize: 2 } },
+						{ $dateTrunc: { date: "$d", unit: "week" } },
+						{ $dateTrunc: { date: "$d", unit: "week", startOfWeek: "monday" } },
+						{ $dateTrunc: { date: "$d", unit: "day" } },
+						{
+							$dateTrunc: {
+								date: "$d",
+								unit: "hour",
+								binSize: 6,
+								timezone: "Europe/Berlin",
+							},
+						},
+					],
+					[
+						new Date("2024-05-01T00:00:00Z"),
+						new Date("2024-05-12T00:00:00Z"),
+						new Date("2024-05-13T00:00:00Z"),
+						new Date("2024-05-17T00:00:00Z"),
+						new Date("2024-05-17T10:00:00Z"),
+					],
+				],
+			},
+		},
+		input: [{ d: new Date("2024-05-17T10:20:00Z") }],
+		expected: [{ d: new Date("2024-05-17T10:20:00Z") }],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query date expression tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("date expression errors", () => {
+		const errors = [
+			[{ $year: "$s" }, TypeError],
+			[{ $year: { date: "$d", timezone: "Mars/Olympus" } }, RangeError],
+			[{ $year: { date: "$d", foo: 1 } }, TypeError],
+			[{ $dateToString: { date: "$d", format: "%Q" } }, SyntaxError],
+			[{ $dateFromString: { dateString: "2024-13-01" } }, RangeError],
+			[
+				{ $dateFromString: { dateString: "2024-01-01Z", timezone: "+01:00" } },
+				RangeError,
+			],
+			[{ $dateFromParts: { year: 0 } }, RangeError],
+			[
+				{ $dateAdd: { startDate: "$d", unit: "fortnight", amount: 1 } },
+				RangeError,
+			],
+			[{ $dateAdd: { startDate: "$d", unit: "day", amount: 1.5 } }, TypeError],
+			[{ $dateTrunc: { date: "$d", unit: "day", binSize: 0 } }, RangeError],
+		];
+		for (const [expr, error] of errors) {
+			assert.throws(
+				() => Query({ $expr: expr }).test({ d: new Date(), s: "2024" }),
+				error,
+			);
+		}
+	});
+});
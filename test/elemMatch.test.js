@@ -117,6 +117,158 @@ const testCases = [
 			{ foo: [{ bar: [{}, 2, { g: "f", a: "b", c: "d" }] }] },
 		],
 	},
+	{
+		name: "$elemMatch operators on scalar items",
+		query: { scores: { $elemMatch: { $gte: 80, $lt: 85 } } },
+		input: [
+			{ scores: [82, 90] },
+			{ scores: [75, 88] },
+			{ scores: [85, 79] },
+			{ scores: 82 },
+			{ scores: [] },
+		],
+		expected: [{ scores: [82, 90] }],
+	},
+	{
+		name: "$elemMatch operators on nested arrays",
+		query: { "results.scores": { $elemMatch: { $gt: 5, $lt: 7 } } },
+		input: [
+			{ results: [{ scores: [1, 6] }, { scores: [9] }] },
+			{ results: [{ scores: [1, 9] }, { scores: [4] }] },
+			{ results: { scores: [6.5] } },
+		],
+		expected: [
+			{ results: [{ scores: [1, 6] }, { scores: [9] }] },
+			{ results: { scores: [6.5] } },
+		],
+	},
+	{
+		name: "$elemMatch $not",
+		query: { scores: { $elemMatch: { $not: { $gte: 50 } } } },
+		input: [{ scores: [60, 40] }, { scores: [60, 70] }, { scores: ["a"] }],
+		expected: [{ scores: [60, 40] }, { scores: ["a"] }],
+	},
+	{
+		name: "$elemMatch $in and $nin",
+		query: { tags: { $elemMatch: { $in: ["red", "blue"], $nin: ["blue"] } } },
+		input: [
+			{ tags: ["blue", "green"] },
+			{ tags: ["blue", "red"] },
+			{ tags: ["green"] },
+		],
+		expected: [{ tags: ["blue", "red"] }],
+	},
+	{
+		name: "$elemMatch $regex",
+		query: { tags: { $elemMatch: { $regex: "^re", $options: "i" } } },
+		input: [{ tags: ["blue", "Red"] }, { tags: ["blue", "green"] }],
+		expected: [{ tags: ["blue", "Red"] }],
+	},
+	{
+		name: "$elemMatch $type",
+		query: { values: { $elemMatch: { $type: "string" } } },
+		input: [{ values: [1, "a"] }, { values: [1, 2] }, { values: "a" }],
+		expected: [{ values: [1, "a"] }],
+	},
+	{
+		name: "$elemMatch $exists",
+		query: { values: { $elemMatch: { $exists: true } } },
+		input: [{ values: [null] }, { values: [] }, { values: 1 }],
+		expected: [{ values: [null] }],
+	},
+	{
+		name: "$elemMatch $exists false",
+		query: { values: { $elemMatch: { $exists: false } } },
+		input: [{ values: [null] }, { values: [] }],
+		expected: [],
+	},
+	{
+		name: "$elemMatch $eq objects",
+		query: { items: { $elemMatch: { $eq: { a: 1 }, $ne: null } } },
+		input: [{ items: [{ a: 1 }, { a: 2 }] }, { items: [{ a: 1, b: 2 }] }],
+		expected: [{ items: [{ a: 1 }, { a: 2 }] }],
+	},
+	{
+		name: "$elemMatch with logical operators is a document condition",
+		query: {
+			items: {
+				$elemMatch: { $or: [{ a: 1 }, { b: 2 }], c: { $exists: false } },
+			},
+		},
+		input: [{ items: [{ a: 1, c: 1 }, { b: 2 }] }, { items: [{ a: 1, c: 1 }] }],
+		expected: [{ items: [{ a: 1, c: 1 }, { b: 2 }] }],
+	},
+	{
+		name: "$elemMatch with date range",
+		query: {
+			dates: {
+				$elemMatch: {
+					$gte: new Date("2024-01-01"),
+					$lt: new Date("2024-02-01"),
+				},
+			},
+		},
+		input: [
+			{ dates: [new Date("2023-12-31"), new Date("2024-01-15")] },
+			{ dates: [new Date("2023-12-31"), new Date("2024-02-15")] },
+			{ dates: [1704067200000] },
+		],
+		expected: [{ dates: [new Date("2023-12-31"), new Date("2024-01-15")] }],
+	},
+	{
+		name: "$elemMatch range on array items",
+		query: { a: { $elemMatch: { $gte: 80, $lt: 85 } } },
+		input: [{ a: [[79, 86]] }, { a: [82] }, { a: [[82]] }],
+		expected: [{ a: [82] }],
+	},
+	{
+		name: "$elemMatch compares array items as a whole",
+		query: { a: { $elemMatch: { $gt: [1] } } },
+		input: [{ a: [[2]] }, { a: [2] }],
+		expected: [{ a: [[2]] }],
+	},
+	{
+		name: "$elemMatch $gt on array items",
+		query: { a: { $elemMatch: { $gt: 1 } } },
+		input: [{ a: [[2]] }, { a: [2] }],
+		expected: [{ a: [2] }],
+	},
+	{
+		name: "$elemMatch $eq and $in on array items",
+		query: { a: { $elemMatch: { $eq: 2, $in: [2] } } },
+		input: [{ a: [[2]] }, { a: [2] }],
+		expected: [{ a: [2] }],
+	},
+	{
+		name: "$elemMatch $eq array item",
+		query: { a: { $elemMatch: { $eq: [2] } } },
+		input: [{ a: [[2]] }, { a: [2] }],
+		expected: [{ a: [[2]] }],
+	},
+	{
+		name: "$elemMatch $type on array items",
+		query: { a: { $elemMatch: { $type: "int" } } },
+		input: [{ a: [[2]] }, { a: [2] }],
+		expected: [{ a: [2] }],
+	},
+	{
+		name: "$elemMatch $type array",
+		query: { a: { $elemMatch: { $type: "array" } } },
+		input: [{ a: [[2]] }, { a: [2] }],
+		expected: [{ a: [[2]] }],
+	},
+	{
+		name: "$elemMatch $regex on array items",
+		query: { a: { $elemMatch: { $regex: "x" } } },
+		input: [{ a: [["x"]] }, { a: ["x"] }],
+		expected: [{ a: ["x"] }],
+	},
+	{
+		name: "$elemMatch $not on array items",
+		query: { a: { $elemMatch: { $not: { $gt: 1 } } } },
+		input: [{ a: [[2]] }, { a: [2] }],
+		expected: [{ a: [[2]] }],
+	},
 ];
 
 /** @type {MongoMemoryServer} */
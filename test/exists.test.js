@@ -0,0 +1,173 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$exists true",
+		query: { foo: { $exists: true } },
+		input: [
+			{ foo: "bar" },
+			{ foo: null },
+			{ foo: [] },
+			{ foo: {} },
+			{ bar: "baz" },
+			{},
+		],
+		expected: [{ foo: "bar" }, { foo: null }, { foo: [] }, { foo: {} }],
+	},
+	{
+		name: "$exists false",
+		query: { foo: { $exists: false } },
+		input: [{ foo: "bar" }, { foo: null }, { bar: "baz" }, {}],
+		expected: [{ bar: "baz" }, {}],
+	},
+	{
+		name: "$exists dict access",
+		query: { "foo.bar": { $exists: true } },
+		input: [
+			{ foo: { bar: 1 } },
+			{ foo: { bar: null } },
+			{ foo: { baz: 1 } },
+			{ foo: "bar" },
+			{ foo: null },
+			{},
+		],
+		expected: [{ foo: { bar: 1 } }, { foo: { bar: null } }],
+	},
+	{
+		name: "$exists false dict access",
+		query: { "foo.bar": { $exists: false } },
+		input: [
+			{ foo: { bar: 1 } },
+			{ foo: { baz: 1 } },
+			{ foo: "bar" },
+			{ foo: null },
+			{},
+		],
+		expected: [{ foo: { baz: 1 } }, { foo: "bar" }, { foo: null }, {}],
+	},
+	{
+		name: "$exists nested array access",
+		query: { "foo.bar": { $exists: true } },
+		input: [
+			{ foo: [{ bar: 1 }, { baz: 2 }] },
+			{ foo: [{ baz: 1 }, { baz: 2 }] },
+			{ foo: [1, 2] },
+			{ foo: [] },
+		],
+		expected: [{ foo: [{ bar: 1 }, { baz: 2 }] }],
+	},
+	{
+		name: "$exists false nested array access",
+		query: { "foo.bar": { $exists: false } },
+		input: [
+			{ foo: [{ bar: 1 }, { baz: 2 }] },
+			{ foo: [{ baz: 1 }, { baz: 2 }] },
+			{ foo: [1, 2] },
+			{ foo: [] },
+		],
+		expected: [{ foo: [{ baz: 1 }, { baz: 2 }] }, { foo: [1, 2] }, { foo: [] }],
+	},
+	{
+		name: "$exists list access",
+		query: { "foo.1": { $exists: true } },
+		input: [
+			{ foo: ["a", "b"] },
+			{ foo: ["a", null] },
+			{ foo: ["a"] },
+			{ foo: [] },
+			{ foo: { 1: "a" } },
+			{ foo: "ab" },
+		],
+		expected: [{ foo: ["a", "b"] }, { foo: ["a", null] }, { foo: { 1: "a" } }],
+	},
+	{
+		name: "$exists list access nested",
+		query: { "foo.0.bar": { $exists: true } },
+		input: [
+			{ foo: [{ bar: 1 }, { baz: 2 }] },
+			{ foo: [{ baz: 1 }, { bar: 2 }] },
+			{ foo: [] },
+		],
+		expected: [{ foo: [{ bar: 1 }, { baz: 2 }] }],
+	},
+	{
+		name: "$exists truthy number",
+		query: { foo: { $exists: 1 } },
+		input: [{ foo: "bar" }, { bar: "baz" }],
+		expected: [{ foo: "bar" }],
+	},
+	{
+		name: "$exists falsy number",
+		query: { foo: { $exists: 0 } },
+		input: [{ foo: "bar" }, { bar: "baz" }],
+		expected: [{ bar: "baz" }],
+	},
+	{
+		name: "$exists null",
+		query: { foo: { $exists: null } },
+		input: [{ foo: "bar" }, { bar: "baz" }],
+		expected: [{ bar: "baz" }],
+	},
+	{
+		name: "$exists with other operators",
+		query: { foo: { $exists: true, $ne: null } },
+		input: [{ foo: "bar" }, { foo: null }, { bar: "baz" }],
+		expected: [{ foo: "bar" }],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $exists tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+});
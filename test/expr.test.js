@@ -0,0 +1,278 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$expr compare fields",
+		query: { $expr: { $gt: ["$spent", "$budget"] } },
+		input: [
+			{ spent: 100, budget: 50 },
+			{ spent: 50, budget: 100 },
+			{ spent: 50, budget: 50 },
+			{ spent: 50 },
+		],
+		expected: [{ spent: 100, budget: 50 }, { spent: 50 }],
+	},
+	{
+		name: "$expr $$ROOT and $$CURRENT",
+		query: { $expr: { $eq: ["$$ROOT.foo", "$$CURRENT.bar"] } },
+		input: [
+			{ foo: 1, bar: 1 },
+			{ foo: 1, bar: 2 },
+			{ foo: { a: 1 }, bar: { a: 1 } },
+		],
+		expected: [
+			{ foo: 1, bar: 1 },
+			{ foo: { a: 1 }, bar: { a: 1 } },
+		],
+	},
+	{
+		name: "$expr does not traverse arrays",
+		query: { $expr: { $eq: ["$foo", 1] } },
+		input: [{ foo: [1, 2] }, { foo: 1 }, { foo: [1] }],
+		expected: [{ foo: 1 }],
+	},
+	{
+		name: "$expr field path through array of documents",
+		query: { $expr: { $eq: ["$foo.bar", [1, 2]] } },
+		input: [
+			{ foo: [{ bar: 1 }, { bar: 2 }] },
+			{ foo: [{ bar: 1 }, { baz: 2 }] },
+			{ foo: { bar: [1, 2] } },
+			{ foo: { bar: 1 } },
+		],
+		expected: [{ foo: [{ bar: 1 }, { bar: 2 }] }, { foo: { bar: [1, 2] } }],
+	},
+	{
+		name: "$expr numeric path segments are field names",
+		query: { $expr: { $eq: ["$foo.0", "bar"] } },
+		input: [{ foo: ["bar"] }, { foo: { 0: "bar" } }],
+		expected: [{ foo: { 0: "bar" } }],
+	},
+	{
+		name: "$expr $gt uses BSON type order",
+		query: { $expr: { $gt: ["$foo", 1] } },
+		input: [
+			{ foo: 2 },
+			{ foo: 0 },
+			{ foo: "a" },
+			{ foo: null },
+			{ foo: true },
+			{ foo: {} },
+			{ foo: [] },
+			{ foo: new Date(0) },
+			{},
+		],
+		expected: [
+			{ foo: 2 },
+			{ foo: "a" },
+			{ foo: true },
+			{ foo: {} },
+			{ foo: [] },
+			{ foo: new Date(0) },
+		],
+	},
+	{
+		name: "$expr $eq missing is not null",
+		query: { $expr: { $eq: ["$foo", null] } },
+		input: [{ foo: null }, {}],
+		expected: [{ foo: null }],
+	},
+	{
+		name: "$expr $lt missing sorts before null",
+		query: { $expr: { $lt: ["$foo", null] } },
+		input: [{ foo: null }, {}],
+		expected: [{}],
+	},
+	{
+		name: "$expr $gte",
+		query: { $expr: { $gte: ["$foo", 2] } },
+		input: [{ foo: 1 }, { foo: 2 }, { foo: 3 }],
+		expected: [{ foo: 2 }, { foo: 3 }],
+	},
+	{
+		name: "$expr $lte",
+		query: { $expr: { $lte: ["$foo", 2] } },
+		input: [{ foo: 1 }, { foo: 2 }, { foo: 3 }, {}],
+		expected: [{ foo: 1 }, { foo: 2 }, {}],
+	},
+	{
+		name: "$expr $ne",
+		query: { $expr: { $ne: ["$foo", "$bar"] } },
+		input: [{ foo: 1, bar: 1 }, { foo: 1, bar: 2 }, { foo: 1 }],
+		expected: [{ foo: 1, bar: 2 }, { foo: 1 }],
+	},
+	{
+		name: "$expr $cmp",
+		query: { $expr: { $eq: [{ $cmp: ["$foo", "$bar"] }, -1] } },
+		input: [
+			{ foo: 1, bar: 2 },
+			{ foo: 2, bar: 1 },
+			{ foo: "b", bar: "a" },
+			{ foo: 1, bar: "a" },
+		],
+		expected: [
+			{ foo: 1, bar: 2 },
+			{ foo: 1, bar: "a" },
+		],
+	},
+	{
+		name: "$expr compare objects and arrays",
+		query: { $expr: { $lt: ["$foo", "$bar"] } },
+		input: [
+			{ foo: { a: 1 }, bar: { a: 2 } },
+			{ foo: { a: 1, b: 1 }, bar: { a: 1 } },
+			{ foo: { a: 5 }, bar: { b: 1 } },
+			{ foo: { a: 5 }, bar: { a: "1" } },
+			{ foo: [1, 2], bar: [1, 3] },
+			{ foo: [1, 2], bar: [1] },
+		],
+		expected: [
+			{ foo: { a: 1 }, bar: { a: 2 } },
+			{ foo: { a: 5 }, bar: { b: 1 } },
+			{ foo: { a: 5 }, bar: { a: "1" } },
+			{ foo: [1, 2], bar: [1, 3] },
+		],
+	},
+	{
+		name: "$expr compare dates",
+		query: { $expr: { $gte: ["$end", "$start"] } },
+		input: [
+			{ start: new Date("2024-01-01"), end: new Date("2024-01-02") },
+			{ start: new Date("2024-01-02"), end: new Date("2024-01-01") },
+		],
+		expected: [{ start: new Date("2024-01-01"), end: new Date("2024-01-02") }],
+	},
+	{
+		name: "$expr $literal",
+		query: { $expr: { $eq: ["$foo", { $literal: "$bar" }] } },
+		input: [
+			{ foo: "$bar", bar: 1 },
+			{ foo: 1, bar: 1 },
+		],
+		expected: [{ foo: "$bar", bar: 1 }],
+	},
+	{
+		name: "$expr truthiness",
+		query: { $expr: "$foo" },
+		input: [
+			{ foo: true },
+			{ foo: false },
+			{ foo: 0 },
+			{ foo: 1 },
+			{ foo: "" },
+			{ foo: [] },
+			{ foo: null },
+			{},
+		],
+		expected: [{ foo: true }, { foo: 1 }, { foo: "" }, { foo: [] }],
+	},
+	{
+		name: "$expr with other conditions",
+		query: { foo: { $gt: 1 }, $expr: { $lt: ["$foo", "$bar"] } },
+		input: [
+			{ foo: 2, bar: 3 },
+			{ foo: 1, bar: 3 },
+			{ foo: 2, bar: 1 },
+		],
+		expected: [{ foo: 2, bar: 3 }],
+	},
+	{
+		name: "$expr nested in $or",
+		query: { $or: [{ $expr: { $eq: ["$foo", "$bar"] } }, { foo: 0 }] },
+		input: [
+			{ foo: 1, bar: 1 },
+			{ foo: 0, bar: 1 },
+			{ foo: 2, bar: 1 },
+		],
+		expected: [
+			{ foo: 1, bar: 1 },
+			{ foo: 0, bar: 1 },
+		],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $expr tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("$expr errors", () => {
+		assert.throws(
+			() => Query({ $expr: { $foo: ["$a", 1] } }).test({ a: 1 }),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $expr: { $eq: ["$a"] } }).test({ a: 1 }),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $expr: { $eq: ["$$foo", 1] } }).test({ a: 1 }),
+			ReferenceError,
+		);
+		for (const path of ["$", "$a.", "$a..b"]) {
+			assert.throws(
+				() => Query({ $expr: { $eq: [path, 1] } }).test({ a: { b: 1 } }),
+				/is not a valid field path/,
+			);
+		}
+		assert.throws(
+			() =>
+				Query({
+					$expr: {
+						$replaceOne: { input: "$a", find: "a", replacement: "$" },
+					},
+				}).test({ a: "abc" }),
+			TypeError,
+		);
+	});
+});
@@ -0,0 +1,631 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const square = {
+	type: "Polygon",
+	coordinates: [
+		[
+			[0, 0],
+			[10, 0],
+			[10, 10],
+			[0, 10],
+			[0, 0],
+		],
+	],
+};
+
+const testCases = [
+	{
+		name: "$geoIntersects Polygon with points",
+		query: { area: { $geoIntersects: { $geometry: square } } },
+		input: [
+			{ area: { type: "Point", coordinates: [5, 5] } },
+			{ area: { type: "Point", coordinates: [15, 5] } },
+			{ area: [2, 3] },
+			{ area: { lng: 20, lat: 3 } },
+		],
+		expected: [
+			{ area: { type: "Point", coordinates: [5, 5] } },
+			{ area: [2, 3] },
+		],
+	},
+	{
+		name: "$geoIntersects Polygon with LineStrings",
+		query: { area: { $geoIntersects: { $geometry: square } } },
+		input: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[-5, 5],
+						[15, 5],
+					],
+				},
+			},
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[-5, -5],
+						[-5, 15],
+					],
+				},
+			},
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[1, 1],
+						[2, 2],
+					],
+				},
+			},
+		],
+		expected: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[-5, 5],
+						[15, 5],
+					],
+				},
+			},
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[1, 1],
+						[2, 2],
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoIntersects Polygon with Polygons",
+		query: { area: { $geoIntersects: { $geometry: square } } },
+		input: [
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[5, 5],
+							[15, 5],
+							[15, 15],
+							[5, 15],
+							[5, 5],
+						],
+					],
+				},
+			},
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[-5, -5],
+							[15, -5],
+							[15, 15],
+							[-5, 15],
+							[-5, -5],
+						],
+					],
+				},
+			},
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[20, 20],
+							[30, 20],
+							[30, 30],
+							[20, 30],
+							[20, 20],
+						],
+					],
+				},
+			},
+		],
+		expected: [
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[5, 5],
+							[15, 5],
+							[15, 15],
+							[5, 15],
+							[5, 5],
+						],
+					],
+				},
+			},
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[-5, -5],
+							[15, -5],
+							[15, 15],
+							[-5, 15],
+							[-5, -5],
+						],
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoIntersects Polygon with multi geometries",
+		query: { area: { $geoIntersects: { $geometry: square } } },
+		input: [
+			{
+				area: {
+					type: "MultiPoint",
+					coordinates: [
+						[20, 20],
+						[5, 5],
+					],
+				},
+			},
+			{
+				area: {
+					type: "MultiPoint",
+					coordinates: [
+						[20, 20],
+						[30, 30],
+					],
+				},
+			},
+			{
+				area: {
+					type: "MultiLineString",
+					coordinates: [
+						[
+							[20, 20],
+							[30, 30],
+						],
+						[
+							[-1, 5],
+							[1, 5],
+						],
+					],
+				},
+			},
+			{
+				area: {
+					type: "MultiPolygon",
+					coordinates: [
+						[
+							[
+								[20, 20],
+								[30, 20],
+								[30, 30],
+								[20, 30],
+								[20, 20],
+							],
+						],
+						[
+							[
+								[1, 1],
+								[2, 1],
+								[2, 2],
+								[1, 2],
+								[1, 1],
+							],
+						],
+					],
+				},
+			},
+		],
+		expected: [
+			{
+				area: {
+					type: "MultiPoint",
+					coordinates: [
+						[20, 20],
+						[5, 5],
+					],
+				},
+			},
+			{
+				area: {
+					type: "MultiLineString",
+					coordinates: [
+						[
+							[20, 20],
+							[30, 30],
+						],
+						[
+							[-1, 5],
+							[1, 5],
+						],
+					],
+				},
+			},
+			{
+				area: {
+					type: "MultiPolygon",
+					coordinates: [
+						[
+							[
+								[20, 20],
+								[30, 20],
+								[30, 30],
+								[20, 30],
+								[20, 20],
+							],
+						],
+						[
+							[
+								[1, 1],
+								[2, 1],
+								[2, 2],
+								[1, 2],
+								[1, 1],
+							],
+						],
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoIntersects Polygon with a GeometryCollection",
+		query: { area: { $geoIntersects: { $geometry: square } } },
+		input: [
+			{
+				area: {
+					type: "GeometryCollection",
+					geometries: [
+						{ type: "Point", coordinates: [50, 50] },
+						{
+							type: "LineString",
+							coordinates: [
+								[9, -1],
+								[9, 1],
+							],
+						},
+					],
+				},
+			},
+			{
+				area: {
+					type: "GeometryCollection",
+					geometries: [{ type: "Point", coordinates: [50, 50] }],
+				},
+			},
+		],
+		expected: [
+			{
+				area: {
+					type: "GeometryCollection",
+					geometries: [
+						{ type: "Point", coordinates: [50, 50] },
+						{
+							type: "LineString",
+							coordinates: [
+								[9, -1],
+								[9, 1],
+							],
+						},
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoIntersects Polygon with a hole",
+		query: {
+			area: {
+				$geoIntersects: {
+					$geometry: {
+						type: "Polygon",
+						coordinates: [
+							[
+								[-20, -20],
+								[20, -20],
+								[20, 20],
+								[-20, 20],
+								[-20, -20],
+							],
+							[
+								[-2, -2],
+								[2, -2],
+								[2, 2],
+								[-2, 2],
+								[-2, -2],
+							],
+						],
+					},
+				},
+			},
+		},
+		input: [
+			{ area: [0, 0] },
+			{ area: [10, 10] },
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[-1, 0],
+						[1, 0],
+					],
+				},
+			},
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[0, 0],
+						[5, 0],
+					],
+				},
+			},
+		],
+		expected: [
+			{ area: [10, 10] },
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[0, 0],
+						[5, 0],
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoIntersects Point with Polygons",
+		query: {
+			area: {
+				$geoIntersects: { $geometry: { type: "Point", coordinates: [5, 5] } },
+			},
+		},
+		input: [
+			{ area: square },
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[20, 20],
+							[30, 20],
+							[30, 30],
+							[20, 30],
+							[20, 20],
+						],
+					],
+				},
+			},
+		],
+		expected: [{ area: square }],
+	},
+	{
+		name: "$geoIntersects LineString with LineStrings",
+		query: {
+			area: {
+				$geoIntersects: {
+					$geometry: {
+						type: "LineString",
+						coordinates: [
+							[0, -10],
+							[0, 10],
+						],
+					},
+				},
+			},
+		},
+		input: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[-10, 1],
+						[10, 1],
+					],
+				},
+			},
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[1, -10],
+						[1, 10],
+					],
+				},
+			},
+		],
+		expected: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[-10, 1],
+						[10, 1],
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoIntersects LineString edges are geodesics",
+		query: {
+			area: {
+				$geoIntersects: {
+					$geometry: {
+						type: "LineString",
+						coordinates: [
+							[-60, 60],
+							[60, 60],
+						],
+					},
+				},
+			},
+		},
+		input: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[0, 55],
+						[0, 65],
+					],
+				},
+			},
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[0, 70],
+						[0, 80],
+					],
+				},
+			},
+		],
+		expected: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[0, 70],
+						[0, 80],
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoIntersects big polygon",
+		query: {
+			area: {
+				$geoIntersects: {
+					$geometry: {
+						type: "Polygon",
+						coordinates: [
+							[
+								[0, 0],
+								[0, 10],
+								[10, 10],
+								[10, 0],
+								[0, 0],
+							],
+						],
+						crs: {
+							type: "name",
+							properties: {
+								name: "urn:x-mongodb:crs:strictwinding:EPSG:4326",
+							},
+						},
+					},
+				},
+			},
+		},
+		input: [
+			{ area: [5, 5] },
+			{ area: [100, 5] },
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[1, 1],
+						[2, 2],
+					],
+				},
+			},
+		],
+		expected: [{ area: [100, 5] }],
+	},
+	{
+		name: "$geoIntersects arrays of locations",
+		query: { area: { $geoIntersects: { $geometry: square } } },
+		input: [
+			{ area: [{ type: "Point", coordinates: [50, 50] }, [1, 1]] },
+			{ area: [[50, 50]] },
+		],
+		expected: [{ area: [{ type: "Point", coordinates: [50, 50] }, [1, 1]] }],
+	},
+	{
+		name: "$geoIntersects is not matched by invalid geometries",
+		query: { area: { $geoIntersects: { $geometry: square } } },
+		input: [
+			{ area: { type: "LineString", coordinates: [[5, 5]] } },
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[1, 1],
+							[2, 2],
+							[1, 1],
+						],
+					],
+				},
+			},
+			{ area: { type: "Circle", coordinates: [5, 5] } },
+			{ area: "POINT(5 5)" },
+		],
+		expected: [],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $geoIntersects tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+});
@@ -0,0 +1,468 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const square = [
+	[
+		[-10, -10],
+		[10, -10],
+		[10, 10],
+		[-10, 10],
+		[-10, -10],
+	],
+];
+
+const testCases = [
+	{
+		name: "$geoWithin $geometry Polygon with GeoJSON points",
+		query: {
+			loc: {
+				$geoWithin: { $geometry: { type: "Polygon", coordinates: square } },
+			},
+		},
+		input: [
+			{ loc: { type: "Point", coordinates: [0, 0] } },
+			{ loc: { type: "Point", coordinates: [20, 0] } },
+			{ loc: { type: "Point", coordinates: [-5, 9] } },
+		],
+		expected: [
+			{ loc: { type: "Point", coordinates: [0, 0] } },
+			{ loc: { type: "Point", coordinates: [-5, 9] } },
+		],
+	},
+	{
+		name: "$geoWithin $geometry Polygon with legacy points",
+		query: {
+			loc: {
+				$geoWithin: { $geometry: { type: "Polygon", coordinates: square } },
+			},
+		},
+		input: [
+			{ loc: [1, 2] },
+			{ loc: [11, 2] },
+			{ loc: { lng: 3, lat: -4 } },
+			{ loc: { lng: 3, lat: 40 } },
+		],
+		expected: [{ loc: [1, 2] }, { loc: { lng: 3, lat: -4 } }],
+	},
+	{
+		name: "$geoWithin $geometry Polygon is not matched by invalid locations",
+		query: {
+			loc: {
+				$geoWithin: { $geometry: { type: "Polygon", coordinates: square } },
+			},
+		},
+		input: [
+			{ loc: [360, 0] },
+			{ loc: { type: "Point", coordinates: [0, 100] } },
+			{ loc: { type: "Point" } },
+			{ loc: "0,0" },
+			{ loc: 0 },
+			{ loc: { lat: "0", lng: 0 } },
+			{},
+		],
+		expected: [],
+	},
+	{
+		name: "$geoWithin $geometry Polygon edges are geodesics",
+		query: {
+			loc: {
+				$geoWithin: {
+					$geometry: {
+						type: "Polygon",
+						coordinates: [
+							[
+								[-60, 50],
+								[60, 50],
+								[60, 60],
+								[-60, 60],
+								[-60, 50],
+							],
+						],
+					},
+				},
+			},
+		},
+		input: [
+			{ loc: [0, 55] },
+			{ loc: [0, 65] },
+			{ loc: [0, 70] },
+			{ loc: [0, 75] },
+		],
+		expected: [{ loc: [0, 70] }],
+	},
+	{
+		name: "$geoWithin $geometry Polygon ignores the winding order",
+		query: {
+			loc: {
+				$geoWithin: {
+					$geometry: {
+						type: "Polygon",
+						coordinates: [
+							[
+								[-10, -10],
+								[-10, 10],
+								[10, 10],
+								[10, -10],
+								[-10, -10],
+							],
+						],
+					},
+				},
+			},
+		},
+		input: [{ loc: [0, 0] }, { loc: [100, 50] }],
+		expected: [{ loc: [0, 0] }],
+	},
+	{
+		name: "$geoWithin $geometry Polygon with a hole",
+		query: {
+			loc: {
+				$geoWithin: {
+					$geometry: {
+						type: "Polygon",
+						coordinates: [
+							...square,
+							[
+								[-2, -2],
+								[2, -2],
+								[2, 2],
+								[-2, 2],
+								[-2, -2],
+							],
+						],
+					},
+				},
+			},
+		},
+		input: [{ loc: [0, 0] }, { loc: [5, 5] }, { loc: [1, -1] }],
+		expected: [{ loc: [5, 5] }],
+	},
+	{
+		name: "$geoWithin $geometry MultiPolygon",
+		query: {
+			loc: {
+				$geoWithin: {
+					$geometry: {
+						type: "MultiPolygon",
+						coordinates: [
+							square,
+							[
+								[
+									[100, 0],
+									[101, 0],
+									[101, 1],
+									[100, 1],
+									[100, 0],
+								],
+							],
+						],
+					},
+				},
+			},
+		},
+		input: [{ loc: [0, 0] }, { loc: [100.5, 0.5] }, { loc: [50, 0] }],
+		expected: [{ loc: [0, 0] }, { loc: [100.5, 0.5] }],
+	},
+	{
+		name: "$geoWithin $geometry big polygon",
+		query: {
+			loc: {
+				$geoWithin: {
+					$geometry: {
+						type: "Polygon",
+						coordinates: [
+							[
+								[-10, -10],
+								[-10, 10],
+								[10, 10],
+								[10, -10],
+								[-10, -10],
+							],
+						],
+						crs: {
+							type: "name",
+							properties: {
+								name: "urn:x-mongodb:crs:strictwinding:EPSG:4326",
+							},
+						},
+					},
+				},
+			},
+		},
+		input: [{ loc: [0, 0] }, { loc: [100, 50] }, { loc: [-170, -80] }],
+		expected: [{ loc: [100, 50] }, { loc: [-170, -80] }],
+	},
+	{
+		name: "$geoWithin $geometry big polygon counterclockwise",
+		query: {
+			loc: {
+				$geoWithin: {
+					$geometry: {
+						type: "Polygon",
+						coordinates: square,
+						crs: {
+							type: "name",
+							properties: {
+								name: "urn:x-mongodb:crs:strictwinding:EPSG:4326",
+							},
+						},
+					},
+				},
+			},
+		},
+		input: [{ loc: [0, 0] }, { loc: [100, 50] }],
+		expected: [{ loc: [0, 0] }],
+	},
+	{
+		name: "$geoWithin $geometry Polygon with LineStrings and Polygons",
+		query: {
+			area: {
+				$geoWithin: { $geometry: { type: "Polygon", coordinates: square } },
+			},
+		},
+		input: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[1, 1],
+						[5, 5],
+					],
+				},
+			},
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[1, 1],
+						[15, 5],
+					],
+				},
+			},
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[1, 1],
+							[5, 1],
+							[5, 5],
+							[1, 5],
+							[1, 1],
+						],
+					],
+				},
+			},
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[5, 5],
+							[15, 5],
+							[15, 15],
+							[5, 15],
+							[5, 5],
+						],
+					],
+				},
+			},
+		],
+		expected: [
+			{
+				area: {
+					type: "LineString",
+					coordinates: [
+						[1, 1],
+						[5, 5],
+					],
+				},
+			},
+			{
+				area: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[1, 1],
+							[5, 1],
+							[5, 5],
+							[1, 5],
+							[1, 1],
+						],
+					],
+				},
+			},
+		],
+	},
+	{
+		name: "$geoWithin $box",
+		query: {
+			loc: {
+				$geoWithin: {
+					$box: [
+						[0, 0],
+						[100, 100],
+					],
+				},
+			},
+		},
+		input: [
+			{ loc: [50, 50] },
+			{ loc: [150, 50] },
+			{ loc: { x: 99, y: 99 } },
+			{ loc: { type: "Point", coordinates: [10, 80] } },
+		],
+		expected: [
+			{ loc: [50, 50] },
+			{ loc: { x: 99, y: 99 } },
+			{ loc: { type: "Point", coordinates: [10, 80] } },
+		],
+	},
+	{
+		name: "$geoWithin $polygon",
+		query: {
+			loc: {
+				$geoWithin: {
+					$polygon: [
+						[0, 0],
+						[3, 6],
+						[6, 0],
+					],
+				},
+			},
+		},
+		input: [{ loc: [3, 3] }, { loc: [1, 5] }, { loc: [5, 1] }],
+		expected: [{ loc: [3, 3] }, { loc: [5, 1] }],
+	},
+	{
+		name: "$geoWithin $center",
+		query: { loc: { $geoWithin: { $center: [[0, 0], 5] } } },
+		input: [
+			{ loc: [3, 4] },
+			{ loc: [4, 4] },
+			{ loc: [-1, 1] },
+			{ loc: [400, 0] },
+		],
+		expected: [{ loc: [3, 4] }, { loc: [-1, 1] }],
+	},
+	{
+		name: "$geoWithin $centerSphere",
+		query: { loc: { $geoWithin: { $centerSphere: [[-74, 40.7], 0.01] } } },
+		input: [
+			{ loc: [-74.2, 40.8] },
+			{ loc: [-73, 40.7] },
+			{ loc: { type: "Point", coordinates: [-74, 41] } },
+		],
+		expected: [
+			{ loc: [-74.2, 40.8] },
+			{ loc: { type: "Point", coordinates: [-74, 41] } },
+		],
+	},
+	{
+		name: "$geoWithin $centerSphere crosses the antimeridian",
+		query: { loc: { $geoWithin: { $centerSphere: [[180, 0], 0.1] } } },
+		input: [{ loc: [-178, 1] }, { loc: [178, -1] }, { loc: [170, 0] }],
+		expected: [{ loc: [-178, 1] }, { loc: [178, -1] }],
+	},
+	{
+		name: "$geoWithin arrays of locations",
+		query: { loc: { $geoWithin: { $center: [[0, 0], 5] } } },
+		input: [
+			{
+				loc: [
+					[10, 10],
+					[1, 1],
+				],
+			},
+			{
+				loc: [
+					[10, 10],
+					[20, 20],
+				],
+			},
+			{ loc: [{ type: "Point", coordinates: [2, 2] }] },
+		],
+		expected: [
+			{
+				loc: [
+					[10, 10],
+					[1, 1],
+				],
+			},
+			{ loc: [{ type: "Point", coordinates: [2, 2] }] },
+		],
+	},
+	{
+		name: "$geoWithin nested in arrays of documents",
+		query: {
+			"stops.loc": {
+				$geoWithin: {
+					$box: [
+						[0, 0],
+						[5, 5],
+					],
+				},
+			},
+		},
+		input: [
+			{ stops: [{ loc: [10, 10] }, { loc: { lng: 1, lat: 1 } }] },
+			{ stops: [{ loc: [10, 10] }] },
+		],
+		expected: [{ stops: [{ loc: [10, 10] }, { loc: { lng: 1, lat: 1 } }] }],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $geoWithin tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+});
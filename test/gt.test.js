@@ -235,6 +235,63 @@ const testCases = [
 			{ foo: { bar: ["bar", "baz", "qux"] } },
 		],
 	},
+	{
+		name: "list comparison with dates",
+		query: { foo: { $gt: [new Date(0)] } },
+		input: [
+			{ foo: [new Date(1)] },
+			{ foo: [new Date(0)] },
+			{ foo: [new Date(0), 1] },
+			{ foo: [5] },
+			{ foo: new Date(1) },
+		],
+		expected: [{ foo: [new Date(1)] }, { foo: [new Date(0), 1] }],
+	},
+	{
+		name: "nested object comparison",
+		query: { foo: { $gt: { a: { b: 1 } } } },
+		input: [
+			{ foo: { a: { b: 2 } } },
+			{ foo: { a: { b: 0 } } },
+			{ foo: { a: { b: "x" } } },
+			{ foo: { a: { c: 0 } } },
+			{ foo: { a: 1 } },
+		],
+		expected: [
+			{ foo: { a: { b: 2 } } },
+			{ foo: { a: { b: "x" } } },
+			{ foo: { a: { c: 0 } } },
+		],
+	},
+	{
+		name: "mixed-type array elements",
+		query: { foo: { $gt: 5 } },
+		input: [
+			{ foo: ["a", 6] },
+			{ foo: ["z", true] },
+			{ foo: [null, 4] },
+			{ foo: [[6]] },
+		],
+		expected: [{ foo: ["a", 6] }],
+	},
+	{
+		name: "list comparison with mixed types",
+		query: { foo: { $gt: [1, "a"] } },
+		input: [
+			{ foo: [1, "b"] },
+			{ foo: [1, 2] },
+			{ foo: [1, {}] },
+			{ foo: [2] },
+			{ foo: [1, "a"] },
+		],
+		expected: [{ foo: [1, "b"] }, { foo: [1, {}] }, { foo: [2] }],
+	},
+	{
+		name: "boolean comparison",
+		query: { foo: { $gt: false } },
+		input: [{ foo: true }, { foo: false }, { foo: 1 }, { foo: "true" }],
+		expected: [{ foo: true }],
+	},
 ];
 
 /** @type {MongoMemoryServer} */
@@ -240,6 +240,47 @@ const testCases = [
 			{ foo: { bar: ["bar", "baz", "qux"] } },
 		],
 	},
+	{
+		name: "$gte date",
+		query: { at: { $gte: new Date("2024-01-01") } },
+		input: [
+			{ at: new Date("2023-12-31") },
+			{ at: new Date("2024-01-01") },
+			{ at: new Date("2024-06-01") },
+			{ at: [new Date("2023-01-01"), new Date("2024-03-01")] },
+			{ at: new Date("2024-01-01").getTime() },
+			{ at: "2024-06-01" },
+			{},
+		],
+		expected: [
+			{ at: new Date("2024-01-01") },
+			{ at: new Date("2024-06-01") },
+			{ at: [new Date("2023-01-01"), new Date("2024-03-01")] },
+		],
+	},
+	{
+		name: "$gte NaN",
+		query: { foo: { $gte: Number.NaN } },
+		input: [{ foo: Number.NaN }, { foo: 1 }, { foo: Number.NEGATIVE_INFINITY }],
+		expected: [{ foo: Number.NaN }],
+	},
+	{
+		name: "object comparison with null",
+		query: { foo: { $gte: { a: null } } },
+		input: [
+			{ foo: { a: null } },
+			{ foo: { a: 0 } },
+			{ foo: { a: false } },
+			{ foo: { b: null } },
+			{ foo: {} },
+		],
+		expected: [
+			{ foo: { a: null } },
+			{ foo: { a: 0 } },
+			{ foo: { a: false } },
+			{ foo: { b: null } },
+		],
+	},
 ];
 
 /** @type {MongoMemoryServer} */
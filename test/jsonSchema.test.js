@@ -0,0 +1,429 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$jsonSchema required and bsonType",
+		query: {
+			$jsonSchema: {
+				bsonType: "object",
+				required: ["id", "name"],
+				properties: {
+					id: { bsonType: ["int", "long"] },
+					name: { bsonType: "string" },
+				},
+			},
+		},
+		input: [
+			{ id: 1, name: "a" },
+			{ id: 1.5, name: "a" },
+			{ id: 1 },
+			{ id: 1, name: null },
+			{ id: 2, name: "b", extra: true },
+		],
+		expected: [
+			{ id: 1, name: "a" },
+			{ id: 2, name: "b", extra: true },
+		],
+	},
+	{
+		name: "$jsonSchema type keyword",
+		query: {
+			$jsonSchema: {
+				properties: { v: { type: ["number", "null"] } },
+			},
+		},
+		input: [{ v: 1 }, { v: 1.5 }, { v: null }, { v: "1" }, {}, { v: [1] }],
+		expected: [{ v: 1 }, { v: 1.5 }, { v: null }, {}],
+	},
+	{
+		name: "$jsonSchema bsonType number",
+		query: { $jsonSchema: { properties: { v: { bsonType: "number" } } } },
+		input: [{ v: 1 }, { v: 1.5 }, { v: "1" }, { v: true }],
+		expected: [{ v: 1 }, { v: 1.5 }],
+	},
+	{
+		name: "$jsonSchema keywords ignore other types",
+		query: {
+			$jsonSchema: {
+				properties: {
+					v: { minimum: 5, minLength: 2, minItems: 2, required: ["a"] },
+				},
+			},
+		},
+		input: [
+			{ v: 5 },
+			{ v: 4 },
+			{ v: "ab" },
+			{ v: "a" },
+			{ v: [1, 2] },
+			{ v: [1] },
+			{ v: { a: 1 } },
+			{ v: {} },
+			{ v: true },
+		],
+		expected: [
+			{ v: 5 },
+			{ v: "ab" },
+			{ v: [1, 2] },
+			{ v: { a: 1 } },
+			{ v: true },
+		],
+	},
+	{
+		name: "$jsonSchema minimum and maximum",
+		query: {
+			$jsonSchema: {
+				properties: {
+					v: { minimum: 1, maximum: 3, exclusiveMaximum: true },
+				},
+			},
+		},
+		input: [{ v: 0 }, { v: 1 }, { v: 2.5 }, { v: 3 }],
+		expected: [{ v: 1 }, { v: 2.5 }],
+	},
+	{
+		name: "$jsonSchema exclusiveMinimum",
+		query: {
+			$jsonSchema: {
+				properties: { v: { minimum: 1, exclusiveMinimum: true } },
+			},
+		},
+		input: [{ v: 1 }, { v: 1.1 }],
+		expected: [{ v: 1.1 }],
+	},
+	{
+		name: "$jsonSchema string keywords",
+		query: {
+			$jsonSchema: {
+				properties: {
+					code: { minLength: 2, maxLength: 3, pattern: "^[A-Z]+$" },
+				},
+			},
+		},
+		input: [
+			{ code: "AB" },
+			{ code: "ABC" },
+			{ code: "A" },
+			{ code: "ABCD" },
+			{ code: "ab" },
+			{ code: "ÄÖ" },
+		],
+		expected: [{ code: "AB" }, { code: "ABC" }],
+	},
+	{
+		name: "$jsonSchema enum",
+		query: {
+			$jsonSchema: {
+				properties: { status: { enum: ["paid", "due", null, { a: 1 }] } },
+			},
+		},
+		input: [
+			{ status: "paid" },
+			{ status: null },
+			{ status: { a: 1 } },
+			{ status: "other" },
+			{ status: { a: 2 } },
+		],
+		expected: [{ status: "paid" }, { status: null }, { status: { a: 1 } }],
+	},
+	{
+		name: "$jsonSchema enum ignores field order",
+		query: {
+			$jsonSchema: {
+				properties: {
+					v: { enum: [{ y: 2, x: 1 }, [{ b: 1, a: [{ d: 1, c: 2 }] }]] },
+				},
+			},
+		},
+		input: [
+			{ v: { x: 1, y: 2 } },
+			{ v: { y: 2, x: 1 } },
+			{ v: [{ a: [{ c: 2, d: 1 }], b: 1 }] },
+			{ v: { x: 1, y: 3 } },
+		],
+		expected: [
+			{ v: { x: 1, y: 2 } },
+			{ v: { y: 2, x: 1 } },
+			{ v: [{ a: [{ c: 2, d: 1 }], b: 1 }] },
+		],
+	},
+	{
+		name: "$jsonSchema uniqueItems ignores field order",
+		query: {
+			$jsonSchema: { properties: { v: { uniqueItems: true } } },
+		},
+		input: [
+			{
+				v: [
+					{ x: 1, y: 2 },
+					{ y: 2, x: 1 },
+				],
+			},
+			{
+				v: [
+					{ x: 1, y: 2 },
+					{ x: 2, y: 1 },
+				],
+			},
+			{ v: [[{ a: 1, b: 2 }], [{ b: 2, a: 1 }]] },
+		],
+		expected: [
+			{
+				v: [
+					{ x: 1, y: 2 },
+					{ x: 2, y: 1 },
+				],
+			},
+		],
+	},
+	{
+		name: "$jsonSchema additionalProperties false",
+		query: {
+			$jsonSchema: {
+				properties: { _id: {}, a: {} },
+				additionalProperties: false,
+			},
+		},
+		input: [{ a: 1 }, { a: 1, b: 2 }, {}],
+		expected: [{ a: 1 }, {}],
+	},
+	{
+		name: "$jsonSchema patternProperties and additionalProperties schema",
+		query: {
+			$jsonSchema: {
+				properties: { _id: {} },
+				patternProperties: { "^n_": { bsonType: "int" } },
+				additionalProperties: { bsonType: "string" },
+			},
+		},
+		input: [
+			{ n_a: 1, s: "x" },
+			{ n_a: "1", s: "x" },
+			{ n_a: 1, s: 1 },
+		],
+		expected: [{ n_a: 1, s: "x" }],
+	},
+	{
+		name: "$jsonSchema minProperties and maxProperties",
+		query: {
+			$jsonSchema: {
+				properties: { v: { minProperties: 1, maxProperties: 2 } },
+			},
+		},
+		input: [{ v: {} }, { v: { a: 1 } }, { v: { a: 1, b: 2, c: 3 } }],
+		expected: [{ v: { a: 1 } }],
+	},
+	{
+		name: "$jsonSchema items",
+		query: {
+			$jsonSchema: {
+				properties: {
+					tags: {
+						bsonType: "array",
+						items: { bsonType: "string" },
+						minItems: 1,
+						maxItems: 2,
+						uniqueItems: true,
+					},
+				},
+			},
+		},
+		input: [
+			{ tags: ["a"] },
+			{ tags: ["a", "b"] },
+			{ tags: [] },
+			{ tags: ["a", "b", "c"] },
+			{ tags: ["a", "a"] },
+			{ tags: ["a", 1] },
+			{ tags: "a" },
+		],
+		expected: [{ tags: ["a"] }, { tags: ["a", "b"] }],
+	},
+	{
+		name: "$jsonSchema items tuple and additionalItems",
+		query: {
+			$jsonSchema: {
+				properties: {
+					point: {
+						items: [{ bsonType: "string" }, { bsonType: "int" }],
+						additionalItems: false,
+					},
+				},
+			},
+		},
+		input: [
+			{ point: ["a", 1] },
+			{ point: ["a"] },
+			{ point: [1, "a"] },
+			{ point: ["a", 1, 2] },
+		],
+		expected: [{ point: ["a", 1] }, { point: ["a"] }],
+	},
+	{
+		name: "$jsonSchema nested properties",
+		query: {
+			$jsonSchema: {
+				properties: {
+					address: {
+						bsonType: "object",
+						required: ["city"],
+						properties: { city: { bsonType: "string" } },
+					},
+				},
+			},
+		},
+		input: [
+			{ address: { city: "Berlin" } },
+			{ address: { zip: "10115" } },
+			{ address: { city: 1 } },
+			{ address: [{ city: "Berlin" }] },
+			{},
+		],
+		expected: [{ address: { city: "Berlin" } }, {}],
+	},
+	{
+		name: "$jsonSchema allOf, anyOf, oneOf and not",
+		query: {
+			$jsonSchema: {
+				properties: {
+					v: {
+						allOf: [{ bsonType: "number" }, { minimum: 0 }],
+						anyOf: [{ maximum: 10 }, { minimum: 100 }],
+						oneOf: [{ minimum: 5 }, { maximum: 1 }],
+						not: { enum: [0] },
+					},
+				},
+			},
+		},
+		input: [
+			{ v: 7 },
+			{ v: 1 },
+			{ v: 0 },
+			{ v: 3 },
+			{ v: 50 },
+			{ v: 150 },
+			{ v: -1 },
+			{ v: "7" },
+		],
+		expected: [{ v: 7 }, { v: 1 }, { v: 150 }],
+	},
+	{
+		name: "$jsonSchema dependencies",
+		query: {
+			$jsonSchema: {
+				dependencies: {
+					card: ["billing"],
+					gift: { required: ["recipient"] },
+				},
+			},
+		},
+		input: [
+			{ card: 1, billing: 1 },
+			{ card: 1 },
+			{ billing: 1 },
+			{ gift: true, recipient: "a" },
+			{ gift: true },
+		],
+		expected: [
+			{ card: 1, billing: 1 },
+			{ billing: 1 },
+			{ gift: true, recipient: "a" },
+		],
+	},
+	{
+		name: "$jsonSchema with other conditions",
+		query: {
+			$jsonSchema: { required: ["a"] },
+			a: { $gt: 1 },
+		},
+		input: [{ a: 1 }, { a: 2 }, { b: 2 }],
+		expected: [{ a: 2 }],
+	},
+	{
+		name: "$jsonSchema inside $or",
+		query: {
+			$or: [{ $jsonSchema: { required: ["a"] } }, { b: 1 }],
+		},
+		input: [{ a: 1 }, { b: 1 }, { b: 2 }],
+		expected: [{ a: 1 }, { b: 1 }],
+	},
+	{
+		name: "$jsonSchema with invalid schema",
+		query: { $jsonSchema: 5 },
+		input: [{ a: 1 }],
+		expected: [],
+	},
+	{
+		name: "$jsonSchema with invalid properties",
+		query: { $jsonSchema: { properties: { a: 5 } } },
+		input: [{ a: 1 }],
+		expected: [],
+	},
+	{
+		name: "$jsonSchema with invalid required",
+		query: { $jsonSchema: { required: "a" } },
+		input: [{ a: 1 }],
+		expected: [],
+	},
+	{
+		name: "$jsonSchema with invalid enum",
+		query: { $jsonSchema: { properties: { a: { enum: 1 } } } },
+		input: [{ a: 1 }],
+		expected: [],
+	},
+];
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $jsonSchema tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+});
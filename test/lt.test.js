@@ -232,6 +232,44 @@ const testCases = [
 			{ foo: { bar: ["baa", "bzz"] } },
 		],
 	},
+	{
+		name: "$lt date",
+		query: { at: { $lt: new Date("2024-01-01") } },
+		input: [
+			{ at: new Date("2023-12-31") },
+			{ at: new Date("2024-06-01") },
+			{ at: [new Date("2025-01-01"), new Date("2020-01-01")] },
+			{ at: 0 },
+			{ at: "2023-01-01" },
+			{ at: null },
+		],
+		expected: [
+			{ at: new Date("2023-12-31") },
+			{ at: [new Date("2025-01-01"), new Date("2020-01-01")] },
+		],
+	},
+	{
+		name: "nested arrays are not traversed",
+		query: { foo: { $lt: 10 } },
+		input: [{ foo: [[5]] }, { foo: [5] }, { foo: [[5], 20] }],
+		expected: [{ foo: [5] }],
+	},
+	{
+		name: "string comparison by code point",
+		query: { foo: { $lt: "\uffff" } },
+		input: [{ foo: "\u{1F600}" }, { foo: "a" }],
+		expected: [{ foo: "a" }],
+	},
+	{
+		name: "object comparison with nested dates",
+		query: { foo: { $lt: { d: new Date(5) } } },
+		input: [
+			{ foo: { d: new Date(1) } },
+			{ foo: { d: new Date(9) } },
+			{ foo: { d: 5 } },
+		],
+		expected: [{ foo: { d: new Date(1) } }, { foo: { d: 5 } }],
+	},
 ];
 
 /** @type {MongoMemoryServer} */
@@ -237,6 +237,38 @@ const testCases = [
 			{ foo: { bar: ["baa", "bzz"] } },
 		],
 	},
+	{
+		name: "object comparison with dates",
+		query: { foo: { $lte: { at: new Date(1000) } } },
+		input: [
+			{ foo: { at: new Date(1000) } },
+			{ foo: { at: new Date(500) } },
+			{ foo: { at: new Date(2000) } },
+			{ foo: { at: 5 } },
+			{ foo: new Date(0) },
+		],
+		expected: [
+			{ foo: { at: new Date(1000) } },
+			{ foo: { at: new Date(500) } },
+			{ foo: { at: 5 } },
+		],
+	},
+	{
+		name: "boolean comparison",
+		query: { foo: { $lte: true } },
+		input: [{ foo: false }, { foo: true }, { foo: 1 }, { foo: null }],
+		expected: [{ foo: false }, { foo: true }],
+	},
+	{
+		name: "object comparison with booleans",
+		query: { foo: { $lte: { a: true } } },
+		input: [
+			{ foo: { a: false } },
+			{ foo: { a: 1 } },
+			{ foo: { a: new Date(0) } },
+		],
+		expected: [{ foo: { a: false } }, { foo: { a: 1 } }],
+	},
 ];
 
 /** @type {MongoMemoryServer} */
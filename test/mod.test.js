@@ -110,6 +110,14 @@ const testCases = [
 		input: [{ foo: 1 }],
 		expected: [],
 	},
+	{
+		name: "$mod with negative floats",
+		query: {
+			foo: { $mod: [-2.5, -1] },
+		},
+		input: [{ foo: -5.5 }, { foo: -3 }, { foo: 3 }, { foo: -4 }],
+		expected: [{ foo: -5.5 }, { foo: -3 }],
+	},
 ];
 
 /** @type {MongoMemoryServer} */
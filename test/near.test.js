@@ -0,0 +1,304 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query, geoNear } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const origin = { type: "Point", coordinates: [0, 0] };
+
+const testCases = [
+	{
+		name: "$near GeoJSON point sorts nearest first",
+		query: { loc: { $near: { $geometry: origin } } },
+		input: [
+			{ name: "far", loc: { type: "Point", coordinates: [0, 3] } },
+			{ name: "near", loc: { type: "Point", coordinates: [1, 0] } },
+			{ name: "middle", loc: [2, 0] },
+		],
+		expected: [
+			{ name: "near", loc: { type: "Point", coordinates: [1, 0] } },
+			{ name: "middle", loc: [2, 0] },
+			{ name: "far", loc: { type: "Point", coordinates: [0, 3] } },
+		],
+	},
+	{
+		name: "$near GeoJSON point $maxDistance in meters",
+		query: { loc: { $near: { $geometry: origin, $maxDistance: 200000 } } },
+		input: [
+			{ name: "far", loc: { type: "Point", coordinates: [0, 3] } },
+			{ name: "near", loc: { type: "Point", coordinates: [1, 0] } },
+			{ name: "middle", loc: { lng: 0, lat: 1.5 } },
+		],
+		expected: [
+			{ name: "near", loc: { type: "Point", coordinates: [1, 0] } },
+			{ name: "middle", loc: { lng: 0, lat: 1.5 } },
+		],
+	},
+	{
+		name: "$near GeoJSON point $minDistance and $maxDistance in meters",
+		query: {
+			loc: {
+				$near: {
+					$geometry: origin,
+					$minDistance: 150000,
+					$maxDistance: 400000,
+				},
+			},
+		},
+		input: [
+			{ name: "far", loc: { type: "Point", coordinates: [0, 3] } },
+			{ name: "near", loc: { type: "Point", coordinates: [1, 0] } },
+			{ name: "middle", loc: [2, 0] },
+			{ name: "farthest", loc: [10, 10] },
+		],
+		expected: [
+			{ name: "middle", loc: [2, 0] },
+			{ name: "far", loc: { type: "Point", coordinates: [0, 3] } },
+		],
+	},
+	{
+		name: "$nearSphere GeoJSON point in meters",
+		query: {
+			loc: { $nearSphere: { $geometry: origin, $maxDistance: 250000 } },
+		},
+		input: [
+			{ name: "far", loc: [0, 3] },
+			{ name: "middle", loc: [-2, 0] },
+			{ name: "near", loc: [0, -1] },
+		],
+		expected: [
+			{ name: "near", loc: [0, -1] },
+			{ name: "middle", loc: [-2, 0] },
+		],
+	},
+	{
+		name: "$nearSphere legacy pair in radians",
+		query: { loc: { $nearSphere: [0, 0], $maxDistance: 0.04 } },
+		input: [
+			{ name: "far", loc: { type: "Point", coordinates: [0, 3] } },
+			{ name: "near", loc: [1, 0] },
+			{ name: "middle", loc: [2, 0] },
+		],
+		expected: [
+			{ name: "near", loc: [1, 0] },
+			{ name: "middle", loc: [2, 0] },
+		],
+	},
+	{
+		name: "$nearSphere legacy pair $minDistance in radians",
+		query: {
+			loc: { $nearSphere: [0, 0], $minDistance: 0.02, $maxDistance: 0.06 },
+		},
+		input: [
+			{ name: "far", loc: [0, 3] },
+			{ name: "near", loc: [1, 0] },
+			{ name: "middle", loc: [2, 0] },
+		],
+		expected: [
+			{ name: "middle", loc: [2, 0] },
+			{ name: "far", loc: [0, 3] },
+		],
+	},
+	{
+		name: "$near legacy pair measures flat distances",
+		query: { pos: { $near: [0, 0], $maxDistance: 5.5 } },
+		input: [
+			{ name: "far", pos: [6, 0] },
+			{ name: "near", pos: [1, 1] },
+			{ name: "middle", pos: [3, 4] },
+		],
+		expected: [
+			{ name: "near", pos: [1, 1] },
+			{ name: "middle", pos: [3, 4] },
+		],
+	},
+	{
+		name: "$near uses the closest of an array of locations",
+		query: { loc: { $near: { $geometry: origin, $maxDistance: 300000 } } },
+		input: [
+			{
+				name: "a",
+				loc: [
+					[10, 10],
+					[2, 0],
+				],
+			},
+			{
+				name: "b",
+				loc: [
+					[10, 10],
+					[1, 0],
+				],
+			},
+			{ name: "c", loc: [[10, 10]] },
+		],
+		expected: [
+			{
+				name: "b",
+				loc: [
+					[10, 10],
+					[1, 0],
+				],
+			},
+			{
+				name: "a",
+				loc: [
+					[10, 10],
+					[2, 0],
+				],
+			},
+		],
+	},
+	{
+		name: "$near with other conditions",
+		query: { loc: { $near: { $geometry: origin } }, open: true },
+		input: [
+			{ name: "far", loc: [0, 3], open: true },
+			{ name: "near", loc: [1, 0], open: false },
+			{ name: "middle", loc: [2, 0], open: true },
+		],
+		expected: [
+			{ name: "middle", loc: [2, 0], open: true },
+			{ name: "far", loc: [0, 3], open: true },
+		],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+		await collection.createIndex({ loc: "2dsphere" });
+		await collection.createIndex({ pos: "2d" });
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $near tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			assert.deepStrictEqual(geoNear(query, input), expected);
+
+			// The predicate matches the same documents, in input order
+			const names = expected.map((doc) => doc.name);
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(
+				actual,
+				input.filter((doc) => names.includes(doc.name)),
+			);
+		});
+	}
+
+	await test("geoNear distanceField", () => {
+		const input = [{ loc: [0, 2] }, { loc: [0, 1] }];
+		const actual = geoNear({ loc: { $nearSphere: [0, 0] } }, input, {
+			distanceField: "dist",
+		});
+		assert.deepStrictEqual(
+			actual.map((doc) => doc.loc),
+			[
+				[0, 1],
+				[0, 2],
+			],
+		);
+		assert.ok(Math.abs(actual[0].dist - Math.PI / 180) < 1e-12);
+		assert.ok(Math.abs(actual[1].dist - Math.PI / 90) < 1e-12);
+		assert.deepStrictEqual(input, [{ loc: [0, 2] }, { loc: [0, 1] }]);
+	});
+
+	await test("geoNear distanceField in meters", () => {
+		const [doc] = geoNear(
+			{ loc: { $near: { $geometry: origin } } },
+			[{ loc: { type: "Point", coordinates: [0, 1] } }],
+			{ distanceField: "dist" },
+		);
+		assert.ok(Math.abs(doc.dist - (6378100 * Math.PI) / 180) < 1e-6);
+	});
+
+	await test("geoNear distance to LineStrings and Polygons", () => {
+		const line = {
+			type: "LineString",
+			coordinates: [
+				[1, -1],
+				[1, 1],
+			],
+		};
+		const polygon = {
+			type: "Polygon",
+			coordinates: [
+				[
+					[-1, -1],
+					[1, -1],
+					[1, 1],
+					[-1, 1],
+					[-1, -1],
+				],
+			],
+		};
+		const actual = geoNear(
+			{ loc: { $nearSphere: [0, 0] } },
+			[{ loc: line }, { loc: polygon }],
+			{ distanceField: "dist" },
+		);
+		assert.deepStrictEqual(actual[0], { loc: polygon, dist: 0 });
+		assert.ok(Math.abs(actual[1].dist - Math.PI / 180) < 1e-12);
+	});
+
+	await test("geoNear inside $and", () => {
+		const actual = geoNear(
+			{ $and: [{ loc: { $near: [0, 0] } }, { open: true }] },
+			[
+				{ loc: [2, 0], open: true },
+				{ loc: [1, 0], open: true },
+				{ loc: [0, 0], open: false },
+			],
+		);
+		assert.deepStrictEqual(actual, [
+			{ loc: [1, 0], open: true },
+			{ loc: [2, 0], open: true },
+		]);
+	});
+
+	await test("geoNear without $near", () => {
+		assert.throws(() => geoNear({ loc: [0, 0] }, []), TypeError);
+		assert.throws(
+			() => geoNear({ $or: [{ loc: { $near: [0, 0] } }] }, []),
+			TypeError,
+		);
+	});
+});
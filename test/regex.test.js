@@ -71,23 +71,143 @@ const testCases = [
 		],
 		expected: [{ foo: "baz" }, { foo: "bar\nbaz" }],
 	},
-	// JS has no native support for x flag
-	// {
-	// 	name: "$regex with x flag",
-	// 	query: {
-	// 		foo: {
-	// 			$regex: "^ baz $",
-	// 			$options: "x",
-	// 		},
-	// 	},
-	// 	input: [
-	// 		{ foo: "baz" },
-	// 		{ foo: "bar_baz" },
-	// 		{ foo: "bar\nbaz" },
-	// 		{ foo: "bar baz" },
-	// 	],
-	// 	expected: [{ foo: "baz" }],
-	// },
+	{
+		name: "$regex with x flag",
+		query: {
+			foo: {
+				$regex: "^ baz $ # comment",
+				$options: "x",
+			},
+		},
+		input: [
+			{ foo: "baz" },
+			{ foo: "bar_baz" },
+			{ foo: "bar\nbaz" },
+			{ foo: "bar baz" },
+		],
+		expected: [{ foo: "baz" }],
+	},
+	{
+		name: "$regex with inline flags",
+		query: {
+			foo: {
+				$regex: "^ba(?i)r(?-i:b)",
+			},
+		},
+		input: [{ foo: "barb" }, { foo: "baRb" }, { foo: "BARb" }, { foo: "baRB" }],
+		expected: [{ foo: "barb" }, { foo: "baRb" }],
+	},
+	{
+		name: "$regex with \\A and \\Z anchors",
+		query: {
+			foo: {
+				$regex: "\\Abar\\Z",
+			},
+		},
+		input: [
+			{ foo: "bar" },
+			{ foo: "bar\n" },
+			{ foo: "bar\n\n" },
+			{ foo: "baz\nbar" },
+		],
+		expected: [{ foo: "bar" }, { foo: "bar\n" }],
+	},
+	{
+		name: "$regex with \\z anchor",
+		query: {
+			foo: {
+				$regex: "bar\\z",
+			},
+		},
+		input: [{ foo: "bar" }, { foo: "bar\n" }],
+		expected: [{ foo: "bar" }],
+	},
+	{
+		name: "$regex with possessive quantifier",
+		query: {
+			foo: {
+				$regex: "^\\d++\\w",
+			},
+		},
+		input: [{ foo: "123" }, { foo: "123x" }],
+		expected: [{ foo: "123x" }],
+	},
+	{
+		name: "$regex with atomic group",
+		query: {
+			foo: {
+				$regex: "^(?>a|ab)c",
+			},
+		},
+		input: [{ foo: "ac" }, { foo: "abc" }],
+		expected: [{ foo: "ac" }],
+	},
+	{
+		name: "$regex with backreferences",
+		query: {
+			foo: {
+				$regex: "^(?:(a)\\1)?(?<b>b)\\k<b>$",
+			},
+		},
+		input: [{ foo: "aabb" }, { foo: "bb" }, { foo: "abb" }, { foo: "b" }],
+		expected: [{ foo: "aabb" }, { foo: "bb" }],
+	},
+	{
+		name: "$regex with POSIX classes",
+		query: {
+			foo: {
+				$regex: "^[[:upper:][:digit:]]+$",
+			},
+		},
+		input: [{ foo: "AB1" }, { foo: "Ab1" }, { foo: "\u00c91" }],
+		expected: [{ foo: "AB1" }],
+	},
+	{
+		name: "$regex with quoted sequence",
+		query: {
+			foo: {
+				$regex: "^\\Q1+1\\E$",
+			},
+		},
+		input: [{ foo: "1+1" }, { foo: "11" }],
+		expected: [{ foo: "1+1" }],
+	},
+	{
+		name: "$regex with u flag",
+		query: {
+			foo: {
+				$regex: "^\\x{e9}.$",
+				$options: "u",
+			},
+		},
+		input: [{ foo: "\u00e9\u{1f600}" }, { foo: "e\u{1f600}" }],
+		expected: [{ foo: "\u00e9\u{1f600}" }],
+	},
+	{
+		name: "$regex with negated classes and astral characters",
+		query: {
+			foo: {
+				$regex: "^é.[^a]\\D\\N$",
+			},
+		},
+		input: [
+			{ foo: "é\u{1f600}\u{1f601}\u{1f602}\u{1f603}" },
+			{ foo: "é\u{1f600}a\u{1f602}\u{1f603}" },
+			{ foo: "é\u{1f600}\u{1f601}\u{1f602}\n" },
+		],
+		expected: [{ foo: "é\u{1f600}\u{1f601}\u{1f602}\u{1f603}" }],
+	},
+	{
+		name: "$regex with regex and $options",
+		query: {
+			foo: {
+				$regex: /^ba/,
+				$options: "i",
+			},
+		},
+		input: [{ foo: "bar" }, { foo: "BAR" }, { foo: "qux" }],
+		expected: [{ foo: "bar" }, { foo: "BAR" }],
+	},
 	{
 		name: "$regex with nested dict/lists",
 		query: {
@@ -218,4 +338,20 @@ describe("Query $regex tests", async () => {
 			assert.deepStrictEqual(actual, expected);
 		});
 	}
+
+	await test("regex with global and sticky flags", () => {
+		const regex = /^ba/gy;
+		const q = Query({
+			foo: regex,
+			bar: { $in: [regex] },
+			baz: { $not: regex },
+			qux: { $regex: regex },
+		});
+		const doc = { foo: "bar", bar: ["baz"], baz: "qux", qux: "bar" };
+		assert.deepStrictEqual(
+			[1, 2, 3].map(() => q.test(doc)),
+			[true, true, true],
+		);
+		assert.strictEqual(regex.lastIndex, 0);
+	});
 });
@@ -0,0 +1,230 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$setEquals ignores order and duplicates",
+		query: { $expr: { $setEquals: ["$a", ["x", "y"]] } },
+		input: [
+			{ a: ["y", "x"] },
+			{ a: ["x", "y", "x"] },
+			{ a: ["x"] },
+			{ a: ["x", "y", "z"] },
+		],
+		expected: [{ a: ["y", "x"] }, { a: ["x", "y", "x"] }],
+	},
+	{
+		name: "$setEquals with mixed numeric types",
+		query: { $expr: { $setEquals: ["$a", [1, 2]] } },
+		input: [{ a: [1.0, 2] }, { a: [2, 1, 1] }, { a: [1.5, 2] }],
+		expected: [{ a: [1.0, 2] }, { a: [2, 1, 1] }],
+	},
+	{
+		name: "$setEquals with nested objects",
+		query: { $expr: { $setEquals: ["$a", [{ x: 1, y: 2 }, [1]]] } },
+		input: [
+			{ a: [[1], { x: 1, y: 2 }] },
+			{ a: [{ y: 2, x: 1 }, [1]] },
+			{ a: [{ x: 1, y: 2 }, 1] },
+		],
+		expected: [{ a: [[1], { x: 1, y: 2 }] }],
+	},
+	{
+		name: "$setEquals with more than two arrays",
+		query: { $expr: { $setEquals: ["$a", "$b", [1, 2]] } },
+		input: [
+			{ a: [1, 2], b: [2, 1] },
+			{ a: [1, 2], b: [1] },
+		],
+		expected: [{ a: [1, 2], b: [2, 1] }],
+	},
+	{
+		name: "$setIntersection",
+		query: {
+			$expr: {
+				$setEquals: [
+					{ $setIntersection: ["$roles", ["admin", "editor"]] },
+					["admin"],
+				],
+			},
+		},
+		input: [
+			{ roles: ["admin", "viewer", "admin"] },
+			{ roles: ["admin", "editor"] },
+			{ roles: ["viewer"] },
+		],
+		expected: [{ roles: ["admin", "viewer", "admin"] }],
+	},
+	{
+		name: "$setIntersection de-duplicates",
+		query: {
+			$expr: {
+				$eq: [{ $size: { $setIntersection: ["$a", "$a"] } }, 2],
+			},
+		},
+		input: [
+			{ a: [1, 1.0, 2, 2] },
+			{ a: [1, 2, 3] },
+			{ a: [{ b: 1 }, { b: 1 }, { b: 2 }] },
+		],
+		expected: [{ a: [1, 1.0, 2, 2] }, { a: [{ b: 1 }, { b: 1 }, { b: 2 }] }],
+	},
+	{
+		name: "$setUnion",
+		query: {
+			$expr: {
+				$setEquals: [{ $setUnion: ["$a", "$b"] }, [1, 2, 3]],
+			},
+		},
+		input: [
+			{ a: [1, 2], b: [2, 3] },
+			{ a: [1, 1, 2, 3], b: [] },
+			{ a: [1], b: [2] },
+		],
+		expected: [
+			{ a: [1, 2], b: [2, 3] },
+			{ a: [1, 1, 2, 3], b: [] },
+		],
+	},
+	{
+		name: "$setUnion size counts distinct values",
+		query: { $expr: { $eq: [{ $size: { $setUnion: ["$a"] } }, 2] } },
+		input: [{ a: ["a", "a", "b"] }, { a: ["a", "b", "c"] }],
+		expected: [{ a: ["a", "a", "b"] }],
+	},
+	{
+		name: "$setDifference",
+		query: {
+			$expr: {
+				$setEquals: [{ $setDifference: ["$a", "$b"] }, ["x"]],
+			},
+		},
+		input: [
+			{ a: ["x", "y", "x"], b: ["y"] },
+			{ a: ["x", "y"], b: [] },
+			{ a: ["x"], b: ["x"] },
+		],
+		expected: [{ a: ["x", "y", "x"], b: ["y"] }],
+	},
+	{
+		name: "$setIntersection, $setUnion and $setDifference of null",
+		query: {
+			$expr: {
+				$eq: [
+					[
+						{ $setIntersection: ["$a", [1]] },
+						{ $setUnion: ["$a", [1]] },
+						{ $setDifference: ["$a", [1]] },
+					],
+					[null, null, null],
+				],
+			},
+		},
+		input: [{ a: null }, {}, { a: [1] }],
+		expected: [{ a: null }, {}],
+	},
+	{
+		name: "$setIsSubset",
+		query: { $expr: { $setIsSubset: ["$tags", ["a", "b", "c"]] } },
+		input: [
+			{ tags: ["a", "b"] },
+			{ tags: ["a", "a"] },
+			{ tags: [] },
+			{ tags: ["a", "d"] },
+		],
+		expected: [{ tags: ["a", "b"] }, { tags: ["a", "a"] }, { tags: [] }],
+	},
+	{
+		name: "$anyElementTrue",
+		query: { $expr: { $anyElementTrue: ["$a"] } },
+		input: [
+			{ a: [0, false, null] },
+			{ a: [0, 1] },
+			{ a: [[false]] },
+			{ a: [] },
+			{ a: [""] },
+		],
+		expected: [{ a: [0, 1] }, { a: [[false]] }, { a: [""] }],
+	},
+	{
+		name: "$allElementTrue",
+		query: { $expr: { $allElementTrue: ["$a"] } },
+		input: [
+			{ a: [1, true, "x"] },
+			{ a: [1, 0] },
+			{ a: [[], {}] },
+			{ a: [] },
+			{ a: [null] },
+		],
+		expected: [{ a: [1, true, "x"] }, { a: [[], {}] }, { a: [] }],
+	},
+];
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query set expression tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("set expression errors", () => {
+		const errors = [
+			[{ $setEquals: ["$a"] }, TypeError],
+			[{ $setEquals: ["$a", "$missing"] }, TypeError],
+			[{ $setIsSubset: ["$a", null] }, TypeError],
+			[{ $setIntersection: ["$a", "x"] }, TypeError],
+			[{ $setDifference: ["$a", [1], [2]] }, TypeError],
+			[{ $anyElementTrue: ["$missing"] }, TypeError],
+			[{ $allElementTrue: [1] }, TypeError],
+		];
+		for (const [expr, error] of errors) {
+			assert.throws(() => Query({ $expr: expr }).test({ a: [1] }), error);
+		}
+	});
+});
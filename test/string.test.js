@@ -0,0 +1,339 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$toLower",
+		query: { $expr: { $eq: [{ $toLower: "$name" }, "coffee"] } },
+		input: [{ name: "Coffee" }, { name: "COFFEE" }, { name: "tea" }],
+		expected: [{ name: "Coffee" }, { name: "COFFEE" }],
+	},
+	{
+		name: "$toLower null and missing",
+		query: { $expr: { $eq: [{ $toLower: "$name" }, ""] } },
+		input: [{ name: null }, {}, { name: "a" }],
+		expected: [{ name: null }, {}],
+	},
+	{
+		name: "$toLower number",
+		query: { $expr: { $eq: [{ $toLower: "$name" }, "1.5"] } },
+		input: [{ name: 1.5 }, { name: "1.5" }, { name: 2 }],
+		expected: [{ name: 1.5 }, { name: "1.5" }],
+	},
+	{
+		name: "$toUpper only changes ASCII letters",
+		query: { $expr: { $eq: [{ $toUpper: "$name" }, "CAFé"] } },
+		input: [{ name: "café" }, { name: "CAFÉ" }],
+		expected: [{ name: "café" }],
+	},
+	{
+		name: "$concat",
+		query: {
+			$expr: { $eq: [{ $concat: ["$first", " ", "$last"] }, "Ada Lovelace"] },
+		},
+		input: [
+			{ first: "Ada", last: "Lovelace" },
+			{ first: "Ada" },
+			{ first: "Grace", last: "Hopper" },
+		],
+		expected: [{ first: "Ada", last: "Lovelace" }],
+	},
+	{
+		name: "$concat null",
+		query: { $expr: { $eq: [{ $concat: ["$first", "$last"] }, null] } },
+		input: [{ first: "Ada", last: "Lovelace" }, { first: "Ada" }],
+		expected: [{ first: "Ada" }],
+	},
+	{
+		name: "$substrCP",
+		query: { $expr: { $eq: [{ $substrCP: ["$name", 1, 2] }, "ab"] } },
+		input: [{ name: "😀abc" }, { name: "xab" }, { name: "ab" }],
+		expected: [{ name: "😀abc" }, { name: "xab" }],
+	},
+	{
+		name: "$substrBytes",
+		query: { $expr: { $eq: [{ $substrBytes: ["$name", 0, 3] }, "caf"] } },
+		input: [{ name: "café" }, { name: "cafe" }, { name: "ca" }],
+		expected: [{ name: "café" }, { name: "cafe" }],
+	},
+	{
+		name: "$substrBytes multi-byte characters",
+		query: { $expr: { $eq: [{ $substrBytes: ["$name", 3, 2] }, "é"] } },
+		input: [{ name: "café" }, { name: "cafe" }],
+		expected: [{ name: "café" }],
+	},
+	{
+		name: "$strLenCP",
+		query: { $expr: { $eq: [{ $strLenCP: "$name" }, 4] } },
+		input: [{ name: "café" }, { name: "cafe" }, { name: "😀abc" }],
+		expected: [{ name: "café" }, { name: "cafe" }, { name: "😀abc" }],
+	},
+	{
+		name: "$strLenBytes",
+		query: { $expr: { $eq: [{ $strLenBytes: "$name" }, 5] } },
+		input: [{ name: "café" }, { name: "cafe" }, { name: "😀a" }],
+		expected: [{ name: "café" }, { name: "😀a" }],
+	},
+	{
+		name: "$indexOfCP",
+		query: { $expr: { $eq: [{ $indexOfCP: ["$name", "b"] }, 2] } },
+		input: [{ name: "😀ab" }, { name: "aab" }, { name: "ab" }],
+		expected: [{ name: "😀ab" }, { name: "aab" }],
+	},
+	{
+		name: "$indexOfCP with start and end",
+		query: { $expr: { $eq: [{ $indexOfCP: ["$name", "a", 1, 3] }, -1] } },
+		input: [{ name: "abba" }, { name: "bab" }, { name: "bbba" }],
+		expected: [{ name: "abba" }, { name: "bbba" }],
+	},
+	{
+		name: "$indexOfCP null",
+		query: { $expr: { $eq: [{ $indexOfCP: ["$name", "a"] }, null] } },
+		input: [{ name: null }, {}, { name: "a" }],
+		expected: [{ name: null }, {}],
+	},
+	{
+		name: "$split",
+		query: { $expr: { $eq: [{ $split: ["$tags", ","] }, ["a", "b"]] } },
+		input: [{ tags: "a,b" }, { tags: "a,b," }, { tags: "a" }],
+		expected: [{ tags: "a,b" }],
+	},
+	{
+		name: "$trim",
+		query: { $expr: { $eq: [{ $trim: { input: "$name" } }, "coffee"] } },
+		input: [{ name: "  coffee\n" }, { name: " coffee" }, { name: " co ffee" }],
+		expected: [{ name: "  coffee\n" }, { name: " coffee" }],
+	},
+	{
+		name: "$ltrim with chars",
+		query: {
+			$expr: { $eq: [{ $ltrim: { input: "$code", chars: "0" } }, "42"] },
+		},
+		input: [{ code: "00042" }, { code: "042" }, { code: "4200" }],
+		expected: [{ code: "00042" }, { code: "042" }],
+	},
+	{
+		name: "$rtrim with chars",
+		query: {
+			$expr: { $eq: [{ $rtrim: { input: "$code", chars: "0." } }, "42"] },
+		},
+		input: [{ code: "42.00" }, { code: "042" }, { code: "420" }],
+		expected: [{ code: "42.00" }, { code: "420" }],
+	},
+	{
+		name: "$strcasecmp",
+		query: { $expr: { $eq: [{ $strcasecmp: ["$a", "$b"] }, 0] } },
+		input: [
+			{ a: "Hello", b: "hello" },
+			{ a: "Hello", b: "world" },
+			{ a: "", b: null },
+		],
+		expected: [
+			{ a: "Hello", b: "hello" },
+			{ a: "", b: null },
+		],
+	},
+	{
+		name: "$regexMatch",
+		query: {
+			$expr: {
+				$regexMatch: { input: "$desc", regex: "cold\\s+brew", options: "i" },
+			},
+		},
+		input: [
+			{ desc: "Cold  Brew coffee" },
+			{ desc: "cold coffee" },
+			{ desc: null },
+			{},
+		],
+		expected: [{ desc: "Cold  Brew coffee" }],
+	},
+	{
+		name: "$regexMatch with regex object",
+		query: { $expr: { $regexMatch: { input: "$desc", regex: /^cold/i } } },
+		input: [{ desc: "Cold brew" }, { desc: "iced coffee" }],
+		expected: [{ desc: "Cold brew" }],
+	},
+	{
+		name: "$regexMatch with regex object and options",
+		query: {
+			$expr: { $regexMatch: { input: "$desc", regex: /^cold/, options: "i" } },
+		},
+		input: [{ desc: "Cold brew" }, { desc: "iced coffee" }],
+		expected: [{ desc: "Cold brew" }],
+	},
+	{
+		name: "$regexMatch extended option",
+		query: {
+			$expr: {
+				$regexMatch: {
+					input: "$desc",
+					regex: "^ cold # temperature\n brew",
+					options: "x",
+				},
+			},
+		},
+		input: [{ desc: "coldbrew" }, { desc: "cold brew" }],
+		expected: [{ desc: "coldbrew" }],
+	},
+	{
+		name: "$regexFind",
+		query: {
+			$expr: {
+				$eq: [
+					{ $regexFind: { input: "$s", regex: "(b)(x)?" } },
+					{ match: "b", idx: 2, captures: ["b", null] },
+				],
+			},
+		},
+		input: [{ s: "😀ab" }, { s: "aab" }, { s: "b" }],
+		expected: [{ s: "😀ab" }, { s: "aab" }],
+	},
+	{
+		name: "$regexFind no match",
+		query: {
+			$expr: { $eq: [{ $regexFind: { input: "$s", regex: "b" } }, null] },
+		},
+		input: [{ s: "aaa" }, { s: "ab" }, {}],
+		expected: [{ s: "aaa" }, {}],
+	},
+	{
+		name: "$regexFind with regex object and options",
+		query: {
+			$expr: {
+				$eq: [
+					{ $regexFind: { input: "$s", regex: /B/, options: "i" } },
+					{ match: "b", idx: 1, captures: [] },
+				],
+			},
+		},
+		input: [{ s: "abc" }, { s: "ac" }],
+		expected: [{ s: "abc" }],
+	},
+	{
+		name: "$regexFindAll",
+		query: {
+			$expr: {
+				$eq: [
+					{ $regexFindAll: { input: "$s", regex: "a" } },
+					[
+						{ match: "a", idx: 0, captures: [] },
+						{ match: "a", idx: 2, captures: [] },
+					],
+				],
+			},
+		},
+		input: [{ s: "aba" }, { s: "abc" }],
+		expected: [{ s: "aba" }],
+	},
+	{
+		name: "$replaceOne",
+		query: {
+			$expr: {
+				$eq: [
+					{ $replaceOne: { input: "$s", find: "a", replacement: "o" } },
+					"bonana",
+				],
+			},
+		},
+		input: [{ s: "banana" }, { s: "bonana" }],
+		expected: [{ s: "banana" }],
+	},
+	{
+		name: "$replaceAll",
+		query: {
+			$expr: {
+				$eq: [
+					{ $replaceAll: { input: "$s", find: "a", replacement: "o" } },
+					"bonono",
+				],
+			},
+		},
+		input: [{ s: "banana" }, { s: "bonana" }, { s: "bonono" }],
+		expected: [{ s: "banana" }, { s: "bonana" }, { s: "bonono" }],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query string expression tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("string expression errors", () => {
+		const errors = [
+			[{ $concat: ["$s", 1] }, TypeError],
+			[{ $toLower: ["$obj"] }, TypeError],
+			[{ $strLenCP: "$missing" }, TypeError],
+			[{ $split: ["$s", ""] }, RangeError],
+			[{ $substrBytes: ["$s", 4, 1] }, RangeError],
+			[{ $substrBytes: ["$s", 0, 4] }, RangeError],
+			[{ $substrCP: ["$s", -1, 1] }, RangeError],
+			[{ $trim: { input: "$s", foo: "bar" } }, TypeError],
+			[{ $trim: { chars: "a" } }, TypeError],
+			[{ $regexMatch: { input: "$s", regex: /a/i, options: "i" } }, TypeError],
+			[{ $regexMatch: { input: "$s", regex: "a", options: "z" } }, SyntaxError],
+			[{ $replaceAll: { input: 1, find: "a", replacement: "b" } }, TypeError],
+		];
+		for (const [expr, error] of errors) {
+			assert.throws(
+				() => Query({ $expr: expr }).test({ s: "café", obj: {} }),
+				error,
+			);
+		}
+		assert.strictEqual(
+			Query({
+				$expr: { $regexMatch: { input: "$s", regex: /É/gy, options: "i" } },
+			}).test({ s: "café", obj: {} }),
+			true,
+		);
+	});
+});
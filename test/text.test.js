@@ -0,0 +1,240 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$text terms are ORed",
+		query: { $text: { $search: "coffee tea" } },
+		input: [
+			{ title: "Fresh coffee" },
+			{ title: "Green tea" },
+			{ title: "Orange juice" },
+		],
+		expected: [{ title: "Fresh coffee" }, { title: "Green tea" }],
+	},
+	{
+		name: "$text stems words",
+		query: { $text: { $search: "running" } },
+		input: [
+			{ body: "She runs daily" },
+			{ body: "Running shoes" },
+			{ body: "A runner" },
+		],
+		expected: [{ body: "She runs daily" }, { body: "Running shoes" }],
+	},
+	{
+		name: "$text negated terms",
+		query: { $text: { $search: "coffee -decaf" } },
+		input: [
+			{ title: "Coffee beans" },
+			{ title: "Decaf coffee" },
+			{ title: "Decaf tea" },
+		],
+		expected: [{ title: "Coffee beans" }],
+	},
+	{
+		name: "$text phrase",
+		query: { $text: { $search: '"cold brew"' } },
+		input: [
+			{ title: "Cold brew coffee" },
+			{ title: "Brew it cold" },
+			{ title: "Cold-brew" },
+		],
+		expected: [{ title: "Cold brew coffee" }],
+	},
+	{
+		name: "$text phrases are ANDed with terms",
+		query: { $text: { $search: 'coffee "cold brew" "ice"' } },
+		input: [
+			{ title: "Cold brew with ice" },
+			{ title: "Cold brew coffee" },
+			{ title: "Iced coffee" },
+		],
+		expected: [{ title: "Cold brew with ice" }],
+	},
+	{
+		name: "$text negated phrase",
+		query: { $text: { $search: 'coffee -"iced coffee"' } },
+		input: [
+			{ title: "Iced coffee" },
+			{ title: "Hot coffee" },
+			{ title: "Coffee, iced" },
+		],
+		expected: [{ title: "Hot coffee" }, { title: "Coffee, iced" }],
+	},
+	{
+		name: "$text only negations match nothing",
+		query: { $text: { $search: "-coffee" } },
+		input: [{ title: "Tea" }, { title: "Coffee" }],
+		expected: [],
+	},
+	{
+		name: "$text stop words match nothing",
+		query: { $text: { $search: "the" } },
+		input: [{ title: "The coffee" }],
+		expected: [],
+	},
+	{
+		name: "$text is case insensitive by default",
+		query: { $text: { $search: "COFFEE" } },
+		input: [{ title: "coffee" }, { title: "Coffee" }, { title: "tea" }],
+		expected: [{ title: "coffee" }, { title: "Coffee" }],
+	},
+	{
+		name: "$text $caseSensitive",
+		query: { $text: { $search: "Coffee", $caseSensitive: true } },
+		input: [{ title: "coffee" }, { title: "Coffee" }, { title: "COFFEE" }],
+		expected: [{ title: "Coffee" }],
+	},
+	{
+		name: "$text ignores diacritics by default",
+		query: { $text: { $search: "cafe" } },
+		input: [{ title: "Café" }, { title: "cafe" }, { title: "coffee" }],
+		expected: [{ title: "Café" }, { title: "cafe" }],
+	},
+	{
+		name: "$text $diacriticSensitive",
+		query: { $text: { $search: "café", $diacriticSensitive: true } },
+		input: [{ title: "Café" }, { title: "cafe" }],
+		expected: [{ title: "Café" }],
+	},
+	{
+		name: "$text $language none does not stem",
+		query: { $text: { $search: "running", $language: "none" } },
+		input: [{ body: "Running shoes" }, { body: "She runs daily" }],
+		expected: [{ body: "Running shoes" }],
+	},
+	{
+		name: "$text searches nested fields and arrays",
+		query: { $text: { $search: "espresso" } },
+		input: [
+			{ tags: ["espresso", "latte"] },
+			{ info: { desc: "Espresso machine" } },
+			{ items: [{ name: "espresso" }] },
+			{ tags: ["latte"] },
+		],
+		expected: [
+			{ tags: ["espresso", "latte"] },
+			{ info: { desc: "Espresso machine" } },
+			{ items: [{ name: "espresso" }] },
+		],
+	},
+	{
+		name: "$text with other conditions",
+		query: { $text: { $search: "coffee" }, price: { $lt: 5 } },
+		input: [
+			{ title: "Coffee", price: 3 },
+			{ title: "Coffee", price: 7 },
+			{ title: "Tea", price: 3 },
+		],
+		expected: [{ title: "Coffee", price: 3 }],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+		await collection.createIndex({ "$**": "text" });
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $text tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			// Text search results are not returned in insertion order
+			const inputOrder = input.map((doc) => JSON.stringify(doc));
+			const mongoExpected = (
+				await getMongoResults(collection, query, input)
+			).sort(
+				(a, b) =>
+					inputOrder.indexOf(JSON.stringify(a)) -
+					inputOrder.indexOf(JSON.stringify(b)),
+			);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	await test("textFields option", () => {
+		const input = [
+			{ title: "Coffee", body: "Tea" },
+			{ title: "Tea", body: "Coffee" },
+			{ title: "Tea", tags: ["coffee"] },
+		];
+		const q = Query(
+			{ $text: { $search: "coffee" } },
+			{ textFields: ["title", "tags"] },
+		);
+		assert.deepStrictEqual(input.filter(q.test), [input[0], input[2]]);
+	});
+
+	await test("textScore", () => {
+		const q = Query({ $text: { $search: "coffee cat" } });
+		assert.strictEqual(q.textScore({ title: "coffee" }), 1);
+		assert.strictEqual(q.textScore({ title: "cat" }), 1.1);
+		assert.strictEqual(q.textScore({ title: "coffee and tea" }), 0.75);
+		assert.strictEqual(q.textScore({ title: "tea" }), 0);
+		assert.ok(
+			q.textScore({ title: "coffee coffee coffee" }) >
+				q.textScore({ title: "coffee and tea" }),
+		);
+	});
+
+	await test("textScore with weighted textFields", () => {
+		const q = Query(
+			{ $text: { $search: "coffee" } },
+			{ textFields: { title: 10, body: 1 } },
+		);
+		assert.strictEqual(q.textScore({ title: "coffee", body: "tea" }), 10);
+		assert.strictEqual(q.textScore({ title: "tea", body: "coffee" }), 1);
+		assert.strictEqual(q.textScore({ title: "coffee", body: "coffee" }), 11);
+	});
+
+	await test("textScore inside $and", () => {
+		const q = Query({ $and: [{ $text: { $search: "coffee" } }, { a: 1 }] });
+		assert.strictEqual(q.textScore({ title: "coffee" }), 1);
+	});
+
+	await test("textScore without $text", () => {
+		assert.throws(() => Query({ a: 1 }).textScore({ a: 1 }), TypeError);
+	});
+});
@@ -0,0 +1,190 @@
+import assert from "node:assert";
+import test, { after, afterEach, before, describe } from "node:test";
+import { Query } from "../mgq.js";
+import { getFilterResults, getMongoResults } from "./utils.js";
+import { Collection, MongoClient } from "mongodb";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const testCases = [
+	{
+		name: "$type alias",
+		query: { foo: { $type: "string" } },
+		input: [
+			{ foo: "bar" },
+			{ foo: 1 },
+			{ foo: null },
+			{ foo: ["bar"] },
+			{ foo: [1] },
+			{},
+		],
+		expected: [{ foo: "bar" }, { foo: ["bar"] }],
+	},
+	{
+		name: "$type number code",
+		query: { foo: { $type: 2 } },
+		input: [{ foo: "bar" }, { foo: 1 }, { foo: null }, {}],
+		expected: [{ foo: "bar" }],
+	},
+	{
+		name: "$type array of types",
+		query: { foo: { $type: ["double", "null"] } },
+		input: [{ foo: 1.5 }, { foo: 1 }, { foo: null }, { foo: "bar" }, {}],
+		expected: [{ foo: 1.5 }, { foo: null }],
+	},
+	{
+		name: "$type number alias",
+		query: { foo: { $type: "number" } },
+		input: [{ foo: 1 }, { foo: 1.5 }, { foo: 2 ** 40 }, { foo: "1" }, {}],
+		expected: [{ foo: 1 }, { foo: 1.5 }, { foo: 2 ** 40 }],
+	},
+	{
+		name: "$type int and double",
+		query: { foo: { $type: "int" } },
+		input: [{ foo: 1 }, { foo: -1 }, { foo: 1.5 }, { foo: 2 ** 40 }],
+		expected: [{ foo: 1 }, { foo: -1 }],
+	},
+	{
+		name: "$type array",
+		query: { foo: { $type: "array" } },
+		input: [{ foo: [] }, { foo: [1] }, { foo: [[1]] }, { foo: 1 }, { foo: {} }],
+		expected: [{ foo: [] }, { foo: [1] }, { foo: [[1]] }],
+	},
+	{
+		name: "$type object",
+		query: { foo: { $type: "object" } },
+		input: [
+			{ foo: {} },
+			{ foo: { bar: 1 } },
+			{ foo: [{}] },
+			{ foo: [] },
+			{ foo: null },
+		],
+		expected: [{ foo: {} }, { foo: { bar: 1 } }, { foo: [{}] }],
+	},
+	{
+		name: "$type bool",
+		query: { foo: { $type: "bool" } },
+		input: [{ foo: true }, { foo: false }, { foo: 0 }, { foo: "true" }],
+		expected: [{ foo: true }, { foo: false }],
+	},
+	{
+		name: "$type date",
+		query: { foo: { $type: "date" } },
+		input: [
+			{ foo: new Date("2024-01-01") },
+			{ foo: "2024-01-01" },
+			{ foo: 1704067200000 },
+		],
+		expected: [{ foo: new Date("2024-01-01") }],
+	},
+	{
+		name: "$type regex",
+		query: { foo: { $type: "regex" } },
+		input: [{ foo: /^ba/ }, { foo: "^ba" }],
+		expected: [{ foo: /^ba/ }],
+	},
+	{
+		name: "$type null",
+		query: { foo: { $type: "null" } },
+		input: [{ foo: null }, { foo: [null] }, { foo: 0 }, {}],
+		expected: [{ foo: null }, { foo: [null] }],
+	},
+	{
+		name: "$type does not match nested arrays elements",
+		query: { foo: { $type: "string" } },
+		input: [{ foo: [["bar"]] }, { foo: [["bar"], "baz"] }],
+		expected: [{ foo: [["bar"], "baz"] }],
+	},
+	{
+		name: "$type dict access",
+		query: { "foo.bar": { $type: "string" } },
+		input: [
+			{ foo: { bar: "a" } },
+			{ foo: [{ bar: "a" }, { bar: 1 }] },
+			{ foo: [{ bar: 1 }] },
+			{ foo: { bar: ["a"] } },
+			{ foo: "a" },
+		],
+		expected: [
+			{ foo: { bar: "a" } },
+			{ foo: [{ bar: "a" }, { bar: 1 }] },
+			{ foo: { bar: ["a"] } },
+		],
+	},
+	{
+		name: "$type list access",
+		query: { "foo.0": { $type: "int" } },
+		input: [{ foo: [1, "a"] }, { foo: ["a", 1] }, { foo: [] }],
+		expected: [{ foo: [1, "a"] }],
+	},
+	{
+		name: "$type with invalid alias",
+		query: { foo: { $type: "foo" } },
+		input: [{ foo: "bar" }],
+		expected: [],
+	},
+];
+
+/** @type {MongoMemoryServer} */
+let mongod;
+
+/** @type {MongoClient} */
+let client;
+
+/** @type {Collection} */
+let collection;
+
+before(async () => {
+	try {
+		mongod = await MongoMemoryServer.create();
+		const uri = mongod.getUri();
+		client = new MongoClient(uri);
+		await client.connect();
+		collection = client.db("test").collection("test");
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+after(async () => {
+	try {
+		await client.close();
+		await mongod.stop();
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+afterEach(async () => {
+	try {
+		await collection.deleteMany({});
+	} catch (error) {
+		console.error(error);
+	}
+});
+
+describe("Query $type tests", async () => {
+	for (const { name, query, input, expected } of testCases) {
+		await test(name, async () => {
+			const mongoExpected = await getMongoResults(collection, query, input);
+			assert.deepStrictEqual(mongoExpected, expected);
+
+			const q = new Query(query);
+			const actual = getFilterResults(q.test.bind(q), input);
+			assert.deepStrictEqual(actual, expected);
+		});
+	}
+
+	// the driver returns binary data as bson Binary, so this is not compared against mongo
+	await test("$type binData", () => {
+		const input = [
+			{ foo: Buffer.from("bar") },
+			{ foo: new Uint8Array([1, 2]) },
+			{ foo: "bar" },
+			{ foo: [1, 2] },
+		];
+		const q = Query({ foo: { $type: "binData" } });
+		const actual = getFilterResults(q.test.bind(q), input);
+		assert.deepStrictEqual(actual, input.slice(0, 2));
+	});
+});
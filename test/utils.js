@@ -9,7 +9,9 @@ import { Collection } from "mongodb";
  */
 export async function getMongoResults(collection, query, input) {
 	try {
-		await collection.insertMany(structuredClone(input));
+		// insertMany only sets _id on the inserted documents, structuredClone
+		// would also drop the prototypes of bson values
+		await collection.insertMany(input.map((doc) => ({ ...doc })));
 		const results = await collection
 			.find(query, { serializeFunctions: true })
 			.project({ _id: 0 })
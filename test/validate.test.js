@@ -98,6 +98,7 @@ describe("Query Validation", () => {
 
 	test("$mod validation", () => {
 		assert.doesNotThrow(() => Query({ foo: { $mod: [5, 1] } }).validate());
+		assert.doesNotThrow(() => Query({ foo: { $mod: [5n, 1n] } }).validate());
 		assert.throws(
 			() => Query({ foo: { $mod: "not-a-list" } }).validate(),
 			TypeError,
@@ -110,6 +111,7 @@ describe("Query Validation", () => {
 
 	test("$size validation", () => {
 		assert.doesNotThrow(() => Query({ foo: { $size: 2 } }).validate());
+		assert.doesNotThrow(() => Query({ foo: { $size: 2n } }).validate());
 		assert.throws(() => Query({ foo: { $size: "2" } }).validate(), TypeError);
 		assert.throws(
 			() => Query({ foo: { $size: ["a", "b"] } }).validate(),
@@ -117,6 +119,478 @@ describe("Query Validation", () => {
 		);
 	});
 
+	test("$exists validation", () => {
+		assert.doesNotThrow(() => Query({ foo: { $exists: true } }).validate());
+		assert.doesNotThrow(() => Query({ foo: { $exists: 0 } }).validate());
+		assert.doesNotThrow(() => Query({ foo: { $exists: null } }).validate());
+		assert.throws(
+			() => Query({ foo: { $exists: "true" } }).validate(),
+			TypeError,
+		);
+		assert.throws(() => Query({ foo: { $exists: {} } }).validate(), TypeError);
+	});
+
+	test("$type validation", () => {
+		assert.doesNotThrow(() => Query({ foo: { $type: "string" } }).validate());
+		assert.doesNotThrow(() => Query({ foo: { $type: 16 } }).validate());
+		assert.doesNotThrow(() => Query({ foo: { $type: "number" } }).validate());
+		assert.doesNotThrow(() =>
+			Query({ foo: { $type: ["double", 10] } }).validate(),
+		);
+		assert.throws(() => Query({ foo: { $type: "foo" } }).validate(), TypeError);
+		assert.throws(() => Query({ foo: { $type: 42 } }).validate(), TypeError);
+		assert.throws(() => Query({ foo: { $type: [] } }).validate(), TypeError);
+		assert.throws(
+			() => Query({ foo: { $type: ["string", "foo"] } }).validate(),
+			TypeError,
+		);
+	});
+
+	test("bitwise operators validation", () => {
+		for (const op of [
+			"$bitsAllSet",
+			"$bitsAnySet",
+			"$bitsAllClear",
+			"$bitsAnyClear",
+		]) {
+			assert.doesNotThrow(() => Query({ foo: { [op]: 35 } }).validate());
+			assert.doesNotThrow(() => Query({ foo: { [op]: [1, 5] } }).validate());
+			assert.doesNotThrow(() =>
+				Query({ foo: { [op]: Buffer.from([0x22]) } }).validate(),
+			);
+			assert.throws(() => Query({ foo: { [op]: -1 } }).validate(), TypeError);
+			assert.throws(() => Query({ foo: { [op]: 1.5 } }).validate(), TypeError);
+			assert.throws(
+				() => Query({ foo: { [op]: [1, -5] } }).validate(),
+				TypeError,
+			);
+			assert.throws(() => Query({ foo: { [op]: "35" } }).validate(), TypeError);
+		}
+	});
+
+	test("$expr validation", () => {
+		assert.doesNotThrow(() =>
+			Query({ $expr: { $gt: ["$foo", "$bar"] } }).validate(),
+		);
+		assert.doesNotThrow(() =>
+			Query({ $expr: { $eq: ["$foo", { $literal: { $bar: 1 } }] } }).validate(),
+		);
+		assert.throws(
+			() => Query({ $expr: { $foo: ["$foo", "$bar"] } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $expr: { $eq: ["$foo", 1], $ne: ["$foo", 2] } }).validate(),
+			TypeError,
+		);
+		for (const path of ["$", "$foo.", "$foo..bar", "$$", "$$ROOT."]) {
+			assert.throws(
+				() => Query({ $expr: { $eq: [path, 1] } }).validate(),
+				/is not a valid field path/,
+			);
+		}
+		assert.throws(
+			() =>
+				Query({
+					$expr: {
+						$replaceOne: { input: "$foo", find: "a", replacement: "$" },
+					},
+				}).validate(),
+			/'\$' is not a valid field path/,
+		);
+		assert.throws(
+			() => Query({ $and: [{ $expr: { $eq: [{ $foo: 1 }, 1] } }] }).validate(),
+			TypeError,
+		);
+	});
+
+	test("$jsonSchema validation", () => {
+		assert.doesNotThrow(() =>
+			Query({
+				$jsonSchema: {
+					bsonType: "object",
+					required: ["id"],
+					properties: { id: { bsonType: ["int", "string"] } },
+					additionalProperties: false,
+				},
+			}).validate(),
+		);
+		assert.throws(() => Query({ $jsonSchema: [] }).validate(), TypeError);
+		assert.throws(
+			() => Query({ $jsonSchema: { format: "email" } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $jsonSchema: { bsonType: "integer" } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $jsonSchema: { type: "integer" } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() =>
+				Query({
+					$jsonSchema: { type: "object", bsonType: "object" },
+				}).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $jsonSchema: { required: [] } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $jsonSchema: { exclusiveMinimum: true } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $jsonSchema: { minLength: -1 } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $jsonSchema: { pattern: "(" } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() =>
+				Query({
+					$jsonSchema: { properties: { a: { items: { $ref: "#" } } } },
+				}).validate(),
+			TypeError,
+		);
+	});
+
+	test("$text validation", () => {
+		assert.doesNotThrow(() =>
+			Query({
+				$text: {
+					$search: "coffee",
+					$language: "english",
+					$caseSensitive: false,
+					$diacriticSensitive: true,
+				},
+			}).validate(),
+		);
+		assert.throws(() => Query({ $text: "coffee" }).validate(), TypeError);
+		assert.throws(() => Query({ $text: {} }).validate(), TypeError);
+		assert.throws(() => Query({ $text: { $search: 1 } }).validate(), TypeError);
+		assert.throws(
+			() =>
+				Query({
+					$text: { $search: "coffee", $language: "klingon" },
+				}).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() =>
+				Query({ $text: { $search: "coffee", $caseSensitive: 1 } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ $text: { $search: "coffee", $foo: true } }).validate(),
+			TypeError,
+		);
+	});
+
+	test("$geoWithin validation", () => {
+		const ring = [
+			[0, 0],
+			[1, 0],
+			[1, 1],
+			[0, 1],
+			[0, 0],
+		];
+		assert.doesNotThrow(() =>
+			Query({
+				loc: {
+					$geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } },
+				},
+			}).validate(),
+		);
+		assert.doesNotThrow(() =>
+			Query({
+				loc: { $geoWithin: { $centerSphere: [[0, 0], 0.1] } },
+			}).validate(),
+		);
+		for (const $geoWithin of [
+			{},
+			{ $box: [[0, 0]] },
+			{
+				$polygon: [
+					[0, 0],
+					[1, 1],
+				],
+			},
+			{ $center: [[0, 0], -1] },
+			{ $centerSphere: [[200, 0], 1] },
+			{ $geometry: { type: "Point", coordinates: [0, 0] } },
+			{ $geometry: { type: "Polygon", coordinates: [ring.slice(0, -1)] } },
+			{
+				$geometry: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[0, 0],
+							[1, 1],
+							[1, 0],
+							[0, 1],
+							[0, 0],
+						],
+					],
+				},
+			},
+			{
+				$geometry: {
+					type: "Polygon",
+					coordinates: [
+						ring,
+						[
+							[5, 5],
+							[6, 5],
+							[6, 6],
+							[5, 5],
+						],
+					],
+				},
+			},
+			{
+				$geometry: {
+					type: "MultiPolygon",
+					coordinates: [[ring]],
+					crs: {
+						type: "name",
+						properties: { name: "urn:x-mongodb:crs:strictwinding:EPSG:4326" },
+					},
+				},
+			},
+		]) {
+			assert.throws(() => Query({ loc: { $geoWithin } }).validate(), TypeError);
+		}
+	});
+
+	test("$geoIntersects validation", () => {
+		for (const $geometry of [
+			{ type: "Point", coordinates: [0, 0] },
+			{ type: "MultiPoint", coordinates: [[0, 0]] },
+			{
+				type: "LineString",
+				coordinates: [
+					[0, 0],
+					[1, 1],
+				],
+			},
+			{
+				type: "MultiLineString",
+				coordinates: [
+					[
+						[0, 0],
+						[1, 1],
+					],
+				],
+			},
+			{
+				type: "Polygon",
+				coordinates: [
+					[
+						[0, 0],
+						[1, 0],
+						[1, 1],
+						[0, 0],
+					],
+				],
+			},
+			{
+				type: "MultiPolygon",
+				coordinates: [
+					[
+						[
+							[0, 0],
+							[1, 0],
+							[1, 1],
+							[0, 0],
+						],
+					],
+				],
+			},
+			{
+				type: "GeometryCollection",
+				geometries: [{ type: "Point", coordinates: [0, 0] }],
+			},
+		]) {
+			assert.doesNotThrow(() =>
+				Query({ loc: { $geoIntersects: { $geometry } } }).validate(),
+			);
+		}
+		for (const $geoIntersects of [
+			{},
+			{
+				$box: [
+					[0, 0],
+					[1, 1],
+				],
+			},
+			{ $geometry: { type: "Point", coordinates: [0, 91] } },
+			{ $geometry: { type: "Point" } },
+			{ $geometry: { type: "Circle", coordinates: [0, 0] } },
+			{ $geometry: { type: "MultiPoint", coordinates: [] } },
+			{ $geometry: { type: "LineString", coordinates: [[0, 0]] } },
+			{
+				$geometry: {
+					type: "LineString",
+					coordinates: [
+						[0, 0],
+						[180, 0],
+					],
+				},
+			},
+			{
+				$geometry: {
+					type: "Polygon",
+					coordinates: [
+						[
+							[0, 0],
+							[1, 0],
+							[0, 0],
+						],
+					],
+				},
+			},
+			{ $geometry: { type: "GeometryCollection", geometries: [] } },
+			{
+				$geometry: {
+					type: "GeometryCollection",
+					geometries: [{ type: "Point", coordinates: [0, "0"] }],
+				},
+			},
+		]) {
+			assert.throws(
+				() => Query({ loc: { $geoIntersects } }).validate(),
+				TypeError,
+			);
+		}
+	});
+
+	test("$near validation", () => {
+		assert.doesNotThrow(() =>
+			Query({
+				loc: {
+					$near: {
+						$geometry: { type: "Point", coordinates: [0, 0] },
+						$minDistance: 10,
+						$maxDistance: 100,
+					},
+				},
+			}).validate(),
+		);
+		assert.doesNotThrow(() =>
+			Query({ loc: { $nearSphere: [0, 0], $maxDistance: 0.1 } }).validate(),
+		);
+		for (const exp of [
+			{ $near: "0,0" },
+			{ $near: [0, 0], $maxDistance: -1 },
+			{ $near: [0, 0], $minDistance: "1" },
+			{ $near: [0, 0], $nearSphere: [0, 0] },
+			{ $nearSphere: [200, 0] },
+			{ $maxDistance: 1 },
+			{
+				$near: { $geometry: { type: "Point", coordinates: [0, 0] } },
+				$maxDistance: 1,
+			},
+			{
+				$near: {
+					$geometry: {
+						type: "LineString",
+						coordinates: [
+							[0, 0],
+							[1, 1],
+						],
+					},
+				},
+			},
+		]) {
+			assert.throws(() => Query({ loc: exp }).validate(), TypeError);
+		}
+	});
+
+	test("$elemMatch validation", () => {
+		assert.doesNotThrow(() =>
+			Query({ foo: { $elemMatch: { $gte: 1, $not: { $lt: 0 } } } }).validate(),
+		);
+		assert.doesNotThrow(() =>
+			Query({ foo: { $elemMatch: { $or: [{ a: 1 }], b: 2 } } }).validate(),
+		);
+		assert.throws(
+			() => Query({ foo: { $elemMatch: 1 } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ foo: { $elemMatch: { $gte: 1, bar: 2 } } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ foo: { $elemMatch: { bar: 2, $gte: 1 } } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ foo: { $elemMatch: { $in: 1 } } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ foo: { $elemMatch: { bar: { $size: "1" } } } }).validate(),
+			TypeError,
+		);
+	});
+
+	test("$regex validation", () => {
+		assert.doesNotThrow(() =>
+			Query({
+				foo: { $regex: "^(?i)ba\\Z[[:digit:]]++", $options: "x" },
+			}).validate(),
+		);
+		assert.doesNotThrow(() =>
+			Query({ foo: { $regex: /^ba/, $options: "i" } }).validate(),
+		);
+		assert.throws(() => Query({ foo: { $regex: 1 } }).validate(), TypeError);
+		assert.throws(
+			() => Query({ foo: { $regex: "^ba", $options: "g" } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ foo: { $regex: /^ba/i, $options: "m" } }).validate(),
+			/options set in both \$regex and \$options/,
+		);
+		assert.throws(
+			() => Query({ foo: { $options: "i" } }).validate(),
+			TypeError,
+		);
+		assert.throws(
+			() => Query({ foo: { $regex: "(a" } }).validate(),
+			/missing closing parenthesis/,
+		);
+		assert.throws(
+			() => Query({ foo: { $regex: "(?R)" } }).validate(),
+			/recursion/,
+		);
+		assert.throws(
+			() => Query({ foo: { $regex: "a\\K" } }).validate(),
+			/\\K is not supported/,
+		);
+		assert.throws(
+			() => Query({ foo: { $regex: "[[:foo:]]" } }).validate(),
+			/unknown POSIX class name/,
+		);
+		assert.throws(
+			() => Query({ foo: { $in: [/\G/] } }).validate(),
+			/\\G is not supported/,
+		);
+		for (const regex of ["(a)|b\\1", "(a)?\\1", "(?:(a)|b)+\\1", "\\1(a)"]) {
+			assert.throws(
+				() => Query({ foo: { $regex: regex } }).validate(),
+				/backreferences to groups that may not have taken part in the match are not supported/,
+			);
+		}
+	});
+
 	test("$where validation", () => {
 		assert.doesNotThrow(() => Query({ $where: () => {} }).validate());
 		assert.doesNotThrow(() => Query({ $where: "return true" }).validate());